@@ -0,0 +1,211 @@
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const cors = require('cors');
+const Stripe = require('stripe');
+const createDb = require('./db');
+const { createLogger } = require('./lib/logger');
+const requestLogging = require('./lib/request-logging');
+const createLifecycle = require('./lib/lifecycle');
+const securityHeaders = require('./lib/security-headers');
+const rateLimit = require('./lib/rate-limit');
+const createMetrics = require('./lib/metrics');
+const { createRateTableTaxCalculator } = require('./lib/tax');
+const { createMediaStorage } = require('./lib/media-storage');
+const { createEmailTransport } = require('./lib/email-transports');
+const createHealthRouter = require('./routes/health');
+const createMetricsRouter = require('./routes/metrics');
+const createProductsRouter = require('./routes/products');
+const createReviewsRouter = require('./routes/reviews');
+const createAccountRouter = require('./routes/account');
+const createQuotesRouter = require('./routes/quotes');
+const createRentalsRouter = require('./routes/rentals');
+const createCheckoutRouter = require('./routes/checkout');
+const createCartRouter = require('./routes/cart');
+const createShippingRouter = require('./routes/shipping');
+const createWebhooksRouter = require('./routes/webhooks');
+const createAdminProductsRouter = require('./routes/admin-products');
+const createAdminMediaRouter = require('./routes/admin-media');
+const createAdminOrdersRouter = require('./routes/admin-orders');
+const createAdminPromotionsRouter = require('./routes/admin-promotions');
+const createAdminShippingRouter = require('./routes/admin-shipping');
+const createAdminTaxRouter = require('./routes/admin-tax');
+const createAdminEmailsRouter = require('./routes/admin-emails');
+const createAdminReviewsRouter = require('./routes/admin-reviews');
+const createAdminQuotesRouter = require('./routes/admin-quotes');
+const createAdminInvoicesRouter = require('./routes/admin-invoices');
+const createAdminRentalsRouter = require('./routes/admin-rentals');
+const { HttpError, apiErrorHandler, internalErrorBody } = require('./lib/http');
+
+const DEFAULT_FRONTEND_PATH = path.join(__dirname, '../frontend');
+
+/**
+ * Build the Express app without listening. `logger`, `db` and `stripe` default
+ * to real clients built from the config, `taxCalculator` to the built-in rate
+ * table (see lib/tax), `mediaStorage` to the configured storage (see
+ * lib/media-storage) and `emailTransport` to the configured transport (see
+ * lib/email-transports); tests can pass their own. The returned
+ * `lifecycle` is what the entry point drains on shutdown, and `metrics` the
+ * Prometheus registry behind /metrics.
+ *
+ * @param {import('./config').Config} config
+ * @param {{ logger?: object, db?: object, stripe?: object, taxCalculator?: object, mediaStorage?: object, emailTransport?: object, frontendPath?: string }} [deps]
+ * @returns {{ app: import('express').Express, lifecycle: object, metrics: object, logger: object, db: object, stripe: object, emailTransport: object }}
+ */
+function createApp(config, deps = {}) {
+    const logger = deps.logger || createLogger({ level: config.logLevel, format: config.logFormat });
+    const db = deps.db || createDb({
+        connectionString: config.databaseUrl,
+        max: config.databasePoolMax,
+        ssl: config.databaseSsl,
+        logger
+    });
+    const stripe = deps.stripe || new Stripe(config.stripeSecretKey);
+    const taxCalculator = deps.taxCalculator || createRateTableTaxCalculator();
+    const mediaStorage = deps.mediaStorage || createMediaStorage(config);
+    const emailTransport = deps.emailTransport || createEmailTransport(config, { logger });
+    const lifecycle = createLifecycle();
+    const metrics = createMetrics({ db });
+    const frontendPath = deps.frontendPath || DEFAULT_FRONTEND_PATH;
+    const indexPath = path.join(frontendPath, 'index.html');
+
+    const app = express();
+    app.set('env', config.nodeEnv);
+    app.set('trust proxy', config.trustProxy);
+    app.disable('x-powered-by');
+
+    app.use(requestLogging(logger));
+    app.use(lifecycle.track);
+    app.use(metrics.track);
+    app.use(securityHeaders({ hsts: config.nodeEnv === 'production' }));
+
+    // Stripe webhooks need the raw request body, so they go before the JSON parser
+    app.use('/api/webhooks', createWebhooksRouter({
+        db,
+        stripe,
+        webhookSecret: config.stripeWebhookSecret,
+        metrics
+    }), apiErrorHandler);
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // CORS: only the storefront and CORS_ORIGINS may call the API from a
+    // browser. They may also send credentials, which the cart cookie needs.
+    // Requests without an Origin (same-origin pages, curl) are unaffected.
+    app.use(cors({
+        origin: (origin, callback) => callback(null, config.corsOrigins.includes(origin)),
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id', 'Retry-After'],
+        maxAge: 600
+    }));
+
+    app.use(express.static(frontendPath));
+    // Uploaded product images, when the storage serves them from this app
+    if (mediaStorage.handler) {
+        app.use('/media', mediaStorage.handler, (req, res) => res.status(404).send('Not found'));
+    }
+
+    // API Routes
+    app.get('/api', (req, res) => {
+        res.json({
+            status: 'running',
+            message: 'Water Blob Store API',
+            timestamp: new Date().toISOString(),
+            version: '1.0.0'
+        });
+    });
+
+    app.use(createHealthRouter({
+        db,
+        lifecycle,
+        stripeConfigured: Boolean(config.stripeSecretKey && config.stripeWebhookSecret)
+    }));
+    app.use(createMetricsRouter({ metrics, token: config.metricsToken }));
+    app.use('/metrics', apiErrorHandler);
+
+    app.use('/api/products', createProductsRouter({ db, mediaStorage }));
+    app.use('/api/products', createReviewsRouter({ db, submitRateLimit: config.reviewRateLimit }));
+    app.use('/api/cart', createCartRouter({
+        db,
+        taxCalculator,
+        mediaStorage,
+        secureCookies: config.nodeEnv === 'production'
+    }));
+    app.use('/api/shipping', createShippingRouter({ db }));
+    app.use('/api/rentals', createRentalsRouter({ db }));
+    app.use('/api/account', createAccountRouter({
+        db,
+        emailTransport,
+        emailFrom: config.emailFrom,
+        frontendUrl: config.frontendUrl,
+        secureCookies: config.nodeEnv === 'production',
+        credentialsRateLimit: config.accountRateLimit,
+        trustedOrigins: config.corsOrigins
+    }));
+    app.use('/api/quotes', createQuotesRouter({
+        db,
+        metrics,
+        emailTransport,
+        emailFrom: config.emailFrom,
+        frontendUrl: config.frontendUrl,
+        submitRateLimit: config.quoteRateLimit
+    }));
+    // Per-IP limits where abuse costs money or guesses secrets: checkout
+    // (card testing, Stripe API usage) and the admin token
+    app.use('/api/checkout', rateLimit({ max: config.checkoutRateLimit }));
+    app.use('/api/admin', rateLimit({ max: config.adminRateLimit }));
+
+    app.use('/api/checkout', createCheckoutRouter({
+        db,
+        stripe,
+        taxCalculator,
+        metrics,
+        frontendUrl: config.frontendUrl,
+        sessionTtlMinutes: config.checkoutSessionTtlMinutes
+    }));
+    app.use('/api/admin/products', createAdminMediaRouter({ db, storage: mediaStorage, adminToken: config.adminApiToken }));
+    app.use('/api/admin/products', createAdminProductsRouter({ db, mediaStorage, adminToken: config.adminApiToken }));
+    app.use('/api/admin/orders', createAdminOrdersRouter({ db, metrics, adminToken: config.adminApiToken }));
+    app.use('/api/admin/promotions', createAdminPromotionsRouter({ db, adminToken: config.adminApiToken }));
+    app.use('/api/admin/shipping', createAdminShippingRouter({ db, adminToken: config.adminApiToken }));
+    app.use('/api/admin/tax', createAdminTaxRouter({ db, adminToken: config.adminApiToken }));
+    app.use('/api/admin/emails', createAdminEmailsRouter({ db, adminToken: config.adminApiToken }));
+    app.use('/api/admin/reviews', createAdminReviewsRouter({ db, adminToken: config.adminApiToken }));
+    app.use('/api/admin/quotes', createAdminQuotesRouter({
+        db,
+        taxCalculator,
+        emailTransport,
+        emailFrom: config.emailFrom,
+        frontendUrl: config.frontendUrl,
+        adminToken: config.adminApiToken
+    }));
+    app.use('/api/admin/invoices', createAdminInvoicesRouter({ db, metrics, adminToken: config.adminApiToken }));
+    app.use('/api/admin/rentals', createAdminRentalsRouter({ db, adminToken: config.adminApiToken }));
+
+    app.use('/api', (req, res, next) => {
+        next(new HttpError(404, `No API route for ${req.method} ${req.baseUrl}${req.path}`));
+    });
+    app.use('/api', apiErrorHandler);
+
+    // Catch-all for frontend routes
+    app.get('*', (req, res) => {
+        if (fs.existsSync(indexPath)) {
+            res.sendFile(indexPath);
+        } else {
+            res.status(404).send('index.html not found');
+        }
+    });
+
+    // Error handling middleware
+    app.use((err, req, res, next) => {
+        req.log.error('Unhandled error', { err });
+        res.status(500).json(internalErrorBody(req, err));
+    });
+
+    return { app, lifecycle, metrics, logger, db, stripe, emailTransport };
+}
+
+module.exports = createApp;
@@ -0,0 +1,328 @@
+// Reads and validates the environment once at startup. Everything else
+// receives the resulting config object instead of reading process.env, so the
+// app can be built with any config (e.g. in tests) via createApp(config).
+
+/**
+ * @typedef {Object} Config
+ * @property {'development'|'production'|'test'} nodeEnv
+ * @property {number} port
+ * @property {string} databaseUrl
+ * @property {number} databasePoolMax
+ * @property {boolean} databaseSsl
+ * @property {string} stripeSecretKey
+ * @property {string} stripeWebhookSecret
+ * @property {string} frontendUrl - Storefront origin + path, without a trailing slash
+ * @property {string[]} corsOrigins - Origins allowed to call the API: the storefront's plus CORS_ORIGINS
+ * @property {number} trustProxy - Express `trust proxy`: proxy hops in front of the app
+ * @property {number} checkoutRateLimit - Checkout requests per IP per minute
+ * @property {number} adminRateLimit - Admin API requests per IP per minute
+ * @property {number} reviewRateLimit - Review submissions per IP per hour
+ * @property {number} accountRateLimit - Sign-in, signup and password reset requests per IP per minute
+ * @property {number} quoteRateLimit - Quote requests per IP per hour
+ * @property {string|null} adminApiToken - Admin routes are disabled when null
+ * @property {string|null} metricsToken - Bearer token for /metrics; open when null (never in production)
+ * @property {number} checkoutSessionTtlMinutes
+ * @property {'error'|'warn'|'info'|'debug'} logLevel
+ * @property {'json'|'pretty'} logFormat
+ * @property {number} shutdownTimeoutMs - How long in-flight requests get to finish on SIGTERM
+ * @property {number} shutdownDrainDelayMs - How long health checks fail before the server stops accepting connections
+ * @property {'smtp'|'file'|'console'} emailTransport - Where order emails go (see lib/email-transports)
+ * @property {string|null} smtpUrl - smtp(s):// URL of the relay, for the smtp transport
+ * @property {string} emailFrom - From address of order emails
+ * @property {string} emailFileDir - Directory the file transport writes .eml files to
+ * @property {'local'} mediaStorage - Where uploaded product images go (see lib/media-storage)
+ * @property {string} mediaDir - Directory the local media storage writes to
+ * @property {string} mediaBaseUrl - URL prefix of stored media, without a trailing slash
+ */
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const os = require('os');
+const path = require('path');
+const { LEVELS } = require('./lib/logger');
+
+const NODE_ENVS = ['development', 'production', 'test'];
+const LOG_FORMATS = ['json', 'pretty'];
+const EMAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+const MEDIA_STORAGES = ['local'];
+
+function parseUrl(value, protocols) {
+    try {
+        const url = new URL(value);
+        return protocols.includes(url.protocol) ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function parseInteger(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+function requiredReader(env, problems) {
+    return (name) => {
+        const value = (env[name] || '').trim();
+        if (!value) {
+            problems.push(`${name} is required`);
+        }
+        return value;
+    };
+}
+
+// NODE_ENV and the Postgres settings, shared by the server and the database
+// scripts (which must not need Stripe keys to run).
+function readDatabaseSettings(env, problems) {
+    const required = requiredReader(env, problems);
+
+    const nodeEnv = env.NODE_ENV || 'development';
+    if (!NODE_ENVS.includes(nodeEnv)) {
+        problems.push(`NODE_ENV must be one of ${NODE_ENVS.join(', ')} (got "${nodeEnv}")`);
+    }
+
+    const databaseUrl = required('DATABASE_URL');
+    if (databaseUrl && !parseUrl(databaseUrl, ['postgres:', 'postgresql:'])) {
+        problems.push('DATABASE_URL must be a postgres:// or postgresql:// connection string');
+    }
+
+    const databasePoolMax = parseInteger(env.DATABASE_POOL_MAX, 10);
+    if (!(databasePoolMax >= 1)) {
+        problems.push(`DATABASE_POOL_MAX must be a positive integer (got "${env.DATABASE_POOL_MAX}")`);
+    }
+
+    return {
+        nodeEnv,
+        databaseUrl,
+        databasePoolMax,
+        // Render's managed Postgres requires TLS; override with DATABASE_SSL=false
+        databaseSsl: env.DATABASE_SSL ? env.DATABASE_SSL !== 'false' : nodeEnv === 'production'
+    };
+}
+
+/**
+ * Only the settings needed to reach Postgres, for `npm run migrate` and
+ * `npm run seed`.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Pick<Config, 'nodeEnv'|'databaseUrl'|'databasePoolMax'|'databaseSsl'>}
+ * @throws {ConfigError}
+ */
+function loadDatabaseConfig(env = process.env) {
+    const problems = [];
+    const settings = readDatabaseSettings(env, problems);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return settings;
+}
+
+/**
+ * Build a Config from environment variables, collecting every problem before
+ * throwing so a bad deploy reports all of them at once.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Config}
+ * @throws {ConfigError}
+ */
+function loadConfig(env = process.env) {
+    const problems = [];
+    const required = requiredReader(env, problems);
+    const database = readDatabaseSettings(env, problems);
+    const { nodeEnv } = database;
+
+    const port = parseInteger(env.PORT, 3000);
+    if (!(port >= 1 && port <= 65535)) {
+        problems.push(`PORT must be an integer between 1 and 65535 (got "${env.PORT}")`);
+    }
+
+    const stripeSecretKey = required('STRIPE_SECRET_KEY');
+    if (stripeSecretKey && !/^(sk|rk)_(test|live)_\w+$/.test(stripeSecretKey)) {
+        problems.push('STRIPE_SECRET_KEY must be a Stripe secret key (sk_test_... or sk_live_...)');
+    }
+    if (nodeEnv !== 'production' && stripeSecretKey.includes('_live_')) {
+        problems.push(`STRIPE_SECRET_KEY is a live key but NODE_ENV is ${nodeEnv}`);
+    }
+
+    const stripeWebhookSecret = required('STRIPE_WEBHOOK_SECRET');
+    if (stripeWebhookSecret && !stripeWebhookSecret.startsWith('whsec_')) {
+        problems.push('STRIPE_WEBHOOK_SECRET must be a webhook signing secret (whsec_...)');
+    }
+
+    const frontendUrl = required('FRONTEND_URL').replace(/\/+$/, '');
+    if (frontendUrl && !parseUrl(frontendUrl, ['http:', 'https:'])) {
+        problems.push('FRONTEND_URL must be an http(s) URL');
+    }
+
+    // The storefront may be hosted elsewhere (GitHub Pages) and call the API
+    // cross-origin; CORS_ORIGINS adds more, e.g. a staging storefront.
+    const corsOrigins = [];
+    if (frontendUrl && parseUrl(frontendUrl, ['http:', 'https:'])) {
+        corsOrigins.push(new URL(frontendUrl).origin);
+    }
+    (env.CORS_ORIGINS || '').split(',').map((value) => value.trim()).filter(Boolean).forEach((value) => {
+        const url = parseUrl(value, ['http:', 'https:']);
+        if (!url || url.origin !== value.replace(/\/+$/, '')) {
+            problems.push(`CORS_ORIGINS must be a comma-separated list of origins like https://example.com (got "${value}")`);
+        } else if (!corsOrigins.includes(url.origin)) {
+            corsOrigins.push(url.origin);
+        }
+    });
+
+    // Render puts one proxy in front of the service; client IPs (for rate
+    // limits and logs) come from X-Forwarded-For only behind a proxy.
+    const trustProxy = parseInteger(env.TRUST_PROXY, nodeEnv === 'production' ? 1 : 0);
+    if (!(trustProxy >= 0)) {
+        problems.push(`TRUST_PROXY must be the number of proxies in front of the app (got "${env.TRUST_PROXY}")`);
+    }
+
+    const checkoutRateLimit = parseInteger(env.RATE_LIMIT_CHECKOUT, 10);
+    if (!(checkoutRateLimit >= 1)) {
+        problems.push(`RATE_LIMIT_CHECKOUT must be a positive integer (got "${env.RATE_LIMIT_CHECKOUT}")`);
+    }
+
+    const adminRateLimit = parseInteger(env.RATE_LIMIT_ADMIN, 120);
+    if (!(adminRateLimit >= 1)) {
+        problems.push(`RATE_LIMIT_ADMIN must be a positive integer (got "${env.RATE_LIMIT_ADMIN}")`);
+    }
+
+    const reviewRateLimit = parseInteger(env.RATE_LIMIT_REVIEWS, 5);
+    if (!(reviewRateLimit >= 1)) {
+        problems.push(`RATE_LIMIT_REVIEWS must be a positive integer (got "${env.RATE_LIMIT_REVIEWS}")`);
+    }
+
+    const accountRateLimit = parseInteger(env.RATE_LIMIT_ACCOUNT, 10);
+    if (!(accountRateLimit >= 1)) {
+        problems.push(`RATE_LIMIT_ACCOUNT must be a positive integer (got "${env.RATE_LIMIT_ACCOUNT}")`);
+    }
+
+    const quoteRateLimit = parseInteger(env.RATE_LIMIT_QUOTES, 5);
+    if (!(quoteRateLimit >= 1)) {
+        problems.push(`RATE_LIMIT_QUOTES must be a positive integer (got "${env.RATE_LIMIT_QUOTES}")`);
+    }
+
+    const checkoutSessionTtlMinutes = parseInteger(env.CHECKOUT_SESSION_TTL_MINUTES, 30);
+    if (!(checkoutSessionTtlMinutes >= 30 && checkoutSessionTtlMinutes <= 24 * 60)) {
+        problems.push('CHECKOUT_SESSION_TTL_MINUTES must be between 30 and 1440 (Stripe\'s limits)');
+    }
+
+    const adminApiToken = (env.ADMIN_API_TOKEN || '').trim() || null;
+    if (adminApiToken && adminApiToken.length < 24) {
+        problems.push('ADMIN_API_TOKEN must be at least 24 characters');
+    }
+
+    // An open /metrics exposes traffic and order volumes, which is only
+    // acceptable off production
+    const metricsToken = (env.METRICS_TOKEN || '').trim() || null;
+    if (!metricsToken && nodeEnv === 'production') {
+        problems.push('METRICS_TOKEN is required when NODE_ENV is production');
+    } else if (metricsToken && metricsToken.length < 24) {
+        problems.push('METRICS_TOKEN must be at least 24 characters');
+    }
+
+    const logLevel = env.LOG_LEVEL || 'info';
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, logLevel)) {
+        problems.push(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')} (got "${logLevel}")`);
+    }
+
+    const logFormat = env.LOG_FORMAT || (nodeEnv === 'production' ? 'json' : 'pretty');
+    if (!LOG_FORMATS.includes(logFormat)) {
+        problems.push(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')} (got "${logFormat}")`);
+    }
+
+    const shutdownTimeoutMs = parseInteger(env.SHUTDOWN_TIMEOUT_MS, 25000);
+    if (!(shutdownTimeoutMs >= 0)) {
+        problems.push(`SHUTDOWN_TIMEOUT_MS must be a non-negative integer (got "${env.SHUTDOWN_TIMEOUT_MS}")`);
+    }
+
+    // Part of the shutdown timeout. Only a load balancer needs the wait, so
+    // development stops straight away.
+    const shutdownDrainDelayMs = parseInteger(env.SHUTDOWN_DRAIN_DELAY_MS, nodeEnv === 'production' ? 5000 : 0);
+    if (!(shutdownDrainDelayMs >= 0)) {
+        problems.push(`SHUTDOWN_DRAIN_DELAY_MS must be a non-negative integer (got "${env.SHUTDOWN_DRAIN_DELAY_MS}")`);
+    } else if (shutdownDrainDelayMs > shutdownTimeoutMs) {
+        problems.push('SHUTDOWN_DRAIN_DELAY_MS must not be longer than SHUTDOWN_TIMEOUT_MS');
+    }
+
+    // Production sends real mail; development logs it unless told otherwise
+    const emailTransport = env.EMAIL_TRANSPORT || (nodeEnv === 'production' ? 'smtp' : 'console');
+    if (!EMAIL_TRANSPORTS.includes(emailTransport)) {
+        problems.push(`EMAIL_TRANSPORT must be one of ${EMAIL_TRANSPORTS.join(', ')} (got "${emailTransport}")`);
+    }
+
+    const smtpUrl = (env.SMTP_URL || '').trim() || null;
+    if (emailTransport === 'smtp' && !smtpUrl) {
+        problems.push('SMTP_URL is required when EMAIL_TRANSPORT is smtp');
+    } else if (smtpUrl && !parseUrl(smtpUrl, ['smtp:', 'smtps:'])) {
+        problems.push('SMTP_URL must be an smtp:// or smtps:// URL');
+    }
+
+    const emailFrom = (env.EMAIL_FROM || '').trim() || (emailTransport === 'smtp' ? '' : 'Water Blob <orders@localhost>');
+    if (!emailFrom) {
+        problems.push('EMAIL_FROM is required when EMAIL_TRANSPORT is smtp');
+    } else if (!/^[^<>]*<[^\s@<>]+@[^\s@<>]+>$|^[^\s@<>]+@[^\s@<>]+$/.test(emailFrom)) {
+        problems.push('EMAIL_FROM must be an email address, optionally as "Name <address>"');
+    }
+
+    const emailFileDir = path.resolve(env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'waterblob-emails'));
+
+    const mediaStorage = env.MEDIA_STORAGE || 'local';
+    if (!MEDIA_STORAGES.includes(mediaStorage)) {
+        problems.push(`MEDIA_STORAGE must be one of ${MEDIA_STORAGES.join(', ')} (got "${mediaStorage}")`);
+    }
+
+    const mediaDir = path.resolve(env.MEDIA_DIR || path.join(__dirname, 'uploads'));
+
+    // Local media is served by this app at /media. A storefront on another
+    // origin needs the absolute URL, e.g. https://api.example.com/media.
+    const mediaBaseUrl = (env.MEDIA_BASE_URL || '/media').trim().replace(/\/+$/, '');
+    if (!mediaBaseUrl.startsWith('/') && !parseUrl(mediaBaseUrl, ['http:', 'https:'])) {
+        problems.push('MEDIA_BASE_URL must be an http(s) URL or a path starting with /');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return {
+        ...database,
+        port,
+        stripeSecretKey,
+        stripeWebhookSecret,
+        frontendUrl,
+        corsOrigins,
+        trustProxy,
+        checkoutRateLimit,
+        adminRateLimit,
+        reviewRateLimit,
+        accountRateLimit,
+        quoteRateLimit,
+        adminApiToken,
+        metricsToken,
+        checkoutSessionTtlMinutes,
+        logLevel,
+        logFormat,
+        shutdownTimeoutMs,
+        shutdownDrainDelayMs,
+        emailTransport,
+        smtpUrl,
+        emailFrom,
+        emailFileDir,
+        mediaStorage,
+        mediaDir,
+        mediaBaseUrl
+    };
+}
+
+module.exports = {
+    loadConfig,
+    loadDatabaseConfig,
+    ConfigError
+};
@@ -0,0 +1,54 @@
+const { Pool } = require('pg');
+
+/**
+ * Create the shared connection pool and the small query interface the models
+ * use. Routers receive this object from createApp.
+ *
+ * @param {{ connectionString: string, max?: number, ssl?: boolean, logger: object }} options
+ */
+function createDb({ connectionString, max = 10, ssl = false, logger }) {
+    const pool = new Pool({
+        connectionString,
+        // Render's managed Postgres uses a self-signed chain
+        ssl: ssl ? { rejectUnauthorized: false } : false,
+        max
+    });
+
+    pool.on('error', (err) => {
+        logger.error('Postgres pool error', { err });
+    });
+
+    function query(text, params) {
+        return pool.query(text, params);
+    }
+
+    // Run `fn` with a dedicated client inside BEGIN/COMMIT, rolling back if it
+    // throws. The client exposes the same query() method as this object.
+    async function withTransaction(fn) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await fn(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    function close() {
+        return pool.end();
+    }
+
+    return {
+        pool,
+        query,
+        withTransaction,
+        close
+    };
+}
+
+module.exports = createDb;
@@ -0,0 +1,93 @@
+const { renderOrderEmail } = require('../lib/email-templates');
+const { findOrder } = require('../models/orders');
+const { claimDueEmails, markEmailSent, markEmailFailed } = require('../models/emails');
+
+// Seconds to wait before retrying after the 1st, 2nd, ... failed attempt. A
+// message still failing after the last one is marked failed and waits for an
+// admin retry (POST /api/admin/emails/:id/retry).
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60];
+
+// Periodically sends the order emails queued in order_emails through
+// `transport` (see lib/email-transports), recording every attempt.
+function startEmailSender({
+    db,
+    logger,
+    transport,
+    from,
+    storeUrl,
+    intervalMs = 30 * 1000,
+    batchSize = 20,
+    leaseSeconds = 5 * 60
+} = {}) {
+    let running = null;
+
+    const deliver = async (email) => {
+        const order = await findOrder(db, email.order_id);
+        const message = renderOrderEmail(email.kind, order, { storeUrl });
+        const { messageId } = await transport.send({
+            from,
+            to: email.recipient,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        });
+        await markEmailSent(db, email.id, { subject: message.subject, messageId });
+        logger.info('Sent order email', {
+            emailId: email.id,
+            orderId: email.order_id,
+            kind: email.kind,
+            transport: transport.name
+        });
+    };
+
+    const fail = async (email, err) => {
+        const retryIn = email.attempts <= RETRY_DELAYS.length ? RETRY_DELAYS[email.attempts - 1] : null;
+        await markEmailFailed(db, email.id, err.message, retryIn);
+        logger.warn(retryIn === null ? 'Giving up on order email' : 'Order email failed, will retry', {
+            emailId: email.id,
+            orderId: email.order_id,
+            kind: email.kind,
+            attempts: email.attempts,
+            retryInSeconds: retryIn,
+            err
+        });
+    };
+
+    const send = async () => {
+        if (running) {
+            return running;
+        }
+        running = claimDueEmails(db, batchSize, leaseSeconds)
+            .then(async (emails) => {
+                // One at a time: SMTP relays rate-limit, and order is kept per order
+                for (const email of emails) {
+                    try {
+                        await deliver(email);
+                    } catch (err) {
+                        await fail(email, err);
+                    }
+                }
+            })
+            .catch((err) => {
+                logger.error('Email send run failed', { err });
+            })
+            .finally(() => {
+                running = null;
+            });
+        return running;
+    };
+
+    const timer = setInterval(send, intervalMs);
+    timer.unref();
+
+    return {
+        send,
+        // Resolves once any run in progress has finished
+        stop() {
+            clearInterval(timer);
+            return running || Promise.resolve();
+        }
+    };
+}
+
+module.exports = startEmailSender;
@@ -0,0 +1,61 @@
+const { releaseExpiredReservations } = require('../models/inventory');
+const { releaseExpiredRedemptions } = require('../models/promotions');
+const { releaseExpiredRentalBookings } = require('../models/rentals');
+
+// Periodically returns stock (and rental units and discount code uses) held
+// by checkout sessions that expired without a `checkout.session.expired`
+// webhook reaching us. The grace period leaves time for a late `completed` delivery before the
+// stock goes back on sale.
+function startReservationSweeper({
+    db,
+    logger,
+    intervalMs = 5 * 60 * 1000,
+    graceMinutes = 15
+} = {}) {
+    let running = null;
+
+    const sweep = async () => {
+        if (running) {
+            return running;
+        }
+        running = releaseExpiredReservations(db, graceMinutes)
+            .then(async (released) => {
+                released.forEach((row) => {
+                    logger.info('Released expired reservations', {
+                        productId: row.product_id,
+                        variantId: row.variant_id,
+                        quantity: row.quantity
+                    });
+                });
+                const bookings = await releaseExpiredRentalBookings(db, graceMinutes);
+                if (bookings > 0) {
+                    logger.info('Released expired rental bookings', { count: bookings });
+                }
+                const redemptions = await releaseExpiredRedemptions(db, graceMinutes);
+                if (redemptions > 0) {
+                    logger.info('Released expired discount code redemptions', { count: redemptions });
+                }
+            })
+            .catch((err) => {
+                logger.error('Reservation sweep failed', { err });
+            })
+            .finally(() => {
+                running = null;
+            });
+        return running;
+    };
+
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+
+    return {
+        sweep,
+        // Resolves once any sweep in progress has finished
+        stop() {
+            clearInterval(timer);
+            return running || Promise.resolve();
+        }
+    };
+}
+
+module.exports = startReservationSweeper;
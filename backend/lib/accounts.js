@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { getCookie } = require('./cookies');
+const { findSessionCustomer } = require('../models/customers');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost for new hashes (about 16 MB and 50 ms each). The parameters are
+// stored in every hash, so they can be raised without breaking old ones.
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const SESSION_COOKIE = 'session_token';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const PASSWORD = v.string({
+    min: 10,
+    max: 200,
+    trim: false,
+    message: 'password must be between 10 and 200 characters'
+});
+
+// "scrypt$N$r$p$salt$key" with base64 salt and key
+async function hashPassword(password) {
+    const { N, r, p, keyLength } = SCRYPT;
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password.normalize('NFKC'), salt, keyLength, { N, r, p, maxmem: SCRYPT_MAXMEM });
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, key] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !key) {
+        return false;
+    }
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password.normalize('NFKC'), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+        maxmem: SCRYPT_MAXMEM
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when no account matches a login, so that it takes as long as a
+// wrong password and does not reveal which emails have accounts
+let decoyHash = null;
+async function verifyDecoyPassword(password) {
+    decoyHash = decoyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, decoyHash);
+    return false;
+}
+
+// Session and emailed tokens: random, and only their hash is stored
+function createToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The session cookie follows the cart cookie: the storefront is on another
+// origin, so in production it is SameSite=None and Secure
+function sessionCookieOptions(secure) {
+    return {
+        httpOnly: true,
+        secure,
+        sameSite: secure ? 'none' : 'lax',
+        path: '/api',
+        maxAge: SESSION_TTL_MS
+    };
+}
+
+// The signed-in customer of a request, or null
+async function currentCustomer(db, req) {
+    const token = getCookie(req, SESSION_COOKIE);
+    return token ? findSessionCustomer(db, hashToken(token)) : null;
+}
+
+async function requireCustomer(db, req) {
+    const customer = await currentCustomer(db, req);
+    if (!customer) {
+        throw new HttpError(401, 'Sign in to continue');
+    }
+    return customer;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    PASSWORD,
+    hashPassword,
+    verifyPassword,
+    verifyDecoyPassword,
+    createToken,
+    hashToken,
+    sessionCookieOptions,
+    currentCustomer,
+    requireCustomer
+};
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Protects admin routes with the shared secret from ADMIN_API_TOKEN, sent as
+// `Authorization: Bearer <token>`. Admin routes are disabled without a token.
+function requireAdmin({ token }) {
+    return (req, res, next) => {
+        if (!token) {
+            return next(new HttpError(503, 'Admin API is not configured'));
+        }
+
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match || !safeEqual(match[1].trim(), token)) {
+            res.set('WWW-Authenticate', 'Bearer realm="admin"');
+            return next(new HttpError(401, 'Invalid or missing admin credentials'));
+        }
+
+        next();
+    };
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,180 @@
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { listVariants, findVariantsByIds, variantName } = require('../models/variants');
+const { toCents } = require('./money');
+const { isOversized } = require('./shipping');
+const {
+    RENTAL_PERIOD,
+    rentalDays,
+    rentalCharge,
+    periodProblem,
+    assertRentalsAvailable
+} = require('./rentals');
+const { findRentalPlans } = require('../models/rentals');
+
+const MAX_LINES = 50;
+const MAX_QUANTITY = 999;
+
+// A line names the variant to buy. A productId alone (carts saved before
+// products had variants) stands for that product's only variant. With a
+// `rental` period ({ startDate, endDate }) the line rents the variant for
+// those days instead (see lib/rentals).
+const CART_ITEM = v.object({
+    variantId: v.id({ optional: true }),
+    productId: v.id({ optional: true }),
+    quantity: v.integer({ min: 1, max: MAX_QUANTITY }),
+    rental: v.optional(RENTAL_PERIOD)
+}, {
+    refine(item, fail) {
+        if (item.variantId === undefined && item.productId === undefined) {
+            fail('variantId', 'variantId is required');
+        }
+    }
+});
+
+// A client cart: the shape produced by getCart() in frontend/cart.js. Only
+// the ids, quantity and rental dates are kept; any client-side name or price
+// is dropped.
+const CART_ITEMS = v.array(CART_ITEM, { min: 1, max: MAX_LINES });
+
+// Turn validated cart items into { variantId, quantity } with one entry per
+// variant, and { variantId, quantity, rental } with one per variant and
+// rental period. Items given by productId take the product's only active
+// variant; a product with several needs the customer to choose one. With
+// `dropUnresolved` such items are left out instead of failing.
+async function resolveCartItems(db, items, { dropUnresolved = false } = {}) {
+    const byProduct = items.filter((item) => item.variantId === undefined);
+    const variants = byProduct.length > 0
+        ? await listVariants(db, Array.from(new Set(byProduct.map((item) => item.productId))))
+        : [];
+
+    const unresolved = [];
+    const resolved = new Map();
+    items.forEach(({ variantId, productId, quantity, rental }) => {
+        let id = variantId;
+        if (id === undefined) {
+            const choices = variants.filter((variant) => variant.product_id === productId && variant.product_active);
+            if (choices.length !== 1) {
+                unresolved.push({
+                    productId,
+                    message: choices.length === 0 ? 'Product is not available' : 'Choose an option for this product'
+                });
+                return;
+            }
+            id = choices[0].id;
+        }
+        const key = rental ? `${id}:${rental.startDate}:${rental.endDate}` : String(id);
+        const entry = resolved.get(key);
+        if (entry) {
+            entry.quantity += quantity;
+        } else {
+            resolved.set(key, rental ? { variantId: id, quantity, rental } : { variantId: id, quantity });
+        }
+    });
+
+    if (unresolved.length > 0 && !dropUnresolved) {
+        throw new HttpError(400, 'Some products are not available', unresolved, 'product_unavailable');
+    }
+    return Array.from(resolved.values());
+}
+
+// Re-price cart items (see resolveCartItems) from the variants and their
+// products. Unknown or inactive variants and quantities above the available
+// inventory are rejected. Pass `forUpdate` (inside a transaction) to hold the
+// variant rows while reserving.
+//
+// Rental lines are priced from the variant's rental plan instead and carry
+// `rental`: { startDate, endDate, days, deposit } with the deposit per unit
+// in cents. They take no stock (their `inventory` is null); their dates must
+// suit the plan and fit in its pool. With `forUpdate` the plans are held too.
+// `deposit` is the deposits of all rental lines, outside the subtotal.
+async function priceCart(db, items, { forUpdate = false } = {}) {
+    const resolved = await resolveCartItems(db, items);
+    const rows = await findVariantsByIds(db, resolved.map((item) => item.variantId), { forUpdate });
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    const rentalIds = Array.from(new Set(resolved.filter((item) => item.rental).map((item) => item.variantId)));
+    const plans = new Map(rentalIds.length > 0
+        ? (await findRentalPlans(db, rentalIds, { forUpdate })).map((plan) => [plan.variant_id, plan])
+        : []);
+    const unavailable = [];
+    const insufficient = [];
+    const invalidDates = [];
+
+    const lines = resolved.map(({ variantId, quantity, rental }) => {
+        const variant = byId.get(variantId);
+        if (!variant || !variant.active || !variant.product_active) {
+            unavailable.push({ variantId, message: 'Product is not available' });
+            return null;
+        }
+        if (rental) {
+            const plan = plans.get(variantId);
+            if (!plan || !plan.active) {
+                unavailable.push({ variantId, message: 'Product is not available to rent' });
+                return null;
+            }
+            const problem = periodProblem(plan, rental);
+            if (problem) {
+                invalidDates.push({ variantId, startDate: rental.startDate, endDate: rental.endDate, message: problem });
+                return null;
+            }
+        } else if (variant.inventory !== null && quantity > variant.inventory) {
+            insufficient.push({
+                variantId,
+                productId: variant.product_id,
+                message: `Only ${variant.inventory} left in stock`,
+                available: variant.inventory
+            });
+            return null;
+        }
+
+        const line = {
+            variantId,
+            productId: variant.product_id,
+            sku: variant.sku,
+            options: variant.options,
+            name: variantName(variant),
+            description: variant.description,
+            imageUrl: variant.image_url,
+            inventory: rental ? null : variant.inventory,
+            weightLb: variant.weight_lb === null ? 0 : Number(variant.weight_lb),
+            oversized: isOversized(variant),
+            quantity
+        };
+        if (rental) {
+            const plan = plans.get(variantId);
+            const days = rentalDays(rental);
+            line.rental = { ...rental, days, deposit: toCents(plan.deposit) };
+            line.unitAmount = rentalCharge(plan, days);
+        } else {
+            line.unitAmount = toCents(variant.price);
+        }
+        line.amount = line.unitAmount * quantity;
+        return line;
+    });
+
+    if (unavailable.length > 0) {
+        throw new HttpError(400, 'Some products are not available', unavailable, 'product_unavailable');
+    }
+    if (insufficient.length > 0) {
+        throw new HttpError(409, 'Not enough inventory', insufficient, 'insufficient_inventory');
+    }
+    if (invalidDates.length > 0) {
+        throw new HttpError(400, 'Some rental dates are not available', invalidDates, 'invalid_rental_dates');
+    }
+    if (plans.size > 0) {
+        await assertRentalsAvailable(db, plans, lines);
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const deposit = lines.reduce((sum, line) => sum + (line.rental ? line.rental.deposit * line.quantity : 0), 0);
+    return { lines, subtotal, deposit };
+}
+
+module.exports = {
+    MAX_LINES,
+    MAX_QUANTITY,
+    CART_ITEM,
+    CART_ITEMS,
+    resolveCartItems,
+    priceCart
+};
@@ -0,0 +1,29 @@
+// Minimal Cookie header parsing; we only ever read our own cookies.
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (name && !(name in cookies)) {
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (err) {
+                cookies[name] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+function getCookie(req, name) {
+    return parseCookies(req.headers.cookie)[name];
+}
+
+module.exports = {
+    parseCookies,
+    getCookie
+};
@@ -0,0 +1,306 @@
+// Order emails, rendered from an orders row (its `items` snapshot and amount
+// breakdown) as a subject plus matching plain-text and HTML bodies. Account
+// emails (verification and password reset links) and quote emails are
+// rendered the same way.
+
+const { escapeHtml } = require('./html');
+
+const STORE_NAME = 'Water Blob';
+
+const TRACKING_URLS = {
+    ups: (number) => `https://www.ups.com/track?tracknum=${encodeURIComponent(number)}`,
+    usps: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encodeURIComponent(number)}`,
+    fedex: (number) => `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(number)}`
+};
+
+const dollars = (amount) => `$${amount}`;
+
+function trackingUrl(order) {
+    const carrier = (order.carrier || '').toLowerCase().replace(/[^a-z]/g, '');
+    return order.tracking_number && TRACKING_URLS[carrier]
+        ? TRACKING_URLS[carrier](order.tracking_number)
+        : null;
+}
+
+// Label/amount rows under the item list. Orders from before the breakdown was
+// recorded only have their total.
+function summaryRows(order) {
+    const rows = [];
+    if (order.subtotal !== null) {
+        rows.push(['Subtotal', dollars(order.subtotal)]);
+        if (order.discount !== null && order.discount !== '0.00') {
+            rows.push(['Discount', `-${dollars(order.discount)}`]);
+        }
+        if (order.shipping !== null) {
+            const rate = order.shipping_address && order.shipping_address.shipping_rate;
+            rows.push([rate ? `Shipping (${rate.name})` : 'Shipping', dollars(order.shipping)]);
+        }
+        if (order.tax !== null) {
+            rows.push([order.tax_exemption_certificate ? 'Tax (exempt)' : 'Tax', dollars(order.tax)]);
+        }
+        if (order.deposit && order.deposit !== '0.00') {
+            rows.push(['Refundable deposit', dollars(order.deposit)]);
+        }
+    }
+    rows.push(['Total', dollars(order.amount)]);
+    return rows;
+}
+
+function addressLines(order) {
+    const address = order.shipping_address && order.shipping_address.address;
+    if (!address) {
+        return [];
+    }
+    return [
+        order.shipping_address.name,
+        address.line1,
+        address.line2,
+        [address.city, address.state, address.postal_code].filter(Boolean).join(', '),
+        address.country
+    ].filter(Boolean);
+}
+
+// Per kind: the subject and the opening paragraphs. Paragraphs are plain text.
+const MESSAGES = {
+    order_confirmation: (order) => ({
+        subject: `${STORE_NAME} order #${order.id} confirmed`,
+        intro: [
+            'Thanks for your order! Your payment has been received and we are getting it ready.',
+            'We will email you again with tracking details once it ships.'
+        ]
+    }),
+    order_shipped: (order) => ({
+        subject: `${STORE_NAME} order #${order.id} has shipped`,
+        intro: [
+            'Good news: your order is on its way.',
+            `Tracking number: ${order.tracking_number}${order.carrier ? ` (${order.carrier})` : ''}`
+        ]
+    }),
+    order_refunded: (order) => ({
+        subject: `${STORE_NAME} order #${order.id} refunded`,
+        intro: [
+            `Your order has been refunded. ${dollars(order.amount)} is on its way back to your original payment method; depending on your bank it can take 5-10 business days to appear.`
+        ]
+    })
+};
+
+function renderText(order, { intro, tracking, summary, address, storeUrl }) {
+    const lines = [
+        `Hi ${order.customer_name || 'there'},`,
+        '',
+        ...intro.flatMap((paragraph) => [paragraph, ''])
+    ];
+    if (tracking) {
+        lines.push(`Track your package: ${tracking}`, '');
+    }
+
+    lines.push(`Order #${order.id}`, '');
+    (order.items || []).forEach((item) => {
+        lines.push(`  ${item.quantity} x ${item.name} @ ${dollars(item.unit_price)} = ${dollars(item.total)}`);
+    });
+    lines.push('');
+    summary.forEach(([label, amount]) => {
+        lines.push(`  ${label}: ${amount}`);
+    });
+
+    if (address.length > 0) {
+        lines.push('', 'Shipping to:', ...address.map((line) => `  ${line}`));
+    }
+
+    lines.push('', `Questions? Just reply to this email. ${storeUrl}`, '', `- The ${STORE_NAME} team`);
+    return `${lines.join('\n')}\n`;
+}
+
+function renderHtml(order, { subject, intro, tracking, summary, address, storeUrl }) {
+    const cell = 'padding:6px 8px;border-bottom:1px solid #e5e7eb;';
+    const items = (order.items || []).map((item) => `
+        <tr>
+            <td style="${cell}">${escapeHtml(item.name)}</td>
+            <td style="${cell}text-align:center;">${escapeHtml(item.quantity)}</td>
+            <td style="${cell}text-align:right;">${escapeHtml(dollars(item.unit_price))}</td>
+            <td style="${cell}text-align:right;">${escapeHtml(dollars(item.total))}</td>
+        </tr>`).join('');
+    const totals = summary.map(([label, amount], index) => {
+        const weight = index === summary.length - 1 ? 'font-weight:bold;' : '';
+        return `
+        <tr>
+            <td colspan="3" style="padding:4px 8px;text-align:right;${weight}">${escapeHtml(label)}</td>
+            <td style="padding:4px 8px;text-align:right;${weight}">${escapeHtml(amount)}</td>
+        </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<div style="max-width:600px;margin:0 auto;background:#ffffff;padding:24px;border-radius:8px;">
+    <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(STORE_NAME)}</h1>
+    <p>Hi ${escapeHtml(order.customer_name || 'there')},</p>
+    ${intro.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${tracking ? `<p><a href="${escapeHtml(tracking)}" style="color:#2563eb;">Track your package</a></p>` : ''}
+    <h2 style="font-size:16px;margin:24px 0 8px;">Order #${escapeHtml(order.id)}</h2>
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <tr>
+            <th style="${cell}text-align:left;">Item</th>
+            <th style="${cell}">Qty</th>
+            <th style="${cell}text-align:right;">Price</th>
+            <th style="${cell}text-align:right;">Total</th>
+        </tr>${items}${totals}
+    </table>
+    ${address.length > 0
+        ? `<h2 style="font-size:16px;margin:24px 0 8px;">Shipping to</h2>
+    <p>${address.map(escapeHtml).join('<br>')}</p>`
+        : ''}
+    <p style="margin-top:24px;">Questions? Just reply to this email.</p>
+    <p><a href="${escapeHtml(storeUrl)}" style="color:#2563eb;">${escapeHtml(storeUrl)}</a></p>
+</div>
+</body>
+</html>
+`;
+}
+
+// `kind` is one of order_emails.kind; `storeUrl` is linked from the footer.
+function renderOrderEmail(kind, order, { storeUrl }) {
+    const message = MESSAGES[kind];
+    if (!message) {
+        throw new TypeError(`Unknown email kind: ${kind}`);
+    }
+    const content = {
+        ...message(order),
+        tracking: kind === 'order_shipped' ? trackingUrl(order) : null,
+        summary: summaryRows(order),
+        address: addressLines(order),
+        storeUrl
+    };
+    return {
+        subject: content.subject,
+        text: renderText(order, content),
+        html: renderHtml(order, content)
+    };
+}
+
+// Per account email kind: the subject, the paragraphs before the link, its
+// label and a closing line
+const ACCOUNT_MESSAGES = {
+    email_verification: () => ({
+        subject: `Confirm your ${STORE_NAME} email address`,
+        intro: [`Thanks for creating a ${STORE_NAME} account. Please confirm this is your email address.`],
+        action: 'Confirm email address',
+        outro: 'Once confirmed, orders you placed with this address before signing up appear in your account. The link works for 7 days.'
+    }),
+    password_reset: () => ({
+        subject: `Reset your ${STORE_NAME} password`,
+        intro: ['Someone asked to reset the password of your account. Use the link below to choose a new one.'],
+        action: 'Choose a new password',
+        outro: 'The link works for one hour. If you did not ask for this, you can ignore this email; your password stays the same.'
+    })
+};
+
+// Emails that are a few paragraphs around one link (account and quote
+// emails). Without a `url` there is no link.
+function renderMessage({ subject, greeting, intro, action, url, outro, storeUrl }) {
+    const text = [
+        greeting,
+        '',
+        ...intro.flatMap((paragraph) => [paragraph, '']),
+        ...(url ? [`${action}: ${url}`, ''] : []),
+        outro,
+        '',
+        `- The ${STORE_NAME} team`,
+        storeUrl
+    ].join('\n');
+
+    const link = url
+        ? `\n    <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;">${escapeHtml(action)}</a></p>`
+        : '';
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<div style="max-width:600px;margin:0 auto;background:#ffffff;padding:24px;border-radius:8px;">
+    <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(STORE_NAME)}</h1>
+    <p>${escapeHtml(greeting)}</p>
+    ${intro.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}${link}
+    <p style="font-size:13px;color:#6b7280;">${escapeHtml(outro)}</p>
+    <p><a href="${escapeHtml(storeUrl)}" style="color:#2563eb;">${escapeHtml(storeUrl)}</a></p>
+</div>
+</body>
+</html>
+`;
+
+    return { subject, text: `${text}\n`, html };
+}
+
+// `kind` is a key of ACCOUNT_MESSAGES; `url` is the link the email is about
+function renderAccountEmail(kind, customer, { url, storeUrl }) {
+    const message = ACCOUNT_MESSAGES[kind];
+    if (!message) {
+        throw new TypeError(`Unknown email kind: ${kind}`);
+    }
+    return renderMessage({
+        ...message(customer),
+        greeting: `Hi ${customer.name || 'there'},`,
+        url,
+        storeUrl
+    });
+}
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+});
+
+// Per quote email kind, like ACCOUNT_MESSAGES. quote_received has no link:
+// the quote's link is only made when it is sent.
+const QUOTE_MESSAGES = {
+    quote_received: (quote) => ({
+        subject: `We received your quote request ${quote.number}`,
+        intro: [
+            `Thanks for asking for a quote for ${quote.organization}. You asked about:`,
+            ...quote.items.map((item) => `${item.quantity} x ${item.name}`)
+        ],
+        outro: 'We will email you a priced quote, usually within two business days. Reply to this email if anything about your request changes.'
+    }),
+    quote_sent: (quote) => ({
+        subject: `Your ${STORE_NAME} quote ${quote.number}`,
+        intro: [
+            `Your quote for ${quote.organization} is ready: ${dollars(quote.total)} including shipping and tax.`,
+            ...(quote.message ? [quote.message] : [])
+        ],
+        action: 'View and accept your quote',
+        outro: `The quote can be accepted until ${formatDate(quote.expires_at)}. Accepting it places the order, invoiced on net 30 terms.`
+    }),
+    quote_accepted: (quote, invoice) => ({
+        subject: `Order #${quote.order_id} confirmed: quote ${quote.number}`,
+        intro: [
+            `Thanks! Quote ${quote.number} has been accepted and is now order #${quote.order_id}.`,
+            `Invoice ${invoice.number} for ${dollars(invoice.amount)} is due by ${formatDate(invoice.due_at)}.`
+        ],
+        action: 'View your quote and invoice',
+        outro: 'We will email you again when your order ships.'
+    })
+};
+
+// `kind` is a key of QUOTE_MESSAGES; `url` is the quote's link, `invoice` the
+// invoices row of an accepted quote
+function renderQuoteEmail(kind, quote, { url = null, invoice = null, storeUrl }) {
+    const message = QUOTE_MESSAGES[kind];
+    if (!message) {
+        throw new TypeError(`Unknown email kind: ${kind}`);
+    }
+    return renderMessage({
+        ...message(quote, invoice),
+        greeting: `Hi ${quote.contact_name},`,
+        url,
+        storeUrl
+    });
+}
+
+module.exports = {
+    EMAIL_KINDS: Object.keys(MESSAGES),
+    renderOrderEmail,
+    renderAccountEmail,
+    renderQuoteEmail
+};
@@ -0,0 +1,75 @@
+// Builds the SIGTERM/SIGINT handler:
+//
+//   1. flip the lifecycle to draining so health checks start failing
+//   2. keep serving for `drainDelayMs`, long enough for the load balancer to
+//      see the failing check and stop sending new requests
+//   3. stop accepting connections and let in-flight requests finish
+//   4. `timeoutMs` after the signal, cut whatever connections are left
+//   5. run `cleanup` (background workers, the Postgres pool) and exit
+//
+// Repeated signals while a shutdown is running are ignored.
+function createGracefulShutdown({
+    server,
+    lifecycle,
+    logger,
+    timeoutMs,
+    drainDelayMs = 0,
+    cleanup,
+    exit = process.exit
+}) {
+    let shuttingDown = false;
+
+    const wait = (ms) => new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+
+    const closeServer = (deadlineMs) => new Promise((resolve) => {
+        const deadline = setTimeout(() => {
+            logger.warn('Shutdown deadline reached, closing remaining connections', {
+                inFlight: lifecycle.inFlight(),
+                timeoutMs
+            });
+            server.closeAllConnections();
+            resolve(false);
+        }, deadlineMs);
+        deadline.unref();
+
+        server.close(() => {
+            clearTimeout(deadline);
+            resolve(true);
+        });
+        // Keep-alive sockets with no request in progress would otherwise hold
+        // close() open until the deadline
+        server.closeIdleConnections();
+    });
+
+    return async function shutdown(signal) {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+
+        logger.info('Shutting down', { signal, inFlight: lifecycle.inFlight(), timeoutMs, drainDelayMs });
+        lifecycle.startDrain();
+
+        let code = 0;
+        try {
+            if (drainDelayMs > 0) {
+                await wait(drainDelayMs);
+            }
+            const drained = await closeServer(Math.max(timeoutMs - drainDelayMs, 0));
+            if (drained) {
+                logger.info('All requests drained');
+            }
+            await cleanup();
+        } catch (err) {
+            logger.error('Error during shutdown', { err });
+            code = 1;
+        }
+
+        logger.info('Shutdown complete', { code });
+        exit(code);
+    };
+}
+
+module.exports = createGracefulShutdown;
@@ -0,0 +1,148 @@
+// Small helpers shared by the API routers.
+
+// Machine-readable `code` of an error response when the error does not name a
+// more specific one (e.g. validation_failed, invalid_discount_code)
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'service_unavailable'
+};
+
+function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// `details` lists field-level problems: [{ field, message, ... }]
+class HttpError extends Error {
+    constructor(status, message, details, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || codeForStatus(status);
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+}
+
+// Express 4 does not forward rejected promises to the error handler
+function asyncHandler(fn) {
+    return (req, res, next) => {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+}
+
+function parseId(value) {
+    if (!/^\d+$/.test(String(value))) {
+        return null;
+    }
+    const id = parseInt(value, 10);
+    return id > 0 && id <= 2147483647 ? id : null;
+}
+
+// Read `page` and `limit` from a query string, rejecting anything that is not
+// a positive integer and capping the page size.
+function parsePagination(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const read = (name, fallback) => {
+        const value = query[name];
+        if (value === undefined || value === '') {
+            return fallback;
+        }
+        const parsed = parseId(value);
+        if (parsed === null) {
+            throw new HttpError(400, `${name} must be a positive integer`);
+        }
+        return parsed;
+    };
+
+    const page = read('page', 1);
+    const limit = Math.min(read('limit', defaultLimit), maxLimit);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginationInfo({ page, limit }, total) {
+    return {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+    };
+}
+
+// Every API error response has the same shape:
+//
+//   { "error": { "code", "message", "details": [{ field, message }], "requestId" } }
+//
+// `requestId` matches the X-Request-Id header and the server log lines.
+function errorBody(req, { code, message, details }) {
+    return {
+        error: {
+            code,
+            message,
+            details: details || [],
+            requestId: req.id
+        }
+    };
+}
+
+// Body for an unexpected failure. Only development responses say what went
+// wrong; elsewhere the details stay in the log (found by the request id).
+function internalErrorBody(req, err) {
+    const body = errorBody(req, { code: 'internal_error', message: 'Internal server error' });
+    if (req.app.get('env') === 'development') {
+        body.error.debug = { message: err.message, stack: err.stack };
+    }
+    return body;
+}
+
+// Errors raised by body-parser (express.json) before any route runs
+function parserError(err) {
+    if (err.type === 'entity.parse.failed') {
+        return { code: 'invalid_json', message: 'Request body is not valid JSON' };
+    }
+    if (err.type === 'entity.too.large') {
+        return { code: 'payload_too_large', message: 'Request body is too large' };
+    }
+    return { code: codeForStatus(err.status), message: err.message };
+}
+
+// Central error handler for everything mounted under /api. HttpErrors and
+// client errors marked safe to show (`expose`, e.g. body-parser's) keep their
+// message; anything else is an unexpected failure, logged and answered with a
+// generic 500.
+function apiErrorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const status = err.status || err.statusCode || 500;
+    const isHttpError = err instanceof HttpError;
+    const known = isHttpError || (err.expose === true && status < 500);
+    if (!known || status >= 500) {
+        req.log.error('API error', { err });
+    }
+
+    if (!known) {
+        return res.status(500).json(internalErrorBody(req, err));
+    }
+
+    res.status(status).json(errorBody(req, isHttpError
+        ? { code: err.code, message: err.message, details: err.details }
+        : parserError(err)));
+}
+
+module.exports = {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo,
+    internalErrorBody,
+    apiErrorHandler
+};
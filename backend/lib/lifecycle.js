@@ -0,0 +1,40 @@
+// Process-wide serving state shared by the health checks and the shutdown
+// sequence: whether we are draining, and which requests are in flight.
+function createLifecycle() {
+    let draining = false;
+    const active = new Set();
+
+    return {
+        isDraining: () => draining,
+        inFlight: () => active.size,
+        // In-flight responses that have not sent headers yet tell the client
+        // not to reuse the connection; the rest have their socket ended once
+        // the response is done, so server.close() is not held open by
+        // keep-alive connections.
+        startDrain() {
+            draining = true;
+            active.forEach((res) => {
+                if (!res.headersSent) {
+                    res.set('Connection', 'close');
+                }
+            });
+        },
+        track(req, res, next) {
+            active.add(res);
+            res.once('close', () => {
+                active.delete(res);
+            });
+            res.once('finish', () => {
+                if (draining && res.socket) {
+                    res.socket.end();
+                }
+            });
+            if (draining) {
+                res.set('Connection', 'close');
+            }
+            next();
+        }
+    };
+}
+
+module.exports = createLifecycle;
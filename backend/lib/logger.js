@@ -0,0 +1,81 @@
+// Leveled logger. Production writes one JSON object per line (for Render's log
+// search); development gets a compact human-readable line instead.
+
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        stack: err.stack
+    };
+}
+
+function normalizeFields(fields) {
+    const result = {};
+    Object.keys(fields || {}).forEach((key) => {
+        const value = fields[key];
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return result;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...rest } = entry;
+    const err = rest.err;
+    delete rest.err;
+
+    const pairs = Object.keys(rest).map((key) => {
+        const value = rest[key];
+        return `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`;
+    });
+    const line = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`;
+    return err && err.stack ? `${line}\n${err.stack}` : line;
+}
+
+/**
+ * @param {{ level?: string, format?: 'json'|'pretty', fields?: object, stream?: NodeJS.WritableStream }} [options]
+ */
+function createLogger({ level = 'info', format = 'json', fields = {}, stream = process.stdout } = {}) {
+    const threshold = LEVELS[level];
+
+    const write = (entryLevel, msg, extra) => {
+        if (LEVELS[entryLevel] > threshold) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...fields,
+            ...normalizeFields(extra)
+        };
+        stream.write(`${format === 'json' ? JSON.stringify(entry) : formatPretty(entry)}\n`);
+    };
+
+    return {
+        level,
+        error: (msg, extra) => write('error', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        debug: (msg, extra) => write('debug', msg, extra),
+        // Logger whose every line also carries `extra` (e.g. a request id)
+        child: (extra) => createLogger({
+            level,
+            format,
+            stream,
+            fields: { ...fields, ...normalizeFields(extra) }
+        })
+    };
+}
+
+module.exports = {
+    LEVELS,
+    createLogger
+};
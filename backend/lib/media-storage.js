@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Media storages share one interface, so uploads do not care where files
+// live:
+//
+//   put(key, buffer, contentType)  store a file at `key`, e.g.
+//                                  'products/1/<uuid>/medium.webp'
+//   remove(key)                    delete it; a missing file is not an error
+//   url(key)                       the public URL of the file
+//
+// A storage that serves its files from this app also has a `handler`
+// middleware, which app.js mounts at /media.
+
+// The file for `key`, refusing keys that would leave `dir`
+function resolveKey(dir, key) {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(`${dir}${path.sep}`)) {
+        throw new Error(`Invalid media key: ${key}`);
+    }
+    return file;
+}
+
+// Files on the local disk under `dir`. On Render that directory must be on a
+// persistent disk, as the rest of the filesystem is reset on every deploy.
+function createLocalStorage({ dir, baseUrl }) {
+    return {
+        name: 'local',
+        async put(key, buffer) {
+            const file = resolveKey(dir, key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+        async remove(key) {
+            const file = resolveKey(dir, key);
+            await fs.rm(file, { force: true });
+            // Drop the upload's directory once its last file is gone
+            await fs.rmdir(path.dirname(file)).catch(() => {});
+        },
+        url(key) {
+            return `${baseUrl}/${key}`;
+        },
+        // Every upload gets new keys, so a stored file never changes
+        handler: express.static(dir, { immutable: true, maxAge: '365d', index: false })
+    };
+}
+
+// Build the storage selected by config.mediaStorage
+function createMediaStorage(config) {
+    switch (config.mediaStorage) {
+        case 'local':
+            return createLocalStorage({ dir: config.mediaDir, baseUrl: config.mediaBaseUrl });
+        default:
+            throw new TypeError(`Unknown media storage: ${config.mediaStorage}`);
+    }
+}
+
+module.exports = {
+    createMediaStorage,
+    createLocalStorage
+};
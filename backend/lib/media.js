@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { HttpError } = require('./http');
+
+// Sizes generated from every uploaded product image, as WebP: a square
+// thumbnail for cart lines and listings, and a medium size for the product
+// page. The original is kept as uploaded.
+const IMAGE_SIZES = {
+    thumbnail: { width: 200, height: 200, fit: 'cover' },
+    medium: { width: 800, height: 800, fit: 'inside' }
+};
+
+const FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Larger images are refused rather than decoded: a small file can expand to
+// gigabytes of pixels
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+function invalidImage(message) {
+    return new HttpError(400, 'Invalid image', [{ field: 'file', message }], 'validation_failed');
+}
+
+// Check an uploaded file and render its sizes. Resolves to
+// { contentType, sizes: { original, thumbnail, medium } } where each size is
+// { buffer, contentType, extension, width, height }.
+async function renderImage(buffer) {
+    const metadata = await sharp(buffer).metadata().catch(() => null);
+    const format = metadata && FORMATS[metadata.format];
+    if (!format) {
+        throw invalidImage('file must be a JPEG, PNG or WebP image');
+    }
+    if (metadata.width * metadata.height > MAX_PIXELS) {
+        throw invalidImage(`file must be at most ${MAX_PIXELS / 1000000} megapixels`);
+    }
+
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = metadata.orientation >= 5;
+    const sizes = {
+        original: {
+            buffer,
+            ...format,
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height
+        }
+    };
+    for (const [name, size] of Object.entries(IMAGE_SIZES)) {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+            .rotate()
+            .resize({ ...size, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+        sizes[name] = { buffer: data, ...FORMATS.webp, width: info.width, height: info.height };
+    }
+    return { contentType: format.contentType, sizes };
+}
+
+// Store the rendered sizes of a product image under a new key prefix.
+// Resolves to what product_media.sizes records: { [size]: { key, width, height } }.
+async function storeImage(storage, productId, sizes) {
+    const prefix = `products/${productId}/${crypto.randomUUID()}`;
+    const stored = {};
+    try {
+        for (const [name, size] of Object.entries(sizes)) {
+            const key = `${prefix}/${name}.${size.extension}`;
+            await storage.put(key, size.buffer, size.contentType);
+            stored[name] = { key, width: size.width, height: size.height };
+        }
+    } catch (err) {
+        await removeImage(storage, stored).catch(() => {});
+        throw err;
+    }
+    return stored;
+}
+
+// Delete every stored size (product_media.sizes) of an image
+async function removeImage(storage, sizes) {
+    for (const size of Object.values(sizes)) {
+        await storage.remove(size.key);
+    }
+}
+
+module.exports = {
+    IMAGE_SIZES,
+    renderImage,
+    storeImage,
+    removeImage
+};
@@ -0,0 +1,100 @@
+const client = require('prom-client');
+
+// Request latency buckets in seconds: most API calls take a few ms, checkout
+// waits on Stripe for up to a few seconds.
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// The route a request matched, as its pattern ('/api/products/:id') rather
+// than its URL so the label set stays small. Express sets req.route when a
+// route matches, but resets req.baseUrl once an error leaves the router, so
+// the full pattern is captured at that moment.
+function trackRoute(req) {
+    let route;
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set(value) {
+            route = value;
+            // A router's '/' route is labelled by its mount path alone
+            req.routePattern = req.baseUrl && value.path === '/' ? req.baseUrl : `${req.baseUrl}${value.path}`;
+        }
+    });
+}
+
+function routeLabel(req) {
+    if (req.routePattern) {
+        return req.routePattern;
+    }
+    // Files from express.static, and API requests no route matched (404s)
+    return req.originalUrl.startsWith('/api') ? 'unmatched' : 'static';
+}
+
+// Prometheus metrics for one app instance, in their own registry so several
+// apps (tests) can coexist. `db` is the object from createDb, for pool stats.
+function createMetrics({ db } = {}) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+
+    const httpRequests = new client.Counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        registers: [registry]
+    });
+
+    const httpDuration = new client.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency by method and route',
+        labelNames: ['method', 'route'],
+        buckets: LATENCY_BUCKETS,
+        registers: [registry]
+    });
+
+    const checkoutSessions = new client.Counter({
+        name: 'checkout_sessions_total',
+        help: 'Stripe Checkout sessions by result (created or failed)',
+        labelNames: ['result'],
+        registers: [registry]
+    });
+
+    const orderStatusChanges = new client.Counter({
+        name: 'order_status_changes_total',
+        help: 'Orders entering each status, new orders included',
+        labelNames: ['status'],
+        registers: [registry]
+    });
+
+    if (db) {
+        const poolGauge = (name, help, read) => new client.Gauge({
+            name,
+            help,
+            registers: [registry],
+            collect() {
+                this.set(read(db.pool));
+            }
+        });
+        poolGauge('db_pool_connections', 'Open Postgres connections in the pool', (pool) => pool.totalCount);
+        poolGauge('db_pool_idle_connections', 'Idle Postgres connections in the pool', (pool) => pool.idleCount);
+        poolGauge('db_pool_waiting_clients', 'Queries waiting for a free connection', (pool) => pool.waitingCount);
+    }
+
+    return {
+        registry,
+        checkoutSessions,
+        orderStatusChanges,
+        // Middleware counting and timing every response
+        track(req, res, next) {
+            trackRoute(req);
+            const stop = httpDuration.startTimer();
+            res.once('finish', () => {
+                const route = routeLabel(req);
+                stop({ method: req.method, route });
+                httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            });
+            next();
+        }
+    };
+}
+
+module.exports = createMetrics;
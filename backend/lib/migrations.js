@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Versioned SQL migrations.
+//
+// Each file in database/migrations is named `<version>_<name>.sql` and holds a
+// `-- migrate:up` section and a `-- migrate:down` section. Applied versions are
+// recorded in schema_migrations with a checksum of the file, so editing a
+// migration after it has run is reported instead of silently ignored. Every
+// migration runs in its own transaction, under an advisory lock so two deploys
+// cannot migrate at once.
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)\s*$/m;
+const LOCK_KEY = 'waterblob_schema_migrations';
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+function parseSections(sql, file) {
+    const parts = sql.split(SECTION_PATTERN);
+    const sections = {};
+    for (let i = 1; i < parts.length; i += 2) {
+        sections[parts[i]] = parts[i + 1].trim();
+    }
+    if (!sections.up) {
+        throw new MigrationError(`${file} has no "-- migrate:up" section`);
+    }
+    return sections;
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const seen = new Set();
+
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.sql'))
+        .sort()
+        .map((file) => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new MigrationError(`${file} does not match <version>_<name>.sql`);
+            }
+            const version = match[1];
+            if (seen.has(version)) {
+                throw new MigrationError(`Duplicate migration version ${version}`);
+            }
+            seen.add(version);
+
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            const { up, down } = parseSections(sql, file);
+            return {
+                version,
+                name: match[2],
+                file,
+                up,
+                down: down || null,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        });
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+             version VARCHAR(32) PRIMARY KEY,
+             name VARCHAR(255) NOT NULL,
+             checksum CHAR(64) NOT NULL,
+             applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+         )`
+    );
+}
+
+async function loadApplied(client) {
+    const { rows } = await client.query(
+        'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return new Map(rows.map((row) => [row.version, row]));
+}
+
+// Run `fn` with a dedicated client holding the migrations advisory lock.
+async function withMigrationLock(db, fn) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// One entry per known version: `applied`, `pending`, `changed` (file edited
+// after it ran) or `missing` (recorded as applied but the file is gone).
+function describe(migrations, applied) {
+    const status = migrations.map((migration) => {
+        const row = applied.get(migration.version);
+        let state = 'pending';
+        if (row) {
+            state = row.checksum === migration.checksum ? 'applied' : 'changed';
+        }
+        return {
+            version: migration.version,
+            name: migration.name,
+            state,
+            appliedAt: row ? row.applied_at : null
+        };
+    });
+
+    applied.forEach((row, version) => {
+        if (!migrations.some((migration) => migration.version === version)) {
+            status.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+        }
+    });
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function assertConsistent(status) {
+    const broken = status.filter((entry) => entry.state === 'changed' || entry.state === 'missing');
+    if (broken.length > 0) {
+        throw new MigrationError(
+            `Refusing to migrate: ${broken.map((entry) => `${entry.version}_${entry.name} is ${entry.state}`).join(', ')}`
+        );
+    }
+}
+
+async function runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await record();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+}
+
+async function migrationStatus(db, migrations = loadMigrations()) {
+    return withMigrationLock(db, async (client) => describe(migrations, await loadApplied(client)));
+}
+
+// Apply every pending migration in version order. Returns the applied ones.
+async function migrateUp(db, { migrations = loadMigrations(), onApply = () => {} } = {}) {
+    return withMigrationLock(db, async (client) => {
+        const applied = await loadApplied(client);
+        assertConsistent(describe(migrations, applied));
+
+        const pending = migrations.filter((migration) => !applied.has(migration.version));
+        for (const migration of pending) {
+            onApply(migration);
+            await runInTransaction(client, migration.up, () => client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            ));
+        }
+        return pending;
+    });
+}
+
+// Roll back the `steps` most recently applied migrations.
+async function migrateDown(db, { migrations = loadMigrations(), steps = 1, onRevert = () => {} } = {}) {
+    return withMigrationLock(db, async (client) => {
+        const applied = await loadApplied(client);
+        assertConsistent(describe(migrations, applied));
+
+        const toRevert = migrations
+            .filter((migration) => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            if (!migration.down) {
+                throw new MigrationError(`${migration.file} has no "-- migrate:down" section`);
+            }
+            onRevert(migration);
+            await runInTransaction(client, migration.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            ));
+        }
+        return toRevert;
+    });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    loadMigrations,
+    migrationStatus,
+    migrateUp,
+    migrateDown
+};
@@ -0,0 +1,34 @@
+// Prices are stored as DECIMAL(10, 2). node-postgres returns NUMERIC columns as
+// strings, so we convert them to integer cents without ever going through a
+// float, and format cents back into a fixed two-decimal string.
+
+function toCents(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new TypeError(`Invalid money amount: ${value}`);
+        }
+        return Math.round(value * 100);
+    }
+
+    const match = /^(-)?(\d+)(?:\.(\d{0,2}))?$/.exec(String(value).trim());
+    if (!match) {
+        throw new TypeError(`Invalid money amount: ${value}`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const cents = parseInt(whole, 10) * 100 + parseInt(fraction.padEnd(2, '0'), 10);
+    return sign ? -cents : cents;
+}
+
+function formatCents(cents) {
+    const sign = cents < 0 ? '-' : '';
+    const abs = Math.abs(cents);
+    const whole = Math.floor(abs / 100);
+    const fraction = String(abs % 100).padStart(2, '0');
+    return `${sign}${whole}.${fraction}`;
+}
+
+module.exports = {
+    toCents,
+    formatCents
+};
@@ -0,0 +1,38 @@
+// Order fulfillment lifecycle.
+//
+//   pending -> paid -> packed -> shipped -> delivered
+//
+// Orders from accepted quotes start in `net_30` instead: they are invoiced
+// rather than paid up front, and may be packed and shipped before the invoice
+// is paid (which is tracked on the invoice, see routes/admin-invoices).
+//
+// An order can be cancelled until it ships and refunded once it has been paid.
+// `cancelled` and `refunded` are terminal.
+
+const STATUSES = ['pending', 'net_30', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+const TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    net_30: ['paid', 'packed', 'cancelled'],
+    paid: ['packed', 'cancelled', 'refunded'],
+    packed: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+function isStatus(value) {
+    return STATUSES.includes(value);
+}
+
+function canTransition(from, to) {
+    return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    isStatus,
+    canTransition
+};
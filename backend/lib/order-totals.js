@@ -0,0 +1,110 @@
+const v = require('./validation');
+const { CART_ITEMS, priceCart } = require('./cart');
+const { formatCents } = require('./money');
+const { DISCOUNT_CODE, applyDiscountCode } = require('./promotions');
+const { SHIPPING_CHOICE, quoteShippingChoice, serializeOption } = require('./shipping');
+const { findValidExemption } = require('./tax');
+
+// Body of POST /api/cart/summary and POST /api/checkout: the cart plus the
+// shopper's choices (see getOrderRequest in frontend/cart.js). Checkout also
+// requires `shipping`.
+const ORDER_REQUEST = {
+    items: CART_ITEMS,
+    discountCode: v.optional(DISCOUNT_CODE),
+    shipping: v.optional(SHIPPING_CHOICE),
+    email: v.optional(v.email()),
+    taxExemptionCertificate: v.optional(v.string({ max: 100 }))
+};
+
+// Price a cart the way checkout charges it: products, then the discount, then
+// shipping, then tax on the discounted merchandise (and on shipping where the
+// jurisdiction taxes it), then the refundable deposits of any rentals, which
+// are neither discounted nor taxed. Used by checkout and by the cart summary
+// so the two always agree.
+//
+// `items` and the choices are validated ORDER_REQUEST fields. `shipping` is
+// a shipping choice (see SHIPPING_CHOICE in lib/shipping) or null;
+// without one neither shipping nor tax can be known and both are null.
+// `forUpdate` locks the product and promotion rows (checkout, inside its
+// transaction).
+async function calculateTotals(db, taxCalculator, {
+    items,
+    discountCode = null,
+    shipping = null,
+    email = null,
+    taxExemptionCertificate = null
+}, { forUpdate = false } = {}) {
+    const cart = await priceCart(db, items, { forUpdate });
+    const discount = discountCode
+        ? await applyDiscountCode(db, discountCode, cart, { forUpdate })
+        : null;
+    const discountAmount = discount ? discount.amount : 0;
+
+    let shippingOption = null;
+    let tax = null;
+    if (shipping) {
+        shippingOption = await quoteShippingChoice(db, cart, shipping, {
+            freeShipping: Boolean(discount && discount.freeShipping)
+        });
+
+        const exemption = taxExemptionCertificate
+            ? await findValidExemption(db, taxExemptionCertificate, email, shipping.destination)
+            : null;
+        tax = exemption
+            ? { amount: 0, jurisdictions: [], exemption }
+            : {
+                ...await taxCalculator.calculate(db, {
+                    destination: shipping.destination,
+                    subtotal: cart.subtotal - discountAmount,
+                    shipping: shippingOption.amount
+                }),
+                exemption: null
+            };
+    }
+
+    const totals = {
+        subtotal: cart.subtotal,
+        discount: discountAmount,
+        shipping: shippingOption ? shippingOption.amount : null,
+        tax: tax ? tax.amount : null,
+        deposit: cart.deposit
+    };
+    totals.total = totals.subtotal - totals.discount + (totals.shipping || 0) + (totals.tax || 0) + totals.deposit;
+
+    return { cart, discount, shippingOption, tax, totals };
+}
+
+const money = (cents) => (cents === null ? null : formatCents(cents));
+
+function serializeTotals({ discount, shippingOption, tax, totals }) {
+    return {
+        subtotal: money(totals.subtotal),
+        subtotal_cents: totals.subtotal,
+        discount: money(totals.discount),
+        discount_cents: totals.discount,
+        discount_code: discount ? discount.promotion.code : null,
+        shipping: money(totals.shipping),
+        shipping_cents: totals.shipping,
+        shipping_option: shippingOption ? serializeOption(shippingOption) : null,
+        tax: money(totals.tax),
+        tax_cents: totals.tax,
+        tax_exempt: Boolean(tax && tax.exemption),
+        tax_jurisdictions: tax
+            ? tax.jurisdictions.map((jurisdiction) => ({
+                name: jurisdiction.name,
+                rate: jurisdiction.rate,
+                amount: formatCents(jurisdiction.amount)
+            }))
+            : [],
+        deposit: money(totals.deposit),
+        deposit_cents: totals.deposit,
+        total: money(totals.total),
+        total_cents: totals.total
+    };
+}
+
+module.exports = {
+    ORDER_REQUEST,
+    calculateTotals,
+    serializeTotals
+};
@@ -0,0 +1,113 @@
+const { HttpError } = require('./http');
+const { canTransition, TRANSITIONS } = require('./order-status');
+const { lockOrder, applyTransition } = require('../models/orders');
+const { releaseSessionReservation } = require('../models/inventory');
+const { releaseSessionRedemption } = require('../models/promotions');
+const { releaseSessionRentalBookings } = require('../models/rentals');
+const { queueOrderEmail } = require('../models/emails');
+const { releaseQuoteOrder } = require('./quotes');
+
+// Statuses that hand the order's discount code use back, and its stock and
+// rental bookings unless the goods have already left (see `restock` below)
+const RELEASES_STOCK = ['cancelled', 'refunded'];
+
+// Statuses after the goods have left the warehouse
+const SHIPPED_STATUSES = ['shipped', 'delivered'];
+
+// Statuses the customer is emailed about (see lib/email-templates)
+const STATUS_EMAILS = {
+    paid: 'order_confirmation',
+    shipped: 'order_shipped',
+    refunded: 'order_refunded'
+};
+
+// Queue the email for an order that has just reached its status, if any.
+// Run in the transaction that changed the status.
+function queueStatusEmail(tx, order) {
+    const kind = STATUS_EMAILS[order.status];
+    return kind ? queueOrderEmail(tx, order.id, kind, order.customer_email) : null;
+}
+
+// Move an order through the lifecycle in lib/order-status, recording the
+// change in order_status_history. `where` is { id } or { stripeSessionId }.
+//
+// Webhook callers are lenient: a missing order or a transition the machine
+// does not allow (an out-of-order or repeated event) resolves to
+// `{ order, changed: false }`. With `strict` (admin requests) those cases
+// throw 404/409 instead.
+//
+// Cancelling, or refunding an order that has not shipped, puts its stock
+// back. A shipped or delivered order is only restocked when `restock` is
+// true (the goods were returned); `restock: false` keeps the stock out in
+// any case.
+async function transitionOrder(db, where, toStatus, {
+    actor,
+    note,
+    trackingNumber,
+    carrier,
+    restock,
+    strict = false
+} = {}) {
+    return db.withTransaction(async (tx) => {
+        const order = await lockOrder(tx, where);
+        if (!order) {
+            if (strict) {
+                throw new HttpError(404, 'Order not found');
+            }
+            return { order: null, changed: false };
+        }
+
+        if (!canTransition(order.status, toStatus)) {
+            if (strict) {
+                const allowed = TRANSITIONS[order.status];
+                throw new HttpError(409, `Cannot change order from ${order.status} to ${toStatus}`, [{
+                    field: 'status',
+                    message: allowed.length > 0
+                        ? `Allowed next statuses: ${allowed.join(', ')}`
+                        : `${order.status} is a final status`
+                }], 'invalid_transition');
+            }
+            return { order, changed: false };
+        }
+
+        if (toStatus === 'shipped' && !trackingNumber && !order.tracking_number) {
+            throw new HttpError(400, 'A tracking number is required to mark an order shipped', [
+                { field: 'tracking_number', message: 'tracking_number is required to mark an order shipped' }
+            ], 'validation_failed');
+        }
+
+        if (restock !== undefined && !RELEASES_STOCK.includes(toStatus)) {
+            throw new HttpError(400, 'Only cancelled or refunded orders can be restocked', [
+                { field: 'restock', message: `restock applies to ${RELEASES_STOCK.join(' and ')} orders` }
+            ], 'validation_failed');
+        }
+
+        const updated = await applyTransition(tx, order, toStatus, {
+            actor,
+            note,
+            trackingNumber,
+            carrier
+        });
+
+        if (RELEASES_STOCK.includes(toStatus)) {
+            const restocks = restock === undefined ? !SHIPPED_STATUSES.includes(order.status) : restock;
+            if (order.stripe_session_id) {
+                if (restocks) {
+                    await releaseSessionReservation(tx, order.stripe_session_id, ['reserved', 'committed']);
+                    await releaseSessionRentalBookings(tx, order.stripe_session_id, ['reserved', 'committed']);
+                }
+                await releaseSessionRedemption(tx, order.stripe_session_id, ['reserved', 'committed']);
+            } else {
+                await releaseQuoteOrder(tx, order, toStatus, { restock: restocks });
+            }
+        }
+        await queueStatusEmail(tx, updated);
+
+        return { order: updated, changed: true };
+    });
+}
+
+module.exports = {
+    transitionOrder,
+    queueStatusEmail
+};
@@ -0,0 +1,123 @@
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { toCents, formatCents } = require('./money');
+const { findPromotionByCode } = require('../models/promotions');
+
+// A discount code as typed by the customer (matched case-insensitively)
+const DISCOUNT_CODE = v.string({
+    max: 50,
+    pattern: /^[A-Za-z0-9_-]+$/,
+    message: 'code must be 1-50 letters, digits, dashes or underscores'
+});
+
+function invalidCode(message) {
+    return new HttpError(400, 'Invalid discount code', [{ field: 'code', message }], 'invalid_discount_code');
+}
+
+// Percentage and fixed discounts only apply to the products the promotion is
+// restricted to, if any
+function appliesTo(promotion, line) {
+    return promotion.product_ids.length === 0 || promotion.product_ids.includes(line.productId);
+}
+
+// Check a promotion row against a priced cart (see priceCart in lib/cart) and
+// work out the discount in cents. Percentage and fixed discounts only apply
+// to the products the promotion is restricted to, if any; the minimum order
+// amount is checked against the whole subtotal.
+function evaluatePromotion(promotion, cart, now = new Date()) {
+    if (!promotion || !promotion.active) {
+        throw invalidCode('This code does not exist');
+    }
+    if (promotion.starts_at && promotion.starts_at > now) {
+        throw invalidCode('This code is not active yet');
+    }
+    if (promotion.expires_at && promotion.expires_at <= now) {
+        throw invalidCode('This code has expired');
+    }
+    if (promotion.usage_limit !== null && promotion.used >= promotion.usage_limit) {
+        throw invalidCode('This code has been fully redeemed');
+    }
+    if (promotion.min_order_amount !== null && cart.subtotal < toCents(promotion.min_order_amount)) {
+        throw invalidCode(`This code requires an order of at least $${promotion.min_order_amount}`);
+    }
+
+    const eligible = cart.lines.filter((line) => appliesTo(promotion, line));
+    if (eligible.length === 0) {
+        throw invalidCode('This code does not apply to any item in your cart');
+    }
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.amount, 0);
+
+    let amount = 0;
+    if (promotion.kind === 'percentage') {
+        amount = Math.round(eligibleSubtotal * toCents(promotion.value) / 10000);
+    } else if (promotion.kind === 'fixed') {
+        amount = Math.min(toCents(promotion.value), eligibleSubtotal);
+    }
+
+    return {
+        promotion,
+        amount,
+        freeShipping: promotion.kind === 'free_shipping'
+    };
+}
+
+// Look up a validated `code` and evaluate it for `cart`. Pass `forUpdate` inside the
+// checkout transaction to hold the promotion row until its redemption is
+// written.
+async function applyDiscountCode(db, code, cart, { forUpdate = false } = {}) {
+    const promotion = await findPromotionByCode(db, code, { forUpdate });
+    return evaluatePromotion(promotion, cart);
+}
+
+// Split a discount over the cart lines it applies to, in cents, one share
+// per line of cart.lines. Each line first gets whole cents per unit in
+// proportion to its amount; the cents left over go to the largest lines, up
+// to their amount. So the shares add up to exactly discount.amount, and at
+// most one line ends up with a share its quantity does not divide. Checkout
+// takes the shares off the product lines (see buildLineItems there).
+function allocateDiscount(discount, cart) {
+    const shares = cart.lines.map(() => 0);
+    if (!discount || discount.amount === 0) {
+        return shares;
+    }
+    const eligible = cart.lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => appliesTo(discount.promotion, line));
+    const base = eligible.reduce((sum, { line }) => sum + line.amount, 0);
+
+    eligible.forEach(({ line, index }) => {
+        shares[index] = Math.floor(discount.amount * line.amount / base / line.quantity) * line.quantity;
+    });
+    let left = discount.amount - shares.reduce((sum, share) => sum + share, 0);
+    eligible
+        .sort((a, b) => b.line.amount - a.line.amount || a.index - b.index)
+        .forEach(({ line, index }) => {
+            const extra = Math.min(left, line.amount - shares[index]);
+            shares[index] += extra;
+            left -= extra;
+        });
+    return shares;
+}
+
+function serializeDiscount(discount, cart) {
+    return {
+        code: discount.promotion.code,
+        description: discount.promotion.description,
+        kind: discount.promotion.kind,
+        amount: formatCents(discount.amount),
+        amount_cents: discount.amount,
+        free_shipping: discount.freeShipping,
+        subtotal: formatCents(cart.subtotal),
+        subtotal_cents: cart.subtotal,
+        total: formatCents(cart.subtotal - discount.amount),
+        total_cents: cart.subtotal - discount.amount
+    };
+}
+
+module.exports = {
+    DISCOUNT_CODE,
+    evaluatePromotion,
+    applyDiscountCode,
+    allocateDiscount,
+    serializeDiscount
+};
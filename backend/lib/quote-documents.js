@@ -0,0 +1,170 @@
+// Printable quote and invoice documents. They are served as standalone HTML
+// pages with print styles; the browser's print dialog saves them as PDF.
+
+const { escapeHtml } = require('./html');
+
+const STORE_NAME = 'Water Blob';
+
+const dollars = (amount) => `$${amount}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+});
+
+function addressBlock(title, address) {
+    const lines = [
+        address.name,
+        address.line1,
+        address.line2,
+        [address.city, address.region, address.postal_code].filter(Boolean).join(', '),
+        address.country
+    ].filter(Boolean);
+    return `<div><h3>${escapeHtml(title)}</h3><p>${lines.map(escapeHtml).join('<br>')}</p></div>`;
+}
+
+function quoteRows(quote) {
+    const rows = [['Subtotal', dollars(quote.subtotal)]];
+    if (quote.discount !== '0.00') {
+        rows.push(['Discount', `-${dollars(quote.discount)}`]);
+    }
+    rows.push(['Shipping', quote.shipping === null ? 'To be quoted' : dollars(quote.shipping)]);
+    rows.push(['Tax', quote.tax === null ? 'To be quoted' : dollars(quote.tax)]);
+    rows.push(['Total', dollars(quote.total)]);
+    return rows;
+}
+
+// `meta` is [label, value] pairs shown under the title; `notes` plain-text
+// paragraphs after the totals
+function renderDocument({ title, number, meta, quote, notes }) {
+    const billing = quote.billing_address || quote.shipping_address;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${title} ${number} — ${STORE_NAME}`)}</title>
+<style>
+    body { margin: 0; padding: 32px; background: #f3f4f6; font-family: Arial, Helvetica, sans-serif; color: #111827; }
+    main { max-width: 800px; margin: 0 auto; background: #ffffff; padding: 40px; border-radius: 8px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; gap: 24px; }
+    h1 { font-size: 22px; margin: 0; }
+    h2 { font-size: 28px; margin: 0; text-align: right; }
+    h3 { font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 0 0 4px; }
+    dl { display: grid; grid-template-columns: auto auto; gap: 4px 16px; margin: 12px 0 0; font-size: 14px; }
+    dt { color: #6b7280; text-align: right; }
+    dd { margin: 0; }
+    .addresses { display: flex; gap: 48px; margin: 32px 0; font-size: 14px; }
+    .addresses p { margin: 0; line-height: 1.5; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; border-bottom: 2px solid #111827; padding: 8px; }
+    td { border-bottom: 1px solid #e5e7eb; padding: 8px; }
+    .amount { text-align: right; }
+    .totals { margin-left: auto; width: 280px; margin-top: 16px; }
+    .totals td { border: none; padding: 4px 8px; }
+    .totals tr:last-child td { font-weight: bold; border-top: 2px solid #111827; }
+    .notes { margin-top: 32px; font-size: 14px; white-space: pre-line; }
+    .print { display: block; margin: 0 auto 16px; padding: 10px 16px; background: #2563eb; color: #ffffff; border: none; border-radius: 6px; font-size: 14px; cursor: pointer; }
+    @media print {
+        body { padding: 0; background: #ffffff; }
+        main { padding: 0; }
+        .print { display: none; }
+    }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print or save as PDF</button>
+<main>
+    <header>
+        <div>
+            <h1>${escapeHtml(STORE_NAME)}</h1>
+        </div>
+        <div>
+            <h2>${escapeHtml(title)}</h2>
+            <dl>
+                <dt>Number</dt><dd>${escapeHtml(number)}</dd>
+                ${meta.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n                ')}
+            </dl>
+        </div>
+    </header>
+    <div class="addresses">
+        <div><h3>Customer</h3><p>${[quote.organization, quote.contact_name, quote.email, quote.phone].filter(Boolean).map(escapeHtml).join('<br>')}</p></div>
+        ${addressBlock('Bill to', billing)}
+        ${addressBlock('Ship to', quote.shipping_address)}
+    </div>
+    <table>
+        <thead>
+            <tr><th>Item</th><th>SKU</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Total</th></tr>
+        </thead>
+        <tbody>
+            ${quote.items.map((item) => `<tr>
+                <td>${escapeHtml(item.name)}</td>
+                <td>${escapeHtml(item.sku)}</td>
+                <td class="amount">${escapeHtml(item.quantity)}</td>
+                <td class="amount">${escapeHtml(dollars(item.unit_price))}</td>
+                <td class="amount">${escapeHtml(dollars(item.total))}</td>
+            </tr>`).join('\n            ')}
+        </tbody>
+    </table>
+    <table class="totals">
+        ${quoteRows(quote).map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`).join('\n        ')}
+    </table>
+    <div class="notes">
+        ${notes.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+    </div>
+</main>
+</body>
+</html>
+`;
+}
+
+function renderQuoteDocument(quote) {
+    const meta = [['Date', formatDate(quote.sent_at || quote.created_at)]];
+    if (quote.expires_at) {
+        meta.push(['Valid until', formatDate(quote.expires_at)]);
+    }
+    if (quote.po_number) {
+        meta.push(['PO number', quote.po_number]);
+    }
+    return renderDocument({
+        title: 'Quote',
+        number: quote.number,
+        meta,
+        quote,
+        notes: [
+            ...(quote.message ? [quote.message] : []),
+            'Payment terms: net 30. Accepting this quote places the order; it is invoiced when accepted and payment is due within 30 days.'
+        ]
+    });
+}
+
+// `quote` is the accepted quote the invoice was issued for
+function renderInvoiceDocument(invoice, quote) {
+    const meta = [
+        ['Issued', formatDate(invoice.issued_at)],
+        ['Due', formatDate(invoice.due_at)],
+        ['Order', `#${invoice.order_id}`],
+        ['Quote', quote.number]
+    ];
+    if (quote.po_number) {
+        meta.push(['PO number', quote.po_number]);
+    }
+    const status = {
+        open: `Payment terms: net 30. Please pay ${dollars(invoice.amount)} by ${formatDate(invoice.due_at)}, quoting invoice ${invoice.number}.`,
+        paid: `Paid on ${formatDate(invoice.paid_at)}. Thank you!`,
+        void: 'This invoice has been voided and is not owed.'
+    };
+    return renderDocument({
+        title: 'Invoice',
+        number: invoice.number,
+        meta,
+        quote,
+        notes: [status[invoice.status]]
+    });
+}
+
+module.exports = {
+    renderQuoteDocument,
+    renderInvoiceDocument
+};
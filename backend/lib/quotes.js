@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { CART_ITEMS, MAX_LINES, priceCart } = require('./cart');
+const { toCents, formatCents } = require('./money');
+const { renderQuoteEmail } = require('./email-templates');
+const { reserveInventory, commitReservation, releaseReservation } = require('../models/inventory');
+const { createInvoicedOrder } = require('../models/orders');
+const {
+    isExpired,
+    createQuote,
+    findQuoteByOrder,
+    updateQuotePricing,
+    markQuoteAccepted,
+    createInvoice,
+    voidOrderInvoice
+} = require('../models/quotes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a sent quote can be accepted, unless the admin sets expires_at
+const QUOTE_VALID_DAYS = 30;
+
+// Invoices from accepted quotes are due this many days after they are issued
+const NET_TERMS_DAYS = 30;
+
+// Blank strings count as not given
+const text = (max) => v.string({ max, optional: true, nullable: true, blankAsNull: true });
+
+const QUOTE_ADDRESS = v.object({
+    name: text(255),
+    line1: v.string({ max: 255 }),
+    line2: text(255),
+    city: v.string({ max: 100 }),
+    region: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9]{1,3}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'region must be a state or province code'
+    }),
+    postal_code: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9][A-Z0-9 -]{1,9}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'postal_code is not valid'
+    }),
+    country: v.string({
+        uppercase: true,
+        pattern: /^[A-Z]{2}$/,
+        message: 'country must be a two-letter country code'
+    })
+});
+
+// Body of POST /api/quotes: the cart (see getCart in frontend/cart.js) and
+// who is asking. Without a billing address the shipping address is billed.
+const QUOTE_REQUEST = {
+    items: CART_ITEMS,
+    organization: v.string({ max: 255 }),
+    contact_name: v.string({ max: 255 }),
+    email: v.email(),
+    phone: v.string({
+        pattern: /^\+?[0-9 ().-]{5,30}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'phone is not a valid phone number'
+    }),
+    po_number: text(100),
+    shipping_address: QUOTE_ADDRESS,
+    billing_address: v.optional(QUOTE_ADDRESS),
+    notes: text(5000)
+};
+
+// Body of PATCH /api/admin/quotes/:id. `items` sets unit prices by variant;
+// a tax left out or null is calculated from the tax rates once shipping is set.
+const QUOTE_PRICING = {
+    items: v.array(v.object({
+        variant_id: v.id(),
+        unit_price: v.decimal()
+    }, { strict: true }), { min: 1, max: MAX_LINES, optional: true }),
+    discount: v.decimal({ optional: true }),
+    shipping: v.decimal({ optional: true, nullable: true }),
+    tax: v.decimal({ optional: true, nullable: true }),
+    expires_at: v.timestamp({ optional: true }),
+    message: text(5000)
+};
+
+const money = (cents) => (cents === null ? null : formatCents(cents));
+const optionalCents = (value) => (value === null ? null : toCents(value));
+
+// Quote lines keep the catalog price next to the quoted one
+function quoteItems(lines) {
+    return lines.map((line) => ({
+        variantId: line.variantId,
+        productId: line.productId,
+        sku: line.sku,
+        name: line.name,
+        quantity: line.quantity,
+        list_price: formatCents(line.unitAmount),
+        unit_price: formatCents(line.unitAmount),
+        total: formatCents(line.amount)
+    }));
+}
+
+function invalidPricing(field, message) {
+    return new HttpError(400, 'Invalid quote pricing', [{ field, message }], 'validation_failed');
+}
+
+// Quotes are only priced and sent while the customer has not answered
+function assertEditable(quote) {
+    if (!['requested', 'sent'].includes(quote.status)) {
+        throw new HttpError(409, `Quote is ${quote.status}`, null, 'quote_closed');
+    }
+}
+
+// Quotes are answered while sent and not expired
+function assertOpen(quote) {
+    if (quote.status !== 'sent') {
+        throw new HttpError(409, `Quote is ${quote.status}`, null, 'quote_closed');
+    }
+    if (isExpired(quote)) {
+        throw new HttpError(409, 'Quote has expired', null, 'quote_expired');
+    }
+}
+
+function taxDestination(address) {
+    return {
+        country: address.country,
+        region: address.region || null,
+        postalCode: address.postal_code || null
+    };
+}
+
+// A new quote from a validated QUOTE_REQUEST, priced at catalog prices.
+// Rentals are booked for dates through checkout and cannot be quoted.
+async function requestQuote(db, body, { customerId = null } = {}) {
+    const rentals = [];
+    body.items.forEach((item, index) => {
+        if (item.rental) {
+            rentals.push({ field: `items[${index}].rental`, message: 'Rentals cannot be quoted; book them at checkout' });
+        }
+    });
+    if (rentals.length > 0) {
+        throw new HttpError(400, 'Invalid quote request', rentals, 'validation_failed');
+    }
+
+    const cart = await priceCart(db, body.items);
+    return createQuote(db, {
+        reference: crypto.randomUUID(),
+        customerId,
+        organization: body.organization,
+        contactName: body.contact_name,
+        email: body.email,
+        phone: body.phone || null,
+        poNumber: body.po_number || null,
+        shippingAddress: body.shipping_address,
+        billingAddress: body.billing_address || null,
+        notes: body.notes || null,
+        items: quoteItems(cart.lines),
+        subtotal: formatCents(cart.subtotal)
+    });
+}
+
+// Apply validated QUOTE_PRICING changes to a quote and work out its totals
+// in cents: the lines, less the discount, plus shipping and tax.
+async function repriceQuote(db, taxCalculator, quote, changes) {
+    assertEditable(quote);
+
+    const prices = new Map((changes.items || []).map((item) => [item.variant_id, toCents(item.unit_price)]));
+    const unknown = Array.from(prices.keys()).filter((id) => !quote.items.some((item) => item.variantId === id));
+    if (unknown.length > 0) {
+        throw invalidPricing('items', `Variant ${unknown.join(', ')} is not on this quote`);
+    }
+
+    const items = quote.items.map((item) => {
+        const unitAmount = prices.has(item.variantId) ? prices.get(item.variantId) : toCents(item.unit_price);
+        return { ...item, unit_price: formatCents(unitAmount), total: formatCents(unitAmount * item.quantity) };
+    });
+    const subtotal = items.reduce((sum, item) => sum + toCents(item.total), 0);
+
+    const discount = changes.discount !== undefined ? toCents(changes.discount) : toCents(quote.discount);
+    if (discount > subtotal) {
+        throw invalidPricing('discount', 'discount cannot be more than the subtotal');
+    }
+
+    const shipping = changes.shipping !== undefined ? optionalCents(changes.shipping) : optionalCents(quote.shipping);
+    let tax = null;
+    if (changes.tax !== undefined && changes.tax !== null) {
+        tax = toCents(changes.tax);
+    } else if (shipping !== null) {
+        tax = (await taxCalculator.calculate(db, {
+            destination: taxDestination(quote.shipping_address),
+            subtotal: subtotal - discount,
+            shipping
+        })).amount;
+    }
+
+    return updateQuotePricing(db, quote.id, {
+        items,
+        subtotal: formatCents(subtotal),
+        discount: formatCents(discount),
+        shipping: money(shipping),
+        tax: money(tax),
+        total: formatCents(subtotal - discount + (shipping || 0) + (tax || 0)),
+        expiresAt: changes.expires_at,
+        message: changes.message
+    });
+}
+
+// Turn a locked, sent quote into an order in the net_30 status with an
+// invoice due in NET_TERMS_DAYS. The quoted prices stand; the stock is taken
+// now (under the quote's reference), so a product that has sold out or been
+// withdrawn since the quote was sent fails with the cart's errors.
+async function acceptQuote(tx, quote, { poNumber = null, now = new Date() } = {}) {
+    assertOpen(quote);
+
+    const { lines } = await priceCart(tx, quote.items.map(({ variantId, quantity }) => ({ variantId, quantity })), {
+        forUpdate: true
+    });
+    await reserveInventory(tx, quote.reference, lines, now);
+    await commitReservation(tx, quote.reference);
+
+    const address = quote.shipping_address;
+    const order = await createInvoicedOrder(tx, {
+        customerId: quote.customer_id,
+        customerEmail: quote.email,
+        customerName: quote.contact_name,
+        amount: quote.total,
+        shippingAddress: {
+            name: address.name || quote.contact_name,
+            address: {
+                line1: address.line1,
+                line2: address.line2 || null,
+                city: address.city,
+                state: address.region || null,
+                postal_code: address.postal_code || null,
+                country: address.country
+            }
+        },
+        items: quote.items.map(({ list_price: listPrice, ...item }) => item),
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        shipping: quote.shipping,
+        tax: quote.tax,
+        note: `Quote ${quote.number} accepted`
+    });
+
+    const invoice = await createInvoice(tx, {
+        orderId: order.id,
+        quoteId: quote.id,
+        amount: quote.total,
+        dueAt: new Date(now.getTime() + NET_TERMS_DAYS * DAY_MS)
+    });
+    const accepted = await markQuoteAccepted(tx, quote.id, { orderId: order.id, poNumber });
+
+    return { quote: accepted, order, invoice };
+}
+
+// The customer's link to a sent quote. As in account emails the token is in
+// the fragment, which browsers do not send on; quote.js passes it to the API.
+function quoteUrl(storeUrl, token) {
+    return `${storeUrl}/quote.html#token=${encodeURIComponent(token)}`;
+}
+
+// Quote emails go straight to the transport, like account emails; a failure
+// is logged and does not fail the request (the quote is still in the admin
+// list and its link can be sent again).
+function sendQuoteEmail({ emailTransport, emailFrom, storeUrl, log }, kind, quote, options = {}) {
+    const email = renderQuoteEmail(kind, quote, { ...options, storeUrl });
+    emailTransport.send({ from: emailFrom, to: quote.email, ...email })
+        .then(({ messageId }) => log.info('Quote email sent', { kind, quoteId: quote.id, messageId }))
+        .catch((err) => log.error('Quote email failed', { kind, quoteId: quote.id, err }));
+}
+
+// A cancelled or refunded order that came from a quote has no Checkout
+// Session: its stock is found through the quote (and put back if `restock`,
+// see transitionOrder in lib/orders), and a cancelled order's invoice is
+// voided. Runs in the transaction that changed the status.
+async function releaseQuoteOrder(tx, order, toStatus, { restock }) {
+    const quote = await findQuoteByOrder(tx, order.id);
+    if (quote && restock) {
+        await releaseReservation(tx, quote.reference, ['reserved', 'committed']);
+    }
+    if (toStatus === 'cancelled') {
+        await voidOrderInvoice(tx, order.id);
+    }
+}
+
+module.exports = {
+    QUOTE_VALID_DAYS,
+    NET_TERMS_DAYS,
+    QUOTE_REQUEST,
+    QUOTE_PRICING,
+    assertEditable,
+    assertOpen,
+    requestQuote,
+    repriceQuote,
+    acceptQuote,
+    releaseQuoteOrder,
+    quoteUrl,
+    sendQuoteEmail
+};
@@ -0,0 +1,46 @@
+const { HttpError } = require('./http');
+
+// Fixed-window request limits per client IP, kept in memory. Each instance
+// counts on its own, so with N instances a client gets up to N times `max`;
+// that is fine for slowing down card testing and token guessing, which is
+// what these limits are for.
+function rateLimit({ windowMs = 60 * 1000, max, message = 'Too many requests, please try again later' }) {
+    const hits = new Map();
+    let nextCleanup = Date.now() + windowMs;
+
+    return (req, res, next) => {
+        const now = Date.now();
+        if (now >= nextCleanup) {
+            hits.forEach((entry, key) => {
+                if (entry.resetAt <= now) {
+                    hits.delete(key);
+                }
+            });
+            nextCleanup = now + windowMs;
+        }
+
+        const key = req.ip;
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            req.log.warn('Rate limit exceeded', { ip: req.ip, path: req.originalUrl });
+            return next(new HttpError(429, message));
+        }
+        next();
+    };
+}
+
+module.exports = rateLimit;
@@ -0,0 +1,190 @@
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { toCents } = require('./money');
+const { listActiveBookings } = require('../models/rentals');
+
+// Rentals are booked by the day against a plan's pool of units (see
+// database/migrations/016_rentals.sql). A cart line with a `rental` period is
+// a rental of that variant rather than a purchase.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period accepted anywhere (cart lines, calendars), whatever the plan
+const MAX_RENTAL_DAYS = 366;
+
+// Day arithmetic on YYYY-MM-DD strings, done in UTC so no daylight saving
+// change can skip or repeat a day. Such strings also compare in date order.
+function addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// The store's current day, in UTC
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+// The first and last day both count
+function rentalDays({ startDate, endDate }) {
+    return daysBetween(startDate, endDate) + 1;
+}
+
+// `rental` of a cart line: the first and last day of the rental
+const RENTAL_PERIOD = v.object({
+    startDate: v.date(),
+    endDate: v.date()
+}, {
+    refine(period, fail) {
+        const days = rentalDays(period);
+        if (days < 1) {
+            fail('endDate', 'endDate must not be before startDate');
+        } else if (days > MAX_RENTAL_DAYS) {
+            fail('endDate', `A rental can last at most ${MAX_RENTAL_DAYS} days`);
+        }
+    }
+});
+
+// Rental charge for one unit, in cents: full weeks at the weekly rate and the
+// days left over at the daily rate, but never more than another week
+function rentalCharge(plan, days) {
+    const daily = toCents(plan.daily_rate);
+    if (plan.weekly_rate === null) {
+        return daily * days;
+    }
+    const weekly = toCents(plan.weekly_rate);
+    return Math.floor(days / 7) * weekly + Math.min((days % 7) * daily, weekly);
+}
+
+function earliestStart(plan, now = new Date()) {
+    return addDays(today(now), plan.lead_days);
+}
+
+// Why `period` cannot be rented under `plan`, or null
+function periodProblem(plan, period, now = new Date()) {
+    const days = rentalDays(period);
+    if (days < plan.min_days) {
+        return `Rentals last at least ${plan.min_days} days`;
+    }
+    if (plan.max_days !== null && days > plan.max_days) {
+        return `Rentals last at most ${plan.max_days} days`;
+    }
+    const earliest = earliestStart(plan, now);
+    if (period.startDate < earliest) {
+        return `The earliest start date is ${earliest}`;
+    }
+    return null;
+}
+
+// Add `quantity` units to the per-day counts for the days of `start` to `end`
+// that fall within `from` to `to`
+function addUsage(usage, start, end, quantity, from, to) {
+    const last = end < to ? end : to;
+    for (let day = start > from ? start : from; day <= last; day = addDays(day, 1)) {
+        usage.set(day, (usage.get(day) || 0) + quantity);
+    }
+}
+
+// Units in use per day: a booking holds its units from its first day until
+// `buffer_days` after its last
+async function dailyUsage(db, plan, from, to) {
+    const bookings = await listActiveBookings(db, plan.variant_id, from, to, plan.buffer_days);
+    const usage = new Map();
+    bookings.forEach((booking) => {
+        addUsage(usage, booking.start_date, addDays(booking.end_date, plan.buffer_days), booking.quantity, from, to);
+    });
+    return usage;
+}
+
+// Check that `requests` ({ startDate, endDate, quantity }, e.g. a cart's
+// lines for the plan's variant) fit in the plan's pool alongside the
+// bookings it already has. Resolves to error details for the ones that do
+// not, empty when all fit. Callers that go on to book hold the plan row
+// (see findRentalPlans) until the bookings are written.
+async function findShortfalls(db, plan, requests) {
+    const from = requests.reduce((first, request) => (request.startDate < first ? request.startDate : first), requests[0].startDate);
+    const to = requests.reduce((last, request) => {
+        const end = addDays(request.endDate, plan.buffer_days);
+        return end > last ? end : last;
+    }, from);
+    const usage = await dailyUsage(db, plan, from, to);
+
+    const shortfalls = [];
+    requests.forEach(({ startDate, endDate, quantity }) => {
+        const last = addDays(endDate, plan.buffer_days);
+        let available = plan.units;
+        for (let day = startDate; day <= last; day = addDays(day, 1)) {
+            available = Math.min(available, plan.units - (usage.get(day) || 0));
+        }
+        available = Math.max(available, 0);
+        if (quantity > available) {
+            shortfalls.push({
+                variantId: plan.variant_id,
+                startDate,
+                endDate,
+                available,
+                message: available > 0
+                    ? `Only ${available} left to rent from ${startDate} to ${endDate}`
+                    : `Not available to rent from ${startDate} to ${endDate}`
+            });
+        } else {
+            addUsage(usage, startDate, last, quantity, from, to);
+        }
+    });
+    return shortfalls;
+}
+
+// Fails with 409 rental_unavailable unless every rental line (see priceCart
+// in lib/cart) fits in its plan's pool. `plans` maps variant ids to plans.
+async function assertRentalsAvailable(db, plans, lines) {
+    const byVariant = new Map();
+    lines.filter((line) => line.rental).forEach((line) => {
+        byVariant.set(line.variantId, [...(byVariant.get(line.variantId) || []), {
+            startDate: line.rental.startDate,
+            endDate: line.rental.endDate,
+            quantity: line.quantity
+        }]);
+    });
+
+    const shortfalls = [];
+    for (const [variantId, requests] of byVariant) {
+        shortfalls.push(...await findShortfalls(db, plans.get(variantId), requests));
+    }
+    if (shortfalls.length > 0) {
+        throw new HttpError(409, 'Not available to rent for those dates', shortfalls, 'rental_unavailable');
+    }
+}
+
+// Free units for each day from `from` to `to`. `bookable` is false for days
+// before the earliest start date (a rental already under way may still
+// cover them).
+async function rentalCalendar(db, plan, from, to, now = new Date()) {
+    const usage = await dailyUsage(db, plan, from, to);
+    const earliest = earliestStart(plan, now);
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        days.push({
+            date: day,
+            available: Math.max(plan.units - (usage.get(day) || 0), 0),
+            bookable: day >= earliest
+        });
+    }
+    return { earliestStart: earliest, days };
+}
+
+module.exports = {
+    MAX_RENTAL_DAYS,
+    RENTAL_PERIOD,
+    addDays,
+    daysBetween,
+    today,
+    rentalDays,
+    rentalCharge,
+    earliestStart,
+    periodProblem,
+    findShortfalls,
+    assertRentalsAvailable,
+    rentalCalendar
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Accept a caller-supplied id (e.g. from Render's router or the frontend) only
+// if it is short and printable; anything else gets a fresh one.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Paths polled by the platform and the metrics scraper; their access lines
+// are only logged at debug.
+const QUIET_PATHS = ['/health', '/api/health', '/api/health/live', '/api/health/ready', '/metrics'];
+
+// Assigns req.id (echoed as X-Request-Id), gives each request a child logger
+// at req.log, and writes one access line per response with status and latency.
+function requestLogging(logger) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+            const fields = {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                bytes: Number(res.get('Content-Length')) || undefined
+            };
+
+            if (QUIET_PATHS.includes(req.path)) {
+                req.log.debug('request', fields);
+            } else {
+                req.log.info('request', fields);
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = requestLogging;
@@ -0,0 +1,42 @@
+// Standard security headers for every response, including the storefront
+// pages served from ../frontend.
+//
+// The CSP fits the storefront as it is: three.js comes from jsDelivr through
+// the import map in index.html, and the pages use inline scripts, onclick
+// handlers and style attributes, hence 'unsafe-inline'. Product images may be
+// hosted anywhere over https; the 3D model loader uses blob: and data: URLs.
+const CDN = 'https://cdn.jsdelivr.net';
+
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    `script-src 'self' 'unsafe-inline' ${CDN}`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob: https:",
+    `connect-src 'self' blob: data: ${CDN}`,
+    "font-src 'self' data:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// HSTS only in production: browsers remember it, which breaks plain-http
+// development servers on the same host.
+function securityHeaders({ hsts = false } = {}) {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+        });
+        if (hsts) {
+            res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+        }
+        next();
+    };
+}
+
+module.exports = securityHeaders;
@@ -0,0 +1,200 @@
+const { HttpError } = require('./http');
+const v = require('./validation');
+const { toCents, formatCents } = require('./money');
+const { findZonesForCountry, findActiveRates } = require('../models/shipping');
+
+// Parcel carrier limits (UPS/FedEx ground). A unit over either one can only
+// go by freight, and freight rates add their oversize surcharge for it.
+const OVERSIZE_WEIGHT_LB = 70;
+const OVERSIZE_LENGTH_GIRTH_IN = 108;
+
+function isOversized(product) {
+    if (product.weight_lb !== null && product.weight_lb !== undefined && Number(product.weight_lb) > OVERSIZE_WEIGHT_LB) {
+        return true;
+    }
+    const sides = [product.length_in, product.width_in, product.height_in].map((side) => Number(side) || 0);
+    const [length, width, height] = sides.sort((a, b) => b - a);
+    return length + 2 * (width + height) > OVERSIZE_LENGTH_GIRTH_IN;
+}
+
+// { country, region?, postalCode? } as sent by the storefront
+const DESTINATION = v.object({
+    country: v.string({
+        uppercase: true,
+        pattern: /^[A-Z]{2}$/,
+        message: 'country must be a two-letter country code'
+    }),
+    region: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9]{1,3}$/,
+        default: null,
+        nullable: true,
+        blankAsNull: true,
+        message: 'region must be a state or province code'
+    }),
+    postalCode: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9][A-Z0-9 -]{1,9}$/,
+        default: null,
+        nullable: true,
+        blankAsNull: true,
+        message: 'postalCode is not valid'
+    })
+});
+
+// { rateId, destination } - an option from POST /api/shipping/quote for the
+// same cart, as sent to checkout and the cart summary
+const SHIPPING_CHOICE = v.object({
+    rateId: v.id({ message: 'Choose a shipping option' }),
+    destination: DESTINATION
+});
+
+// The most specific matching zone wins: postal prefixes over regions over a
+// whole country, then the oldest zone. Its rates are the only ones offered,
+// so a local zone that should also ship needs its own parcel/freight rates.
+function matchZone(zones, { region, postalCode }) {
+    let best = null;
+    let bestScore = 0;
+
+    zones.forEach((zone) => {
+        if (zone.regions.length > 0 && !zone.regions.includes(region)) {
+            return;
+        }
+        const compact = postalCode ? postalCode.replace(/[\s-]/g, '') : null;
+        if (zone.postal_prefixes.length > 0
+            && !(compact && zone.postal_prefixes.some((prefix) => compact.startsWith(prefix.replace(/[\s-]/g, '').toUpperCase())))) {
+            return;
+        }
+        const score = 1 + (zone.regions.length > 0 ? 2 : 0) + (zone.postal_prefixes.length > 0 ? 4 : 0);
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+function rateAmount(rate, weightLb, oversizedUnits) {
+    return toCents(rate.base_amount)
+        + Math.round(toCents(rate.per_lb_amount) * weightLb)
+        + toCents(rate.oversize_surcharge) * oversizedUnits;
+}
+
+// Whether an address as Stripe collects it ({ country, state, postal_code })
+// is the DESTINATION that shipping and tax were quoted for. Codes are compared
+// without case, spaces or dashes, and a ZIP+4 matches its five-digit ZIP. A
+// part the quote left out must be missing from the address too: zones and tax
+// rates that need it could not have matched.
+function destinationMatches(destination, address) {
+    const compact = (value) => (value ? String(value).replace(/[\s-]/g, '').toUpperCase() : '');
+    const quotedPostal = compact(destination.postalCode);
+    const postal = compact(address.postal_code);
+    return compact(destination.country) === compact(address.country)
+        && compact(destination.region) === compact(address.state)
+        && (postal === quotedPostal || (quotedPostal.length >= 5 && postal.startsWith(quotedPostal)));
+}
+
+// Shipping options for a priced cart (see priceCart in lib/cart), cheapest
+// first. Parcel rates drop out when the cart holds an oversized unit or is
+// over the rate's weight limit; a free-shipping discount makes the remaining
+// parcel rates free (freight surcharges still apply).
+async function quoteShipping(db, cart, destination, { freeShipping = false } = {}) {
+    const weightLb = Math.round(cart.lines.reduce((sum, line) => sum + line.weightLb * line.quantity, 0) * 100) / 100;
+    const oversizedUnits = cart.lines.reduce((sum, line) => sum + (line.oversized ? line.quantity : 0), 0);
+
+    const zone = matchZone(await findZonesForCountry(db, destination.country), destination);
+    const rates = zone ? await findActiveRates(db, zone.id) : [];
+
+    const options = rates
+        .filter((rate) => !(rate.kind === 'parcel' && oversizedUnits > 0))
+        .filter((rate) => rate.max_weight_lb === null || weightLb <= Number(rate.max_weight_lb))
+        .map((rate) => {
+            const free = freeShipping && rate.kind === 'parcel';
+            return {
+                id: rate.id,
+                name: rate.name,
+                kind: rate.kind,
+                amount: free ? 0 : rateAmount(rate, weightLb, oversizedUnits),
+                freeShipping: free,
+                minDays: rate.min_days,
+                maxDays: rate.max_days
+            };
+        })
+        .sort((a, b) => a.amount - b.amount || a.id - b.id);
+
+    return { destination, zone, weightLb, oversizedUnits, options };
+}
+
+// The quoted option for a validated shipping choice, re-quoted for `cart`
+async function quoteShippingChoice(db, cart, choice, { freeShipping = false } = {}) {
+    const quote = await quoteShipping(db, cart, choice.destination, { freeShipping });
+    const option = quote.options.find((candidate) => candidate.id === choice.rateId);
+    if (!option) {
+        throw new HttpError(400, 'Choose a shipping option', [
+            { field: 'shipping.rateId', message: 'This shipping option is not available for this cart and destination' }
+        ], 'shipping_unavailable');
+    }
+    return option;
+}
+
+function serializeOption(option) {
+    return {
+        id: option.id,
+        name: option.name,
+        kind: option.kind,
+        amount: formatCents(option.amount),
+        amount_cents: option.amount,
+        free_shipping: option.freeShipping,
+        delivery_estimate: option.minDays === null && option.maxDays === null
+            ? null
+            : { min_days: option.minDays, max_days: option.maxDays }
+    };
+}
+
+function serializeQuote(quote) {
+    return {
+        destination: {
+            country: quote.destination.country,
+            region: quote.destination.region,
+            postalCode: quote.destination.postalCode
+        },
+        zone: quote.zone ? quote.zone.name : null,
+        weight_lb: quote.weightLb,
+        oversized_units: quote.oversizedUnits,
+        options: quote.options.map(serializeOption)
+    };
+}
+
+// Checkout Session `shipping_options` entry for the chosen rate
+function stripeShippingOption(option) {
+    const estimate = {};
+    if (option.minDays !== null) {
+        estimate.minimum = { unit: 'business_day', value: Math.max(option.minDays, 1) };
+    }
+    if (option.maxDays !== null) {
+        estimate.maximum = { unit: 'business_day', value: Math.max(option.maxDays, 1) };
+    }
+    return {
+        shipping_rate_data: {
+            type: 'fixed_amount',
+            display_name: option.name,
+            fixed_amount: { amount: option.amount, currency: 'usd' },
+            delivery_estimate: Object.keys(estimate).length > 0 ? estimate : undefined,
+            metadata: { shipping_rate_id: String(option.id), kind: option.kind }
+        }
+    };
+}
+
+module.exports = {
+    OVERSIZE_WEIGHT_LB,
+    OVERSIZE_LENGTH_GIRTH_IN,
+    isOversized,
+    DESTINATION,
+    SHIPPING_CHOICE,
+    destinationMatches,
+    quoteShipping,
+    quoteShippingChoice,
+    serializeOption,
+    serializeQuote,
+    stripeShippingOption
+};
@@ -0,0 +1,74 @@
+const { HttpError } = require('./http');
+const { findTaxRatesFor, findExemptionByCertificate } = require('../models/tax');
+
+// Tax calculators share one interface so another provider (a tax API, a flat
+// rate for testing) can be passed to createApp as `deps.taxCalculator`:
+//
+//   calculate(db, { destination, subtotal, shipping }) resolves to
+//   { amount, jurisdictions: [{ name, rate, amount }] }
+//
+// `subtotal` is the merchandise total after discounts and `shipping` the
+// shipping charge, both in cents; `amount` is the tax in cents.
+
+// Percentages are stored with 4 decimals ("7.2500"); work in millionths so
+// the arithmetic stays in integers.
+function rateMillionths(rate) {
+    const match = /^(\d+)(?:\.(\d{0,4}))?$/.exec(String(rate));
+    if (!match) {
+        throw new TypeError(`Invalid tax rate: ${rate}`);
+    }
+    return parseInt(match[1], 10) * 10000 + parseInt((match[2] || '').padEnd(4, '0'), 10);
+}
+
+function taxOn(cents, rate) {
+    return Math.round(cents * rateMillionths(rate) / 1000000);
+}
+
+// The built-in calculator: every active tax_rates row matching the
+// destination applies, each rounded separately as it would be on a receipt.
+function createRateTableTaxCalculator() {
+    return {
+        async calculate(db, { destination, subtotal, shipping }) {
+            const rates = await findTaxRatesFor(db, destination);
+            const jurisdictions = rates.map((rate) => {
+                const base = subtotal + (rate.applies_to_shipping ? shipping : 0);
+                return { name: rate.name, rate: rate.rate, amount: taxOn(base, rate.rate) };
+            });
+            return {
+                amount: jurisdictions.reduce((sum, jurisdiction) => sum + jurisdiction.amount, 0),
+                jurisdictions
+            };
+        }
+    };
+}
+
+function invalidCertificate(message) {
+    return new HttpError(400, 'Invalid tax exemption', [{ field: 'taxExemptionCertificate', message }], 'invalid_tax_exemption');
+}
+
+// An exemption certificate given at checkout (a validated certificate
+// number) must be on file, active and unexpired, belong to the checkout email
+// and cover the destination.
+async function findValidExemption(db, number, email, destination, now = new Date()) {
+    if (!email) {
+        throw invalidCertificate('An email address is required to use a tax exemption');
+    }
+
+    const exemption = await findExemptionByCertificate(db, number);
+    if (!exemption || !exemption.active || exemption.customer_email.toLowerCase() !== email.toLowerCase()) {
+        throw invalidCertificate('No tax exemption on file for this certificate and email');
+    }
+    if (exemption.expires_at && exemption.expires_at <= now) {
+        throw invalidCertificate('This tax exemption certificate has expired');
+    }
+    if (exemption.country !== destination.country
+        || (exemption.region && exemption.region !== destination.region)) {
+        throw invalidCertificate('This tax exemption certificate does not cover the shipping destination');
+    }
+    return exemption;
+}
+
+module.exports = {
+    createRateTableTaxCalculator,
+    findValidExemption
+};
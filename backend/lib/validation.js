@@ -0,0 +1,427 @@
+const { HttpError } = require('./http');
+
+// Declarative validation for request bodies, route params and query strings.
+//
+// A schema is a function `(value, ctx)` returning the parsed value, with
+// problems reported through ctx.fail(message); each problem is recorded
+// against the field path being parsed (`items[2].quantity`). Builders take:
+//
+//   optional  - the value may be left out (undefined, or '' in a query string)
+//   nullable  - null is accepted and kept
+//   default   - used when the value is left out
+//   blankAsNull - a blank string counts as null (form fields)
+//   message   - replaces the default error message
+//
+// Object schemas only return the fields they declare, and leave out optional
+// fields that were not sent, so a parsed body can go straight to insertRow /
+// updateRow (see models/rows). Query strings and route params are strings,
+// so their schemas also accept numbers and booleans written as text.
+
+function pathToString(path) {
+    return path.reduce((text, key) => (
+        typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : key)
+    ), '');
+}
+
+function createContext({ location = 'body', coerce = false } = {}) {
+    const errors = [];
+    const ctx = {
+        path: [],
+        location,
+        coerce,
+        errors,
+        label() {
+            const last = [...ctx.path].reverse().find((key) => typeof key === 'string');
+            return last || 'value';
+        },
+        fail(message) {
+            errors.push({ field: pathToString(ctx.path) || null, location, message });
+        },
+        at(key, fn) {
+            ctx.path.push(key);
+            try {
+                return fn();
+            } finally {
+                ctx.path.pop();
+            }
+        }
+    };
+    return ctx;
+}
+
+// Shared handling of missing and null values around a type check
+function define(check, options = {}) {
+    const { optional = false, nullable = false, message } = options;
+    const hasDefault = Object.prototype.hasOwnProperty.call(options, 'default');
+
+    return (input, ctx) => {
+        const blank = options.blankAsNull && typeof input === 'string' && input.trim() === '';
+        const value = blank ? null : input;
+        const missing = value === undefined || (ctx.coerce && value === '');
+        if (missing) {
+            if (hasDefault) {
+                return options.default;
+            }
+            if (!optional) {
+                ctx.fail(message || `${ctx.label()} is required`);
+            }
+            return undefined;
+        }
+        if (value === null) {
+            if (!nullable) {
+                ctx.fail(message || `${ctx.label()} must not be null`);
+            }
+            return null;
+        }
+
+        const before = ctx.errors.length;
+        const parsed = check(value, ctx);
+        if (parsed === undefined && ctx.errors.length === before) {
+            ctx.fail(message || `${ctx.label()} is not valid`);
+        }
+        return parsed;
+    };
+}
+
+// Reports `message` (the caller's, if given) and returns undefined
+function invalid(ctx, options, message) {
+    ctx.fail(options.message || message);
+    return undefined;
+}
+
+function orNull(text, options) {
+    return options.nullable ? `${text}, or null` : text;
+}
+
+// Trimmed text. `max` defaults to 255; empty strings fail unless `min` is 0.
+function string(options = {}) {
+    const { min = 1, max = 255, pattern, uppercase = false, lowercase = false, trim = true } = options;
+    return define((value, ctx) => {
+        if (typeof value !== 'string') {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be a string`, options));
+        }
+        let text = trim ? value.trim() : value;
+        if (uppercase) {
+            text = text.toUpperCase();
+        }
+        if (lowercase) {
+            text = text.toLowerCase();
+        }
+        if (text.length < min || text.length > max) {
+            return invalid(ctx, options, min > 0
+                ? `${ctx.label()} is required and must be at most ${max} characters`
+                : `${ctx.label()} must be at most ${max} characters`);
+        }
+        if (pattern && !pattern.test(text)) {
+            return invalid(ctx, options, `${ctx.label()} is not in the expected format`);
+        }
+        return text;
+    }, options);
+}
+
+function oneOf(values, options = {}) {
+    return define((value, ctx) => (
+        values.includes(value)
+            ? value
+            : invalid(ctx, options, `${ctx.label()} must be one of: ${values.join(', ')}`)
+    ), options);
+}
+
+function integer(options = {}) {
+    const { min = -2147483648, max = 2147483647 } = options;
+    return define((value, ctx) => {
+        const number = ctx.coerce && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be an integer between ${min} and ${max}`, options));
+        }
+        return number;
+    }, options);
+}
+
+// A SERIAL primary key. Digit strings are accepted everywhere: ids often
+// arrive as strings (data attributes, URLs).
+function id(options = {}) {
+    return define((value, ctx) => {
+        const text = String(value);
+        const number = /^\d+$/.test(text) && typeof value !== 'boolean' ? parseInt(text, 10) : 0;
+        if (!(number > 0 && number <= 2147483647)) {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be a positive integer id`, options));
+        }
+        return number;
+    }, options);
+}
+
+// A non-negative DECIMAL column value, returned as a string so it reaches
+// Postgres without going through a float. Numbers are accepted too.
+function decimal(options = {}) {
+    const { digits = 8, places = 2, positive = false } = options;
+    const pattern = new RegExp(`^\\d{1,${digits}}(\\.\\d{1,${places}})?$`);
+    return define((value, ctx) => {
+        const text = typeof value === 'number' ? String(value) : value;
+        if (typeof text !== 'string' || !pattern.test(text) || (positive && !(Number(text) > 0))) {
+            return invalid(ctx, options, orNull(
+                `${ctx.label()} must be a ${positive ? 'positive' : 'non-negative'} number with at most ${places} decimal places`,
+                options
+            ));
+        }
+        return text;
+    }, options);
+}
+
+function boolean(options = {}) {
+    return define((value, ctx) => {
+        if (ctx.coerce && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        return typeof value === 'boolean'
+            ? value
+            : invalid(ctx, options, `${ctx.label()} must be a boolean`);
+    }, options);
+}
+
+// ISO 8601 date or timestamp, parsed into a Date
+function timestamp(options = {}) {
+    return define((value, ctx) => {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be an ISO 8601 timestamp`, options));
+        }
+        return date;
+    }, options);
+}
+
+// A calendar day, YYYY-MM-DD, kept as that string (a DATE column value with
+// no time zone to shift it). Days that do not exist, like 2026-02-30, fail.
+function date(options = {}) {
+    return define((value, ctx) => {
+        const parsed = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? new Date(`${value}T00:00:00Z`)
+            : null;
+        if (!parsed || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be a date (YYYY-MM-DD)`, options));
+        }
+        return value;
+    }, options);
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function email(options = {}) {
+    return define((value, ctx) => {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (!EMAIL_PATTERN.test(text) || text.length > 255) {
+            return invalid(ctx, options, `${ctx.label()} must be a valid email address`);
+        }
+        return options.lowercase ? text.toLowerCase() : text;
+    }, options);
+}
+
+function url(options = {}) {
+    const { protocols = ['http:', 'https:'] } = options;
+    return define((value, ctx) => {
+        let parsed = null;
+        try {
+            parsed = typeof value === 'string' ? new URL(value) : null;
+        } catch (err) {
+            parsed = null;
+        }
+        if (!parsed || !protocols.includes(parsed.protocol) || value.length > 2048) {
+            return invalid(ctx, options, orNull(`${ctx.label()} must be an http(s) URL`, options));
+        }
+        return value;
+    }, options);
+}
+
+// `unique` drops repeated values (after parsing) instead of failing
+function array(item, options = {}) {
+    const { min = 0, max = 100, unique = false } = options;
+    return define((value, ctx) => {
+        if (!Array.isArray(value) || value.length < min || value.length > max) {
+            const size = min > 0 ? `${min} to ${max}` : `at most ${max}`;
+            return invalid(ctx, options, `${ctx.label()} must be an array of ${size} entries`);
+        }
+        const before = ctx.errors.length;
+        const parsed = value.map((entry, index) => ctx.at(index, () => item(entry, ctx)));
+        if (ctx.errors.length > before) {
+            return null;
+        }
+        return unique ? Array.from(new Set(parsed)) : parsed;
+    }, options);
+}
+
+// Comma-separated values in a query string (`?status=paid,packed`), each
+// parsed with `item`. An array is accepted too (`?status=paid&status=packed`).
+function list(item, options = {}) {
+    const { max = 20 } = options;
+    return define((value, ctx) => {
+        const values = (Array.isArray(value) ? value : String(value).split(','))
+            .map((entry) => (typeof entry === 'string' ? entry.trim() : entry))
+            .filter((entry) => entry !== '');
+        if (values.length > max) {
+            return invalid(ctx, options, `${ctx.label()} must list at most ${max} values`);
+        }
+        const before = ctx.errors.length;
+        const parsed = values.map((entry) => item(entry, ctx));
+        return ctx.errors.length > before ? null : Array.from(new Set(parsed));
+    }, options);
+}
+
+// `partial` makes every field optional without defaults (PATCH bodies).
+// `strict` rejects keys the shape does not name, where dropping a misspelt
+// field would quietly store a default instead (admin bodies).
+// `refine(parsed, fail)` checks rules across fields once they all parsed;
+// fail(field, message) reports against one of them.
+function object(shape, options = {}) {
+    const { partial = false, strict = false, refine } = options;
+    return define((value, ctx) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return invalid(ctx, options, ctx.path.length > 0
+                ? `${ctx.label()} must be an object`
+                : 'Request body must be a JSON object');
+        }
+
+        const before = ctx.errors.length;
+        const parsed = {};
+        Object.keys(shape).forEach((key) => {
+            if (partial && value[key] === undefined) {
+                return;
+            }
+            const result = ctx.at(key, () => shape[key](value[key], ctx));
+            if (result !== undefined) {
+                parsed[key] = result;
+            }
+        });
+        if (strict) {
+            Object.keys(value)
+                .filter((key) => !Object.prototype.hasOwnProperty.call(shape, key))
+                .forEach((key) => ctx.at(key, () => ctx.fail(`${key} is not a known field`)));
+        }
+
+        if (ctx.errors.length > before) {
+            return null;
+        }
+        if (refine) {
+            refine(parsed, (key, message) => ctx.at(key, () => ctx.fail(message)));
+        }
+        return parsed;
+    }, options);
+}
+
+// An object used as a map, such as { "size": "Large" }: every key must match
+// the `key` pattern and every value is parsed with `value`.
+function record(value, options = {}) {
+    const { key = /^.{1,255}$/, max = 20 } = options;
+    return define((input, ctx) => {
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return invalid(ctx, options, `${ctx.label()} must be an object`);
+        }
+        const names = Object.keys(input);
+        if (names.length > max) {
+            return invalid(ctx, options, `${ctx.label()} must have at most ${max} entries`);
+        }
+
+        const before = ctx.errors.length;
+        const entries = names.map((name) => ctx.at(name, () => {
+            if (!key.test(name)) {
+                ctx.fail(`${name} is not a valid name`);
+                return null;
+            }
+            return [name, value(input[name], ctx)];
+        }));
+        // fromEntries defines own properties, so even a "__proto__" key is data
+        return ctx.errors.length > before ? null : Object.fromEntries(entries);
+    }, options);
+}
+
+// `schema`, but the value may be left out (undefined, null or ''). For
+// reusing a required schema in a body where it is optional, such as an empty
+// discount code field.
+function optional(schema) {
+    return (value, ctx) => (value === undefined || value === null || value === ''
+        ? undefined
+        : schema(value, ctx));
+}
+
+const LOCATIONS = {
+    params: { coerce: true },
+    query: { coerce: true },
+    body: { coerce: false }
+};
+
+// Parse `value` against `schema`, throwing a 400 validation_failed error that
+// lists every problem. Also used outside of requests (e.g. Stripe metadata).
+function parse(schema, value, { location = 'body', message = 'Invalid request' } = {}) {
+    const ctx = createContext({ location, ...LOCATIONS[location] });
+    const parsed = schema(value, ctx);
+    if (ctx.errors.length > 0) {
+        throw new HttpError(400, message, ctx.errors, 'validation_failed');
+    }
+    return parsed;
+}
+
+// Middleware: parse `params`, `query` and `body` with their schemas (object
+// shapes or object schemas) and store the results at req.valid. All problems
+// across the three are reported together. `message` names the resource for
+// the error, e.g. 'Invalid shipping rate'.
+function validate(schemas, { message = 'Invalid request' } = {}) {
+    const compiled = {};
+    Object.keys(schemas).forEach((location) => {
+        if (!LOCATIONS[location]) {
+            throw new TypeError(`Unknown request location: ${location}`);
+        }
+        const schema = schemas[location];
+        compiled[location] = typeof schema === 'function' ? schema : object(schema);
+    });
+
+    return (req, res, next) => {
+        const valid = {};
+        const errors = [];
+        Object.keys(LOCATIONS).forEach((location) => {
+            if (!compiled[location]) {
+                return;
+            }
+            const ctx = createContext({ location, ...LOCATIONS[location] });
+            // No body parser ran (or no body was sent): validate an empty object
+            const value = location === 'body' && req.body === undefined ? {} : req[location];
+            valid[location] = compiled[location](value, ctx);
+            errors.push(...ctx.errors);
+        });
+
+        if (errors.length > 0) {
+            return next(new HttpError(400, message, errors, 'validation_failed'));
+        }
+        req.valid = valid;
+        next();
+    };
+}
+
+// page/limit as accepted by parsePagination in lib/http
+const PAGINATION = {
+    page: integer({ min: 1, optional: true }),
+    limit: integer({ min: 1, optional: true })
+};
+
+// Routes with a single `:id` param
+const ID_PARAMS = { id: id() };
+
+module.exports = {
+    string,
+    oneOf,
+    integer,
+    id,
+    decimal,
+    boolean,
+    timestamp,
+    date,
+    email,
+    url,
+    array,
+    list,
+    object,
+    record,
+    optional,
+    parse,
+    validate,
+    PAGINATION,
+    ID_PARAMS
+};
@@ -0,0 +1,117 @@
+const { insertRow, updateRow } = require('./rows');
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_COLUMNS = `
+    id, customer_id, label, name, line1, line2, city, region, postal_code,
+    country, phone, is_default, created_at, updated_at
+`;
+
+// Columns a customer may set; `fields` holds already-validated values
+const WRITABLE_COLUMNS = [
+    'label', 'name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone', 'is_default'
+];
+
+function serializeAddress(row) {
+    return {
+        id: row.id,
+        label: row.label,
+        name: row.name,
+        line1: row.line1,
+        line2: row.line2,
+        city: row.city,
+        region: row.region,
+        postal_code: row.postal_code,
+        country: row.country,
+        phone: row.phone,
+        is_default: row.is_default,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// The default address first
+async function listAddresses(db, customerId) {
+    const { rows } = await db.query(
+        `SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+         WHERE customer_id = $1
+         ORDER BY is_default DESC, id`,
+        [customerId]
+    );
+    return rows;
+}
+
+async function findAddress(db, customerId, id) {
+    const { rows } = await db.query(
+        `SELECT ${ADDRESS_COLUMNS} FROM customer_addresses WHERE id = $1 AND customer_id = $2`,
+        [id, customerId]
+    );
+    return rows[0] || null;
+}
+
+// Making an address the default takes it away from the previous one
+// (idx_customer_addresses_default allows one). Run inside a transaction.
+async function clearDefaultAddress(tx, customerId) {
+    await tx.query(
+        'UPDATE customer_addresses SET is_default = false WHERE customer_id = $1 AND is_default',
+        [customerId]
+    );
+}
+
+// A customer's first address becomes the default. Resolves to null when they
+// already have MAX_ADDRESSES. Run inside a transaction: the customer row is
+// locked so that concurrent requests cannot pass the limit together.
+async function createAddress(tx, customerId, fields) {
+    await tx.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+    const { rows } = await tx.query(
+        'SELECT COUNT(*)::int AS count FROM customer_addresses WHERE customer_id = $1',
+        [customerId]
+    );
+    if (rows[0].count >= MAX_ADDRESSES) {
+        return null;
+    }
+    const isDefault = fields.is_default || rows[0].count === 0;
+    if (isDefault) {
+        await clearDefaultAddress(tx, customerId);
+    }
+    return insertRow(tx, 'customer_addresses', ['customer_id', ...WRITABLE_COLUMNS], ADDRESS_COLUMNS, {
+        ...fields,
+        customer_id: customerId,
+        is_default: isDefault
+    });
+}
+
+// updated_at is maintained by the customer_addresses_updated_at trigger
+async function updateAddress(tx, customerId, id, fields) {
+    if (fields.is_default) {
+        await clearDefaultAddress(tx, customerId);
+    }
+    return updateRow(tx, 'customer_addresses', WRITABLE_COLUMNS, ADDRESS_COLUMNS, id, fields);
+}
+
+// Deleting the default makes the newest remaining address the default. Run
+// inside a transaction.
+async function deleteAddress(tx, customerId, id) {
+    const { rows } = await tx.query(
+        `DELETE FROM customer_addresses WHERE id = $1 AND customer_id = $2 RETURNING ${ADDRESS_COLUMNS}`,
+        [id, customerId]
+    );
+    if (rows[0] && rows[0].is_default) {
+        await tx.query(
+            `UPDATE customer_addresses SET is_default = true
+             WHERE id = (SELECT MAX(id) FROM customer_addresses WHERE customer_id = $1)`,
+            [customerId]
+        );
+    }
+    return rows[0] || null;
+}
+
+module.exports = {
+    MAX_ADDRESSES,
+    serializeAddress,
+    listAddresses,
+    findAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress
+};
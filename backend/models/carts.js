@@ -0,0 +1,196 @@
+const { toCents, formatCents } = require('../lib/money');
+const { rentalDays, rentalCharge } = require('../lib/rentals');
+const { variantLabel, variantName } = require('./variants');
+
+// A line is a variant bought, or a variant rented for a period ({ startDate,
+// endDate }, see lib/rentals); `rental` is null for purchases. This matches
+// the cart_items_line index, which ON CONFLICT below relies on.
+const LINE_KEY = `(cart_id, variant_id, COALESCE(rental_start, '-infinity'::date), COALESCE(rental_end, '-infinity'::date))`;
+
+const rentalParams = (rental) => (rental ? [rental.startDate, rental.endDate] : [null, null]);
+
+async function findCartByTokenHash(db, tokenHash) {
+    const { rows } = await db.query(
+        'SELECT id, created_at, updated_at FROM carts WHERE token_hash = $1',
+        [tokenHash]
+    );
+    return rows[0] || null;
+}
+
+async function createCart(db, tokenHash) {
+    const { rows } = await db.query(
+        'INSERT INTO carts (token_hash) VALUES ($1) RETURNING id, created_at, updated_at',
+        [tokenHash]
+    );
+    return rows[0];
+}
+
+// Lines for variants that are still on sale, with current prices and the
+// product's main image thumbnail, if it has gallery images. Lines for
+// deactivated variants or products, and rentals of variants without a
+// rental plan, stay in the table but are not returned.
+async function getCartLines(db, cartId) {
+    const { rows } = await db.query(
+        `SELECT ci.variant_id, ci.product_id, ci.quantity, pv.sku, pv.options, p.name,
+                COALESCE(pv.price, p.price) AS price, p.image_url, pv.inventory,
+                ci.rental_start::text AS rental_start, ci.rental_end::text AS rental_end,
+                rp.daily_rate, rp.weekly_rate, rp.deposit AS rental_deposit,
+                (SELECT pm.sizes -> 'thumbnail' ->> 'key' FROM product_media pm
+                 WHERE pm.product_id = p.id
+                 ORDER BY pm.position, pm.id LIMIT 1) AS thumbnail_key
+         FROM cart_items ci
+         JOIN product_variants pv ON pv.id = ci.variant_id AND pv.active = true
+         JOIN products p ON p.id = pv.product_id AND p.active = true
+         LEFT JOIN rental_plans rp ON rp.variant_id = ci.variant_id AND ci.rental_start IS NOT NULL
+         WHERE ci.cart_id = $1 AND (ci.rental_start IS NULL OR rp.id IS NOT NULL)
+         ORDER BY ci.created_at, ci.variant_id, ci.rental_start`,
+        [cartId]
+    );
+    return rows;
+}
+
+// The cart item (see CART_ITEM in lib/cart) a line stands for
+function cartLineItem(line) {
+    return line.rental_start === null
+        ? { variantId: line.variant_id, quantity: line.quantity }
+        : {
+            variantId: line.variant_id,
+            quantity: line.quantity,
+            rental: { startDate: line.rental_start, endDate: line.rental_end }
+        };
+}
+
+async function addCartItem(db, cartId, variantId, quantity, maxQuantity, rental = null) {
+    await db.query(
+        `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, rental_start, rental_end)
+         SELECT $1, pv.product_id, pv.id, LEAST($3::int, $4::int), $5, $6
+         FROM product_variants pv WHERE pv.id = $2
+         ON CONFLICT ${LINE_KEY} DO UPDATE
+         SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $4::int)`,
+        [cartId, variantId, quantity, maxQuantity, ...rentalParams(rental)]
+    );
+    await touchCart(db, cartId);
+}
+
+async function setCartItem(db, cartId, variantId, quantity, rental = null) {
+    await db.query(
+        `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, rental_start, rental_end)
+         SELECT $1, pv.product_id, pv.id, $3, $4, $5
+         FROM product_variants pv WHERE pv.id = $2
+         ON CONFLICT ${LINE_KEY} DO UPDATE SET quantity = EXCLUDED.quantity`,
+        [cartId, variantId, quantity, ...rentalParams(rental)]
+    );
+    await touchCart(db, cartId);
+}
+
+// Copy a browser's local cart into its new server cart (see POST
+// /api/cart/merge, which leaves an existing server cart as it is). A line
+// already there keeps the larger quantity, so the same local cart copied
+// twice never doubles it. `items` are resolved cart items (see
+// resolveCartItems in lib/cart), rentals included.
+async function mergeCartItems(db, cartId, items) {
+    if (items.length === 0) {
+        return;
+    }
+    const periods = items.map((item) => rentalParams(item.rental));
+    await db.query(
+        `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, rental_start, rental_end)
+         SELECT $1, pv.product_id, pv.id, item.quantity, item.rental_start, item.rental_end
+         FROM UNNEST($2::int[], $3::int[], $4::date[], $5::date[])
+             AS item(variant_id, quantity, rental_start, rental_end)
+         JOIN product_variants pv ON pv.id = item.variant_id AND pv.active = true
+         JOIN products p ON p.id = pv.product_id AND p.active = true
+         ON CONFLICT ${LINE_KEY} DO UPDATE
+         SET quantity = GREATEST(cart_items.quantity, EXCLUDED.quantity)`,
+        [
+            cartId,
+            items.map((item) => item.variantId),
+            items.map((item) => item.quantity),
+            periods.map(([start]) => start),
+            periods.map(([, end]) => end)
+        ]
+    );
+    await touchCart(db, cartId);
+}
+
+// Removes the purchase line of the variant, or with `rental` that rental line
+async function removeCartItem(db, cartId, variantId, rental = null) {
+    await db.query(
+        `DELETE FROM cart_items
+         WHERE cart_id = $1 AND variant_id = $2
+           AND rental_start IS NOT DISTINCT FROM $3::date AND rental_end IS NOT DISTINCT FROM $4::date`,
+        [cartId, variantId, ...rentalParams(rental)]
+    );
+    await touchCart(db, cartId);
+}
+
+async function clearCartItems(db, cartId) {
+    await db.query('DELETE FROM cart_items WHERE cart_id = $1', [cartId]);
+    await touchCart(db, cartId);
+}
+
+// carts.updated_at records the cart's last activity
+async function touchCart(db, cartId) {
+    await db.query('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [cartId]);
+}
+
+// `storage` builds the thumbnail URLs (see lib/media-storage). A rental
+// line's price is its charge per unit for the whole period and it carries
+// the period and deposit per unit; its availability is only checked by the
+// cart summary and at checkout, so in_stock is always true.
+function serializeCart(lines, storage) {
+    const items = lines.map((line) => {
+        const item = {
+            variantId: line.variant_id,
+            productId: line.product_id,
+            sku: line.sku,
+            options: line.options,
+            label: variantLabel(line.options),
+            name: variantName(line),
+            image_url: line.thumbnail_key ? storage.url(line.thumbnail_key) : line.image_url,
+            quantity: line.quantity
+        };
+        if (line.rental_start === null) {
+            const unitAmount = toCents(line.price);
+            return {
+                ...item,
+                price: line.price,
+                price_cents: unitAmount,
+                in_stock: line.inventory === null || line.inventory >= line.quantity
+            };
+        }
+        const rental = { startDate: line.rental_start, endDate: line.rental_end };
+        const unitAmount = rentalCharge(line, rentalDays(rental));
+        const deposit = toCents(line.rental_deposit);
+        return {
+            ...item,
+            price: formatCents(unitAmount),
+            price_cents: unitAmount,
+            in_stock: true,
+            rental: { ...rental, deposit: formatCents(deposit), deposit_cents: deposit }
+        };
+    });
+    const subtotal = items.reduce((sum, item) => sum + item.price_cents * item.quantity, 0);
+    const deposit = items.reduce((sum, item) => sum + (item.rental ? item.rental.deposit_cents * item.quantity : 0), 0);
+    return {
+        items,
+        count: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: formatCents(subtotal),
+        subtotal_cents: subtotal,
+        deposit: formatCents(deposit),
+        deposit_cents: deposit
+    };
+}
+
+module.exports = {
+    findCartByTokenHash,
+    createCart,
+    getCartLines,
+    cartLineItem,
+    addCartItem,
+    setCartItem,
+    mergeCartItems,
+    removeCartItem,
+    clearCartItems,
+    serializeCart
+};
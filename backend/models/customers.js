@@ -0,0 +1,185 @@
+const { updateRow } = require('./rows');
+const { ORDER_COLUMNS } = require('./orders');
+
+// password_hash is left out; only findCustomerByEmail returns it, for login
+const CUSTOMER_COLUMNS = `
+    id, email, name, email_verified_at, last_login_at, created_at, updated_at
+`;
+
+function serializeCustomer(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        email_verified: row.email_verified_at !== null,
+        created_at: row.created_at
+    };
+}
+
+async function findCustomer(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Emails are matched case-insensitively (idx_customers_email)
+async function findCustomerByEmail(db, email) {
+    const { rows } = await db.query(
+        `SELECT ${CUSTOMER_COLUMNS}, password_hash FROM customers WHERE LOWER(email) = LOWER($1)`,
+        [email]
+    );
+    return rows[0] || null;
+}
+
+// Resolves to null when the email already has an account
+async function createCustomer(db, { email, name, passwordHash }) {
+    const { rows } = await db.query(
+        `INSERT INTO customers (email, name, password_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (LOWER(email)) DO NOTHING
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [email, name, passwordHash]
+    );
+    return rows[0] || null;
+}
+
+// updated_at is maintained by the customers_updated_at trigger
+function updateCustomer(db, id, fields) {
+    return updateRow(db, 'customers', ['name'], CUSTOMER_COLUMNS, id, fields);
+}
+
+async function setPasswordHash(db, id, passwordHash) {
+    await db.query('UPDATE customers SET password_hash = $2 WHERE id = $1', [id, passwordHash]);
+}
+
+async function markEmailVerified(db, id) {
+    const { rows } = await db.query(
+        `UPDATE customers SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $1
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// A new session; the customer's expired ones are cleared out on the way
+async function createSession(db, customerId, tokenHash, expiresAt) {
+    await db.query(
+        'DELETE FROM customer_sessions WHERE customer_id = $1 AND expires_at <= CURRENT_TIMESTAMP',
+        [customerId]
+    );
+    await db.query(
+        `INSERT INTO customer_sessions (customer_id, token_hash, expires_at) VALUES ($1, $2, $3)`,
+        [customerId, tokenHash, expiresAt]
+    );
+    await db.query('UPDATE customers SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [customerId]);
+}
+
+// The customer behind an unexpired session token hash, or null
+async function findSessionCustomer(db, tokenHash) {
+    const { rows } = await db.query(
+        `SELECT ${CUSTOMER_COLUMNS} FROM customers
+         WHERE id = (
+             SELECT customer_id FROM customer_sessions
+             WHERE token_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+         )`,
+        [tokenHash]
+    );
+    return rows[0] || null;
+}
+
+async function deleteSession(db, tokenHash) {
+    await db.query('DELETE FROM customer_sessions WHERE token_hash = $1', [tokenHash]);
+}
+
+// Signs the customer out everywhere (after a password change or reset)
+async function deleteSessions(db, customerId) {
+    await db.query('DELETE FROM customer_sessions WHERE customer_id = $1', [customerId]);
+}
+
+// A new emailed token for `purpose`; any earlier unused one stops working
+async function createCustomerToken(db, customerId, purpose, tokenHash, expiresAt) {
+    await db.query(
+        'DELETE FROM customer_tokens WHERE customer_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [customerId, purpose]
+    );
+    await db.query(
+        `INSERT INTO customer_tokens (customer_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [customerId, purpose, tokenHash, expiresAt]
+    );
+}
+
+// Use up an emailed token. Resolves to its customer id, or null when the
+// token is unknown, expired or already used.
+async function consumeCustomerToken(db, purpose, tokenHash) {
+    const { rows } = await db.query(
+        `UPDATE customer_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2
+           AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING customer_id`,
+        [tokenHash, purpose]
+    );
+    return rows[0] ? rows[0].customer_id : null;
+}
+
+// The customer's orders: those placed while signed in, plus guest orders
+// under the account's email in any case (idx_orders_email_lower) once it has
+// been verified. Appends its values to `params`.
+function customerOrdersWhere(customer, params) {
+    params.push(customer.id);
+    if (!customer.email_verified_at) {
+        return `customer_id = $${params.length}`;
+    }
+    params.push(customer.email);
+    return `(customer_id = $${params.length - 1} OR LOWER(customer_email) = LOWER($${params.length}))`;
+}
+
+async function listCustomerOrders(db, customer, { limit, offset }) {
+    const params = [];
+    const whereSql = customerOrdersWhere(customer, params);
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM orders WHERE ${whereSql}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${ORDER_COLUMNS} FROM orders
+         WHERE ${whereSql}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+async function findCustomerOrder(db, customer, orderId) {
+    const params = [orderId];
+    const whereSql = customerOrdersWhere(customer, params);
+    const { rows } = await db.query(
+        `SELECT ${ORDER_COLUMNS} FROM orders WHERE id = $1 AND ${whereSql}`,
+        params
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    serializeCustomer,
+    findCustomer,
+    findCustomerByEmail,
+    createCustomer,
+    updateCustomer,
+    setPasswordHash,
+    markEmailVerified,
+    createSession,
+    findSessionCustomer,
+    deleteSession,
+    deleteSessions,
+    createCustomerToken,
+    consumeCustomerToken,
+    listCustomerOrders,
+    findCustomerOrder
+};
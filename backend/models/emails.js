@@ -0,0 +1,145 @@
+const EMAIL_COLUMNS = `
+    id, order_id, kind, recipient, status, attempts, last_error, last_attempt_at,
+    next_attempt_at, subject, message_id, sent_at, created_at, updated_at
+`;
+
+function serializeOrderEmail(row) {
+    return {
+        id: row.id,
+        order_id: row.order_id,
+        kind: row.kind,
+        recipient: row.recipient,
+        status: row.status,
+        attempts: row.attempts,
+        last_error: row.last_error,
+        last_attempt_at: row.last_attempt_at,
+        next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+        subject: row.subject,
+        message_id: row.message_id,
+        sent_at: row.sent_at,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Queue an email for an order. Run in the transaction that made the change
+// it reports; a message of the same kind already queued or sent for the order
+// is left alone. Resolves to the new row, or null.
+async function queueOrderEmail(db, orderId, kind, recipient) {
+    const { rows } = await db.query(
+        `INSERT INTO order_emails (order_id, kind, recipient)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (order_id, kind) DO NOTHING
+         RETURNING ${EMAIL_COLUMNS}`,
+        [orderId, kind, recipient]
+    );
+    return rows[0] || null;
+}
+
+// Claim up to `limit` due messages, counting the attempt up front. The claim
+// pushes next_attempt_at out by `leaseSeconds`, so another instance skips the
+// rows and a sender that dies mid-send has them picked up again later.
+async function claimDueEmails(db, limit, leaseSeconds) {
+    const { rows } = await db.query(
+        `UPDATE order_emails
+         SET attempts = attempts + 1,
+             last_attempt_at = CURRENT_TIMESTAMP,
+             next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+         WHERE id IN (
+             SELECT id FROM order_emails
+             WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+             ORDER BY next_attempt_at, id
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING ${EMAIL_COLUMNS}`,
+        [limit, leaseSeconds]
+    );
+    return rows.sort((a, b) => a.id - b.id);
+}
+
+async function markEmailSent(db, id, { subject, messageId }) {
+    await db.query(
+        `UPDATE order_emails
+         SET status = 'sent', sent_at = CURRENT_TIMESTAMP, subject = $2,
+             message_id = $3, last_error = NULL
+         WHERE id = $1`,
+        [id, subject, messageId || null]
+    );
+}
+
+// Record a failed attempt: retried after `retryInSeconds`, or given up on
+// (status failed) when that is null.
+async function markEmailFailed(db, id, error, retryInSeconds) {
+    await db.query(
+        `UPDATE order_emails
+         SET status = CASE WHEN $3::int IS NULL THEN 'failed' ELSE 'pending' END,
+             last_error = $2,
+             next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => COALESCE($3::int, 0))
+         WHERE id = $1`,
+        [id, error, retryInSeconds]
+    );
+}
+
+// Filters: status, orderId
+async function listOrderEmails(db, { status, orderId, limit, offset }) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (status) {
+        add('status = ?', status);
+    }
+    if (orderId) {
+        add('order_id = ?', orderId);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM order_emails ${whereSql}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${EMAIL_COLUMNS} FROM order_emails
+         ${whereSql}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    return { rows, total: countResult.rows[0].total };
+}
+
+async function findOrderEmail(db, id) {
+    const { rows } = await db.query(`SELECT ${EMAIL_COLUMNS} FROM order_emails WHERE id = $1`, [id]);
+    return rows[0] || null;
+}
+
+// Put a failed message back in the queue with a fresh set of attempts.
+// Resolves to null when the message is not failed.
+async function retryOrderEmail(db, id) {
+    const { rows } = await db.query(
+        `UPDATE order_emails
+         SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'failed'
+         RETURNING ${EMAIL_COLUMNS}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    serializeOrderEmail,
+    queueOrderEmail,
+    claimDueEmails,
+    markEmailSent,
+    markEmailFailed,
+    listOrderEmails,
+    findOrderEmail,
+    retryOrderEmail
+};
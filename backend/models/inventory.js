@@ -0,0 +1,153 @@
+// Inventory reservations.
+//
+// `product_variants.inventory` is the stock still available to sell. Creating
+// a checkout session moves stock out of it into a `reserved` reservation; a
+// paid session turns the reservation `committed`; an expired, failed or
+// refunded session `released`s it and the stock is returned. Variants with a
+// NULL inventory are not tracked and never reserved.
+
+// Must run inside a transaction that already holds the variant rows
+// (see findVariantsByIds with `forUpdate`).
+async function reserveInventory(client, reference, lines, expiresAt) {
+    const tracked = lines.filter((line) => line.inventory !== null);
+
+    for (const line of tracked) {
+        const result = await client.query(
+            `UPDATE product_variants SET inventory = inventory - $2
+             WHERE id = $1 AND inventory >= $2`,
+            [line.variantId, line.quantity]
+        );
+        if (result.rowCount !== 1) {
+            throw new Error(`Inventory for variant ${line.variantId} changed while reserving`);
+        }
+
+        await client.query(
+            `INSERT INTO inventory_reservations (reference, product_id, variant_id, quantity, status, expires_at)
+             VALUES ($1, $2, $3, $4, 'reserved', $5)`,
+            [reference, line.productId, line.variantId, line.quantity, expiresAt]
+        );
+    }
+}
+
+async function attachSession(db, reference, stripeSessionId) {
+    await db.query(
+        `UPDATE inventory_reservations
+         SET stripe_session_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE reference = $1`,
+        [reference, stripeSessionId]
+    );
+}
+
+// Mark a reservation committed. A reservation that was already released (the
+// sweeper gave up on a session whose completion event arrived late) takes its
+// stock back, clamped at zero; the returned `shortfall` rows are oversold.
+//
+// UPDATE ... FROM applies at most one `retaken` row to each variant, which is
+// only right while a reference holds one row per variant: the unique
+// (reference, variant_id) index guarantees it, and resolveCartItems in
+// lib/cart merges a cart's lines so reserveInventory never trips over it.
+// releaseWhere below relies on the same.
+async function commitReservation(db, reference) {
+    await db.query(
+        `UPDATE inventory_reservations
+         SET status = 'committed', updated_at = CURRENT_TIMESTAMP
+         WHERE reference = $1 AND status = 'reserved'`,
+        [reference]
+    );
+
+    const { rows } = await db.query(
+        `WITH retaken AS (
+             UPDATE inventory_reservations
+             SET status = 'committed', updated_at = CURRENT_TIMESTAMP
+             WHERE reference = $1 AND status = 'released'
+             RETURNING variant_id, quantity
+         )
+         UPDATE product_variants pv
+         SET inventory = GREATEST(pv.inventory - r.quantity, 0)
+         FROM retaken r
+         WHERE pv.id = r.variant_id
+         RETURNING pv.product_id, pv.id AS variant_id, pv.sku, r.quantity, pv.inventory`,
+        [reference]
+    );
+    return rows;
+}
+
+function releaseWhere(db, column, value, fromStatuses) {
+    return db.query(
+        `WITH released AS (
+             UPDATE inventory_reservations
+             SET status = 'released', updated_at = CURRENT_TIMESTAMP
+             WHERE ${column} = $1 AND status = ANY($2::text[])
+             RETURNING variant_id, quantity
+         )
+         UPDATE product_variants pv
+         SET inventory = pv.inventory + r.quantity
+         FROM released r
+         WHERE pv.id = r.variant_id
+         RETURNING pv.product_id, pv.id AS variant_id, r.quantity`,
+        [value, fromStatuses]
+    ).then((result) => result.rows);
+}
+
+// Return reserved stock to product_variants.inventory. A single statement, so the
+// reservation and the stock move together without an explicit transaction.
+function releaseReservation(db, reference, fromStatuses = ['reserved']) {
+    return releaseWhere(db, 'reference', reference, fromStatuses);
+}
+
+// Same, for the reservation attached to a Checkout Session (orders only know
+// their session id).
+function releaseSessionReservation(db, stripeSessionId, fromStatuses = ['reserved']) {
+    return releaseWhere(db, 'stripe_session_id', stripeSessionId, fromStatuses);
+}
+
+// Release reservations whose checkout session expired more than `graceMinutes`
+// ago without Stripe telling us. Safety net for lost webhook deliveries.
+async function releaseExpiredReservations(db, graceMinutes) {
+    const { rows } = await db.query(
+        `WITH released AS (
+             UPDATE inventory_reservations
+             SET status = 'released', updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'reserved'
+               AND expires_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+             RETURNING variant_id, quantity
+         ), totals AS (
+             SELECT variant_id, SUM(quantity)::int AS quantity
+             FROM released
+             GROUP BY variant_id
+         )
+         UPDATE product_variants pv
+         SET inventory = pv.inventory + t.quantity
+         FROM totals t
+         WHERE pv.id = t.variant_id
+         RETURNING pv.product_id, pv.id AS variant_id, t.quantity`,
+        [graceMinutes]
+    );
+    return rows;
+}
+
+// Stock of an active product's active variants, in variant order
+async function getAvailability(db, productId) {
+    const { rows } = await db.query(
+        `SELECT pv.id, pv.sku, pv.options, pv.inventory,
+                COALESCE(SUM(r.quantity) FILTER (WHERE r.status = 'reserved'), 0)::int AS reserved
+         FROM product_variants pv
+         JOIN products p ON p.id = pv.product_id AND p.active = true
+         LEFT JOIN inventory_reservations r ON r.variant_id = pv.id
+         WHERE pv.product_id = $1 AND pv.active = true
+         GROUP BY pv.id
+         ORDER BY pv.position, pv.id`,
+        [productId]
+    );
+    return rows;
+}
+
+module.exports = {
+    reserveInventory,
+    attachSession,
+    commitReservation,
+    releaseReservation,
+    releaseSessionReservation,
+    releaseExpiredReservations,
+    getAvailability
+};
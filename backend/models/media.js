@@ -0,0 +1,113 @@
+const { updateRow } = require('./rows');
+
+const MEDIA_COLUMNS = `
+    id, product_id, sizes, content_type, byte_size, original_filename, alt_text,
+    position, created_at, updated_at
+`;
+
+// `storage` turns the stored keys into URLs (see lib/media-storage)
+function serializeMedia(row, storage) {
+    const urls = {};
+    Object.entries(row.sizes).forEach(([name, size]) => {
+        urls[name] = storage.url(size.key);
+    });
+    return {
+        id: row.id,
+        alt_text: row.alt_text,
+        position: row.position,
+        width: row.sizes.original.width,
+        height: row.sizes.original.height,
+        urls
+    };
+}
+
+// Admin view: also the upload's details
+function serializeAdminMedia(row, storage) {
+    return {
+        ...serializeMedia(row, storage),
+        product_id: row.product_id,
+        content_type: row.content_type,
+        byte_size: row.byte_size,
+        original_filename: row.original_filename,
+        sizes: row.sizes,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function listMedia(db, productIds) {
+    const { rows } = await db.query(
+        `SELECT ${MEDIA_COLUMNS} FROM product_media
+         WHERE product_id = ANY($1::int[])
+         ORDER BY product_id, position, id`,
+        [productIds]
+    );
+    return rows;
+}
+
+// Products rows with their images, in gallery order, at `media`
+async function attachMedia(db, products) {
+    const rows = products.length > 0 ? await listMedia(db, products.map((product) => product.id)) : [];
+    const byProduct = new Map(products.map((product) => [product.id, []]));
+    rows.forEach((row) => byProduct.get(row.product_id).push(row));
+    return products.map((product) => ({ ...product, media: byProduct.get(product.id) }));
+}
+
+async function findMedia(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${MEDIA_COLUMNS} FROM product_media WHERE id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// New images go to the end of the gallery
+async function createMedia(db, productId, { sizes, contentType, byteSize, originalFilename, altText }) {
+    const { rows } = await db.query(
+        `INSERT INTO product_media (product_id, sizes, content_type, byte_size, original_filename, alt_text, position)
+         SELECT $1, $2, $3, $4, $5, $6, COALESCE(MAX(position) + 1, 0)
+         FROM product_media WHERE product_id = $1
+         RETURNING ${MEDIA_COLUMNS}`,
+        [productId, sizes, contentType, byteSize, originalFilename, altText]
+    );
+    return rows[0];
+}
+
+// updated_at is maintained by the product_media_updated_at trigger
+function updateMedia(db, id, fields) {
+    return updateRow(db, 'product_media', ['alt_text', 'position'], MEDIA_COLUMNS, id, fields);
+}
+
+// Resolves to the deleted row, whose stored files are then the caller's to remove
+async function deleteMedia(db, id) {
+    const { rows } = await db.query(
+        `DELETE FROM product_media WHERE id = $1 RETURNING ${MEDIA_COLUMNS}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Put a product's images in the order of `ids`, which must list all of them
+async function reorderMedia(db, productId, ids) {
+    const { rows } = await db.query(
+        `UPDATE product_media pm
+         SET position = ordered.position - 1
+         FROM UNNEST($2::int[]) WITH ORDINALITY AS ordered(id, position)
+         WHERE pm.id = ordered.id AND pm.product_id = $1
+         RETURNING pm.id`,
+        [productId, ids]
+    );
+    return rows.length;
+}
+
+module.exports = {
+    serializeMedia,
+    serializeAdminMedia,
+    listMedia,
+    attachMedia,
+    findMedia,
+    createMedia,
+    updateMedia,
+    deleteMedia,
+    reorderMedia
+};
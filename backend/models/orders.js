@@ -0,0 +1,241 @@
+const { toCents } = require('../lib/money');
+
+const ORDER_COLUMNS = `
+    id, stripe_session_id, customer_id, customer_email, customer_name, amount, subtotal,
+    discount, shipping, tax, deposit, tax_exemption_certificate, status,
+    tracking_number, carrier, shipping_address, items, created_at, updated_at
+`;
+
+const optionalCents = (value) => (value === null ? null : toCents(value));
+
+function serializeOrder(row) {
+    return {
+        id: row.id,
+        stripe_session_id: row.stripe_session_id,
+        customer_id: row.customer_id,
+        customer_email: row.customer_email,
+        customer_name: row.customer_name,
+        amount: row.amount,
+        amount_cents: toCents(row.amount),
+        subtotal: row.subtotal,
+        subtotal_cents: optionalCents(row.subtotal),
+        discount: row.discount,
+        discount_cents: optionalCents(row.discount),
+        shipping: row.shipping,
+        shipping_cents: optionalCents(row.shipping),
+        tax: row.tax,
+        tax_cents: optionalCents(row.tax),
+        deposit: row.deposit,
+        deposit_cents: optionalCents(row.deposit),
+        tax_exemption_certificate: row.tax_exemption_certificate,
+        status: row.status,
+        tracking_number: row.tracking_number,
+        carrier: row.carrier,
+        shipping_address: row.shipping_address,
+        items: row.items,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function serializeHistory(row) {
+    return {
+        from_status: row.from_status,
+        to_status: row.to_status,
+        actor: row.actor,
+        note: row.note,
+        tracking_number: row.tracking_number,
+        created_at: row.created_at
+    };
+}
+
+async function recordHistory(db, orderId, fromStatus, toStatus, { actor, note = null, trackingNumber = null }) {
+    await db.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, actor, note, tracking_number)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [orderId, fromStatus, toStatus, actor, note, trackingNumber]
+    );
+}
+
+// Insert the order for a completed Checkout Session, or bring an existing row
+// up to date. Stripe retries webhooks and may deliver events out of order, so
+// the update only applies while the order is still pending: a retried
+// `completed` event can never roll back a later status such as `refunded`.
+// Run inside a transaction so the history row is written with the order;
+// `note`, if any, goes on that row.
+async function upsertCompletedOrder(tx, order) {
+    const { rows } = await tx.query(
+        `INSERT INTO orders (
+             stripe_session_id, customer_email, customer_name, amount, status,
+             shipping_address, items, subtotal, discount, shipping, tax,
+             tax_exemption_certificate, customer_id, deposit
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         ON CONFLICT (stripe_session_id) DO UPDATE SET
+             customer_id = COALESCE(EXCLUDED.customer_id, orders.customer_id),
+             customer_email = EXCLUDED.customer_email,
+             customer_name = EXCLUDED.customer_name,
+             amount = EXCLUDED.amount,
+             subtotal = EXCLUDED.subtotal,
+             discount = EXCLUDED.discount,
+             shipping = EXCLUDED.shipping,
+             tax = EXCLUDED.tax,
+             deposit = EXCLUDED.deposit,
+             tax_exemption_certificate = EXCLUDED.tax_exemption_certificate,
+             status = EXCLUDED.status,
+             shipping_address = EXCLUDED.shipping_address,
+             items = EXCLUDED.items
+         WHERE orders.status = 'pending'
+         RETURNING ${ORDER_COLUMNS}, (xmax = 0) AS inserted`,
+        [
+            order.stripeSessionId,
+            order.customerEmail,
+            order.customerName,
+            order.amount,
+            order.status,
+            order.shippingAddress ? JSON.stringify(order.shippingAddress) : null,
+            JSON.stringify(order.items),
+            order.subtotal,
+            order.discount,
+            order.shipping,
+            order.tax,
+            order.taxExemptionCertificate,
+            order.customerId || null,
+            order.deposit === undefined ? null : order.deposit
+        ]
+    );
+
+    const row = rows[0];
+    if (row && row.inserted) {
+        await recordHistory(tx, row.id, null, row.status, { actor: 'stripe', note: order.note });
+    } else if (row && row.status !== 'pending') {
+        await recordHistory(tx, row.id, 'pending', row.status, { actor: 'stripe', note: order.note });
+    }
+    return row || null;
+}
+
+// Insert the order for an accepted quote: no Checkout Session, invoiced on
+// net 30 terms. Run inside a transaction so the history row is written with
+// the order.
+async function createInvoicedOrder(tx, order) {
+    const { rows } = await tx.query(
+        `INSERT INTO orders (
+             customer_id, customer_email, customer_name, amount, status,
+             shipping_address, items, subtotal, discount, shipping, tax
+         ) VALUES ($1, $2, $3, $4, 'net_30', $5, $6, $7, $8, $9, $10)
+         RETURNING ${ORDER_COLUMNS}`,
+        [
+            order.customerId,
+            order.customerEmail,
+            order.customerName,
+            order.amount,
+            JSON.stringify(order.shippingAddress),
+            JSON.stringify(order.items),
+            order.subtotal,
+            order.discount,
+            order.shipping,
+            order.tax
+        ]
+    );
+    await recordHistory(tx, rows[0].id, null, 'net_30', { actor: 'customer', note: order.note });
+    return rows[0];
+}
+
+// Lock an order row for a status change; `where` is { id } or { stripeSessionId }.
+async function lockOrder(tx, where) {
+    const [column, value] = where.id !== undefined
+        ? ['id', where.id]
+        : ['stripe_session_id', where.stripeSessionId];
+    const { rows } = await tx.query(
+        `SELECT ${ORDER_COLUMNS} FROM orders WHERE ${column} = $1 FOR UPDATE`,
+        [value]
+    );
+    return rows[0] || null;
+}
+
+// Apply an already-validated transition (see lib/order-status) to a locked
+// order and append it to the order's history.
+async function applyTransition(tx, order, toStatus, { actor, note, trackingNumber, carrier }) {
+    const { rows } = await tx.query(
+        `UPDATE orders
+         SET status = $2,
+             tracking_number = COALESCE($3, tracking_number),
+             carrier = COALESCE($4, carrier)
+         WHERE id = $1
+         RETURNING ${ORDER_COLUMNS}`,
+        [order.id, toStatus, trackingNumber || null, carrier || null]
+    );
+    await recordHistory(tx, order.id, order.status, toStatus, { actor, note, trackingNumber });
+    return rows[0];
+}
+
+async function getOrderHistory(db, orderId) {
+    const { rows } = await db.query(
+        `SELECT from_status, to_status, actor, note, tracking_number, created_at
+         FROM order_status_history
+         WHERE order_id = $1
+         ORDER BY created_at, id`,
+        [orderId]
+    );
+    return rows;
+}
+
+async function findOrder(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${ORDER_COLUMNS} FROM orders WHERE id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Filters: statuses (array), from/to (Date, on created_at), email (exact).
+async function listOrders(db, { statuses, from, to, email, limit, offset }) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (statuses && statuses.length > 0) {
+        add('status = ANY(?::text[])', statuses);
+    }
+    if (from) {
+        add('created_at >= ?', from);
+    }
+    if (to) {
+        add('created_at < ?', to);
+    }
+    if (email) {
+        add('customer_email = ?', email);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM orders ${whereSql}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${ORDER_COLUMNS} FROM orders
+         ${whereSql}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    return { rows, total: countResult.rows[0].total };
+}
+
+module.exports = {
+    ORDER_COLUMNS,
+    serializeOrder,
+    serializeHistory,
+    upsertCompletedOrder,
+    createInvoicedOrder,
+    lockOrder,
+    applyTransition,
+    getOrderHistory,
+    findOrder,
+    listOrders
+};
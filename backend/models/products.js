@@ -0,0 +1,167 @@
+const { toCents } = require('../lib/money');
+const { serializeVariant, attachVariants } = require('./variants');
+const { serializeMedia, attachMedia } = require('./media');
+const { attachRatings } = require('./reviews');
+
+const PRODUCT_COLUMNS = `
+    id, name, description, price, image_url, active,
+    weight_lb, length_in, width_in, height_in, created_at, updated_at
+`;
+
+// Whitelisted ORDER BY clauses; user input only ever selects a key.
+const SORTS = {
+    'price': 'price ASC, id ASC',
+    '-price': 'price DESC, id ASC',
+    'name': 'name ASC, id ASC',
+    '-name': 'name DESC, id ASC',
+    'newest': 'created_at DESC, id DESC'
+};
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+// The option names and their values across `variants`, in variant order:
+// [{ name: 'size', values: ['Small', 'Medium', 'Large'] }]
+function optionValues(variants) {
+    const options = new Map();
+    variants.forEach((variant) => {
+        Object.entries(variant.options).forEach(([name, value]) => {
+            const values = options.get(name) || [];
+            if (!values.includes(value)) {
+                values.push(value);
+            }
+            options.set(name, values);
+        });
+    });
+    return Array.from(options, ([name, values]) => ({ name, values }));
+}
+
+// Convert a products row (see withDetails) into the API representation.
+// Prices are returned as the exact decimal string from Postgres plus integer
+// cents; `price` is the base price variants default to. `storage` builds the
+// image URLs: image_url and thumbnail_url are the first gallery image's
+// medium and thumbnail sizes, or the product's own image_url without one.
+// `rating` is the average and count of approved reviews.
+function serializeProduct(row, { storage, serializeVariantRow = serializeVariant } = {}) {
+    const variants = row.variants.map(serializeVariantRow);
+    const images = row.media.map((media) => serializeMedia(media, storage));
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        price: row.price,
+        price_cents: toCents(row.price),
+        image_url: images.length > 0 ? images[0].urls.medium : row.image_url,
+        thumbnail_url: images.length > 0 ? images[0].urls.thumbnail : row.image_url,
+        images,
+        in_stock: variants.some((variant) => variant.in_stock),
+        rating: row.rating,
+        options: optionValues(row.variants),
+        variants,
+        weight_lb: row.weight_lb,
+        dimensions_in: row.length_in === null && row.width_in === null && row.height_in === null
+            ? null
+            : { length: row.length_in, width: row.width_in, height: row.height_in },
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Products rows with their variants (see attachVariants), gallery images and
+// rating from approved reviews
+async function withDetails(db, rows, { includeInactive = false } = {}) {
+    const withVariants = await attachVariants(db, rows, { includeInactive });
+    return attachRatings(db, await attachMedia(db, withVariants));
+}
+
+async function listProducts(db, { q, sort = 'name', limit, offset, includeInactive = false }) {
+    const where = includeInactive ? ['true'] : ['active = true'];
+    const params = [];
+
+    if (q) {
+        params.push(`%${escapeLike(q)}%`);
+        where.push(`(name ILIKE $${params.length} OR description ILIKE $${params.length})`);
+    }
+
+    const whereSql = where.join(' AND ');
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM products WHERE ${whereSql}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products
+         WHERE ${whereSql}
+         ORDER BY ${SORTS[sort]}
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    return { rows: await withDetails(db, rows, { includeInactive }), total: countResult.rows[0].total };
+}
+
+// With its active variants and images
+async function findActiveProduct(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1 AND active = true`,
+        [id]
+    );
+    return rows[0] ? (await withDetails(db, rows))[0] : null;
+}
+
+// With all of its variants and images, for admins
+async function findProduct(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1`,
+        [id]
+    );
+    return rows[0] ? (await withDetails(db, rows, { includeInactive: true }))[0] : null;
+}
+
+// Columns an admin may set; `fields` holds already-validated values.
+const WRITABLE_COLUMNS = [
+    'name', 'description', 'price', 'image_url', 'active',
+    'weight_lb', 'length_in', 'width_in', 'height_in'
+];
+
+async function createProduct(db, fields) {
+    const columns = WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined);
+    const { rows } = await db.query(
+        `INSERT INTO products (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING id`,
+        columns.map((column) => fields[column])
+    );
+    return findProduct(db, rows[0].id);
+}
+
+// updated_at is maintained by the products_updated_at trigger
+async function updateProduct(db, id, fields) {
+    const columns = WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) {
+        return findProduct(db, id);
+    }
+
+    const { rows } = await db.query(
+        `UPDATE products
+         SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING id`,
+        [id, ...columns.map((column) => fields[column])]
+    );
+    return rows[0] ? findProduct(db, id) : null;
+}
+
+module.exports = {
+    PRODUCT_COLUMNS,
+    SORTS,
+    serializeProduct,
+    withDetails,
+    listProducts,
+    findActiveProduct,
+    findProduct,
+    createProduct,
+    updateProduct
+};
@@ -0,0 +1,193 @@
+const { toCents } = require('../lib/money');
+
+// `used` counts redemptions still holding the code: open checkout sessions
+// and paid orders.
+const PROMOTION_COLUMNS = `
+    p.id, p.code, p.description, p.kind, p.value, p.min_order_amount,
+    p.starts_at, p.expires_at, p.usage_limit, p.active, p.created_at, p.updated_at,
+    COALESCE(
+        (SELECT array_agg(pp.product_id ORDER BY pp.product_id)
+         FROM promotion_products pp WHERE pp.promotion_id = p.id),
+        '{}'
+    ) AS product_ids,
+    (SELECT COUNT(*)::int FROM promotion_redemptions r
+     WHERE r.promotion_id = p.id AND r.status <> 'released') AS used
+`;
+
+function serializePromotion(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        description: row.description,
+        kind: row.kind,
+        value: row.value,
+        min_order_amount: row.min_order_amount,
+        min_order_amount_cents: row.min_order_amount === null ? null : toCents(row.min_order_amount),
+        starts_at: row.starts_at,
+        expires_at: row.expires_at,
+        usage_limit: row.usage_limit,
+        used: row.used,
+        product_ids: row.product_ids,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Codes are matched case-insensitively. With `forUpdate` (inside a
+// transaction) the promotion row is locked so concurrent checkouts cannot
+// both take the last use.
+async function findPromotionByCode(db, code, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions p
+         WHERE UPPER(p.code) = UPPER($1)
+         ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [code]
+    );
+    return rows[0] || null;
+}
+
+async function findPromotion(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions p WHERE p.id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function listPromotions(db, { limit, offset }) {
+    const countResult = await db.query('SELECT COUNT(*)::int AS total FROM promotions');
+    const { rows } = await db.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions p
+         ORDER BY p.created_at DESC, p.id DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+// Column names are only ever taken from this list
+const WRITABLE_COLUMNS = [
+    'code', 'description', 'kind', 'value', 'min_order_amount',
+    'starts_at', 'expires_at', 'usage_limit', 'active'
+];
+
+async function setPromotionProducts(tx, promotionId, productIds) {
+    await tx.query('DELETE FROM promotion_products WHERE promotion_id = $1', [promotionId]);
+    if (productIds.length > 0) {
+        await tx.query(
+            `INSERT INTO promotion_products (promotion_id, product_id)
+             SELECT $1, UNNEST($2::int[])`,
+            [promotionId, productIds]
+        );
+    }
+}
+
+async function createPromotion(db, { product_ids: productIds = [], ...fields }) {
+    return db.withTransaction(async (tx) => {
+        const columns = WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined);
+        const { rows } = await tx.query(
+            `INSERT INTO promotions (${columns.join(', ')})
+             VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+             RETURNING id`,
+            columns.map((column) => fields[column])
+        );
+        await setPromotionProducts(tx, rows[0].id, productIds);
+        return findPromotion(tx, rows[0].id);
+    });
+}
+
+async function updatePromotion(db, id, { product_ids: productIds, ...fields }) {
+    return db.withTransaction(async (tx) => {
+        const columns = WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined);
+        const { rowCount } = columns.length > 0
+            ? await tx.query(
+                `UPDATE promotions SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+                 WHERE id = $1`,
+                [id, ...columns.map((column) => fields[column])]
+            )
+            : await tx.query('SELECT id FROM promotions WHERE id = $1', [id]);
+        if (rowCount === 0) {
+            return null;
+        }
+        if (productIds !== undefined) {
+            await setPromotionProducts(tx, id, productIds);
+        }
+        return findPromotion(tx, id);
+    });
+}
+
+// Redemptions mirror inventory reservations (see models/inventory): reserved
+// when the checkout session is created, committed when it is paid, released
+// when it expires or the order is cancelled.
+
+async function reserveRedemption(tx, promotionId, reference, discountAmount, expiresAt) {
+    await tx.query(
+        `INSERT INTO promotion_redemptions (promotion_id, reference, discount_amount, status, expires_at)
+         VALUES ($1, $2, $3, 'reserved', $4)`,
+        [promotionId, reference, discountAmount, expiresAt]
+    );
+}
+
+async function attachRedemptionSession(db, reference, stripeSessionId) {
+    await db.query(
+        `UPDATE promotion_redemptions
+         SET stripe_session_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE reference = $1`,
+        [reference, stripeSessionId]
+    );
+}
+
+// A paid session keeps its discount even if the sweeper already released the
+// redemption, so a late completion can take a code past its usage limit.
+async function commitRedemption(db, reference) {
+    await db.query(
+        `UPDATE promotion_redemptions
+         SET status = 'committed', updated_at = CURRENT_TIMESTAMP
+         WHERE reference = $1 AND status IN ('reserved', 'released')`,
+        [reference]
+    );
+}
+
+async function releaseRedemptionWhere(db, column, value, fromStatuses) {
+    await db.query(
+        `UPDATE promotion_redemptions
+         SET status = 'released', updated_at = CURRENT_TIMESTAMP
+         WHERE ${column} = $1 AND status = ANY($2::text[])`,
+        [value, fromStatuses]
+    );
+}
+
+function releaseRedemption(db, reference, fromStatuses = ['reserved']) {
+    return releaseRedemptionWhere(db, 'reference', reference, fromStatuses);
+}
+
+function releaseSessionRedemption(db, stripeSessionId, fromStatuses = ['reserved']) {
+    return releaseRedemptionWhere(db, 'stripe_session_id', stripeSessionId, fromStatuses);
+}
+
+async function releaseExpiredRedemptions(db, graceMinutes) {
+    const { rowCount } = await db.query(
+        `UPDATE promotion_redemptions
+         SET status = 'released', updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'reserved'
+           AND expires_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+        [graceMinutes]
+    );
+    return rowCount;
+}
+
+module.exports = {
+    serializePromotion,
+    findPromotionByCode,
+    findPromotion,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+    reserveRedemption,
+    attachRedemptionSession,
+    commitRedemption,
+    releaseRedemption,
+    releaseSessionRedemption,
+    releaseExpiredRedemptions
+};
@@ -0,0 +1,330 @@
+const { toCents } = require('../lib/money');
+
+const QUOTE_STATUSES = ['requested', 'sent', 'accepted', 'declined', 'cancelled'];
+
+const QUOTE_COLUMNS = `
+    id, number, status, reference, customer_id, organization, contact_name,
+    email, phone, po_number, shipping_address, billing_address, notes, message,
+    items, subtotal, discount, shipping, tax, total, expires_at, sent_at,
+    accepted_at, declined_at, decline_reason, order_id, created_at, updated_at
+`;
+
+const INVOICE_COLUMNS = `
+    id, number, order_id, quote_id, status, terms, amount, issued_at, due_at,
+    paid_at, payment_reference, created_at, updated_at
+`;
+
+const INVOICE_STATUSES = ['open', 'paid', 'void'];
+
+const optionalCents = (value) => (value === null ? null : toCents(value));
+
+// A sent quote can no longer be accepted once it has expired
+function isExpired(row, now = new Date()) {
+    return row.status === 'sent' && row.expires_at !== null && new Date(row.expires_at) <= now;
+}
+
+// As the customer sees it through the quote link
+function serializeQuote(row) {
+    return {
+        number: row.number,
+        status: row.status,
+        expired: isExpired(row),
+        organization: row.organization,
+        contact_name: row.contact_name,
+        email: row.email,
+        phone: row.phone,
+        po_number: row.po_number,
+        shipping_address: row.shipping_address,
+        billing_address: row.billing_address,
+        notes: row.notes,
+        message: row.message,
+        items: row.items,
+        subtotal: row.subtotal,
+        subtotal_cents: toCents(row.subtotal),
+        discount: row.discount,
+        discount_cents: toCents(row.discount),
+        shipping: row.shipping,
+        shipping_cents: optionalCents(row.shipping),
+        tax: row.tax,
+        tax_cents: optionalCents(row.tax),
+        total: row.total,
+        total_cents: toCents(row.total),
+        expires_at: row.expires_at,
+        sent_at: row.sent_at,
+        accepted_at: row.accepted_at,
+        declined_at: row.declined_at,
+        created_at: row.created_at
+    };
+}
+
+function serializeAdminQuote(row) {
+    return {
+        id: row.id,
+        ...serializeQuote(row),
+        customer_id: row.customer_id,
+        decline_reason: row.decline_reason,
+        order_id: row.order_id,
+        updated_at: row.updated_at
+    };
+}
+
+function serializeInvoice(row) {
+    return {
+        id: row.id,
+        number: row.number,
+        order_id: row.order_id,
+        quote_id: row.quote_id,
+        status: row.status,
+        overdue: row.status === 'open' && new Date(row.due_at) < new Date(),
+        terms: row.terms,
+        amount: row.amount,
+        amount_cents: toCents(row.amount),
+        issued_at: row.issued_at,
+        due_at: row.due_at,
+        paid_at: row.paid_at,
+        payment_reference: row.payment_reference,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function createQuote(db, quote) {
+    const { rows } = await db.query(
+        `INSERT INTO quotes (
+             reference, customer_id, organization, contact_name, email, phone,
+             po_number, shipping_address, billing_address, notes, items, subtotal, total
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
+         RETURNING ${QUOTE_COLUMNS}`,
+        [
+            quote.reference,
+            quote.customerId,
+            quote.organization,
+            quote.contactName,
+            quote.email,
+            quote.phone,
+            quote.poNumber,
+            JSON.stringify(quote.shippingAddress),
+            quote.billingAddress ? JSON.stringify(quote.billingAddress) : null,
+            quote.notes,
+            JSON.stringify(quote.items),
+            quote.subtotal
+        ]
+    );
+    return rows[0];
+}
+
+async function findQuote(db, id, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${QUOTE_COLUMNS} FROM quotes WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function findQuoteByToken(db, tokenHash, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${QUOTE_COLUMNS} FROM quotes WHERE access_token_hash = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [tokenHash]
+    );
+    return rows[0] || null;
+}
+
+async function findQuoteByOrder(db, orderId) {
+    const { rows } = await db.query(
+        `SELECT ${QUOTE_COLUMNS} FROM quotes WHERE order_id = $1`,
+        [orderId]
+    );
+    return rows[0] || null;
+}
+
+// Filters: statuses (array), email (any case). Oldest first, like a queue.
+async function listQuotes(db, { statuses, email, limit, offset }) {
+    const where = [];
+    const params = [];
+    if (statuses.length > 0) {
+        params.push(statuses);
+        where.push(`status = ANY($${params.length}::text[])`);
+    }
+    if (email) {
+        params.push(email);
+        where.push(`LOWER(email) = LOWER($${params.length})`);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM quotes ${whereSql}`, params);
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${QUOTE_COLUMNS} FROM quotes
+         ${whereSql}
+         ORDER BY created_at, id
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+// New prices for a quote (see repriceQuote in lib/quotes); amounts are
+// decimal strings. `message` and `expiresAt` are kept when undefined.
+async function updateQuotePricing(db, id, { items, subtotal, discount, shipping, tax, total, expiresAt, message }) {
+    const { rows } = await db.query(
+        `UPDATE quotes
+         SET items = $2, subtotal = $3, discount = $4, shipping = $5, tax = $6, total = $7,
+             expires_at = COALESCE($8, expires_at),
+             message = CASE WHEN $9::boolean THEN $10 ELSE message END
+         WHERE id = $1
+         RETURNING ${QUOTE_COLUMNS}`,
+        [
+            id,
+            JSON.stringify(items),
+            subtotal,
+            discount,
+            shipping,
+            tax,
+            total,
+            expiresAt || null,
+            message !== undefined,
+            message || null
+        ]
+    );
+    return rows[0];
+}
+
+// Sending (again) gives the quote a new link; an earlier one stops working
+async function markQuoteSent(db, id, { accessTokenHash, expiresAt }) {
+    const { rows } = await db.query(
+        `UPDATE quotes
+         SET status = 'sent', sent_at = CURRENT_TIMESTAMP, access_token_hash = $2, expires_at = $3
+         WHERE id = $1
+         RETURNING ${QUOTE_COLUMNS}`,
+        [id, accessTokenHash, expiresAt]
+    );
+    return rows[0];
+}
+
+async function markQuoteAccepted(tx, id, { orderId, poNumber }) {
+    const { rows } = await tx.query(
+        `UPDATE quotes
+         SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP, order_id = $2,
+             po_number = COALESCE($3, po_number)
+         WHERE id = $1
+         RETURNING ${QUOTE_COLUMNS}`,
+        [id, orderId, poNumber || null]
+    );
+    return rows[0];
+}
+
+async function markQuoteDeclined(db, id, reason) {
+    const { rows } = await db.query(
+        `UPDATE quotes
+         SET status = 'declined', declined_at = CURRENT_TIMESTAMP, decline_reason = $2
+         WHERE id = $1
+         RETURNING ${QUOTE_COLUMNS}`,
+        [id, reason || null]
+    );
+    return rows[0];
+}
+
+async function markQuoteCancelled(db, id) {
+    const { rows } = await db.query(
+        `UPDATE quotes SET status = 'cancelled' WHERE id = $1 RETURNING ${QUOTE_COLUMNS}`,
+        [id]
+    );
+    return rows[0];
+}
+
+async function createInvoice(tx, { orderId, quoteId, amount, dueAt }) {
+    const { rows } = await tx.query(
+        `INSERT INTO invoices (order_id, quote_id, amount, due_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${INVOICE_COLUMNS}`,
+        [orderId, quoteId, amount, dueAt]
+    );
+    return rows[0];
+}
+
+async function findInvoice(db, id, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function findInvoiceByOrder(db, orderId) {
+    const { rows } = await db.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices WHERE order_id = $1`,
+        [orderId]
+    );
+    return rows[0] || null;
+}
+
+// Filters: statuses (array), overdue (open and past due). Soonest due first.
+async function listInvoices(db, { statuses, overdue, limit, offset }) {
+    const where = [];
+    const params = [];
+    if (statuses.length > 0) {
+        params.push(statuses);
+        where.push(`status = ANY($${params.length}::text[])`);
+    }
+    if (overdue) {
+        where.push(`status = 'open' AND due_at < CURRENT_TIMESTAMP`);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM invoices ${whereSql}`, params);
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${INVOICE_COLUMNS} FROM invoices
+         ${whereSql}
+         ORDER BY due_at, id
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+async function markInvoicePaid(tx, id, { paidAt, reference }) {
+    const { rows } = await tx.query(
+        `UPDATE invoices
+         SET status = 'paid', paid_at = COALESCE($2, CURRENT_TIMESTAMP), payment_reference = $3
+         WHERE id = $1
+         RETURNING ${INVOICE_COLUMNS}`,
+        [id, paidAt || null, reference || null]
+    );
+    return rows[0];
+}
+
+// A cancelled order's invoice is no longer owed
+async function voidOrderInvoice(tx, orderId) {
+    await tx.query(
+        `UPDATE invoices SET status = 'void' WHERE order_id = $1 AND status = 'open'`,
+        [orderId]
+    );
+}
+
+module.exports = {
+    QUOTE_STATUSES,
+    INVOICE_STATUSES,
+    isExpired,
+    serializeQuote,
+    serializeAdminQuote,
+    serializeInvoice,
+    createQuote,
+    findQuote,
+    findQuoteByToken,
+    findQuoteByOrder,
+    listQuotes,
+    updateQuotePricing,
+    markQuoteSent,
+    markQuoteAccepted,
+    markQuoteDeclined,
+    markQuoteCancelled,
+    createInvoice,
+    findInvoice,
+    findInvoiceByOrder,
+    listInvoices,
+    markInvoicePaid,
+    voidOrderInvoice
+};
@@ -0,0 +1,330 @@
+const { toCents, formatCents } = require('../lib/money');
+const { variantName } = require('./variants');
+
+// Plans joined to their variant and product. `rentable` is false while the
+// plan, the variant or the product is switched off.
+const PLAN_COLUMNS = `
+    rp.id, rp.variant_id, v.product_id, v.sku, v.options, p.name, p.description, p.image_url,
+    rp.units, rp.daily_rate, rp.weekly_rate, rp.deposit, rp.min_days, rp.max_days,
+    rp.lead_days, rp.buffer_days, rp.active,
+    (rp.active AND v.active AND p.active) AS rentable,
+    rp.created_at, rp.updated_at
+`;
+
+const PLANS_FROM = `rental_plans rp
+    JOIN product_variants v ON v.id = rp.variant_id
+    JOIN products p ON p.id = v.product_id`;
+
+// DATE columns are read as text: node-postgres would turn them into local
+// midnight Dates, which shift a day in time zones west of UTC.
+const BOOKING_COLUMNS = `
+    b.id, b.reference, b.stripe_session_id, b.product_id, b.variant_id, v.sku,
+    b.start_date::text AS start_date, b.end_date::text AS end_date,
+    b.quantity, b.amount, b.deposit, b.status, b.expires_at, b.note,
+    b.created_at, b.updated_at
+`;
+
+const BOOKINGS_FROM = 'rental_bookings b JOIN product_variants v ON v.id = b.variant_id';
+
+const BOOKING_STATUSES = ['reserved', 'committed', 'released'];
+
+const optionalCents = (value) => (value === null ? null : toCents(value));
+
+function serializeRentalPlan(row) {
+    return {
+        id: row.id,
+        variant_id: row.variant_id,
+        product_id: row.product_id,
+        sku: row.sku,
+        name: variantName(row),
+        options: row.options,
+        units: row.units,
+        daily_rate: row.daily_rate,
+        daily_rate_cents: toCents(row.daily_rate),
+        weekly_rate: row.weekly_rate,
+        weekly_rate_cents: optionalCents(row.weekly_rate),
+        deposit: row.deposit,
+        deposit_cents: toCents(row.deposit),
+        min_days: row.min_days,
+        max_days: row.max_days,
+        lead_days: row.lead_days,
+        buffer_days: row.buffer_days
+    };
+}
+
+function serializeAdminRentalPlan(row) {
+    return {
+        ...serializeRentalPlan(row),
+        active: row.active,
+        rentable: row.rentable,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function serializeBooking(row) {
+    return {
+        id: row.id,
+        reference: row.reference,
+        stripe_session_id: row.stripe_session_id,
+        product_id: row.product_id,
+        variant_id: row.variant_id,
+        sku: row.sku,
+        start_date: row.start_date,
+        end_date: row.end_date,
+        quantity: row.quantity,
+        amount: row.amount,
+        deposit: row.deposit,
+        status: row.status,
+        expires_at: row.expires_at,
+        note: row.note,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function findRentalPlan(db, variantId) {
+    const { rows } = await db.query(
+        `SELECT ${PLAN_COLUMNS} FROM ${PLANS_FROM} WHERE rp.variant_id = $1`,
+        [variantId]
+    );
+    return rows[0] || null;
+}
+
+// With `forUpdate` (inside a transaction) the plan rows are locked: bookings
+// for a variant are only counted and added while holding its plan, so two
+// checkouts cannot both take the last unit for the same days.
+async function findRentalPlans(db, variantIds, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${PLAN_COLUMNS} FROM ${PLANS_FROM}
+         WHERE rp.variant_id = ANY($1::int[])
+         ORDER BY rp.variant_id
+         ${forUpdate ? 'FOR UPDATE OF rp' : ''}`,
+        [variantIds]
+    );
+    return rows;
+}
+
+// Rentable plans only, unless `includeInactive`; `productId` narrows the list
+async function listRentalPlans(db, { productId = null, includeInactive = false } = {}) {
+    const params = [];
+    const conditions = [];
+    if (productId !== null) {
+        params.push(productId);
+        conditions.push(`v.product_id = $${params.length}`);
+    }
+    if (!includeInactive) {
+        conditions.push('rp.active AND v.active AND p.active');
+    }
+    const { rows } = await db.query(
+        `SELECT ${PLAN_COLUMNS} FROM ${PLANS_FROM}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY p.name, v.position, v.id`,
+        params
+    );
+    return rows;
+}
+
+// Column names are only ever taken from this list
+const WRITABLE_COLUMNS = [
+    'units', 'daily_rate', 'weekly_rate', 'deposit', 'min_days', 'max_days',
+    'lead_days', 'buffer_days', 'active'
+];
+
+// Create the variant's plan or replace it; `fields` holds a full validated
+// plan (see PLAN_BODY in routes/admin-rentals).
+async function saveRentalPlan(db, variantId, fields) {
+    const columns = WRITABLE_COLUMNS.filter((column) => fields[column] !== undefined);
+    await db.query(
+        `INSERT INTO rental_plans (variant_id, ${columns.join(', ')})
+         VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+         ON CONFLICT (variant_id) DO UPDATE SET
+             ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(',\n             ')}`,
+        [variantId, ...columns.map((column) => fields[column])]
+    );
+    return findRentalPlan(db, variantId);
+}
+
+// Bookings still holding units of a variant on some day from `from` to `to`,
+// counting the `bufferDays` each one keeps its units after its last day
+async function listActiveBookings(db, variantId, from, to, bufferDays) {
+    const { rows } = await db.query(
+        `SELECT ${BOOKING_COLUMNS} FROM ${BOOKINGS_FROM}
+         WHERE b.variant_id = $1 AND b.status <> 'released'
+           AND b.start_date <= $3::date AND b.end_date >= $2::date - $4::int
+         ORDER BY b.start_date, b.id`,
+        [variantId, from, to, bufferDays]
+    );
+    return rows;
+}
+
+async function findBooking(db, id, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${BOOKING_COLUMNS} FROM ${BOOKINGS_FROM}
+         WHERE b.id = $1 ${forUpdate ? 'FOR UPDATE OF b' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Bookings in `statuses`, optionally of one variant and touching the days
+// `from` to `to`; soonest first
+async function listBookings(db, { variantId = null, statuses, from = null, to = null, limit, offset }) {
+    const params = [statuses];
+    const conditions = ['b.status = ANY($1::text[])'];
+    if (variantId !== null) {
+        params.push(variantId);
+        conditions.push(`b.variant_id = $${params.length}`);
+    }
+    if (from !== null) {
+        params.push(from);
+        conditions.push(`b.end_date >= $${params.length}::date`);
+    }
+    if (to !== null) {
+        params.push(to);
+        conditions.push(`b.start_date <= $${params.length}::date`);
+    }
+    const whereSql = conditions.join(' AND ');
+
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM rental_bookings b WHERE ${whereSql}`,
+        params
+    );
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${BOOKING_COLUMNS} FROM ${BOOKINGS_FROM}
+         WHERE ${whereSql}
+         ORDER BY b.start_date, b.id
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+// A booking entered by an admin (phone orders, units out for repair):
+// committed straight away, without a checkout reference.
+async function createBooking(db, plan, { startDate, endDate, quantity, amount, deposit, note }) {
+    const { rows } = await db.query(
+        `INSERT INTO rental_bookings (product_id, variant_id, start_date, end_date, quantity, amount, deposit, status, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'committed', $8)
+         RETURNING id`,
+        [plan.product_id, plan.variant_id, startDate, endDate, quantity, amount, deposit, note]
+    );
+    return findBooking(db, rows[0].id);
+}
+
+async function releaseBooking(db, id) {
+    await db.query(
+        `UPDATE rental_bookings SET status = 'released' WHERE id = $1 AND status <> 'released'`,
+        [id]
+    );
+    return findBooking(db, id);
+}
+
+// Bookings follow inventory reservations (see models/inventory): reserved
+// when the checkout session is created, committed when it is paid, released
+// when it expires or the order is cancelled or refunded.
+
+// Must run inside a transaction that holds the plan rows (see
+// findRentalPlans with `forUpdate`) and has checked their availability.
+async function reserveRentalBookings(client, reference, lines, expiresAt) {
+    const rentals = lines.filter((line) => line.rental);
+    for (const line of rentals) {
+        await client.query(
+            `INSERT INTO rental_bookings (
+                 reference, product_id, variant_id, start_date, end_date, quantity, amount, deposit, status, expires_at
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'reserved', $9)`,
+            [
+                reference,
+                line.productId,
+                line.variantId,
+                line.rental.startDate,
+                line.rental.endDate,
+                line.quantity,
+                formatCents(line.amount),
+                formatCents(line.rental.deposit * line.quantity),
+                expiresAt
+            ]
+        );
+    }
+}
+
+async function attachRentalSession(db, reference, stripeSessionId) {
+    await db.query(
+        `UPDATE rental_bookings
+         SET stripe_session_id = $2
+         WHERE reference = $1`,
+        [reference, stripeSessionId]
+    );
+}
+
+// Mark the checkout's bookings committed. Bookings the sweeper already
+// released are taken back even if their units have been booked again since;
+// they are returned so the overlap can be sorted out by hand.
+async function commitRentalBookings(db, reference) {
+    const { rows } = await db.query(
+        `WITH previous AS (
+             SELECT id, status FROM rental_bookings
+             WHERE reference = $1 AND status IN ('reserved', 'released')
+         )
+         UPDATE rental_bookings b
+         SET status = 'committed'
+         FROM previous
+         WHERE b.id = previous.id
+         RETURNING b.id, b.variant_id, b.start_date::text AS start_date, b.end_date::text AS end_date,
+                   b.quantity, previous.status AS previous_status`,
+        [reference]
+    );
+    return rows.filter((row) => row.previous_status === 'released');
+}
+
+async function releaseWhere(db, column, value, fromStatuses) {
+    const { rowCount } = await db.query(
+        `UPDATE rental_bookings
+         SET status = 'released'
+         WHERE ${column} = $1 AND status = ANY($2::text[])`,
+        [value, fromStatuses]
+    );
+    return rowCount;
+}
+
+function releaseRentalBookings(db, reference, fromStatuses = ['reserved']) {
+    return releaseWhere(db, 'reference', reference, fromStatuses);
+}
+
+function releaseSessionRentalBookings(db, stripeSessionId, fromStatuses = ['reserved']) {
+    return releaseWhere(db, 'stripe_session_id', stripeSessionId, fromStatuses);
+}
+
+async function releaseExpiredRentalBookings(db, graceMinutes) {
+    const { rowCount } = await db.query(
+        `UPDATE rental_bookings
+         SET status = 'released'
+         WHERE status = 'reserved'
+           AND expires_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+        [graceMinutes]
+    );
+    return rowCount;
+}
+
+module.exports = {
+    BOOKING_STATUSES,
+    serializeRentalPlan,
+    serializeAdminRentalPlan,
+    serializeBooking,
+    findRentalPlan,
+    findRentalPlans,
+    listRentalPlans,
+    saveRentalPlan,
+    listActiveBookings,
+    findBooking,
+    listBookings,
+    createBooking,
+    releaseBooking,
+    reserveRentalBookings,
+    attachRentalSession,
+    commitRentalBookings,
+    releaseRentalBookings,
+    releaseSessionRentalBookings,
+    releaseExpiredRentalBookings
+};
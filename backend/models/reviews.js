@@ -0,0 +1,209 @@
+// Review statuses; see database/migrations/013_product_reviews.sql
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+// What an admin may set a review to
+const MODERATION_STATUSES = ['approved', 'rejected', 'flagged'];
+
+// Orders in these statuses count as a purchase for a verified review
+const PURCHASED_STATUSES = ['net_30', 'paid', 'packed', 'shipped', 'delivered'];
+
+// Whitelisted ORDER BY clauses for public listings
+const REVIEW_SORTS = {
+    newest: 'created_at DESC, id DESC',
+    highest: 'rating DESC, created_at DESC, id DESC',
+    lowest: 'rating ASC, created_at DESC, id DESC'
+};
+
+const REVIEW_COLUMNS = `
+    id, product_id, order_id, author_name, author_email, rating, title, body,
+    status, moderation_note, moderated_at, created_at, updated_at
+`;
+
+// Public view: the reviewer's email is never shown
+function serializeReview(row) {
+    return {
+        id: row.id,
+        product_id: row.product_id,
+        author_name: row.author_name,
+        rating: row.rating,
+        title: row.title,
+        body: row.body,
+        verified_purchase: row.order_id !== null,
+        created_at: row.created_at
+    };
+}
+
+function serializeAdminReview(row) {
+    return {
+        ...serializeReview(row),
+        author_email: row.author_email,
+        order_id: row.order_id,
+        status: row.status,
+        moderation_note: row.moderation_note,
+        moderated_at: row.moderated_at,
+        updated_at: row.updated_at
+    };
+}
+
+// { average, count } of approved reviews; average is null without any
+function serializeRating(row) {
+    return {
+        average: row && row.count > 0 ? Number(row.average) : null,
+        count: row ? row.count : 0
+    };
+}
+
+// Rating aggregates of approved reviews per product id
+async function getRatings(db, productIds) {
+    const { rows } = await db.query(
+        `SELECT product_id, COUNT(*)::int AS count, ROUND(AVG(rating), 2) AS average
+         FROM product_reviews
+         WHERE product_id = ANY($1::int[]) AND status = 'approved'
+         GROUP BY product_id`,
+        [productIds]
+    );
+    return new Map(rows.map((row) => [row.product_id, row]));
+}
+
+// Products rows with their rating aggregate (see serializeRating) at `rating`
+async function attachRatings(db, products) {
+    const ratings = products.length > 0 ? await getRatings(db, products.map((product) => product.id)) : new Map();
+    return products.map((product) => ({ ...product, rating: serializeRating(ratings.get(product.id)) }));
+}
+
+// The rating aggregate plus how many approved reviews gave each star count
+async function getRatingSummary(db, productId) {
+    const { rows } = await db.query(
+        `SELECT rating, COUNT(*)::int AS count
+         FROM product_reviews
+         WHERE product_id = $1 AND status = 'approved'
+         GROUP BY rating`,
+        [productId]
+    );
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let stars = 0;
+    rows.forEach((row) => {
+        distribution[row.rating] = row.count;
+        stars += row.rating * row.count;
+    });
+    const count = rows.reduce((sum, row) => sum + row.count, 0);
+    return {
+        average: count > 0 ? Math.round((stars / count) * 100) / 100 : null,
+        count,
+        distribution
+    };
+}
+
+async function listApprovedReviews(db, productId, { sort = 'newest', limit, offset }) {
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM product_reviews
+         WHERE product_id = $1 AND status = 'approved'`,
+        [productId]
+    );
+    const { rows } = await db.query(
+        `SELECT ${REVIEW_COLUMNS} FROM product_reviews
+         WHERE product_id = $1 AND status = 'approved'
+         ORDER BY ${REVIEW_SORTS[sort]}
+         LIMIT $2 OFFSET $3`,
+        [productId, limit, offset]
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+// The moderation queue: oldest first, so reviews are handled in the order
+// they came in
+async function listReviews(db, { statuses, productId, limit, offset }) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (statuses && statuses.length > 0) {
+        add('status = ANY(?::text[])', statuses);
+    }
+    if (productId) {
+        add('product_id = ?', productId);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM product_reviews ${whereSql}`,
+        params
+    );
+
+    params.push(limit, offset);
+    const { rows } = await db.query(
+        `SELECT ${REVIEW_COLUMNS} FROM product_reviews
+         ${whereSql}
+         ORDER BY created_at ASC, id ASC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    return { rows, total: countResult.rows[0].total };
+}
+
+async function findReview(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${REVIEW_COLUMNS} FROM product_reviews WHERE id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// The order proving that `email` bought the product, or null. Order items
+// record the productId of every line (see routes/webhooks).
+async function findPurchase(db, { orderId, email, productId }) {
+    const { rows } = await db.query(
+        `SELECT id FROM orders
+         WHERE id = $1 AND LOWER(customer_email) = LOWER($2)
+           AND status = ANY($3::text[])
+           AND items @> jsonb_build_array(jsonb_build_object('productId', $4::int))`,
+        [orderId, email, PURCHASED_STATUSES, productId]
+    );
+    return rows[0] || null;
+}
+
+// Resolves to null when the email already reviewed the product
+async function createReview(db, { productId, orderId, authorName, authorEmail, rating, title, body, status, moderationNote }) {
+    const { rows } = await db.query(
+        `INSERT INTO product_reviews (
+             product_id, order_id, author_name, author_email, rating, title, body,
+             status, moderation_note
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (product_id, LOWER(author_email)) DO NOTHING
+         RETURNING ${REVIEW_COLUMNS}`,
+        [productId, orderId, authorName, authorEmail, rating, title, body, status, moderationNote]
+    );
+    return rows[0] || null;
+}
+
+// updated_at is maintained by the product_reviews_updated_at trigger
+async function moderateReview(db, id, { status, note = null }) {
+    const { rows } = await db.query(
+        `UPDATE product_reviews
+         SET status = $2, moderation_note = $3, moderated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${REVIEW_COLUMNS}`,
+        [id, status, note]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    MODERATION_STATUSES,
+    REVIEW_SORTS,
+    serializeReview,
+    serializeAdminReview,
+    attachRatings,
+    getRatingSummary,
+    listApprovedReviews,
+    listReviews,
+    findReview,
+    findPurchase,
+    createReview,
+    moderateReview
+};
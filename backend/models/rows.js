@@ -0,0 +1,34 @@
+// INSERT/UPDATE helpers for admin-managed tables. `fields` holds validated
+// values; only the columns listed in `writable` are ever written, so column
+// names never come from user input.
+
+async function insertRow(db, table, writable, returning, fields) {
+    const columns = writable.filter((column) => fields[column] !== undefined);
+    const { rows } = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING ${returning}`,
+        columns.map((column) => fields[column])
+    );
+    return rows[0];
+}
+
+// Resolves to null when there is no row with `id`
+async function updateRow(db, table, writable, returning, id, fields) {
+    const columns = writable.filter((column) => fields[column] !== undefined);
+    const { rows } = await db.query(
+        columns.length > 0
+            ? `UPDATE ${table}
+               SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+               WHERE id = $1
+               RETURNING ${returning}`
+            : `SELECT ${returning} FROM ${table} WHERE id = $1`,
+        [id, ...columns.map((column) => fields[column])]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    insertRow,
+    updateRow
+};
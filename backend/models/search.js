@@ -0,0 +1,133 @@
+const { escapeHtml } = require('../lib/html');
+const { PRODUCT_COLUMNS, SORTS, serializeProduct, withDetails } = require('./products');
+
+// Results are ranked by relevance unless another product sort is asked for
+const SEARCH_SORTS = {
+    relevance: 'rank DESC, id ASC',
+    ...SORTS
+};
+
+const MAX_WORDS = 8;
+
+// The text the trigram index (idx_products_search_trgm) covers; it must be
+// written exactly like this for the index to be used
+const SEARCH_TEXT = "(p.name || ' ' || COALESCE(p.description, ''))";
+
+// ts_headline wraps matched words in these; highlight() turns them into
+// <mark> tags once the rest of the text has been escaped
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+const NAME_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+const DESCRIPTION_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_END}, ` +
+    'MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+// The words of a search, lowercased. Only letters and digits are kept, so
+// each word can go into a tsquery as-is.
+function searchWords(q) {
+    return (q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_WORDS);
+}
+
+// The words that are not stop words ("the", "and"), in order. A stop word
+// makes an empty tsquery, which would match every product.
+async function contentWords(db, words) {
+    const { rows } = await db.query(
+        `SELECT word FROM unnest($1::text[]) WITH ORDINALITY AS w(word, n)
+         WHERE numnode(to_tsquery('english', word || ':*')) > 0
+         ORDER BY n`,
+        [words]
+    );
+    return rows.map((row) => row.word);
+}
+
+function highlight(headline) {
+    return escapeHtml(headline)
+        .replace(/\u0001([^\u0001\u0002]*)\u0002/g, '<mark>$1</mark>')
+        .replace(/[\u0001\u0002]/g, '');
+}
+
+// A product as a search result: the API representation plus its rank and
+// the name and a description snippet as HTML, matched words in <mark>
+function serializeSearchResult(row, options) {
+    return {
+        ...serializeProduct(row, options),
+        rank: row.rank,
+        highlights: {
+            name: highlight(row.name_headline),
+            description: row.description_headline === null ? null : highlight(row.description_headline)
+        }
+    };
+}
+
+// Active products matching every word of `q` but its stop words, either as the start of a word
+// in the name or description ("acc" finds "accessories") or, for typos, as a
+// close trigram match. `minPrice`, `maxPrice` and `inStock` keep products
+// with an active variant that is in stock at a price within the range.
+async function searchProducts(db, { q, minPrice, maxPrice, inStock = false, sort = 'relevance', limit, offset }) {
+    const typed = searchWords(q);
+    const words = typed.length > 0 ? await contentWords(db, typed) : [];
+    if (words.length === 0) {
+        return { rows: [], total: 0 };
+    }
+
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const where = ['p.active = true'];
+    words.forEach((word) => {
+        where.push(`(p.search_vector @@ to_tsquery('english', ${param(`${word}:*`)})
+            OR ${param(word)} <% ${SEARCH_TEXT})`);
+    });
+
+    const variantWhere = [];
+    if (minPrice !== undefined) {
+        variantWhere.push(`COALESCE(v.price, p.price) >= ${param(minPrice)}`);
+    }
+    if (maxPrice !== undefined) {
+        variantWhere.push(`COALESCE(v.price, p.price) <= ${param(maxPrice)}`);
+    }
+    if (inStock) {
+        variantWhere.push('(v.inventory IS NULL OR v.inventory > 0)');
+    }
+    if (variantWhere.length > 0) {
+        where.push(`EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.product_id = p.id AND v.active = true AND ${variantWhere.join(' AND ')}
+        )`);
+    }
+
+    const whereSql = where.join(' AND ');
+    const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM products p WHERE ${whereSql}`,
+        params
+    );
+
+    // Ranked and highlighted against any of the words
+    const anyWord = param(words.map((word) => `${word}:*`).join(' | '));
+    const phrase = param(words.join(' '));
+    const nameHeadline = param(NAME_HEADLINE);
+    const descriptionHeadline = param(DESCRIPTION_HEADLINE);
+    const { rows } = await db.query(
+        `SELECT ${PRODUCT_COLUMNS},
+                ts_rank_cd(p.search_vector, to_tsquery('english', ${anyWord}))
+                    + word_similarity(${phrase}, ${SEARCH_TEXT}) AS rank,
+                ts_headline('english', p.name, to_tsquery('english', ${anyWord}), ${nameHeadline}) AS name_headline,
+                ts_headline('english', p.description, to_tsquery('english', ${anyWord}), ${descriptionHeadline})
+                    AS description_headline
+         FROM products p
+         WHERE ${whereSql}
+         ORDER BY ${SEARCH_SORTS[sort]}
+         LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+        params
+    );
+
+    return { rows: await withDetails(db, rows), total: countResult.rows[0].total };
+}
+
+module.exports = {
+    SEARCH_SORTS,
+    serializeSearchResult,
+    searchProducts
+};
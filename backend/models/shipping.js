@@ -0,0 +1,126 @@
+const { toCents } = require('../lib/money');
+const { insertRow, updateRow } = require('./rows');
+
+const ZONE_COLUMNS = `
+    id, name, countries, regions, postal_prefixes, active, created_at, updated_at
+`;
+
+const RATE_COLUMNS = `
+    id, zone_id, name, kind, base_amount, per_lb_amount, oversize_surcharge,
+    max_weight_lb, min_days, max_days, active, created_at, updated_at
+`;
+
+function serializeZone(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        countries: row.countries,
+        regions: row.regions,
+        postal_prefixes: row.postal_prefixes,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function serializeRate(row) {
+    return {
+        id: row.id,
+        zone_id: row.zone_id,
+        name: row.name,
+        kind: row.kind,
+        base_amount: row.base_amount,
+        base_amount_cents: toCents(row.base_amount),
+        per_lb_amount: row.per_lb_amount,
+        oversize_surcharge: row.oversize_surcharge,
+        max_weight_lb: row.max_weight_lb,
+        min_days: row.min_days,
+        max_days: row.max_days,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Active zones covering `country`; lib/shipping narrows them down further by
+// region and postal code.
+async function findZonesForCountry(db, country) {
+    const { rows } = await db.query(
+        `SELECT ${ZONE_COLUMNS} FROM shipping_zones
+         WHERE active = true AND $1 = ANY(countries)
+         ORDER BY id`,
+        [country]
+    );
+    return rows;
+}
+
+async function findActiveRates(db, zoneId) {
+    const { rows } = await db.query(
+        `SELECT ${RATE_COLUMNS} FROM shipping_rates
+         WHERE zone_id = $1 AND active = true
+         ORDER BY id`,
+        [zoneId]
+    );
+    return rows;
+}
+
+async function listZones(db) {
+    const { rows } = await db.query(`SELECT ${ZONE_COLUMNS} FROM shipping_zones ORDER BY id`);
+    return rows;
+}
+
+async function listRates(db, zoneId) {
+    const { rows } = await db.query(
+        `SELECT ${RATE_COLUMNS} FROM shipping_rates WHERE zone_id = $1 ORDER BY id`,
+        [zoneId]
+    );
+    return rows;
+}
+
+async function findZone(db, id) {
+    const { rows } = await db.query(`SELECT ${ZONE_COLUMNS} FROM shipping_zones WHERE id = $1`, [id]);
+    return rows[0] || null;
+}
+
+async function findRate(db, id) {
+    const { rows } = await db.query(`SELECT ${RATE_COLUMNS} FROM shipping_rates WHERE id = $1`, [id]);
+    return rows[0] || null;
+}
+
+// Column names are only ever taken from these lists
+const ZONE_WRITABLE_COLUMNS = ['name', 'countries', 'regions', 'postal_prefixes', 'active'];
+const RATE_WRITABLE_COLUMNS = [
+    'zone_id', 'name', 'kind', 'base_amount', 'per_lb_amount', 'oversize_surcharge',
+    'max_weight_lb', 'min_days', 'max_days', 'active'
+];
+
+function createZone(db, fields) {
+    return insertRow(db, 'shipping_zones', ZONE_WRITABLE_COLUMNS, ZONE_COLUMNS, fields);
+}
+
+function updateZone(db, id, fields) {
+    return updateRow(db, 'shipping_zones', ZONE_WRITABLE_COLUMNS, ZONE_COLUMNS, id, fields);
+}
+
+function createRate(db, fields) {
+    return insertRow(db, 'shipping_rates', RATE_WRITABLE_COLUMNS, RATE_COLUMNS, fields);
+}
+
+function updateRate(db, id, fields) {
+    return updateRow(db, 'shipping_rates', RATE_WRITABLE_COLUMNS, RATE_COLUMNS, id, fields);
+}
+
+module.exports = {
+    serializeZone,
+    serializeRate,
+    findZonesForCountry,
+    findActiveRates,
+    listZones,
+    listRates,
+    findZone,
+    findRate,
+    createZone,
+    updateZone,
+    createRate,
+    updateRate
+};
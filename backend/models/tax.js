@@ -0,0 +1,118 @@
+const { insertRow, updateRow } = require('./rows');
+
+const RATE_COLUMNS = `
+    id, name, country, region, postal_prefix, rate, applies_to_shipping, active,
+    created_at, updated_at
+`;
+
+const EXEMPTION_COLUMNS = `
+    id, certificate_number, organization, customer_email, country, region,
+    expires_at, active, created_at, updated_at
+`;
+
+function serializeTaxRate(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        country: row.country,
+        region: row.region,
+        postal_prefix: row.postal_prefix,
+        rate: row.rate,
+        applies_to_shipping: row.applies_to_shipping,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+function serializeExemption(row) {
+    return {
+        id: row.id,
+        certificate_number: row.certificate_number,
+        organization: row.organization,
+        customer_email: row.customer_email,
+        country: row.country,
+        region: row.region,
+        expires_at: row.expires_at,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Active rates for a destination: country-wide rates plus those for its
+// region and any postal prefix it starts with.
+async function findTaxRatesFor(db, { country, region, postalCode }) {
+    const { rows } = await db.query(
+        `SELECT ${RATE_COLUMNS} FROM tax_rates
+         WHERE active = true
+           AND country = $1
+           AND (region IS NULL OR region = $2)
+           AND (postal_prefix IS NULL OR $3 LIKE postal_prefix || '%')
+         ORDER BY id`,
+        [country, region || null, postalCode ? postalCode.replace(/[\s-]/g, '') : null]
+    );
+    return rows;
+}
+
+async function listTaxRates(db) {
+    const { rows } = await db.query(
+        `SELECT ${RATE_COLUMNS} FROM tax_rates ORDER BY country, region NULLS FIRST, postal_prefix NULLS FIRST, id`
+    );
+    return rows;
+}
+
+async function findExemptionByCertificate(db, certificateNumber) {
+    const { rows } = await db.query(
+        `SELECT ${EXEMPTION_COLUMNS} FROM tax_exemptions
+         WHERE UPPER(certificate_number) = UPPER($1)`,
+        [certificateNumber]
+    );
+    return rows[0] || null;
+}
+
+async function listExemptions(db, { limit, offset }) {
+    const countResult = await db.query('SELECT COUNT(*)::int AS total FROM tax_exemptions');
+    const { rows } = await db.query(
+        `SELECT ${EXEMPTION_COLUMNS} FROM tax_exemptions
+         ORDER BY created_at DESC, id DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    return { rows, total: countResult.rows[0].total };
+}
+
+// Column names are only ever taken from these lists
+const RATE_WRITABLE_COLUMNS = ['name', 'country', 'region', 'postal_prefix', 'rate', 'applies_to_shipping', 'active'];
+const EXEMPTION_WRITABLE_COLUMNS = [
+    'certificate_number', 'organization', 'customer_email', 'country', 'region', 'expires_at', 'active'
+];
+
+function createTaxRate(db, fields) {
+    return insertRow(db, 'tax_rates', RATE_WRITABLE_COLUMNS, RATE_COLUMNS, fields);
+}
+
+function updateTaxRate(db, id, fields) {
+    return updateRow(db, 'tax_rates', RATE_WRITABLE_COLUMNS, RATE_COLUMNS, id, fields);
+}
+
+function createExemption(db, fields) {
+    return insertRow(db, 'tax_exemptions', EXEMPTION_WRITABLE_COLUMNS, EXEMPTION_COLUMNS, fields);
+}
+
+function updateExemption(db, id, fields) {
+    return updateRow(db, 'tax_exemptions', EXEMPTION_WRITABLE_COLUMNS, EXEMPTION_COLUMNS, id, fields);
+}
+
+module.exports = {
+    serializeTaxRate,
+    serializeExemption,
+    findTaxRatesFor,
+    listTaxRates,
+    findExemptionByCertificate,
+    listExemptions,
+    createTaxRate,
+    updateTaxRate,
+    createExemption,
+    updateExemption
+};
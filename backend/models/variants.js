@@ -0,0 +1,149 @@
+const { toCents } = require('../lib/money');
+const { insertRow, updateRow } = require('./rows');
+
+// Variant rows joined to their product. `price` and the measurements are the
+// effective values (the variant's own, else the product's); the variant's own
+// values, NULL when inherited, are kept as own_*.
+const VARIANT_COLUMNS = `
+    v.id, v.product_id, v.sku, v.options, v.inventory, v.position, v.active,
+    COALESCE(v.price, p.price) AS price,
+    COALESCE(v.weight_lb, p.weight_lb) AS weight_lb,
+    COALESCE(v.length_in, p.length_in) AS length_in,
+    COALESCE(v.width_in, p.width_in) AS width_in,
+    COALESCE(v.height_in, p.height_in) AS height_in,
+    v.price AS own_price, v.weight_lb AS own_weight_lb, v.length_in AS own_length_in,
+    v.width_in AS own_width_in, v.height_in AS own_height_in,
+    p.name, p.description, p.image_url, p.active AS product_active,
+    v.created_at, v.updated_at
+`;
+
+const VARIANTS_FROM = 'product_variants v JOIN products p ON p.id = v.product_id';
+
+// "Large / Blue" for { size: 'Large', color: 'Blue' }; '' without options
+function variantLabel(options) {
+    return Object.values(options || {}).join(' / ');
+}
+
+// The name shown on cart lines, Stripe and orders: "Water Blob - Large"
+function variantName(row) {
+    const label = variantLabel(row.options);
+    return label ? `${row.name} - ${label}` : row.name;
+}
+
+function serializeVariant(row) {
+    return {
+        id: row.id,
+        product_id: row.product_id,
+        sku: row.sku,
+        options: row.options,
+        label: variantLabel(row.options),
+        price: row.price,
+        price_cents: toCents(row.price),
+        inventory: row.inventory,
+        in_stock: row.inventory === null || row.inventory > 0,
+        weight_lb: row.weight_lb,
+        dimensions_in: row.length_in === null && row.width_in === null && row.height_in === null
+            ? null
+            : { length: row.length_in, width: row.width_in, height: row.height_in }
+    };
+}
+
+// Admin view: also what the variant sets itself rather than inherits
+function serializeAdminVariant(row) {
+    return {
+        ...serializeVariant(row),
+        position: row.position,
+        active: row.active,
+        overrides: {
+            price: row.own_price,
+            weight_lb: row.own_weight_lb,
+            length_in: row.own_length_in,
+            width_in: row.own_width_in,
+            height_in: row.own_height_in
+        },
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function listVariants(db, productIds, { includeInactive = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${VARIANT_COLUMNS} FROM ${VARIANTS_FROM}
+         WHERE v.product_id = ANY($1::int[]) ${includeInactive ? '' : 'AND v.active = true'}
+         ORDER BY v.product_id, v.position, v.id`,
+        [productIds]
+    );
+    return rows;
+}
+
+// Products rows with their variants (active ones only, unless
+// `includeInactive`) at `variants`
+async function attachVariants(db, products, options) {
+    const rows = products.length > 0 ? await listVariants(db, products.map((product) => product.id), options) : [];
+    const byProduct = new Map(products.map((product) => [product.id, []]));
+    rows.forEach((row) => byProduct.get(row.product_id).push(row));
+    return products.map((product) => ({ ...product, variants: byProduct.get(product.id) }));
+}
+
+async function findVariant(db, id) {
+    const { rows } = await db.query(
+        `SELECT ${VARIANT_COLUMNS} FROM ${VARIANTS_FROM} WHERE v.id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Returns every requested variant, active or not, so callers can tell an
+// inactive variant apart from one that does not exist. With `forUpdate` the
+// variant rows (which hold the stock) are locked in id order, so concurrent
+// checkouts cannot deadlock, until the surrounding transaction ends.
+async function findVariantsByIds(db, ids, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${VARIANT_COLUMNS} FROM ${VARIANTS_FROM}
+         WHERE v.id = ANY($1::int[])
+         ORDER BY v.id
+         ${forUpdate ? 'FOR UPDATE OF v' : ''}`,
+        [ids]
+    );
+    return rows;
+}
+
+// Columns an admin may set; `fields` holds already-validated values.
+const WRITABLE_COLUMNS = [
+    'sku', 'options', 'price', 'inventory', 'position', 'active',
+    'weight_lb', 'length_in', 'width_in', 'height_in'
+];
+
+async function createVariant(db, productId, fields) {
+    const row = await insertRow(db, 'product_variants', ['product_id', ...WRITABLE_COLUMNS], 'id', { ...fields, product_id: productId });
+    return findVariant(db, row.id);
+}
+
+// updated_at is maintained by the product_variants_updated_at trigger
+async function updateVariant(db, id, fields) {
+    const row = await updateRow(db, 'product_variants', WRITABLE_COLUMNS, 'id', id, fields);
+    return row && findVariant(db, row.id);
+}
+
+// Untracked (NULL) inventory becomes tracked starting from zero
+async function restockVariant(db, id, quantity) {
+    const { rowCount } = await db.query(
+        'UPDATE product_variants SET inventory = COALESCE(inventory, 0) + $2 WHERE id = $1',
+        [id, quantity]
+    );
+    return rowCount === 1 ? findVariant(db, id) : null;
+}
+
+module.exports = {
+    variantLabel,
+    variantName,
+    serializeVariant,
+    serializeAdminVariant,
+    listVariants,
+    attachVariants,
+    findVariant,
+    findVariantsByIds,
+    createVariant,
+    updateVariant,
+    restockVariant
+};
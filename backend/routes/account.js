@@ -0,0 +1,383 @@
+const express = require('express');
+const rateLimit = require('../lib/rate-limit');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { getCookie } = require('../lib/cookies');
+const { renderAccountEmail } = require('../lib/email-templates');
+const {
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    PASSWORD,
+    hashPassword,
+    verifyPassword,
+    verifyDecoyPassword,
+    createToken,
+    hashToken,
+    sessionCookieOptions,
+    requireCustomer
+} = require('../lib/accounts');
+const {
+    serializeCustomer,
+    findCustomerByEmail,
+    createCustomer,
+    updateCustomer,
+    setPasswordHash,
+    markEmailVerified,
+    createSession,
+    deleteSession,
+    deleteSessions,
+    createCustomerToken,
+    consumeCustomerToken,
+    listCustomerOrders,
+    findCustomerOrder
+} = require('../models/customers');
+const {
+    MAX_ADDRESSES,
+    serializeAddress,
+    listAddresses,
+    findAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress
+} = require('../models/addresses');
+const { serializeOrder } = require('../models/orders');
+
+const RESET_TTL_MS = 60 * 60 * 1000;
+const VERIFICATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SIGNUP_BODY = {
+    email: v.email(),
+    password: PASSWORD,
+    name: v.string({ max: 255, optional: true, nullable: true, blankAsNull: true })
+};
+
+const LOGIN_BODY = {
+    email: v.email(),
+    password: v.string({ max: 200, trim: false })
+};
+
+const TOKEN = v.string({ max: 100, message: 'token is missing or not valid' });
+
+const ADDRESS_FIELDS = {
+    label: v.string({ max: 100, optional: true, nullable: true, blankAsNull: true }),
+    name: v.string(),
+    line1: v.string(),
+    line2: v.string({ optional: true, nullable: true, blankAsNull: true }),
+    city: v.string({ max: 100 }),
+    region: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9]{1,3}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'region must be a state or province code'
+    }),
+    postal_code: v.string({
+        uppercase: true,
+        pattern: /^[A-Z0-9][A-Z0-9 -]{1,9}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'postal_code is not valid'
+    }),
+    country: v.string({
+        uppercase: true,
+        pattern: /^[A-Z]{2}$/,
+        message: 'country must be a two-letter country code'
+    }),
+    phone: v.string({
+        pattern: /^\+?[0-9 ().-]{5,30}$/,
+        optional: true,
+        nullable: true,
+        blankAsNull: true,
+        message: 'phone is not a valid phone number'
+    }),
+    is_default: v.boolean({ optional: true })
+};
+
+// Orders as their customer sees them: no Stripe or tax certificate details
+function serializeCustomerOrder(row) {
+    const {
+        stripe_session_id: stripeSessionId,
+        customer_id: customerId,
+        tax_exemption_certificate: certificate,
+        ...order
+    } = serializeOrder(row);
+    return order;
+}
+
+// The session cookie is sent with cross-site requests (SameSite=None in
+// production), so state-changing requests must come from the storefront:
+// a CORS_ORIGINS or same-origin page, or a client that sends no Origin.
+function requireTrustedOrigin(trustedOrigins) {
+    return (req, res, next) => {
+        const origin = req.get('origin');
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !origin
+            || trustedOrigins.includes(origin) || origin === `${req.protocol}://${req.get('host')}`) {
+            return next();
+        }
+        req.log.warn('Account request from an untrusted origin', { origin, path: req.originalUrl });
+        next(new HttpError(403, 'Requests must come from the store'));
+    };
+}
+
+// /api/account: signup and sign-in with a session cookie, emailed
+// verification and password reset links, order history and saved addresses.
+// Signup, sign-in and password requests share `credentialsRateLimit` per IP
+// per minute. Emails go straight to `emailTransport` rather than through the
+// order email queue: a link is only useful right away and can be re-requested.
+function createAccountRouter({
+    db,
+    emailTransport,
+    emailFrom,
+    frontendUrl,
+    secureCookies,
+    credentialsRateLimit,
+    trustedOrigins
+}) {
+    const router = express.Router();
+    const baseUrl = frontendUrl.replace(/\/+$/, '');
+    const cookieOptions = sessionCookieOptions(secureCookies);
+    const limitCredentials = rateLimit({
+        max: credentialsRateLimit,
+        message: 'Too many attempts, please try again in a minute'
+    });
+
+    router.use(requireTrustedOrigin(trustedOrigins));
+
+    const startSession = async (res, customer) => {
+        const token = createToken();
+        await createSession(db, customer.id, hashToken(token), new Date(Date.now() + SESSION_TTL_MS));
+        res.cookie(SESSION_COOKIE, token, cookieOptions);
+    };
+
+    const clearSessionCookie = (res) => {
+        const { maxAge, ...options } = cookieOptions;
+        res.clearCookie(SESSION_COOKIE, options);
+    };
+
+    // Links carry the token in the fragment, which browsers never send on,
+    // so it cannot leak through Referer headers or server logs
+    const sendAccountEmail = async (req, kind, customer, ttlMs) => {
+        const token = createToken();
+        await createCustomerToken(db, customer.id, kind, hashToken(token), new Date(Date.now() + ttlMs));
+        const param = kind === 'password_reset' ? 'reset' : 'verify';
+        const email = renderAccountEmail(kind, customer, {
+            url: `${baseUrl}/account.html#${param}=${encodeURIComponent(token)}`,
+            storeUrl: baseUrl
+        });
+        emailTransport.send({ from: emailFrom, to: customer.email, ...email })
+            .then(({ messageId }) => req.log.info('Account email sent', { kind, customerId: customer.id, messageId }))
+            .catch((err) => req.log.error('Account email failed', { kind, customerId: customer.id, err }));
+    };
+
+    const loadAddress = async (customer, id) => {
+        const address = await findAddress(db, customer.id, id);
+        if (!address) {
+            throw new HttpError(404, 'Address not found');
+        }
+        return address;
+    };
+
+    // Body: { email, password, name? }
+    router.post('/signup', limitCredentials, v.validate({ body: SIGNUP_BODY }, { message: 'Invalid signup' }), asyncHandler(async (req, res) => {
+        const { email, password, name } = req.valid.body;
+        const customer = await createCustomer(db, {
+            email,
+            name: name || null,
+            passwordHash: await hashPassword(password)
+        });
+        if (!customer) {
+            throw new HttpError(409, 'An account with this email already exists');
+        }
+
+        await startSession(res, customer);
+        await sendAccountEmail(req, 'email_verification', customer, VERIFICATION_TTL_MS);
+        req.log.info('Customer signed up', { customerId: customer.id });
+        res.status(201).json({ customer: serializeCustomer(customer) });
+    }));
+
+    // Body: { email, password }
+    router.post('/login', limitCredentials, v.validate({ body: LOGIN_BODY }, { message: 'Invalid login' }), asyncHandler(async (req, res) => {
+        const { email, password } = req.valid.body;
+        const customer = await findCustomerByEmail(db, email);
+        const valid = customer
+            ? await verifyPassword(password, customer.password_hash)
+            : await verifyDecoyPassword(password);
+        if (!valid) {
+            throw new HttpError(401, 'Invalid email or password');
+        }
+
+        await startSession(res, customer);
+        req.log.info('Customer signed in', { customerId: customer.id });
+        res.json({ customer: serializeCustomer(customer) });
+    }));
+
+    router.post('/logout', asyncHandler(async (req, res) => {
+        const token = getCookie(req, SESSION_COOKIE);
+        if (token) {
+            await deleteSession(db, hashToken(token));
+        }
+        clearSessionCookie(res);
+        res.status(204).end();
+    }));
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        res.json({ customer: serializeCustomer(customer) });
+    }));
+
+    // Body: { name }
+    router.patch('/', v.validate({
+        body: { name: v.string({ max: 255, nullable: true, blankAsNull: true }) }
+    }, { message: 'Invalid account' }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const updated = await updateCustomer(db, customer.id, req.valid.body);
+        res.json({ customer: serializeCustomer(updated) });
+    }));
+
+    // Body: { current_password, new_password }. Signs out every other session.
+    router.post('/password', limitCredentials, v.validate({
+        body: {
+            current_password: v.string({ max: 200, trim: false }),
+            new_password: PASSWORD
+        }
+    }, { message: 'Invalid password change' }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const { current_password: currentPassword, new_password: newPassword } = req.valid.body;
+        const { password_hash: passwordHash } = await findCustomerByEmail(db, customer.email);
+        if (!await verifyPassword(currentPassword, passwordHash)) {
+            throw new HttpError(400, 'Invalid password change', [
+                { field: 'current_password', message: 'current_password is not correct' }
+            ], 'validation_failed');
+        }
+
+        await setPasswordHash(db, customer.id, await hashPassword(newPassword));
+        await deleteSessions(db, customer.id);
+        await startSession(res, customer);
+        req.log.info('Customer changed password', { customerId: customer.id });
+        res.status(204).end();
+    }));
+
+    // Body: { email }. The answer is the same whether or not the email has an
+    // account, so this cannot be used to find out who shops here.
+    router.post('/password-reset', limitCredentials, v.validate({
+        body: { email: v.email() }
+    }, { message: 'Invalid password reset' }), asyncHandler(async (req, res) => {
+        const customer = await findCustomerByEmail(db, req.valid.body.email);
+        if (customer) {
+            await sendAccountEmail(req, 'password_reset', customer, RESET_TTL_MS);
+        }
+        res.status(202).json({ message: 'If an account exists for that email, a reset link is on its way.' });
+    }));
+
+    // Body: { token, password }. Signs out everywhere, then signs in here.
+    router.post('/password-reset/confirm', limitCredentials, v.validate({
+        body: { token: TOKEN, password: PASSWORD }
+    }, { message: 'Invalid password reset' }), asyncHandler(async (req, res) => {
+        const { token, password } = req.valid.body;
+        const customerId = await consumeCustomerToken(db, 'password_reset', hashToken(token));
+        if (!customerId) {
+            throw new HttpError(400, 'This reset link is invalid or has expired');
+        }
+
+        await setPasswordHash(db, customerId, await hashPassword(password));
+        await deleteSessions(db, customerId);
+        // The link was emailed, so whoever followed it owns the address
+        const customer = await markEmailVerified(db, customerId);
+        await startSession(res, customer);
+        req.log.info('Customer reset password', { customerId });
+        res.json({ customer: serializeCustomer(customer) });
+    }));
+
+    // Body: { token }
+    router.post('/verify-email', limitCredentials, v.validate({
+        body: { token: TOKEN }
+    }, { message: 'Invalid email verification' }), asyncHandler(async (req, res) => {
+        const customerId = await consumeCustomerToken(db, 'email_verification', hashToken(req.valid.body.token));
+        if (!customerId) {
+            throw new HttpError(400, 'This verification link is invalid or has expired');
+        }
+        const customer = await markEmailVerified(db, customerId);
+        req.log.info('Customer verified email', { customerId });
+        res.json({ customer: serializeCustomer(customer) });
+    }));
+
+    router.post('/verify-email/resend', limitCredentials, asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        if (customer.email_verified_at) {
+            throw new HttpError(409, 'This email address is already verified');
+        }
+        await sendAccountEmail(req, 'email_verification', customer, VERIFICATION_TTL_MS);
+        res.status(202).json({ message: 'A new verification link is on its way.' });
+    }));
+
+    router.get('/orders', v.validate({ query: v.PAGINATION }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const pagination = parsePagination(req.valid.query);
+        const { rows, total } = await listCustomerOrders(db, customer, pagination);
+        res.json({
+            orders: rows.map(serializeCustomerOrder),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/orders/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const order = await findCustomerOrder(db, customer, req.valid.params.id);
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+        res.json({ order: serializeCustomerOrder(order) });
+    }));
+
+    router.get('/addresses', asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const rows = await listAddresses(db, customer.id);
+        res.json({ addresses: rows.map(serializeAddress) });
+    }));
+
+    // Body: { label?, name, line1, line2?, city, region?, postal_code?, country, phone?, is_default? }
+    router.post('/addresses', v.validate({ body: ADDRESS_FIELDS }, { message: 'Invalid address' }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const address = await db.withTransaction((tx) => createAddress(tx, customer.id, req.valid.body));
+        if (!address) {
+            throw new HttpError(409, `You can save up to ${MAX_ADDRESSES} addresses`);
+        }
+        res.status(201).json({ address: serializeAddress(address) });
+    }));
+
+    // Body: any address fields. is_default: true makes it the default.
+    router.patch('/addresses/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(ADDRESS_FIELDS, { partial: true })
+    }, { message: 'Invalid address' }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const address = await loadAddress(customer, req.valid.params.id);
+        const fields = req.valid.body;
+        // The default moves by choosing another one, not by unsetting it
+        if (fields.is_default === false && address.is_default) {
+            delete fields.is_default;
+        }
+        const updated = await db.withTransaction((tx) => updateAddress(tx, customer.id, address.id, fields));
+        res.json({ address: serializeAddress(updated) });
+    }));
+
+    router.delete('/addresses/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const customer = await requireCustomer(db, req);
+        const address = await db.withTransaction((tx) => deleteAddress(tx, customer.id, req.valid.params.id));
+        if (!address) {
+            throw new HttpError(404, 'Address not found');
+        }
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+module.exports = createAccountRouter;
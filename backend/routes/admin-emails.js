@@ -0,0 +1,73 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    serializeOrderEmail,
+    listOrderEmails,
+    findOrderEmail,
+    retryOrderEmail
+} = require('../models/emails');
+
+const EMAIL_STATUSES = ['pending', 'sent', 'failed'];
+
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    status: v.oneOf(EMAIL_STATUSES, { optional: true }),
+    order_id: v.id({ optional: true })
+};
+
+// /api/admin/emails: the order email outbox. Messages the sender gave up on
+// (status failed, see jobs/email-sender) can be queued again from here, e.g.
+// after fixing the SMTP settings or the customer's address.
+function createAdminEmailsRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    // ?status=failed&order_id=42
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const pagination = parsePagination(req.valid.query);
+        const { rows, total } = await listOrderEmails(db, {
+            status: req.valid.query.status,
+            orderId: req.valid.query.order_id,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+        res.json({
+            emails: rows.map(serializeOrderEmail),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const email = await findOrderEmail(db, req.valid.params.id);
+        if (!email) {
+            throw new HttpError(404, 'Email not found');
+        }
+        res.json({ email: serializeOrderEmail(email) });
+    }));
+
+    // Queue a failed message again; the sender picks it up on its next run
+    router.post('/:id/retry', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const email = await retryOrderEmail(db, id);
+        if (!email) {
+            const existing = await findOrderEmail(db, id);
+            if (!existing) {
+                throw new HttpError(404, 'Email not found');
+            }
+            throw new HttpError(409, `Only failed emails can be retried (this one is ${existing.status})`);
+        }
+        res.json({ email: serializeOrderEmail(email) });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminEmailsRouter;
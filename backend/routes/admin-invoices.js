@@ -0,0 +1,118 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { transitionOrder } = require('../lib/orders');
+const { renderInvoiceDocument } = require('../lib/quote-documents');
+const { serializeOrder, findOrder } = require('../models/orders');
+const {
+    INVOICE_STATUSES,
+    serializeInvoice,
+    findInvoice,
+    findQuote,
+    listInvoices,
+    markInvoicePaid
+} = require('../models/quotes');
+
+// Defaults to what is still owed
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    status: v.list(v.oneOf(INVOICE_STATUSES), { default: ['open'] }),
+    overdue: v.boolean({ default: false })
+};
+
+const PAYMENT_BODY = {
+    reference: v.string({ max: 255, optional: true, nullable: true, blankAsNull: true }),
+    paid_at: v.timestamp({ optional: true })
+};
+
+// /api/admin/invoices: invoices of orders placed by accepting a quote, and
+// recording their payment (a check or bank transfer received outside Stripe).
+function createAdminInvoicesRouter({ db, metrics, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const loadInvoice = async (req) => {
+        const invoice = await findInvoice(db, req.valid.params.id);
+        if (!invoice) {
+            throw new HttpError(404, 'Invoice not found');
+        }
+        return invoice;
+    };
+
+    // ?status=open&overdue=true, soonest due first
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { status, overdue } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listInvoices(db, {
+            statuses: status,
+            overdue,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            invoices: rows.map(serializeInvoice),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const invoice = await loadInvoice(req);
+        const order = await findOrder(db, invoice.order_id);
+        res.json({
+            invoice: serializeInvoice(invoice),
+            order: serializeOrder(order)
+        });
+    }));
+
+    router.get('/:id/document', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const invoice = await loadInvoice(req);
+        const quote = await findQuote(db, invoice.quote_id);
+        res.type('html').send(renderInvoiceDocument(invoice, quote));
+    }));
+
+    // Body: { reference?, paid_at? }. An order still waiting in net_30 moves
+    // to paid; one already packed or shipped keeps its status.
+    router.post('/:id/payments', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(PAYMENT_BODY, { strict: true })
+    }, { message: 'Invalid payment' }), asyncHandler(async (req, res) => {
+        const { reference, paid_at: paidAt } = req.valid.body;
+        const invoice = await db.withTransaction(async (tx) => {
+            const locked = await findInvoice(tx, req.valid.params.id, { forUpdate: true });
+            if (!locked) {
+                throw new HttpError(404, 'Invoice not found');
+            }
+            if (locked.status !== 'open') {
+                throw new HttpError(409, `Invoice is ${locked.status}`, null, 'invoice_closed');
+            }
+            return markInvoicePaid(tx, locked.id, { paidAt, reference });
+        });
+
+        const { order, changed } = await transitionOrder(db, { id: invoice.order_id }, 'paid', {
+            actor: 'admin',
+            note: `Invoice ${invoice.number} paid`
+        });
+        if (changed) {
+            metrics.orderStatusChanges.inc({ status: 'paid' });
+        }
+
+        req.log.info('Invoice paid', { invoiceId: invoice.id, orderId: invoice.order_id });
+        res.json({
+            invoice: serializeInvoice(invoice),
+            order: serializeOrder(order)
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminInvoicesRouter;
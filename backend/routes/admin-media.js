@@ -0,0 +1,165 @@
+const express = require('express');
+const multer = require('multer');
+const requireAdmin = require('../lib/admin-auth');
+const { HttpError, asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { renderImage, storeImage, removeImage } = require('../lib/media');
+const { findProduct } = require('../models/products');
+const {
+    serializeAdminMedia,
+    listMedia,
+    findMedia,
+    createMedia,
+    updateMedia,
+    deleteMedia,
+    reorderMedia
+} = require('../models/media');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGES = 50;
+
+const MEDIA_FIELDS = {
+    alt_text: v.string({ min: 0, max: 500, optional: true }),
+    position: v.integer({ min: 0, max: 1000, optional: true })
+};
+
+const MEDIA_PARAMS = { id: v.id(), mediaId: v.id() };
+
+const ORDER_BODY = {
+    ids: v.array(v.id(), { min: 1, max: MAX_IMAGES })
+};
+
+// Multipart form with the image in a `file` field and an optional `alt_text`
+// field, held in memory until the sizes are rendered
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 5 }
+}).single('file');
+
+function receiveUpload(req, res, next) {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return next(err.code === 'LIMIT_FILE_SIZE'
+                ? new HttpError(413, `Images may be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`)
+                : new HttpError(400, 'Invalid upload', [{ field: err.field || 'file', message: err.message }], 'validation_failed'));
+        }
+        next(err);
+    });
+}
+
+// /api/admin/products/:id/media: a product's image gallery. Uploads are
+// stored through `storage` (see lib/media-storage) with their generated
+// sizes (see lib/media); deleting an image removes its files too.
+function createAdminMediaRouter({ db, storage, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const found = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Image not found');
+        }
+        return { image: serializeAdminMedia(row, storage) };
+    };
+
+    const loadProduct = async (id) => {
+        const product = await findProduct(db, id);
+        if (!product) {
+            throw new HttpError(404, 'Product not found');
+        }
+        return product;
+    };
+
+    // The image, if it belongs to the product
+    const loadMedia = async ({ id, mediaId }) => {
+        const media = await findMedia(db, mediaId);
+        if (!media || media.product_id !== id) {
+            throw new HttpError(404, 'Image not found');
+        }
+        return media;
+    };
+
+    router.get('/:id/media', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const product = await loadProduct(req.valid.params.id);
+        res.json({ images: product.media.map((row) => serializeAdminMedia(row, storage)) });
+    }));
+
+    // multipart/form-data: file, alt_text?. The image goes to the end of the
+    // gallery.
+    router.post('/:id/media', receiveUpload, v.validate({
+        params: v.ID_PARAMS,
+        body: v.object({ alt_text: MEDIA_FIELDS.alt_text }, { strict: true })
+    }, { message: 'Invalid image' }), asyncHandler(async (req, res) => {
+        const product = await loadProduct(req.valid.params.id);
+        if (!req.file) {
+            throw new HttpError(400, 'Invalid image', [
+                { field: 'file', message: 'file is required (multipart/form-data)' }
+            ], 'validation_failed');
+        }
+        if (product.media.length >= MAX_IMAGES) {
+            throw new HttpError(409, `A product may have at most ${MAX_IMAGES} images`);
+        }
+
+        const { contentType, sizes } = await renderImage(req.file.buffer);
+        const stored = await storeImage(storage, product.id, sizes);
+        let row;
+        try {
+            row = await createMedia(db, product.id, {
+                sizes: stored,
+                contentType,
+                byteSize: req.file.size,
+                originalFilename: req.file.originalname ? req.file.originalname.slice(0, 255) : null,
+                altText: req.valid.body.alt_text || ''
+            });
+        } catch (err) {
+            await removeImage(storage, stored).catch((removeErr) => {
+                req.log.warn('Could not remove stored image', { err: removeErr });
+            });
+            throw err;
+        }
+        res.status(201).json(found(row));
+    }));
+
+    // Body: { ids } - every image of the product, in the new gallery order
+    router.put('/:id/media/order', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(ORDER_BODY, { strict: true })
+    }, { message: 'Invalid image order' }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const { ids } = req.valid.body;
+        const current = (await loadProduct(id)).media.map((row) => row.id);
+        if (ids.length !== current.length || !current.every((mediaId) => ids.includes(mediaId))) {
+            throw new HttpError(400, 'Invalid image order', [
+                { field: 'ids', message: "ids must list each of the product's images once" }
+            ], 'validation_failed');
+        }
+
+        await reorderMedia(db, id, ids);
+        const rows = await listMedia(db, [id]);
+        res.json({ images: rows.map((row) => serializeAdminMedia(row, storage)) });
+    }));
+
+    router.patch('/:id/media/:mediaId', v.validate({
+        params: MEDIA_PARAMS,
+        body: v.object(MEDIA_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid image' }), asyncHandler(async (req, res) => {
+        const media = await loadMedia(req.valid.params);
+        res.json(found(await updateMedia(db, media.id, req.valid.body)));
+    }));
+
+    // Unlike products, images are deleted outright: orders do not refer to them
+    router.delete('/:id/media/:mediaId', v.validate({ params: MEDIA_PARAMS }), asyncHandler(async (req, res) => {
+        const media = await loadMedia(req.valid.params);
+        const row = await deleteMedia(db, media.id);
+        if (row) {
+            await removeImage(storage, row.sizes).catch((err) => {
+                req.log.warn('Could not remove stored image', { err, mediaId: row.id });
+            });
+        }
+        res.json(found(row));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminMediaRouter;
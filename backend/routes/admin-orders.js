@@ -0,0 +1,115 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { STATUSES } = require('../lib/order-status');
+const { transitionOrder } = require('../lib/orders');
+const {
+    serializeOrder,
+    serializeHistory,
+    findOrder,
+    getOrderHistory,
+    listOrders
+} = require('../models/orders');
+const { serializeInvoice, findInvoiceByOrder } = require('../models/quotes');
+
+// Blank strings count as not given
+const note = (max) => v.string({ max, optional: true, nullable: true, blankAsNull: true });
+
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    status: v.list(v.oneOf(STATUSES), { default: [] }),
+    from: v.timestamp({ optional: true }),
+    to: v.timestamp({ optional: true }),
+    email: v.string({ optional: true })
+};
+
+const TRANSITION_BODY = {
+    status: v.oneOf(STATUSES),
+    tracking_number: note(255),
+    carrier: note(100),
+    note: note(2000),
+    restock: v.boolean({ optional: true })
+};
+
+// /api/admin/orders: list and filter orders, move them through fulfillment.
+function createAdminOrdersRouter({ db, metrics, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const loadOrder = async (req) => {
+        const order = await findOrder(db, req.valid.params.id);
+        if (!order) {
+            throw new HttpError(404, 'Order not found');
+        }
+        return order;
+    };
+
+    // ?status=paid,packed&from=2024-06-01&to=2024-07-01&email=camp@example.com
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { status, from, to, email } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listOrders(db, {
+            statuses: status,
+            from,
+            to,
+            email,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            orders: rows.map(serializeOrder),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const order = await loadOrder(req);
+        const history = await getOrderHistory(db, order.id);
+        // Orders placed by accepting a quote are paid against an invoice
+        const invoice = await findInvoiceByOrder(db, order.id);
+        res.json({
+            order: serializeOrder(order),
+            history: history.map(serializeHistory),
+            invoice: invoice ? serializeInvoice(invoice) : null
+        });
+    }));
+
+    // Body: { status, tracking_number?, carrier?, note?, restock? }. Marking an
+    // order refunded only records it; the refund itself is issued in Stripe.
+    // A refunded order that has shipped keeps its stock out unless `restock`
+    // is true (see transitionOrder).
+    router.post('/:id/transitions', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(TRANSITION_BODY, { strict: true })
+    }, { message: 'Invalid transition' }), asyncHandler(async (req, res) => {
+        const { status, tracking_number: trackingNumber, carrier, note: text, restock } = req.valid.body;
+        const { order } = await transitionOrder(db, { id: req.valid.params.id }, status, {
+            trackingNumber,
+            carrier,
+            note: text,
+            restock,
+            actor: 'admin',
+            strict: true
+        });
+        metrics.orderStatusChanges.inc({ status });
+        const history = await getOrderHistory(db, order.id);
+
+        res.json({
+            order: serializeOrder(order),
+            history: history.map(serializeHistory)
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminOrdersRouter;
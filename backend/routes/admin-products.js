@@ -0,0 +1,218 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    SORTS,
+    serializeProduct,
+    listProducts,
+    findProduct,
+    createProduct,
+    updateProduct
+} = require('../models/products');
+const {
+    serializeAdminVariant,
+    findVariant,
+    createVariant,
+    updateVariant,
+    restockVariant
+} = require('../models/variants');
+
+const MAX_INVENTORY = 1000000;
+const MAX_VARIANTS = 50;
+
+// Weight in pounds and dimensions in inches, used for shipping quotes
+const measurement = () => v.decimal({ digits: 6, optional: true, nullable: true });
+
+const PRODUCT_FIELDS = {
+    name: v.string(),
+    description: v.string({ min: 0, max: 10000, trim: false, optional: true, nullable: true }),
+    price: v.decimal(),
+    image_url: v.url({ optional: true, nullable: true }),
+    active: v.boolean({ optional: true }),
+    weight_lb: measurement(),
+    length_in: measurement(),
+    width_in: measurement(),
+    height_in: measurement()
+};
+
+// A variant's price and measurements are optional overrides: null means the
+// product's. Option names are lowercase ("size", "color") so the same option
+// is always spelled the same way.
+const VARIANT_FIELDS = {
+    sku: v.string({
+        max: 64,
+        pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+        message: 'sku is required and may only contain letters, digits, dots, dashes and underscores'
+    }),
+    options: v.record(v.string({ max: 50 }), { key: /^[a-z][a-z0-9_]{0,29}$/, max: 5, default: {} }),
+    price: v.decimal({ optional: true, nullable: true }),
+    inventory: v.integer({ min: 0, max: MAX_INVENTORY, optional: true, nullable: true }),
+    position: v.integer({ min: 0, max: 1000, optional: true }),
+    active: v.boolean({ optional: true }),
+    weight_lb: measurement(),
+    length_in: measurement(),
+    width_in: measurement(),
+    height_in: measurement()
+};
+
+// Without `variants` a product gets one variant without options
+const NEW_PRODUCT = v.object({
+    ...PRODUCT_FIELDS,
+    variants: v.array(v.object(VARIANT_FIELDS, { strict: true }), { min: 1, max: MAX_VARIANTS, optional: true })
+}, { strict: true });
+
+const VARIANT_PARAMS = { id: v.id(), variantId: v.id() };
+
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    sort: v.oneOf(Object.keys(SORTS), { default: 'newest' }),
+    q: v.string({ min: 0, max: 200, default: '' })
+};
+
+const RESTOCK_BODY = {
+    quantity: v.integer({ min: 1, max: MAX_INVENTORY })
+};
+
+function serializeAdminProduct(row, storage) {
+    return {
+        ...serializeProduct(row, { storage, serializeVariantRow: serializeAdminVariant }),
+        active: row.active
+    };
+}
+
+function translateDbError(err) {
+    if (err.code === '23505') {
+        return new HttpError(409, err.constraint === 'product_variants_sku_key'
+            ? 'A variant with this SKU already exists'
+            : 'The product already has a variant with these options');
+    }
+    return err;
+}
+
+// /api/admin/products: create, update and soft-delete products and their
+// variants, and restock variants. Images are managed by routes/admin-media.
+function createAdminProductsRouter({ db, mediaStorage, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const found = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Product not found');
+        }
+        return { product: serializeAdminProduct(row, mediaStorage) };
+    };
+
+    // The variant, if it belongs to the product
+    const loadVariant = async ({ id, variantId }) => {
+        const variant = await findVariant(db, variantId);
+        if (!variant || variant.product_id !== id) {
+            throw new HttpError(404, 'Variant not found');
+        }
+        return variant;
+    };
+
+    const variantFound = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Variant not found');
+        }
+        return { variant: serializeAdminVariant(row) };
+    };
+
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { q, sort } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listProducts(db, {
+            q,
+            sort,
+            limit: pagination.limit,
+            offset: pagination.offset,
+            includeInactive: true
+        });
+
+        res.json({
+            products: rows.map((row) => serializeAdminProduct(row, mediaStorage)),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(found(await findProduct(db, req.valid.params.id)));
+    }));
+
+    router.post('/', v.validate({ body: NEW_PRODUCT }, { message: 'Invalid product' }), asyncHandler(async (req, res) => {
+        const { variants, ...fields } = req.valid.body;
+        const id = await db.withTransaction(async (tx) => {
+            const product = await createProduct(tx, fields);
+            const rows = variants || [{ sku: `BLOB-${product.id}`, options: {} }];
+            for (const variant of rows) {
+                await createVariant(tx, product.id, variant);
+            }
+            return product.id;
+        }).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.status(201).json(found(await findProduct(db, id)));
+    }));
+
+    router.patch('/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(PRODUCT_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid product' }), asyncHandler(async (req, res) => {
+        res.json(found(await updateProduct(db, req.valid.params.id, req.valid.body)));
+    }));
+
+    // Soft delete: the row stays so past orders and reservations keep their
+    // product, it just disappears from the storefront and checkout.
+    router.delete('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(found(await updateProduct(db, req.valid.params.id, { active: false })));
+    }));
+
+    router.post('/:id/variants', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(VARIANT_FIELDS, { strict: true })
+    }, { message: 'Invalid variant' }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        found(await findProduct(db, id));
+        const row = await createVariant(db, id, req.valid.body).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.status(201).json(variantFound(row));
+    }));
+
+    router.patch('/:id/variants/:variantId', v.validate({
+        params: VARIANT_PARAMS,
+        body: v.object(VARIANT_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid variant' }), asyncHandler(async (req, res) => {
+        const variant = await loadVariant(req.valid.params);
+        const row = await updateVariant(db, variant.id, req.valid.body).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.json(variantFound(row));
+    }));
+
+    // Soft delete, like products: carts and reservations keep their variant
+    router.delete('/:id/variants/:variantId', v.validate({ params: VARIANT_PARAMS }), asyncHandler(async (req, res) => {
+        const variant = await loadVariant(req.valid.params);
+        res.json(variantFound(await updateVariant(db, variant.id, { active: false })));
+    }));
+
+    router.post('/:id/variants/:variantId/restock', v.validate({
+        params: VARIANT_PARAMS,
+        body: v.object(RESTOCK_BODY, { strict: true })
+    }, { message: 'Invalid restock' }), asyncHandler(async (req, res) => {
+        const variant = await loadVariant(req.valid.params);
+        res.json(variantFound(await restockVariant(db, variant.id, req.valid.body.quantity)));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminProductsRouter;
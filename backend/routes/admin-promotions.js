@@ -0,0 +1,132 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    serializePromotion,
+    listPromotions,
+    findPromotion,
+    createPromotion,
+    updatePromotion
+} = require('../models/promotions');
+
+const KINDS = ['percentage', 'fixed', 'free_shipping'];
+const MAX_PRODUCTS = 100;
+
+// Rules that involve the stored row (percentage range, date order) are
+// checked by validateCombined once both are known.
+const PROMOTION_FIELDS = {
+    code: v.string({
+        max: 50,
+        pattern: /^[A-Za-z0-9_-]+$/,
+        uppercase: true,
+        message: 'code must be 1-50 letters, digits, dashes or underscores'
+    }),
+    description: v.string({ min: 0, max: 2000, trim: false, optional: true, nullable: true }),
+    kind: v.oneOf(KINDS),
+    value: v.decimal({ optional: true }),
+    min_order_amount: v.decimal({ optional: true, nullable: true }),
+    starts_at: v.timestamp({ optional: true, nullable: true }),
+    expires_at: v.timestamp({ optional: true, nullable: true }),
+    usage_limit: v.integer({ min: 1, optional: true, nullable: true }),
+    product_ids: v.array(v.id(), { max: MAX_PRODUCTS, unique: true, optional: true }),
+    active: v.boolean({ optional: true })
+};
+
+// Checks on the promotion as it will be stored: `fields` over `existing`
+function validateCombined(fields, existing = {}) {
+    const merged = { ...existing, ...fields };
+    const errors = [];
+
+    if (merged.kind === 'percentage' && !(Number(merged.value) > 0 && Number(merged.value) <= 100)) {
+        errors.push({ field: 'value', message: 'a percentage promotion needs a value between 0 and 100' });
+    }
+    if (merged.kind === 'fixed' && !(Number(merged.value) > 0)) {
+        errors.push({ field: 'value', message: 'a fixed promotion needs a value greater than 0' });
+    }
+    if (merged.starts_at && merged.expires_at && merged.starts_at >= merged.expires_at) {
+        errors.push({ field: 'expires_at', message: 'expires_at must be after starts_at' });
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError(400, 'Invalid promotion', errors, 'validation_failed');
+    }
+}
+
+// Unique index violation on the code, or a product id that does not exist
+function translateDbError(err) {
+    if (err.code === '23505') {
+        return new HttpError(409, 'A promotion with this code already exists');
+    }
+    if (err.code === '23503') {
+        return new HttpError(400, 'Invalid promotion', [
+            { field: 'product_ids', message: 'product_ids contains an unknown product' }
+        ], 'validation_failed');
+    }
+    return err;
+}
+
+// /api/admin/promotions: discount codes. Promotions are deactivated rather
+// than deleted so past redemptions keep their promotion.
+function createAdminPromotionsRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const found = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Promotion not found');
+        }
+        return { promotion: serializePromotion(row) };
+    };
+
+    router.get('/', v.validate({ query: v.PAGINATION }), asyncHandler(async (req, res) => {
+        const pagination = parsePagination(req.valid.query);
+        const { rows, total } = await listPromotions(db, pagination);
+        res.json({
+            promotions: rows.map(serializePromotion),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(found(await findPromotion(db, req.valid.params.id)));
+    }));
+
+    router.post('/', v.validate({
+        body: v.object(PROMOTION_FIELDS, { strict: true })
+    }, { message: 'Invalid promotion' }), asyncHandler(async (req, res) => {
+        const fields = req.valid.body;
+        validateCombined(fields);
+        const row = await createPromotion(db, fields).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.status(201).json(found(row));
+    }));
+
+    router.patch('/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(PROMOTION_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid promotion' }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const fields = req.valid.body;
+        validateCombined(fields, found(await findPromotion(db, id)).promotion);
+        const row = await updatePromotion(db, id, fields).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.json(found(row));
+    }));
+
+    router.delete('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(found(await updatePromotion(db, req.valid.params.id, { active: false })));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminPromotionsRouter;
@@ -0,0 +1,149 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { createToken, hashToken } = require('../lib/accounts');
+const {
+    QUOTE_VALID_DAYS,
+    QUOTE_PRICING,
+    assertEditable,
+    repriceQuote,
+    quoteUrl,
+    sendQuoteEmail
+} = require('../lib/quotes');
+const { renderQuoteDocument } = require('../lib/quote-documents');
+const {
+    QUOTE_STATUSES,
+    serializeAdminQuote,
+    serializeInvoice,
+    findQuote,
+    findInvoiceByOrder,
+    listQuotes,
+    markQuoteSent,
+    markQuoteCancelled
+} = require('../models/quotes');
+
+// The queue defaults to requests still waiting for a price
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    status: v.list(v.oneOf(QUOTE_STATUSES), { default: ['requested'] }),
+    email: v.string({ optional: true })
+};
+
+const SEND_BODY = {
+    expires_at: v.timestamp({ optional: true })
+};
+
+// /api/admin/quotes: price quote requests and send them. Sending emails the
+// customer a private link to accept or decline; each send makes a new link.
+function createAdminQuotesRouter({ db, taxCalculator, emailTransport, emailFrom, frontendUrl, adminToken }) {
+    const router = express.Router();
+    const storeUrl = frontendUrl.replace(/\/+$/, '');
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    // `client` is db, or a transaction holding the quote while it changes
+    const loadQuote = async (client, req, options = {}) => {
+        const quote = await findQuote(client, req.valid.params.id, options);
+        if (!quote) {
+            throw new HttpError(404, 'Quote not found');
+        }
+        return quote;
+    };
+
+    // ?status=requested,sent&email=camp@example.com, oldest first
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { status, email } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listQuotes(db, {
+            statuses: status,
+            email,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            quotes: rows.map(serializeAdminQuote),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await loadQuote(db, req);
+        const invoice = quote.order_id ? await findInvoiceByOrder(db, quote.order_id) : null;
+        res.json({
+            quote: serializeAdminQuote(quote),
+            invoice: invoice ? serializeInvoice(invoice) : null
+        });
+    }));
+
+    router.get('/:id/document', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await loadQuote(db, req);
+        res.type('html').send(renderQuoteDocument(quote));
+    }));
+
+    // Body: see QUOTE_PRICING in lib/quotes. A sent quote can be repriced;
+    // send it again so the customer hears about it.
+    router.patch('/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(QUOTE_PRICING, { strict: true })
+    }, { message: 'Invalid quote pricing' }), asyncHandler(async (req, res) => {
+        const quote = await db.withTransaction(async (tx) => {
+            const locked = await loadQuote(tx, req, { forUpdate: true });
+            return repriceQuote(tx, taxCalculator, locked, req.valid.body);
+        });
+        res.json({ quote: serializeAdminQuote(quote) });
+    }));
+
+    // Body: { expires_at? }, by default QUOTE_VALID_DAYS from now. The
+    // response carries the link that was emailed, for sending it another way.
+    router.post('/:id/send', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(SEND_BODY, { strict: true })
+    }, { message: 'Invalid quote' }), asyncHandler(async (req, res) => {
+        const expiresAt = req.valid.body.expires_at
+            || new Date(Date.now() + QUOTE_VALID_DAYS * 24 * 60 * 60 * 1000);
+        if (expiresAt <= new Date()) {
+            throw new HttpError(400, 'Invalid quote', [
+                { field: 'expires_at', message: 'expires_at must be in the future' }
+            ], 'validation_failed');
+        }
+
+        const token = createToken();
+        const quote = await db.withTransaction(async (tx) => {
+            const locked = await loadQuote(tx, req, { forUpdate: true });
+            assertEditable(locked);
+            if (locked.shipping === null) {
+                throw new HttpError(400, 'Set the shipping charge before sending the quote', [
+                    { field: 'shipping', message: 'shipping is required to send a quote' }
+                ], 'validation_failed');
+            }
+            return markQuoteSent(tx, locked.id, { accessTokenHash: hashToken(token), expiresAt });
+        });
+
+        const url = quoteUrl(storeUrl, token);
+        sendQuoteEmail({ emailTransport, emailFrom, storeUrl, log: req.log }, 'quote_sent', quote, { url });
+        req.log.info('Quote sent', { quoteId: quote.id, number: quote.number });
+        res.json({ quote: serializeAdminQuote(quote), url });
+    }));
+
+    router.post('/:id/cancel', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await db.withTransaction(async (tx) => {
+            const locked = await loadQuote(tx, req, { forUpdate: true });
+            assertEditable(locked);
+            return markQuoteCancelled(tx, locked.id);
+        });
+        req.log.info('Quote cancelled', { quoteId: quote.id });
+        res.json({ quote: serializeAdminQuote(quote) });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminQuotesRouter;
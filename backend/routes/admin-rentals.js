@@ -0,0 +1,174 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { MAX_QUANTITY } = require('../lib/cart');
+const { MAX_RENTAL_DAYS, rentalDays, findShortfalls } = require('../lib/rentals');
+const { findVariant } = require('../models/variants');
+const {
+    BOOKING_STATUSES,
+    serializeAdminRentalPlan,
+    serializeBooking,
+    findRentalPlans,
+    listRentalPlans,
+    saveRentalPlan,
+    findBooking,
+    listBookings,
+    createBooking,
+    releaseBooking
+} = require('../models/rentals');
+
+const VARIANT_PARAMS = { variantId: v.id() };
+
+// A whole plan; left-out fields take their defaults
+const PLAN_BODY = v.object({
+    units: v.integer({ min: 0, max: 100000 }),
+    daily_rate: v.decimal(),
+    weekly_rate: v.decimal({ nullable: true, default: null }),
+    deposit: v.decimal({ default: '0.00' }),
+    min_days: v.integer({ min: 1, max: MAX_RENTAL_DAYS, default: 1 }),
+    max_days: v.integer({ min: 1, max: MAX_RENTAL_DAYS, nullable: true, default: null }),
+    lead_days: v.integer({ min: 0, max: 365, default: 1 }),
+    buffer_days: v.integer({ min: 0, max: 30, default: 0 }),
+    active: v.boolean({ default: true })
+}, {
+    strict: true,
+    refine(plan, fail) {
+        if (plan.max_days !== null && plan.max_days < plan.min_days) {
+            fail('max_days', 'max_days must not be less than min_days');
+        }
+    }
+});
+
+// Defaults to the bookings holding units
+const BOOKINGS_QUERY = {
+    ...v.PAGINATION,
+    variant_id: v.id({ optional: true }),
+    status: v.list(v.oneOf(BOOKING_STATUSES), { default: ['reserved', 'committed'] }),
+    from: v.date({ optional: true }),
+    to: v.date({ optional: true })
+};
+
+const BOOKING_BODY = v.object({
+    variant_id: v.id(),
+    quantity: v.integer({ min: 1, max: MAX_QUANTITY, default: 1 }),
+    start_date: v.date(),
+    end_date: v.date(),
+    amount: v.decimal({ default: '0.00' }),
+    deposit: v.decimal({ default: '0.00' }),
+    note: v.string({ max: 2000, optional: true, nullable: true, blankAsNull: true })
+}, {
+    strict: true,
+    refine(booking, fail) {
+        const days = rentalDays({ startDate: booking.start_date, endDate: booking.end_date });
+        if (days < 1) {
+            fail('end_date', 'end_date must not be before start_date');
+        } else if (days > MAX_RENTAL_DAYS) {
+            fail('end_date', `A rental can last at most ${MAX_RENTAL_DAYS} days`);
+        }
+    }
+});
+
+// /api/admin/rentals: rental plans per variant, and the bookings against
+// them. Bookings made here (phone orders, units out for repair) take units
+// from the pool like checkout's, but skip the plan's lead time and length
+// limits.
+function createAdminRentalsRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const rows = await listRentalPlans(db, { includeInactive: true });
+        res.json({ rentals: rows.map(serializeAdminRentalPlan) });
+    }));
+
+    // ?variant_id=3&status=committed&from=2026-06-01&to=2026-06-30, soonest first
+    router.get('/bookings', v.validate({ query: BOOKINGS_QUERY }), asyncHandler(async (req, res) => {
+        const { variant_id: variantId, status, from, to } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listBookings(db, {
+            variantId: variantId || null,
+            statuses: status,
+            from: from || null,
+            to: to || null,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            bookings: rows.map(serializeBooking),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    // Body: { variant_id, quantity?, start_date, end_date, amount?, deposit?, note? }
+    router.post('/bookings', v.validate({ body: BOOKING_BODY }, { message: 'Invalid booking' }), asyncHandler(async (req, res) => {
+        const body = req.valid.body;
+        const booking = await db.withTransaction(async (tx) => {
+            const [plan] = await findRentalPlans(tx, [body.variant_id], { forUpdate: true });
+            if (!plan) {
+                throw new HttpError(404, 'Rental not found');
+            }
+            const shortfalls = await findShortfalls(tx, plan, [
+                { startDate: body.start_date, endDate: body.end_date, quantity: body.quantity }
+            ]);
+            if (shortfalls.length > 0) {
+                throw new HttpError(409, 'Not available to rent for those dates', shortfalls, 'rental_unavailable');
+            }
+            return createBooking(tx, plan, {
+                startDate: body.start_date,
+                endDate: body.end_date,
+                quantity: body.quantity,
+                amount: body.amount,
+                deposit: body.deposit,
+                note: body.note || null
+            });
+        });
+
+        req.log.info('Rental booked', { bookingId: booking.id, variantId: booking.variant_id });
+        res.status(201).json({ booking: serializeBooking(booking) });
+    }));
+
+    // Frees the units of a booking made here. Checkout's bookings follow
+    // their order instead: cancel or refund the order.
+    router.post('/bookings/:id/cancel', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const booking = await db.withTransaction(async (tx) => {
+            const locked = await findBooking(tx, req.valid.params.id, { forUpdate: true });
+            if (!locked) {
+                throw new HttpError(404, 'Booking not found');
+            }
+            if (locked.reference !== null) {
+                throw new HttpError(409, 'This booking belongs to a checkout; cancel its order instead', null, 'booking_has_order');
+            }
+            return releaseBooking(tx, locked.id);
+        });
+
+        req.log.info('Rental booking cancelled', { bookingId: booking.id });
+        res.json({ booking: serializeBooking(booking) });
+    }));
+
+    // Body: see PLAN_BODY. Creates the variant's plan or replaces it; bookings
+    // already made stand even if the new pool is smaller.
+    router.put('/:variantId', v.validate({
+        params: VARIANT_PARAMS,
+        body: PLAN_BODY
+    }, { message: 'Invalid rental plan' }), asyncHandler(async (req, res) => {
+        const variant = await findVariant(db, req.valid.params.variantId);
+        if (!variant) {
+            throw new HttpError(404, 'Variant not found');
+        }
+        const plan = await saveRentalPlan(db, variant.id, req.valid.body);
+        res.json({ rental: serializeAdminRentalPlan(plan) });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminRentalsRouter;
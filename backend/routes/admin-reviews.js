@@ -0,0 +1,84 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    REVIEW_STATUSES,
+    MODERATION_STATUSES,
+    serializeAdminReview,
+    listReviews,
+    findReview,
+    moderateReview
+} = require('../models/reviews');
+
+// The queue defaults to what still needs a decision
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    status: v.list(v.oneOf(REVIEW_STATUSES), { default: ['pending', 'flagged'] }),
+    product_id: v.id({ optional: true })
+};
+
+const MODERATION_BODY = {
+    status: v.oneOf(MODERATION_STATUSES),
+    note: v.string({ max: 2000, optional: true, nullable: true, blankAsNull: true })
+};
+
+// /api/admin/reviews: the moderation queue. Approving a review publishes it
+// and counts it in the product's rating; rejecting hides it for good, and
+// flagging parks it for a second look.
+function createAdminReviewsRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const found = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Review not found');
+        }
+        return { review: serializeAdminReview(row) };
+    };
+
+    // ?status=pending,flagged&product_id=1, oldest first
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { status, product_id: productId } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listReviews(db, {
+            statuses: status,
+            productId,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            reviews: rows.map(serializeAdminReview),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(found(await findReview(db, req.valid.params.id)));
+    }));
+
+    // Body: { status: approved | rejected | flagged, note? }
+    router.post('/:id/moderation', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(MODERATION_BODY, { strict: true })
+    }, { message: 'Invalid moderation' }), asyncHandler(async (req, res) => {
+        const { status, note } = req.valid.body;
+        const row = await moderateReview(db, req.valid.params.id, { status, note });
+        if (row) {
+            req.log.info('Review moderated', { reviewId: row.id, productId: row.product_id, status });
+        }
+        res.json(found(row));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminReviewsRouter;
@@ -0,0 +1,145 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const { HttpError, asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    serializeZone,
+    serializeRate,
+    listZones,
+    listRates,
+    findZone,
+    findRate,
+    createZone,
+    updateZone,
+    createRate,
+    updateRate
+} = require('../models/shipping');
+
+const KINDS = ['parcel', 'freight', 'pickup'];
+const MAX_LIST = 100;
+
+// Upper-cased codes, duplicates dropped
+const codes = (pattern, message, options = {}) => v.array(
+    v.string({ max: 10, pattern, uppercase: true, message }),
+    { max: MAX_LIST, unique: true, ...options }
+);
+
+const ZONE_FIELDS = {
+    name: v.string(),
+    countries: codes(/^[A-Z]{2}$/, 'countries must be two-letter country codes', { min: 1 }),
+    regions: codes(/^[A-Z0-9]{1,3}$/, 'regions must be state or province codes', { optional: true }),
+    postal_prefixes: codes(/^[A-Z0-9]{1,10}$/, 'postal_prefixes must be postal code prefixes', { optional: true }),
+    active: v.boolean({ optional: true })
+};
+
+const RATE_FIELDS = {
+    name: v.string(),
+    kind: v.oneOf(KINDS),
+    base_amount: v.decimal({ optional: true }),
+    per_lb_amount: v.decimal({ optional: true }),
+    oversize_surcharge: v.decimal({ optional: true }),
+    max_weight_lb: v.decimal({ digits: 6, positive: true, optional: true, nullable: true }),
+    min_days: v.integer({ min: 0, max: 365, optional: true, nullable: true }),
+    max_days: v.integer({ min: 0, max: 365, optional: true, nullable: true }),
+    active: v.boolean({ optional: true })
+};
+
+// A rate stays in the zone it was created in
+const NEW_RATE = v.object({
+    zone_id: v.id({ message: 'zone_id must be a shipping zone id' }),
+    ...RATE_FIELDS
+}, { strict: true });
+
+// Check constraints (e.g. max_days below min_days) and unknown zone ids
+function translateDbError(err) {
+    if (err.code === '23514') {
+        return new HttpError(400, 'Invalid shipping rate', [
+            { field: 'max_days', message: 'max_days must not be less than min_days' }
+        ], 'validation_failed');
+    }
+    if (err.code === '23503') {
+        return new HttpError(400, 'Invalid shipping rate', [
+            { field: 'zone_id', message: 'zone_id must be a shipping zone id' }
+        ], 'validation_failed');
+    }
+    return err;
+}
+
+// /api/admin/shipping: shipping zones and the rates offered in them. Nothing
+// is deleted; set `active` to false to stop offering a zone or rate.
+function createAdminShippingRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const foundZone = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Shipping zone not found');
+        }
+        return { zone: serializeZone(row) };
+    };
+
+    const foundRate = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Shipping rate not found');
+        }
+        return { rate: serializeRate(row) };
+    };
+
+    // Every zone with all of its rates, active or not
+    router.get('/zones', asyncHandler(async (req, res) => {
+        const zones = await listZones(db);
+        const withRates = [];
+        for (const zone of zones) {
+            const rates = await listRates(db, zone.id);
+            withRates.push({ ...serializeZone(zone), rates: rates.map(serializeRate) });
+        }
+        res.json({ zones: withRates });
+    }));
+
+    router.get('/zones/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const result = foundZone(await findZone(db, req.valid.params.id));
+        const rates = await listRates(db, result.zone.id);
+        res.json({ zone: { ...result.zone, rates: rates.map(serializeRate) } });
+    }));
+
+    router.post('/zones', v.validate({
+        body: v.object(ZONE_FIELDS, { strict: true })
+    }, { message: 'Invalid shipping zone' }), asyncHandler(async (req, res) => {
+        res.status(201).json(foundZone(await createZone(db, req.valid.body)));
+    }));
+
+    router.patch('/zones/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(ZONE_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid shipping zone' }), asyncHandler(async (req, res) => {
+        res.json(foundZone(await updateZone(db, req.valid.params.id, req.valid.body)));
+    }));
+
+    router.get('/rates/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        res.json(foundRate(await findRate(db, req.valid.params.id)));
+    }));
+
+    router.post('/rates', v.validate({
+        body: NEW_RATE
+    }, { message: 'Invalid shipping rate' }), asyncHandler(async (req, res) => {
+        const row = await createRate(db, req.valid.body).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.status(201).json(foundRate(row));
+    }));
+
+    router.patch('/rates/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(RATE_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid shipping rate' }), asyncHandler(async (req, res) => {
+        const row = await updateRate(db, req.valid.params.id, req.valid.body).catch((err) => {
+            throw translateDbError(err);
+        });
+        res.json(foundRate(row));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminShippingRouter;
@@ -0,0 +1,128 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    serializeTaxRate,
+    serializeExemption,
+    listTaxRates,
+    listExemptions,
+    createTaxRate,
+    updateTaxRate,
+    createExemption,
+    updateExemption
+} = require('../models/tax');
+
+const COUNTRY = v.string({ max: 2, pattern: /^[A-Z]{2}$/, uppercase: true, message: 'country must be a two-letter country code' });
+const REGION = v.string({
+    max: 3,
+    pattern: /^[A-Z0-9]+$/,
+    uppercase: true,
+    optional: true,
+    nullable: true,
+    message: 'region must be a state or province code or null'
+});
+
+const RATE_FIELDS = {
+    name: v.string(),
+    country: COUNTRY,
+    region: REGION,
+    postal_prefix: v.string({
+        max: 10,
+        pattern: /^[A-Z0-9]+$/,
+        uppercase: true,
+        optional: true,
+        nullable: true,
+        message: 'postal_prefix must be a postal code prefix or null'
+    }),
+    rate: v.decimal({ digits: 2, places: 4, message: 'rate must be a percentage below 100 with at most 4 decimal places' }),
+    applies_to_shipping: v.boolean({ optional: true }),
+    active: v.boolean({ optional: true })
+};
+
+const EXEMPTION_FIELDS = {
+    certificate_number: v.string({ max: 100 }),
+    organization: v.string(),
+    country: COUNTRY,
+    region: REGION,
+    customer_email: v.email({ lowercase: true }),
+    expires_at: v.timestamp({ optional: true, nullable: true }),
+    active: v.boolean({ optional: true })
+};
+
+// /api/admin/tax: the sales tax rate table and exemption certificates on
+// file. Nothing is deleted; set `active` to false instead.
+function createAdminTaxRouter({ db, adminToken }) {
+    const router = express.Router();
+
+    router.use(requireAdmin({ token: adminToken }));
+
+    const foundRate = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Tax rate not found');
+        }
+        return { rate: serializeTaxRate(row) };
+    };
+
+    const foundExemption = (row) => {
+        if (!row) {
+            throw new HttpError(404, 'Tax exemption not found');
+        }
+        return { exemption: serializeExemption(row) };
+    };
+
+    router.get('/rates', asyncHandler(async (req, res) => {
+        const rows = await listTaxRates(db);
+        res.json({ rates: rows.map(serializeTaxRate) });
+    }));
+
+    router.post('/rates', v.validate({
+        body: v.object(RATE_FIELDS, { strict: true })
+    }, { message: 'Invalid tax rate' }), asyncHandler(async (req, res) => {
+        res.status(201).json(foundRate(await createTaxRate(db, req.valid.body)));
+    }));
+
+    router.patch('/rates/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(RATE_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid tax rate' }), asyncHandler(async (req, res) => {
+        res.json(foundRate(await updateTaxRate(db, req.valid.params.id, req.valid.body)));
+    }));
+
+    router.get('/exemptions', v.validate({ query: v.PAGINATION }), asyncHandler(async (req, res) => {
+        const pagination = parsePagination(req.valid.query);
+        const { rows, total } = await listExemptions(db, pagination);
+        res.json({
+            exemptions: rows.map(serializeExemption),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.post('/exemptions', v.validate({
+        body: v.object(EXEMPTION_FIELDS, { strict: true })
+    }, { message: 'Invalid tax exemption' }), asyncHandler(async (req, res) => {
+        const row = await createExemption(db, req.valid.body).catch((err) => {
+            throw err.code === '23505' ? new HttpError(409, 'This certificate is already on file') : err;
+        });
+        res.status(201).json(foundExemption(row));
+    }));
+
+    router.patch('/exemptions/:id', v.validate({
+        params: v.ID_PARAMS,
+        body: v.object(EXEMPTION_FIELDS, { partial: true, strict: true })
+    }, { message: 'Invalid tax exemption' }), asyncHandler(async (req, res) => {
+        const row = await updateExemption(db, req.valid.params.id, req.valid.body).catch((err) => {
+            throw err.code === '23505' ? new HttpError(409, 'This certificate is already on file') : err;
+        });
+        res.json(foundExemption(row));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminTaxRouter;
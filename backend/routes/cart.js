@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const express = require('express');
+const { HttpError, asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { getCookie } = require('../lib/cookies');
+const {
+    MAX_LINES,
+    MAX_QUANTITY,
+    CART_ITEMS,
+    CART_ITEM,
+    resolveCartItems,
+    priceCart
+} = require('../lib/cart');
+const { RENTAL_PERIOD } = require('../lib/rentals');
+const { DISCOUNT_CODE, applyDiscountCode, serializeDiscount } = require('../lib/promotions');
+const { ORDER_REQUEST, calculateTotals, serializeTotals } = require('../lib/order-totals');
+const { findVariant } = require('../models/variants');
+const {
+    findCartByTokenHash,
+    createCart,
+    getCartLines,
+    cartLineItem,
+    addCartItem,
+    setCartItem,
+    mergeCartItems,
+    removeCartItem,
+    clearCartItems,
+    serializeCart
+} = require('../models/carts');
+
+const COOKIE_NAME = 'cart_token';
+const COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const VARIANT_PARAMS = { variantId: v.id() };
+
+// As CART_ITEM, with a default quantity
+const ADD_ITEM_BODY = v.object({
+    variantId: v.id({ optional: true }),
+    productId: v.id({ optional: true }),
+    quantity: v.integer({ min: 1, max: MAX_QUANTITY, default: 1 }),
+    rental: v.optional(RENTAL_PERIOD)
+}, {
+    refine(item, fail) {
+        if (item.variantId === undefined && item.productId === undefined) {
+            fail('variantId', 'variantId is required');
+        }
+    }
+});
+
+const SET_ITEM_BODY = {
+    quantity: v.integer({ min: 0, max: MAX_QUANTITY }),
+    rental: v.optional(RENTAL_PERIOD)
+};
+
+// Names a rental line of the variant; without it the purchase line
+const REMOVE_ITEM_QUERY = v.object({
+    startDate: v.date({ optional: true }),
+    endDate: v.date({ optional: true })
+}, {
+    refine(query, fail) {
+        if ((query.startDate === undefined) !== (query.endDate === undefined)) {
+            fail(query.startDate === undefined ? 'startDate' : 'endDate', 'startDate and endDate go together');
+        }
+    }
+});
+
+const MERGE_BODY = {
+    items: v.array(CART_ITEM, { max: MAX_LINES })
+};
+
+const DISCOUNT_BODY = {
+    code: DISCOUNT_CODE,
+    items: v.optional(CART_ITEMS)
+};
+
+// /api/cart: a server-side copy of the storefront cart, keyed by an anonymous
+// token in the `cart_token` cookie. The storefront is served from another
+// origin, so in production the cookie is SameSite=None and Secure.
+function createCartRouter({ db, taxCalculator, mediaStorage, secureCookies }) {
+    const router = express.Router();
+
+    const cookieOptions = {
+        httpOnly: true,
+        secure: secureCookies,
+        sameSite: secureCookies ? 'none' : 'lax',
+        path: '/api',
+        maxAge: COOKIE_MAX_AGE_MS
+    };
+
+    const findCart = async (req) => {
+        const token = getCookie(req, COOKIE_NAME);
+        return token ? findCartByTokenHash(db, hashToken(token)) : null;
+    };
+
+    // Existing cart, or a new one with a fresh token cookie. The cookie is
+    // re-sent either way to extend its lifetime.
+    const findOrCreateCart = async (req, res) => {
+        let token = getCookie(req, COOKIE_NAME);
+        let cart = token ? await findCartByTokenHash(db, hashToken(token)) : null;
+        if (!cart) {
+            token = crypto.randomBytes(32).toString('base64url');
+            cart = await createCart(db, hashToken(token));
+        }
+        res.cookie(COOKIE_NAME, token, cookieOptions);
+        return cart;
+    };
+
+    const sendCart = async (res, cart) => {
+        const lines = cart ? await getCartLines(db, cart.id) : [];
+        res.json({ cart: serializeCart(lines, mediaStorage) });
+    };
+
+    const loadVariant = async (variantId) => {
+        const variant = await findVariant(db, variantId);
+        if (!variant || !variant.active || !variant.product_active) {
+            throw new HttpError(404, 'Product not found');
+        }
+        return variant;
+    };
+
+    const isLine = (line, variantId, rental) => line.variant_id === variantId && (rental
+        ? line.rental_start === rental.startDate && line.rental_end === rental.endDate
+        : line.rental_start === null);
+
+    // Resolves to the cart's line for the variant (and rental period), if any
+    const assertLineLimit = async (cart, variantId, rental) => {
+        const lines = await getCartLines(db, cart.id);
+        const existing = lines.find((line) => isLine(line, variantId, rental));
+        if (lines.length >= MAX_LINES && !existing) {
+            throw new HttpError(400, `A cart may contain at most ${MAX_LINES} items`);
+        }
+        return existing || null;
+    };
+
+    // Rentals are priced as the cart summary would, so dates that do not
+    // suit the plan or are already booked fail here rather than at checkout.
+    // Nothing is held.
+    const checkRental = (variantId, quantity, rental) => priceCart(db, [{ variantId, quantity, rental }]);
+
+    router.get('/', asyncHandler(async (req, res) => {
+        await sendCart(res, await findCart(req));
+    }));
+
+    // Body: { variantId, quantity, rental? } - adds to any quantity already
+    // in the cart. A productId instead of variantId picks its only variant.
+    // With `rental` ({ startDate, endDate }) the line rents the variant for
+    // those days, separate from its purchase line and other periods.
+    router.post('/items', v.validate({ body: ADD_ITEM_BODY }), asyncHandler(async (req, res) => {
+        const [{ variantId, quantity, rental = null }] = await resolveCartItems(db, [req.valid.body]);
+        const variant = await loadVariant(variantId);
+
+        const cart = await findOrCreateCart(req, res);
+        const existing = await assertLineLimit(cart, variant.id, rental);
+        if (rental) {
+            await checkRental(variant.id, Math.min((existing ? existing.quantity : 0) + quantity, MAX_QUANTITY), rental);
+        }
+        await addCartItem(db, cart.id, variant.id, quantity, MAX_QUANTITY, rental);
+        await sendCart(res, cart);
+    }));
+
+    // Body: { quantity, rental? } - 0 removes the line
+    router.put('/items/:variantId', v.validate({
+        params: VARIANT_PARAMS,
+        body: SET_ITEM_BODY
+    }), asyncHandler(async (req, res) => {
+        const variant = await loadVariant(req.valid.params.variantId);
+        const { quantity, rental = null } = req.valid.body;
+
+        const cart = await findOrCreateCart(req, res);
+        if (quantity === 0) {
+            await removeCartItem(db, cart.id, variant.id, rental);
+        } else {
+            await assertLineLimit(cart, variant.id, rental);
+            if (rental) {
+                await checkRental(variant.id, quantity, rental);
+            }
+            await setCartItem(db, cart.id, variant.id, quantity, rental);
+        }
+        await sendCart(res, cart);
+    }));
+
+    // ?startDate=2026-06-01&endDate=2026-06-05 removes that rental line
+    // instead of the purchase line
+    router.delete('/items/:variantId', v.validate({
+        params: VARIANT_PARAMS,
+        query: REMOVE_ITEM_QUERY
+    }), asyncHandler(async (req, res) => {
+        const { startDate, endDate } = req.valid.query;
+        const cart = await findCart(req);
+        if (cart) {
+            await removeCartItem(db, cart.id, req.valid.params.variantId, startDate ? { startDate, endDate } : null);
+        }
+        await sendCart(res, cart);
+    }));
+
+    router.delete('/', asyncHandler(async (req, res) => {
+        const cart = await findCart(req);
+        if (cart) {
+            await clearCartItems(db, cart.id);
+        }
+        await sendCart(res, cart);
+    }));
+
+    // Body: { items } in the localStorage cart shape. The cart is returned
+    // for the storefront to store locally. Once the browser has a server cart
+    // that cart is the source of truth and `items` are ignored: every change
+    // was already sent to it, so a local line it lacks was removed (in
+    // another tab, or by a request the local copy missed) and must not come
+    // back. Only a browser without a server cart has its items copied into a
+    // new one (see mergeCartItems). Items that are no longer on sale, or that
+    // name a product with several variants, are dropped. Rental lines are
+    // kept with their dates; the cart summary and checkout check them.
+    router.post('/merge', v.validate({ body: MERGE_BODY }), asyncHandler(async (req, res) => {
+        const existing = await findCart(req);
+        const cart = await findOrCreateCart(req, res);
+        if (!existing) {
+            const items = await resolveCartItems(db, req.valid.body.items, { dropUnresolved: true });
+            await mergeCartItems(db, cart.id, items);
+        }
+        await sendCart(res, cart);
+    }));
+
+    // Body: { code, items? } - checks a discount code against `items` (the
+    // localStorage cart shape) or, without them, the server cart. Nothing is
+    // reserved: checkout evaluates the code again.
+    router.post('/discount', v.validate({ body: DISCOUNT_BODY }), asyncHandler(async (req, res) => {
+        const { code } = req.valid.body;
+        let { items } = req.valid.body;
+        if (!items) {
+            const cart = await findCart(req);
+            const lines = cart ? await getCartLines(db, cart.id) : [];
+            if (lines.length === 0) {
+                throw new HttpError(400, 'The cart is empty');
+            }
+            items = lines.map(cartLineItem);
+        }
+
+        const priced = await priceCart(db, items);
+        const discount = await applyDiscountCode(db, code, priced);
+        res.json({ discount: serializeDiscount(discount, priced) });
+    }));
+
+    // Body: { items, discountCode?, shipping?, email?, taxExemptionCertificate? }
+    // The cart summary: subtotal, discount, shipping, tax and total exactly as
+    // checkout would charge them. Shipping and tax are null until a shipping
+    // option ({ rateId, destination }) is given.
+    router.post('/summary', v.validate({ body: ORDER_REQUEST }), asyncHandler(async (req, res) => {
+        const result = await calculateTotals(db, taxCalculator, req.valid.body);
+        res.json({ summary: serializeTotals(result) });
+    }));
+
+    return router;
+}
+
+module.exports = createCartRouter;
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const express = require('express');
+const { asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { formatCents } = require('../lib/money');
+const { allocateDiscount } = require('../lib/promotions');
+const { currentCustomer } = require('../lib/accounts');
+const { ORDER_REQUEST, calculateTotals } = require('../lib/order-totals');
+const { SHIPPING_CHOICE, stripeShippingOption } = require('../lib/shipping');
+const { reserveInventory, attachSession, releaseReservation } = require('../models/inventory');
+const { reserveRedemption, attachRedemptionSession, releaseRedemption } = require('../models/promotions');
+const { reserveRentalBookings, attachRentalSession, releaseRentalBookings } = require('../models/rentals');
+
+const CHECKOUT_BODY = { ...ORDER_REQUEST, shipping: SHIPPING_CHOICE };
+
+// Stripe refuses session lifetimes shorter than 30 minutes
+const MIN_SESSION_TTL_MINUTES = 30;
+
+// Stripe charges a whole number of cents per unit, so a discounted line
+// whose total does not divide by its quantity goes as two: some units at a
+// cent more than the rest. allocateDiscount leaves at most one such line, so
+// the session stays within Stripe's 100 line items. Returns
+// [{ quantity, unitAmount }].
+function splitDiscountedLine(quantity, total) {
+    const unitAmount = Math.floor(total / quantity);
+    const remainder = total - unitAmount * quantity;
+    return [
+        { quantity: remainder, unitAmount: unitAmount + 1 },
+        { quantity: quantity - remainder, unitAmount }
+    ].filter((part) => part.quantity > 0);
+}
+
+// Products and rentals, plus "Refundable deposit" and "Sales tax" lines: the
+// deposit and tax are worked out here rather than by Stripe, and the webhook
+// leaves those lines out of the order's items.
+//
+// The discount is taken off the product lines it applies to (see
+// allocateDiscount in lib/promotions) rather than given to Stripe as a
+// coupon, which Stripe would spread over the tax and deposit lines too. Each
+// product line keeps its undiscounted `unit_amount` and its `line` number in
+// the metadata, for the webhook to rebuild the order's items.
+function buildLineItems(lines, tax, discount, shares) {
+    const lineItems = lines.flatMap((line, index) => {
+        const parts = shares[index] > 0
+            ? splitDiscountedLine(line.quantity, line.amount - shares[index])
+            : [{ quantity: line.quantity, unitAmount: line.unitAmount }];
+        const description = [
+            line.description,
+            shares[index] > 0 ? `${discount.promotion.code} discount of ${formatCents(shares[index])} applied` : null
+        ].filter(Boolean).join(' - ');
+
+        return parts.map((part) => ({
+            quantity: part.quantity,
+            price_data: {
+                currency: 'usd',
+                unit_amount: part.unitAmount,
+                product_data: {
+                    name: line.rental
+                        ? `${line.name} rental, ${line.rental.startDate} to ${line.rental.endDate}`
+                        : line.name,
+                    description: description || undefined,
+                    metadata: {
+                        line: String(index),
+                        product_id: String(line.productId),
+                        variant_id: String(line.variantId),
+                        sku: line.sku,
+                        unit_amount: String(line.unitAmount),
+                        rental_start: line.rental ? line.rental.startDate : undefined,
+                        rental_end: line.rental ? line.rental.endDate : undefined
+                    }
+                }
+            }
+        }));
+    });
+    const deposits = lines.filter((line) => line.rental && line.rental.deposit > 0);
+    if (deposits.length > 0) {
+        lineItems.push({
+            quantity: 1,
+            price_data: {
+                currency: 'usd',
+                unit_amount: deposits.reduce((sum, line) => sum + line.rental.deposit * line.quantity, 0),
+                product_data: {
+                    name: 'Refundable deposit',
+                    description: deposits.map((line) => `${line.quantity} x ${line.name} at ${formatCents(line.rental.deposit)}`).join(', '),
+                    metadata: { line_type: 'deposit' }
+                }
+            }
+        });
+    }
+    if (tax.amount > 0) {
+        lineItems.push({
+            quantity: 1,
+            price_data: {
+                currency: 'usd',
+                unit_amount: tax.amount,
+                product_data: {
+                    name: 'Sales tax',
+                    description: tax.jurisdictions.map((jurisdiction) => `${jurisdiction.name} ${Number(jurisdiction.rate)}%`).join(', '),
+                    metadata: { line_type: 'tax' }
+                }
+            }
+        });
+    }
+    return lineItems;
+}
+
+// Summary of the chosen option, stored with the order's shipping address
+function shippingMetadata(option, destination) {
+    return JSON.stringify({
+        rate_id: option.id,
+        name: option.name,
+        kind: option.kind,
+        amount: formatCents(option.amount),
+        country: destination.country,
+        region: destination.region,
+        postal_code: destination.postalCode
+    });
+}
+
+// POST /api/checkout
+//
+// `stripe` is anything with the Stripe client's checkout.sessions.create, so
+// a local fake can stand in for it; `taxCalculator` is described in lib/tax.
+// Sessions are counted in `metrics` (see lib/metrics).
+function createCheckoutRouter({
+    db,
+    stripe,
+    taxCalculator,
+    metrics,
+    frontendUrl,
+    sessionTtlMinutes = MIN_SESSION_TTL_MINUTES
+}) {
+    const ttlMs = Math.max(sessionTtlMinutes, MIN_SESSION_TTL_MINUTES) * 60 * 1000;
+    const router = express.Router();
+
+    router.post('/', v.validate({ body: CHECKOUT_BODY }, { message: 'Invalid checkout' }), asyncHandler(async (req, res) => {
+        const { shipping, email } = req.valid.body;
+        // A signed-in customer's order is linked to their account
+        const customer = await currentCustomer(db, req);
+        const baseUrl = frontendUrl.replace(/\/+$/, '');
+        const reference = crypto.randomUUID();
+        const expiresAt = new Date(Date.now() + ttlMs);
+
+        // Lock the variant rows, re-check stock and move it into a reservation
+        // before the customer ever reaches Stripe. Rentals are booked the same
+        // way while their plans are held, and a discount code takes one of its
+        // uses. Shipping and tax are quoted again so they match the cart as it
+        // is now.
+        const { cart, discount, shippingOption, tax, totals } = await db.withTransaction(async (tx) => {
+            const result = await calculateTotals(tx, taxCalculator, req.valid.body, { forUpdate: true });
+
+            await reserveInventory(tx, reference, result.cart.lines, expiresAt);
+            await reserveRentalBookings(tx, reference, result.cart.lines, expiresAt);
+            if (result.discount) {
+                await reserveRedemption(tx, result.discount.promotion.id, reference, formatCents(result.discount.amount), expiresAt);
+            }
+            return result;
+        });
+
+        let session;
+        try {
+            session = await stripe.checkout.sessions.create({
+                mode: 'payment',
+                client_reference_id: reference,
+                expires_at: Math.floor(expiresAt.getTime() / 1000),
+                line_items: buildLineItems(cart.lines, tax, discount, allocateDiscount(discount, cart)),
+                customer_email: email || (customer ? customer.email : undefined),
+                shipping_options: [stripeShippingOption(shippingOption)],
+                // Pickup orders need no shipping address; everything else
+                // ships to the quoted country
+                shipping_address_collection: shippingOption.kind === 'pickup'
+                    ? undefined
+                    : { allowed_countries: [shipping.destination.country] },
+                // Tax was worked out for the quoted destination; the webhook
+                // checks it against the shipping address, or for pickup the
+                // billing address, which Checkout then asks for in full
+                billing_address_collection: shippingOption.kind === 'pickup' ? 'required' : undefined,
+                // The storefront's home page reports the outcome (see
+                // showCheckoutResult in frontend/cart.js)
+                success_url: `${baseUrl}/index.html?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${baseUrl}/index.html?checkout=cancelled`,
+                // Compact "variantId:quantity" list; Stripe caps metadata values at 500 chars
+                metadata: {
+                    items: cart.lines.map((line) => `${line.variantId}:${line.quantity}`).join(','),
+                    promotion_code: discount ? discount.promotion.code : undefined,
+                    shipping: shippingMetadata(shippingOption, shipping.destination),
+                    // Cents, "subtotal:discount:shipping:tax:deposit", for the order's breakdown
+                    totals: [totals.subtotal, totals.discount, totals.shipping, totals.tax, totals.deposit].join(':'),
+                    tax_exemption_certificate: tax.exemption ? tax.exemption.certificate_number : undefined,
+                    customer_id: customer ? String(customer.id) : undefined
+                }
+            });
+        } catch (err) {
+            metrics.checkoutSessions.inc({ result: 'failed' });
+            await releaseReservation(db, reference);
+            await releaseRentalBookings(db, reference);
+            await releaseRedemption(db, reference);
+            throw err;
+        }
+        metrics.checkoutSessions.inc({ result: 'created' });
+        await attachSession(db, reference, session.id);
+        await attachRentalSession(db, reference, session.id);
+        await attachRedemptionSession(db, reference, session.id);
+
+        res.status(201).json({
+            sessionId: session.id,
+            url: session.url
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createCheckoutRouter;
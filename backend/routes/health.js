@@ -0,0 +1,65 @@
+const express = require('express');
+const { asyncHandler } = require('../lib/http');
+
+// How long readiness waits for Postgres before calling it down
+const DATABASE_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Health checks for the platform:
+//
+//   GET /api/health/live   the process is up and serving (always 200)
+//   GET /api/health/ready  this instance can take traffic: not draining,
+//                          Postgres answers and Stripe is configured
+//
+// `/health` and `/api/health` are the readiness check too, as `/health` is the
+// path the Render service was configured with. Failed checks answer 503 and
+// are logged; the response only names them.
+function createHealthRouter({ db, lifecycle, stripeConfigured }) {
+    const router = express.Router();
+
+    const checkDatabase = async (log) => {
+        const start = process.hrtime.bigint();
+        try {
+            await withTimeout(db.query('SELECT 1'), DATABASE_TIMEOUT_MS);
+        } catch (err) {
+            log.warn('Readiness check: database unavailable', { err });
+            return { status: 'error' };
+        }
+        const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+        return { status: 'ok', latencyMs: Math.round(latencyMs * 10) / 10 };
+    };
+
+    const ready = asyncHandler(async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        if (lifecycle.isDraining()) {
+            return res.status(503).json({ status: 'draining' });
+        }
+
+        const checks = {
+            database: await checkDatabase(req.log),
+            stripe: { status: stripeConfigured ? 'ok' : 'error' }
+        };
+        const ok = Object.values(checks).every((check) => check.status === 'ok');
+        res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unavailable', checks });
+    });
+
+    router.get('/api/health/live', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get('/api/health/ready', ready);
+    router.get('/api/health', ready);
+    router.get('/health', ready);
+
+    return router;
+}
+
+module.exports = createHealthRouter;
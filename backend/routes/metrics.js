@@ -0,0 +1,21 @@
+const express = require('express');
+const requireAdmin = require('../lib/admin-auth');
+const { asyncHandler } = require('../lib/http');
+
+// GET /metrics in the Prometheus text format (see lib/metrics). With a
+// METRICS_TOKEN the scraper must send it as a bearer token; without one the
+// endpoint is open, which loadConfig only allows outside production.
+function createMetricsRouter({ metrics, token }) {
+    const router = express.Router();
+    const auth = token ? [requireAdmin({ token })] : [];
+
+    router.get('/metrics', ...auth, asyncHandler(async (req, res) => {
+        res.set('Content-Type', metrics.registry.contentType);
+        res.set('Cache-Control', 'no-store');
+        res.send(await metrics.registry.metrics());
+    }));
+
+    return router;
+}
+
+module.exports = createMetricsRouter;
@@ -0,0 +1,122 @@
+const express = require('express');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const {
+    SORTS,
+    serializeProduct,
+    listProducts,
+    findActiveProduct
+} = require('../models/products');
+const { SEARCH_SORTS, serializeSearchResult, searchProducts } = require('../models/search');
+const { getAvailability } = require('../models/inventory');
+
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    sort: v.oneOf(Object.keys(SORTS), { default: 'name' }),
+    q: v.string({ min: 0, max: 200, default: '' })
+};
+
+const SEARCH_QUERY = v.object({
+    ...v.PAGINATION,
+    q: v.string({ max: 200 }),
+    min_price: v.decimal({ optional: true }),
+    max_price: v.decimal({ optional: true }),
+    in_stock: v.boolean({ default: false }),
+    sort: v.oneOf(Object.keys(SEARCH_SORTS), { default: 'relevance' })
+}, {
+    refine(query, fail) {
+        if (query.min_price !== undefined && query.max_price !== undefined
+            && Number(query.min_price) > Number(query.max_price)) {
+            fail('max_price', 'max_price must not be below min_price');
+        }
+    }
+});
+
+// GET /api/products, GET /api/products/search, GET /api/products/:id and
+// GET /api/products/:id/availability.
+// `mediaStorage` builds image URLs (see lib/media-storage).
+function createProductsRouter({ db, mediaStorage }) {
+    const router = express.Router();
+
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const { q, sort } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await listProducts(db, {
+            q,
+            sort,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            products: rows.map((row) => serializeProduct(row, { storage: mediaStorage })),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    // Ranked full-text search, e.g. ?q=commercial&max_price=50&in_stock=true
+    router.get('/search', v.validate({ query: SEARCH_QUERY }, { message: 'Invalid search' }), asyncHandler(async (req, res) => {
+        const { q, min_price: minPrice, max_price: maxPrice, in_stock: inStock, sort } = req.valid.query;
+        const pagination = parsePagination(req.valid.query);
+
+        const { rows, total } = await searchProducts(db, {
+            q,
+            minPrice,
+            maxPrice,
+            inStock,
+            sort,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            query: q,
+            products: rows.map((row) => serializeSearchResult(row, { storage: mediaStorage })),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    router.get('/:id', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const row = await findActiveProduct(db, req.valid.params.id);
+        if (!row) {
+            throw new HttpError(404, 'Product not found');
+        }
+        res.json({ product: serializeProduct(row, { storage: mediaStorage }) });
+    }));
+
+    // Stock per variant
+    router.get('/:id/availability', v.validate({ params: v.ID_PARAMS }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const rows = await getAvailability(db, id);
+        if (rows.length === 0 && !(await findActiveProduct(db, id))) {
+            throw new HttpError(404, 'Product not found');
+        }
+
+        // A NULL inventory means the variant's stock is not tracked
+        const variants = rows.map((row) => ({
+            variantId: row.id,
+            sku: row.sku,
+            options: row.options,
+            tracked: row.inventory !== null,
+            available: row.inventory,
+            reserved: row.reserved,
+            in_stock: row.inventory === null || row.inventory > 0
+        }));
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            productId: id,
+            in_stock: variants.some((variant) => variant.in_stock),
+            variants
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createProductsRouter;
@@ -0,0 +1,128 @@
+const express = require('express');
+const rateLimit = require('../lib/rate-limit');
+const { HttpError, asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { currentCustomer, hashToken } = require('../lib/accounts');
+const {
+    QUOTE_REQUEST,
+    assertOpen,
+    requestQuote,
+    acceptQuote,
+    quoteUrl,
+    sendQuoteEmail
+} = require('../lib/quotes');
+const { renderQuoteDocument, renderInvoiceDocument } = require('../lib/quote-documents');
+const {
+    serializeQuote,
+    serializeInvoice,
+    findQuoteByToken,
+    findInvoiceByOrder,
+    markQuoteDeclined
+} = require('../models/quotes');
+
+const TOKEN_PARAMS = { token: v.string({ max: 100 }) };
+
+const ACCEPT_BODY = {
+    po_number: v.string({ max: 100, optional: true, nullable: true, blankAsNull: true })
+};
+
+const DECLINE_BODY = {
+    reason: v.string({ max: 2000, optional: true, nullable: true, blankAsNull: true })
+};
+
+// /api/quotes: organizations request a quote for their cart, then view,
+// accept or decline it through the link emailed when an admin sends it (see
+// routes/admin-quotes). Accepting places a net 30 order with an invoice.
+// Requests are limited to `submitRateLimit` per IP per hour.
+function createQuotesRouter({ db, metrics, emailTransport, emailFrom, frontendUrl, submitRateLimit }) {
+    const router = express.Router();
+    const storeUrl = frontendUrl.replace(/\/+$/, '');
+    const mailer = (req) => ({ emailTransport, emailFrom, storeUrl, log: req.log });
+
+    // `client` is db, or a transaction when the quote is locked to answer it
+    const loadQuote = async (client, req, options = {}) => {
+        const quote = await findQuoteByToken(client, hashToken(req.valid.params.token), options);
+        if (!quote) {
+            throw new HttpError(404, 'Quote not found');
+        }
+        return quote;
+    };
+
+    // Body: see QUOTE_REQUEST in lib/quotes
+    router.post('/', rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: submitRateLimit,
+        message: 'Too many quote requests from this address, please try again later'
+    }), v.validate({ body: QUOTE_REQUEST }, { message: 'Invalid quote request' }), asyncHandler(async (req, res) => {
+        const customer = await currentCustomer(db, req);
+        const quote = await requestQuote(db, req.valid.body, { customerId: customer ? customer.id : null });
+
+        sendQuoteEmail(mailer(req), 'quote_received', quote);
+        req.log.info('Quote requested', { quoteId: quote.id, number: quote.number });
+        res.status(201).json({ quote: serializeQuote(quote) });
+    }));
+
+    router.get('/:token', v.validate({ params: TOKEN_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await loadQuote(db, req);
+        const invoice = quote.order_id ? await findInvoiceByOrder(db, quote.order_id) : null;
+        res.json({
+            quote: serializeQuote(quote),
+            invoice: invoice ? serializeInvoice(invoice) : null
+        });
+    }));
+
+    router.get('/:token/document', v.validate({ params: TOKEN_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await loadQuote(db, req);
+        res.type('html').send(renderQuoteDocument(quote));
+    }));
+
+    router.get('/:token/invoice', v.validate({ params: TOKEN_PARAMS }), asyncHandler(async (req, res) => {
+        const quote = await loadQuote(db, req);
+        const invoice = quote.order_id ? await findInvoiceByOrder(db, quote.order_id) : null;
+        if (!invoice) {
+            throw new HttpError(404, 'Invoice not found');
+        }
+        res.type('html').send(renderInvoiceDocument(invoice, quote));
+    }));
+
+    // Body: { po_number? }
+    router.post('/:token/accept', v.validate({
+        params: TOKEN_PARAMS,
+        body: ACCEPT_BODY
+    }, { message: 'Invalid quote acceptance' }), asyncHandler(async (req, res) => {
+        const { quote, order, invoice } = await db.withTransaction(async (tx) => {
+            const locked = await loadQuote(tx, req, { forUpdate: true });
+            return acceptQuote(tx, locked, { poNumber: req.valid.body.po_number });
+        });
+
+        metrics.orderStatusChanges.inc({ status: order.status });
+        sendQuoteEmail(mailer(req), 'quote_accepted', quote, {
+            url: quoteUrl(storeUrl, req.valid.params.token),
+            invoice
+        });
+        req.log.info('Quote accepted', { quoteId: quote.id, orderId: order.id, invoiceId: invoice.id });
+        res.json({
+            quote: serializeQuote(quote),
+            invoice: serializeInvoice(invoice)
+        });
+    }));
+
+    // Body: { reason? }
+    router.post('/:token/decline', v.validate({
+        params: TOKEN_PARAMS,
+        body: DECLINE_BODY
+    }, { message: 'Invalid quote decline' }), asyncHandler(async (req, res) => {
+        const declined = await db.withTransaction(async (tx) => {
+            const quote = await loadQuote(tx, req, { forUpdate: true });
+            assertOpen(quote);
+            return markQuoteDeclined(tx, quote.id, req.valid.body.reason);
+        });
+
+        req.log.info('Quote declined', { quoteId: declined.id });
+        res.json({ quote: serializeQuote(declined) });
+    }));
+
+    return router;
+}
+
+module.exports = createQuotesRouter;
@@ -0,0 +1,130 @@
+const express = require('express');
+const { HttpError, asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { formatCents } = require('../lib/money');
+const { priceCart, MAX_QUANTITY } = require('../lib/cart');
+const {
+    MAX_RENTAL_DAYS,
+    addDays,
+    daysBetween,
+    today,
+    rentalDays,
+    rentalCalendar
+} = require('../lib/rentals');
+const { serializeRentalPlan, findRentalPlan, listRentalPlans } = require('../models/rentals');
+
+const VARIANT_PARAMS = { variantId: v.id() };
+
+const LIST_QUERY = {
+    product_id: v.id({ optional: true })
+};
+
+// Two months from `from` unless `to` is given
+const CALENDAR_DAYS = 60;
+
+const CALENDAR_QUERY = v.object({
+    from: v.date({ optional: true }),
+    to: v.date({ optional: true })
+}, {
+    refine(query, fail) {
+        const from = query.from || today();
+        const to = query.to || addDays(from, CALENDAR_DAYS - 1);
+        if (to < from) {
+            fail('to', 'to must not be before from');
+        } else if (daysBetween(from, to) >= MAX_RENTAL_DAYS) {
+            fail('to', `A calendar covers at most ${MAX_RENTAL_DAYS} days`);
+        }
+    }
+});
+
+// The same rules as a cart line's RENTAL_PERIOD
+const PRICE_QUERY = v.object({
+    start_date: v.date(),
+    end_date: v.date(),
+    quantity: v.integer({ min: 1, max: MAX_QUANTITY, default: 1 })
+}, {
+    refine(query, fail) {
+        const days = rentalDays({ startDate: query.start_date, endDate: query.end_date });
+        if (days < 1) {
+            fail('end_date', 'end_date must not be before start_date');
+        } else if (days > MAX_RENTAL_DAYS) {
+            fail('end_date', `A rental can last at most ${MAX_RENTAL_DAYS} days`);
+        }
+    }
+});
+
+// GET /api/rentals, GET /api/rentals/:variantId/calendar and
+// GET /api/rentals/:variantId/price. Rentals are booked by adding them to
+// the cart with their dates (see CART_ITEM in lib/cart) and checking out.
+function createRentalsRouter({ db }) {
+    const router = express.Router();
+
+    const loadPlan = async (req) => {
+        const plan = await findRentalPlan(db, req.valid.params.variantId);
+        if (!plan || !plan.rentable) {
+            throw new HttpError(404, 'Rental not found');
+        }
+        return plan;
+    };
+
+    // Everything that can be rented, optionally ?product_id=1
+    router.get('/', v.validate({ query: LIST_QUERY }), asyncHandler(async (req, res) => {
+        const rows = await listRentalPlans(db, { productId: req.valid.query.product_id || null });
+        res.json({ rentals: rows.map(serializeRentalPlan) });
+    }));
+
+    // Units free per day, ?from=2026-06-01&to=2026-06-30 (from today, for two
+    // months, by default)
+    router.get('/:variantId/calendar', v.validate({
+        params: VARIANT_PARAMS,
+        query: CALENDAR_QUERY
+    }, { message: 'Invalid calendar' }), asyncHandler(async (req, res) => {
+        const plan = await loadPlan(req);
+        const from = req.valid.query.from || today();
+        const to = req.valid.query.to || addDays(from, CALENDAR_DAYS - 1);
+        const { earliestStart, days } = await rentalCalendar(db, plan, from, to);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            rental: serializeRentalPlan(plan),
+            earliest_start: earliestStart,
+            days
+        });
+    }));
+
+    // What renting ?quantity units from ?start_date to ?end_date (inclusive)
+    // costs, failing as checkout would if the dates are not available.
+    // Nothing is held until checkout.
+    router.get('/:variantId/price', v.validate({
+        params: VARIANT_PARAMS,
+        query: PRICE_QUERY
+    }, { message: 'Invalid rental' }), asyncHandler(async (req, res) => {
+        const plan = await loadPlan(req);
+        const { start_date: startDate, end_date: endDate, quantity } = req.valid.query;
+
+        const { lines } = await priceCart(db, [{ variantId: plan.variant_id, quantity, rental: { startDate, endDate } }]);
+        const [line] = lines;
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            rental: {
+                variant_id: line.variantId,
+                product_id: line.productId,
+                name: line.name,
+                start_date: startDate,
+                end_date: endDate,
+                days: line.rental.days,
+                quantity,
+                unit_price: formatCents(line.unitAmount),
+                unit_price_cents: line.unitAmount,
+                amount: formatCents(line.amount),
+                amount_cents: line.amount,
+                deposit: formatCents(line.rental.deposit * quantity),
+                deposit_cents: line.rental.deposit * quantity
+            }
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createRentalsRouter;
@@ -0,0 +1,147 @@
+const express = require('express');
+const rateLimit = require('../lib/rate-limit');
+const {
+    HttpError,
+    asyncHandler,
+    parsePagination,
+    paginationInfo
+} = require('../lib/http');
+const v = require('../lib/validation');
+const { findActiveProduct } = require('../models/products');
+const {
+    REVIEW_SORTS,
+    serializeReview,
+    getRatingSummary,
+    listApprovedReviews,
+    findPurchase,
+    createReview
+} = require('../models/reviews');
+
+const LIST_QUERY = {
+    ...v.PAGINATION,
+    sort: v.oneOf(Object.keys(REVIEW_SORTS), { default: 'newest' })
+};
+
+const REVIEW_BODY = {
+    author_name: v.string({ max: 100 }),
+    email: v.email(),
+    rating: v.integer({ min: 1, max: 5 }),
+    title: v.string({ max: 150, optional: true, nullable: true, blankAsNull: true }),
+    body: v.string({ min: 10, max: 5000, message: 'body must be between 10 and 5000 characters' }),
+    // The order the product was bought in, to show the review as verified
+    order_id: v.id({ optional: true, nullable: true }),
+    // Honeypot: hidden from people by the storefront, so only bots fill it in
+    website: v.string({ min: 0, max: 500, optional: true })
+};
+
+const ACCEPTED_MESSAGE = 'Thanks! Your review will appear once it has been approved.';
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|info|biz|xyz|top|ru)\b/i;
+
+// Why a submission looks like spam, or null. Such reviews go to the flagged
+// queue rather than pending, so they are never approved by accident.
+function spamReason({ title, body }) {
+    const text = `${title || ''} ${body}`;
+    if (LINK_PATTERN.test(text)) {
+        return 'Contains a link';
+    }
+    if (/(.)\1{9,}/.test(text)) {
+        return 'Repeated characters';
+    }
+    const letters = text.replace(/[^a-z]/gi, '');
+    if (letters.length >= 20 && letters === letters.toUpperCase()) {
+        return 'All capitals';
+    }
+    return null;
+}
+
+// GET and POST /api/products/:id/reviews. Submissions are limited to
+// `submitRateLimit` per IP per hour and held for moderation (see
+// routes/admin-reviews); only approved reviews are listed.
+function createReviewsRouter({ db, submitRateLimit }) {
+    const router = express.Router();
+
+    const loadProduct = async (id) => {
+        const product = await findActiveProduct(db, id);
+        if (!product) {
+            throw new HttpError(404, 'Product not found');
+        }
+        return product;
+    };
+
+    router.get('/:id/reviews', v.validate({
+        params: v.ID_PARAMS,
+        query: LIST_QUERY
+    }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const pagination = parsePagination(req.valid.query);
+        await loadProduct(id);
+
+        const { rows, total } = await listApprovedReviews(db, id, {
+            sort: req.valid.query.sort,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.json({
+            productId: id,
+            rating: await getRatingSummary(db, id),
+            reviews: rows.map(serializeReview),
+            pagination: paginationInfo(pagination, total)
+        });
+    }));
+
+    // Body: { author_name, email, rating, title?, body, order_id? }
+    router.post('/:id/reviews', rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: submitRateLimit,
+        message: 'Too many reviews from this address, please try again later'
+    }), v.validate({
+        params: v.ID_PARAMS,
+        body: REVIEW_BODY
+    }, { message: 'Invalid review' }), asyncHandler(async (req, res) => {
+        const { id } = req.valid.params;
+        const review = req.valid.body;
+        const product = await loadProduct(id);
+
+        // Bots get the same answer as people, so they cannot tell they were caught
+        if (review.website) {
+            req.log.warn('Review honeypot filled in, review dropped', { productId: product.id, ip: req.ip });
+            return res.status(202).json({ message: ACCEPTED_MESSAGE, verified_purchase: false });
+        }
+
+        let orderId = null;
+        if (review.order_id) {
+            const purchase = await findPurchase(db, { orderId: review.order_id, email: review.email, productId: product.id });
+            if (!purchase) {
+                throw new HttpError(400, 'Invalid review', [
+                    { field: 'order_id', message: 'No paid order with this product was found for that order number and email' }
+                ], 'validation_failed');
+            }
+            orderId = purchase.id;
+        }
+
+        const reason = spamReason(review);
+        const row = await createReview(db, {
+            productId: product.id,
+            orderId,
+            authorName: review.author_name,
+            authorEmail: review.email,
+            rating: review.rating,
+            title: review.title || null,
+            body: review.body,
+            status: reason ? 'flagged' : 'pending',
+            moderationNote: reason ? `Automatically flagged: ${reason}` : null
+        });
+        if (!row) {
+            throw new HttpError(409, 'You have already reviewed this product');
+        }
+
+        req.log.info('Review submitted', { reviewId: row.id, productId: product.id, status: row.status });
+        res.status(202).json({ message: ACCEPTED_MESSAGE, verified_purchase: row.order_id !== null });
+    }));
+
+    return router;
+}
+
+module.exports = createReviewsRouter;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { asyncHandler } = require('../lib/http');
+const v = require('../lib/validation');
+const { CART_ITEMS, priceCart } = require('../lib/cart');
+const { DISCOUNT_CODE, applyDiscountCode } = require('../lib/promotions');
+const { DESTINATION, quoteShipping, serializeQuote } = require('../lib/shipping');
+
+const QUOTE_BODY = {
+    items: CART_ITEMS,
+    destination: DESTINATION,
+    discountCode: v.optional(DISCOUNT_CODE)
+};
+
+// POST /api/shipping/quote
+function createShippingRouter({ db }) {
+    const router = express.Router();
+
+    // Body: { items, destination: { country, region?, postalCode? }, discountCode? }
+    // The discount code only matters for free-shipping promotions.
+    router.post('/quote', v.validate({ body: QUOTE_BODY }, { message: 'Invalid shipping quote' }), asyncHandler(async (req, res) => {
+        const { items, destination, discountCode } = req.valid.body;
+
+        const priced = await priceCart(db, items);
+        const discount = discountCode ? await applyDiscountCode(db, discountCode, priced) : null;
+        const quote = await quoteShipping(db, priced, destination, {
+            freeShipping: Boolean(discount && discount.freeShipping)
+        });
+
+        res.json({ quote: serializeQuote(quote) });
+    }));
+
+    return router;
+}
+
+module.exports = createShippingRouter;
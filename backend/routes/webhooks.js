@@ -0,0 +1,340 @@
+const express = require('express');
+const { HttpError, asyncHandler } = require('../lib/http');
+const { formatCents } = require('../lib/money');
+const { destinationMatches } = require('../lib/shipping');
+const { upsertCompletedOrder } = require('../models/orders');
+const { commitReservation, releaseReservation } = require('../models/inventory');
+const { commitRedemption, releaseRedemption } = require('../models/promotions');
+const { commitRentalBookings, releaseRentalBookings } = require('../models/rentals');
+const { transitionOrder, queueStatusEmail } = require('../lib/orders');
+
+// Checkout Session payment_status values that settle the order. A session
+// whose total was discounted to nothing completes as no_payment_required.
+const SETTLED_PAYMENT_STATUSES = ['paid', 'no_payment_required'];
+
+function parseMetadataItems(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map((pair) => {
+        const [variantId, quantity] = pair.split(':').map((n) => parseInt(n, 10));
+        return { variantId, quantity };
+    });
+}
+
+function parseCustomerId(value) {
+    const id = parseInt(value, 10);
+    return id > 0 ? id : null;
+}
+
+// Build the orders.items snapshot from the session's line items, falling back
+// to the cart stored in the session metadata for the variant ids. Rentals
+// carry their dates as `rental`; the deposit and tax lines are left out.
+// Checkout may send a discounted cart line as two Stripe lines (see
+// buildLineItems there); they share a `line` number and become one item, at
+// the undiscounted unit price with the discounted total.
+async function loadOrderItems(stripe, session) {
+    const lineItems = await stripe.checkout.sessions.listLineItems(session.id, {
+        limit: 100,
+        expand: ['data.price.product']
+    });
+    const fromMetadata = parseMetadataItems(session.metadata && session.metadata.items);
+
+    const productOf = (line) => (line.price && typeof line.price.product === 'object' ? line.price.product : null);
+    const metadataOf = (line) => (productOf(line) && productOf(line).metadata) || {};
+
+    const groups = new Map();
+    lineItems.data
+        .filter((line) => !['tax', 'deposit'].includes(metadataOf(line).line_type))
+        .forEach((line, index) => {
+            const key = metadataOf(line).line === undefined ? `stripe:${index}` : metadataOf(line).line;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(line);
+        });
+
+    return Array.from(groups.values(), (group, index) => {
+        const [line] = group;
+        const product = productOf(line);
+        const metadata = metadataOf(line);
+        const quantity = group.reduce((sum, part) => sum + part.quantity, 0);
+        const total = group.reduce((sum, part) => sum + part.amount_total, 0);
+        const variantId = metadata.variant_id
+            ? parseInt(metadata.variant_id, 10)
+            : (fromMetadata[index] && fromMetadata[index].variantId) || null;
+        const unitAmount = metadata.unit_amount
+            ? parseInt(metadata.unit_amount, 10)
+            : (line.price ? line.price.unit_amount : Math.round(total / quantity));
+
+        const item = {
+            productId: metadata.product_id ? parseInt(metadata.product_id, 10) : null,
+            variantId,
+            sku: metadata.sku || null,
+            name: line.description || (product && product.name),
+            quantity,
+            unit_price: formatCents(unitAmount),
+            total: formatCents(total)
+        };
+        if (metadata.rental_start) {
+            item.rental = { start_date: metadata.rental_start, end_date: metadata.rental_end };
+        }
+        return item;
+    });
+}
+
+function shippingDetails(session) {
+    return session.shipping_details
+        || (session.collected_information && session.collected_information.shipping_details)
+        || null;
+}
+
+// The shipping option chosen at checkout (see shippingMetadata in
+// routes/checkout), with the amount Stripe actually charged for it
+function shippingRate(session) {
+    let rate;
+    try {
+        rate = JSON.parse((session.metadata && session.metadata.shipping) || 'null');
+    } catch (err) {
+        rate = null;
+    }
+    if (!rate) {
+        return null;
+    }
+    if (session.shipping_cost && Number.isInteger(session.shipping_cost.amount_total)) {
+        rate.amount = formatCents(session.shipping_cost.amount_total);
+    }
+    return rate;
+}
+
+// The address Stripe collected that the quote must match: the shipping
+// address, or for pickup orders the billing address (which checkout requires
+// for them), since that is where their tax was worked out for.
+function collectedAddress(session, rate) {
+    if (rate.kind === 'pickup') {
+        return (session.customer_details && session.customer_details.address) || {};
+    }
+    const shipping = shippingDetails(session);
+    return (shipping && shipping.address) || {};
+}
+
+// Whether the customer gave Stripe an address other than the destination
+// shipping and tax were quoted for. Checkout only limits the country, so the
+// quote cannot be taken on trust. Sessions from before the destination was
+// recorded have nothing to compare.
+function destinationMismatch(session) {
+    const rate = shippingRate(session);
+    if (!rate || rate.country === undefined) {
+        return false;
+    }
+    return !destinationMatches(
+        { country: rate.country, region: rate.region, postalCode: rate.postal_code },
+        collectedAddress(session, rate)
+    );
+}
+
+// orders.shipping_address: Stripe's shipping details (none for pickup) plus
+// the shipping rate, whose country/region/postal_code are the quoted
+// destination. `destination_mismatch` marks an order going (or, for pickup,
+// billed) somewhere else.
+function shippingRecord(session) {
+    const shipping = shippingDetails(session);
+    const rate = shippingRate(session);
+    if (!rate) {
+        return shipping;
+    }
+    const record = { ...(shipping || {}), shipping_rate: rate };
+    if (destinationMismatch(session)) {
+        record.destination_mismatch = true;
+    }
+    return record;
+}
+
+// subtotal/discount/shipping/tax/deposit as recorded at checkout (metadata
+// `totals`, in cents). Stripe's own discount total wins where it is set, for
+// sessions from when the discount went to Stripe as a coupon; the shipping
+// total likewise. Sessions created before the breakdown existed leave all of
+// them null, and those from before rentals the deposit.
+function orderBreakdown(session) {
+    const parts = ((session.metadata && session.metadata.totals) || '').split(':').map((n) => parseInt(n, 10));
+    if (![4, 5].includes(parts.length) || parts.some((n) => !Number.isInteger(n))) {
+        return { subtotal: null, discount: null, shipping: null, tax: null, deposit: null };
+    }
+    const [subtotal, discount, shipping, tax, deposit] = parts;
+    const details = session.total_details || {};
+    return {
+        subtotal: formatCents(subtotal),
+        discount: formatCents(details.amount_discount > 0 ? details.amount_discount : discount),
+        shipping: formatCents(Number.isInteger(details.amount_shipping) ? details.amount_shipping : shipping),
+        tax: formatCents(tax),
+        deposit: deposit === undefined ? null : formatCents(deposit)
+    };
+}
+
+function mismatchNote(rate) {
+    return rate.kind === 'pickup'
+        ? 'Billing address differs from the destination tax was quoted for; check the tax before handing the order over'
+        : 'Shipping address differs from the destination shipping and tax were quoted for; check both before packing';
+}
+
+async function handleSessionCompleted({ db, stripe, log, metrics }, session) {
+    const details = session.customer_details || {};
+    const shipping = shippingDetails(session);
+    const email = details.email || session.customer_email;
+
+    if (!email) {
+        throw new Error(`Checkout session ${session.id} has no customer email`);
+    }
+
+    const items = await loadOrderItems(stripe, session);
+    // The order still goes through (it is paid for), flagged for a person to
+    // re-quote or refund before it is packed
+    const rate = shippingRate(session);
+    const mismatch = destinationMismatch(session);
+    if (mismatch) {
+        log.warn('Checkout address does not match the quoted destination', {
+            sessionId: session.id,
+            quoted: rate,
+            address: collectedAddress(session, rate)
+        });
+    }
+
+    const completed = await db.withTransaction(async (tx) => {
+        const order = await upsertCompletedOrder(tx, {
+            stripeSessionId: session.id,
+            customerEmail: email,
+            customerName: details.name || (shipping && shipping.name) || null,
+            amount: formatCents(session.amount_total),
+            // Delayed payment methods complete the session before funds arrive
+            status: SETTLED_PAYMENT_STATUSES.includes(session.payment_status) ? 'paid' : 'pending',
+            shippingAddress: shippingRecord(session),
+            items,
+            ...orderBreakdown(session),
+            taxExemptionCertificate: (session.metadata && session.metadata.tax_exemption_certificate) || null,
+            // Set at checkout when the customer was signed in
+            customerId: parseCustomerId(session.metadata && session.metadata.customer_id),
+            note: mismatch ? mismatchNote(rate) : null
+        });
+
+        // A null order means this is a retry for an order that has already
+        // moved on (e.g. refunded); its stock must not be taken again.
+        if (order && session.client_reference_id) {
+            await commitRedemption(tx, session.client_reference_id);
+            const oversold = await commitReservation(tx, session.client_reference_id);
+            oversold.forEach((row) => {
+                log.warn('Late checkout completion oversold a product', {
+                    productId: row.product_id,
+                    variantId: row.variant_id,
+                    sku: row.sku,
+                    sessionId: session.id,
+                    inventory: row.inventory
+                });
+            });
+            const rebooked = await commitRentalBookings(tx, session.client_reference_id);
+            rebooked.forEach((row) => {
+                log.warn('Late checkout completion took back a released rental booking; check it for overlaps', {
+                    bookingId: row.id,
+                    variantId: row.variant_id,
+                    startDate: row.start_date,
+                    endDate: row.end_date,
+                    sessionId: session.id
+                });
+            });
+        }
+        if (order) {
+            await queueStatusEmail(tx, order);
+        }
+        return order;
+    });
+
+    // Same rule as the history rows upsertCompletedOrder writes: a new order,
+    // or a pending one whose payment has now arrived
+    if (completed && (completed.inserted || completed.status !== 'pending')) {
+        metrics.orderStatusChanges.inc({ status: completed.status });
+    }
+    return completed;
+}
+
+// Move the session's order (if any) to `status`, counting the change
+async function transitionSessionOrder({ db, metrics }, session, status, note) {
+    const result = await transitionOrder(db, { stripeSessionId: session.id }, status, {
+        actor: 'stripe',
+        note
+    });
+    if (result.changed) {
+        metrics.orderStatusChanges.inc({ status });
+    }
+    return result;
+}
+
+async function handleSessionExpired(context, session) {
+    // Expired sessions normally have no order, only a reservation
+    if (session.client_reference_id) {
+        await releaseReservation(context.db, session.client_reference_id, ['reserved']);
+        await releaseRentalBookings(context.db, session.client_reference_id, ['reserved']);
+        await releaseRedemption(context.db, session.client_reference_id, ['reserved']);
+    }
+    return transitionSessionOrder(context, session, 'cancelled', 'Checkout session expired');
+}
+
+async function handleAsyncPaymentFailed(context, session) {
+    return transitionSessionOrder(context, session, 'cancelled', 'Payment failed');
+}
+
+async function handleChargeRefunded(context, charge) {
+    // Partial refunds leave the order and its stock as they are
+    if (!charge.refunded || !charge.payment_intent) {
+        return null;
+    }
+
+    const sessions = await context.stripe.checkout.sessions.list({
+        payment_intent: charge.payment_intent,
+        limit: 1
+    });
+    const session = sessions.data[0];
+    if (!session) {
+        return null;
+    }
+
+    return transitionSessionOrder(context, session, 'refunded', `Charge ${charge.id} refunded`);
+}
+
+const HANDLERS = {
+    'checkout.session.completed': handleSessionCompleted,
+    'checkout.session.async_payment_succeeded': handleSessionCompleted,
+    'checkout.session.async_payment_failed': handleAsyncPaymentFailed,
+    'checkout.session.expired': handleSessionExpired,
+    'charge.refunded': handleChargeRefunded
+};
+
+// POST /api/webhooks/stripe
+//
+// Must be mounted before any JSON body parser: the signature is computed over
+// the exact bytes Stripe sent.
+function createWebhooksRouter({ db, stripe, webhookSecret, metrics }) {
+    const router = express.Router();
+
+    router.post('/stripe', express.raw({ type: '*/*' }), asyncHandler(async (req, res) => {
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], webhookSecret);
+        } catch (err) {
+            throw new HttpError(400, 'Invalid Stripe signature');
+        }
+
+        const handler = HANDLERS[event.type];
+        if (handler) {
+            // Errors propagate as a 500 so Stripe retries the delivery
+            await handler({ db, stripe, metrics, log: req.log }, event.data.object);
+            req.log.info('Handled Stripe event', { eventId: event.id, type: event.type });
+        } else {
+            req.log.debug('Ignored Stripe event', { eventId: event.id, type: event.type });
+        }
+
+        res.json({ received: true });
+    }));
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;
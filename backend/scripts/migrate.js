@@ -0,0 +1,60 @@
+// npm run migrate | migrate:status | migrate:down [-- <steps>]
+require('dotenv').config();
+
+const { loadDatabaseConfig } = require('../config');
+const { createLogger } = require('../lib/logger');
+const createDb = require('../db');
+const { migrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+const COMMANDS = ['up', 'status', 'down'];
+
+async function main() {
+    const [command = 'up', stepsArg = '1'] = process.argv.slice(2);
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+    }
+
+    const config = loadDatabaseConfig();
+    const logger = createLogger({ format: 'pretty' });
+    const db = createDb({
+        connectionString: config.databaseUrl,
+        max: 1,
+        ssl: config.databaseSsl,
+        logger
+    });
+
+    try {
+        if (command === 'status') {
+            const status = await migrationStatus(db);
+            status.forEach((entry) => {
+                const appliedAt = entry.appliedAt ? `  ${entry.appliedAt.toISOString()}` : '';
+                console.log(`${entry.state.padEnd(8)} ${entry.version}_${entry.name}${appliedAt}`);
+            });
+            if (status.some((entry) => entry.state === 'changed' || entry.state === 'missing')) {
+                process.exitCode = 1;
+            }
+        } else if (command === 'up') {
+            const applied = await migrateUp(db, {
+                onApply: (migration) => console.log(`Applying ${migration.file}`)
+            });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else {
+            const steps = parseInt(stepsArg, 10);
+            if (!(steps >= 1)) {
+                throw new Error('migrate:down takes a positive number of steps');
+            }
+            const reverted = await migrateDown(db, {
+                steps,
+                onRevert: (migration) => console.log(`Reverting ${migration.file}`)
+            });
+            console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+// npm run seed: load the sample data in database/seeds into a development
+// database. Every seed file must be safe to run more than once.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { loadDatabaseConfig } = require('../config');
+const { createLogger } = require('../lib/logger');
+const createDb = require('../db');
+
+const SEEDS_DIR = path.join(__dirname, '../../database/seeds');
+
+async function main() {
+    const config = loadDatabaseConfig();
+    if (config.nodeEnv !== 'development') {
+        throw new Error(`Seeding only runs with NODE_ENV=development (current: ${config.nodeEnv})`);
+    }
+
+    const db = createDb({
+        connectionString: config.databaseUrl,
+        max: 1,
+        ssl: config.databaseSsl,
+        logger: createLogger({ format: 'pretty' })
+    });
+
+    try {
+        const files = fs.readdirSync(SEEDS_DIR).filter((file) => file.endsWith('.sql')).sort();
+        for (const file of files) {
+            await db.withTransaction(async (client) => {
+                const result = await client.query(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8'));
+                const rowCount = [].concat(result).reduce((sum, r) => sum + (r.rowCount || 0), 0);
+                console.log(`Seeded ${file} (${rowCount} row(s))`);
+            });
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./db');
+const { request } = require('./helpers');
+const createAccountRouter = require('../routes/account');
+
+const STORE_ORIGIN = 'https://store.example.com';
+
+let db;
+let router;
+
+// Emails "sent" to customers, newest last
+const sent = [];
+const emailTransport = {
+    async send(message) {
+        sent.push(message);
+        return { messageId: `<${sent.length}@test>` };
+    }
+};
+
+test.before(async () => {
+    db = await createTestDb();
+    router = createAccountRouter({
+        db,
+        emailTransport,
+        emailFrom: 'store@example.com',
+        frontendUrl: STORE_ORIGIN,
+        secureCookies: false,
+        credentialsRateLimit: 1000,
+        trustedOrigins: [STORE_ORIGIN]
+    });
+});
+
+test.after(() => db.close());
+
+test.beforeEach(async () => {
+    await db.query('TRUNCATE customers RESTART IDENTITY CASCADE');
+    sent.length = 0;
+    const response = await request(router, {
+        method: 'POST',
+        path: '/signup',
+        body: { email: 'pat@example.com', password: 'correct horse battery' }
+    });
+    assert.equal(response.status, 201);
+});
+
+// Ask for a reset link and return the token it carries
+async function requestReset() {
+    const response = await request(router, { method: 'POST', path: '/password-reset', body: { email: 'pat@example.com' } });
+    assert.equal(response.status, 202);
+    const match = /#reset=([\w-]+)/.exec(sent[sent.length - 1].text);
+    return decodeURIComponent(match[1]);
+}
+
+const confirmReset = (token, password = 'a brand new password') => request(router, {
+    method: 'POST',
+    path: '/password-reset/confirm',
+    body: { token, password }
+});
+
+const login = (email, password) => request(router, { method: 'POST', path: '/login', body: { email, password } });
+
+test('signing in sets the session cookie', async () => {
+    const response = await login('PAT@example.com', 'correct horse battery');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.customer.email, 'pat@example.com');
+    assert.match(response.headers.get('set-cookie'), /^session_token=[\w-]+;.*HttpOnly/);
+});
+
+test('an unknown email and a wrong password fail the same way', async () => {
+    const unknown = await login('nobody@example.com', 'correct horse battery');
+    const wrong = await login('pat@example.com', 'incorrect horse battery');
+
+    assert.equal(unknown.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+    assert.equal(unknown.headers.get('set-cookie'), null);
+    assert.equal(wrong.headers.get('set-cookie'), null);
+});
+
+test('asking to reset an unknown email answers as if it had an account', async () => {
+    const known = await request(router, { method: 'POST', path: '/password-reset', body: { email: 'pat@example.com' } });
+    const unknown = await request(router, { method: 'POST', path: '/password-reset', body: { email: 'nobody@example.com' } });
+
+    assert.deepEqual([unknown.status, unknown.body], [known.status, known.body]);
+    assert.equal(sent.filter((email) => email.to === 'nobody@example.com').length, 0);
+});
+
+test('a reset link sets the new password and works only once', async () => {
+    const token = await requestReset();
+
+    const response = await confirmReset(token);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.customer.email_verified, true);
+    assert.equal((await login('pat@example.com', 'correct horse battery')).status, 401);
+    assert.equal((await login('pat@example.com', 'a brand new password')).status, 200);
+
+    const again = await confirmReset(token, 'yet another password');
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error.message, 'This reset link is invalid or has expired');
+    assert.equal((await login('pat@example.com', 'a brand new password')).status, 200);
+});
+
+test('an expired reset link is refused', async () => {
+    const token = await requestReset();
+    await db.query("UPDATE customer_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'");
+
+    const response = await confirmReset(token);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.message, 'This reset link is invalid or has expired');
+    assert.equal((await login('pat@example.com', 'correct horse battery')).status, 200);
+});
+
+test('only the newest reset link works', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+
+    assert.equal((await confirmReset(first)).status, 400);
+    assert.equal((await confirmReset(second)).status, 200);
+});
+
+test('a POST from another origin is refused before it is handled', async () => {
+    const response = await request(router, {
+        method: 'POST',
+        path: '/login',
+        body: { email: 'pat@example.com', password: 'correct horse battery' },
+        headers: { Origin: 'https://attacker.example' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get('set-cookie'), null);
+});
+
+test('a POST from the store, or without an Origin, is allowed', async () => {
+    const fromStore = await request(router, {
+        method: 'POST',
+        path: '/login',
+        body: { email: 'pat@example.com', password: 'correct horse battery' },
+        headers: { Origin: STORE_ORIGIN }
+    });
+    assert.equal(fromStore.status, 200);
+
+    assert.equal((await login('pat@example.com', 'correct horse battery')).status, 200);
+});
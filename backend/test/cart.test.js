@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, loadFresh, request } = require('./helpers');
+
+// In-memory carts standing in for models/carts
+const carts = new Map();
+const lines = new Map();
+
+const VARIANTS = {
+    1: { id: 1, product_id: 10, sku: 'BLOB-S', name: 'Water Blob', price: '100.00' },
+    2: { id: 2, product_id: 20, sku: 'PUMP', name: 'Blower', price: '40.00' }
+};
+
+function setQuantity(cartId, variantId, quantity) {
+    const cart = lines.get(cartId);
+    if (quantity > 0) {
+        cart.set(variantId, quantity);
+    } else {
+        cart.delete(variantId);
+    }
+}
+
+stubModule('../models/carts', {
+    async findCartByTokenHash(db, tokenHash) {
+        return carts.get(tokenHash) || null;
+    },
+    async createCart(db, tokenHash) {
+        const cart = { id: carts.size + 1 };
+        carts.set(tokenHash, cart);
+        lines.set(cart.id, new Map());
+        return cart;
+    },
+    async getCartLines(db, cartId) {
+        return Array.from(lines.get(cartId), ([variantId, quantity]) => ({
+            variant_id: variantId,
+            product_id: VARIANTS[variantId].product_id,
+            sku: VARIANTS[variantId].sku,
+            options: {},
+            name: VARIANTS[variantId].name,
+            price: VARIANTS[variantId].price,
+            image_url: null,
+            quantity,
+            inventory: null,
+            rental_start: null,
+            rental_end: null
+        }));
+    },
+    async addCartItem(db, cartId, variantId, quantity) {
+        setQuantity(cartId, variantId, (lines.get(cartId).get(variantId) || 0) + quantity);
+    },
+    async setCartItem(db, cartId, variantId, quantity) {
+        setQuantity(cartId, variantId, quantity);
+    },
+    async mergeCartItems(db, cartId, items) {
+        items.forEach((item) => {
+            setQuantity(cartId, item.variantId, Math.max(lines.get(cartId).get(item.variantId) || 0, item.quantity));
+        });
+    },
+    async removeCartItem(db, cartId, variantId) {
+        setQuantity(cartId, variantId, 0);
+    },
+    async clearCartItems(db, cartId) {
+        lines.get(cartId).clear();
+    }
+});
+
+const createCartRouter = loadFresh('../routes/cart');
+const router = createCartRouter({ db: {}, secureCookies: false });
+
+const quantities = (response) => response.body.cart.items.map((item) => [item.variantId, item.quantity]);
+
+test('a browser without a server cart has its local cart copied into a new one', async () => {
+    const response = await request(router, {
+        method: 'POST',
+        path: '/merge',
+        body: { items: [{ variantId: 1, quantity: 2 }, { variantId: 2, quantity: 1 }] }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('set-cookie'), /^cart_token=/);
+    assert.deepEqual(quantities(response), [[1, 2], [2, 1]]);
+});
+
+test('a line removed from the server cart does not come back from a stale local cart', async () => {
+    const created = await request(router, {
+        method: 'POST',
+        path: '/merge',
+        body: { items: [{ variantId: 1, quantity: 1 }, { variantId: 2, quantity: 3 }] }
+    });
+    const cookie = created.headers.get('set-cookie').split(';')[0];
+
+    const removed = await request(router, { method: 'DELETE', path: '/items/2', headers: { cookie } });
+    assert.deepEqual(quantities(removed), [[1, 1]]);
+
+    // Another tab, or a browser that missed the DELETE, still has both lines
+    const synced = await request(router, {
+        method: 'POST',
+        path: '/merge',
+        headers: { cookie },
+        body: { items: [{ variantId: 1, quantity: 1 }, { variantId: 2, quantity: 3 }] }
+    });
+    assert.equal(synced.status, 200);
+    assert.deepEqual(quantities(synced), [[1, 1]]);
+});
@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, loadFresh, request } = require('./helpers');
+
+// Variant rows (joined with their products) standing in for models/variants
+const VARIANTS = {
+    1: { id: 1, product_id: 10, sku: 'BLOB-S', options: {}, name: 'Water Blob', description: 'Ten feet of floating fun', price: '100.00', inventory: 5, weight_lb: '45.00' },
+    2: { id: 2, product_id: 20, sku: 'PUMP', options: {}, name: 'Blower', description: null, price: '40.00', inventory: null, weight_lb: '20.00' },
+    3: { id: 3, product_id: 30, sku: 'OLD', options: {}, name: 'Old Blob', description: null, price: '80.00', inventory: 2, weight_lb: null, active: false },
+    4: { id: 4, product_id: 40, sku: 'PATCH', options: {}, name: 'Patch Kit', description: null, price: '33.33', inventory: null, weight_lb: '1.00' }
+};
+
+stubModule('../models/variants', {
+    async findVariantsByIds(db, ids) {
+        return ids.filter((id) => VARIANTS[id]).map((id) => ({ image_url: null, active: true, product_active: true, ...VARIANTS[id] }));
+    }
+});
+
+// One zone with a flat-rate ground option, standing in for models/shipping
+stubModule('../models/shipping', {
+    async findZonesForCountry(db, country) {
+        return country === 'US' ? [{ id: 1, name: 'United States', regions: [], postal_prefixes: [] }] : [];
+    },
+    async findActiveRates() {
+        return [{
+            id: 4,
+            name: 'Ground',
+            kind: 'parcel',
+            base_amount: '25.00',
+            per_lb_amount: '0.00',
+            oversize_surcharge: '0.00',
+            max_weight_lb: null,
+            min_days: 3,
+            max_days: 5
+        }];
+    }
+});
+
+// Reservations by reference, as models/inventory keeps them
+const reservations = new Map();
+stubModule('../models/inventory', {
+    async reserveInventory(tx, reference, lines) {
+        reservations.set(reference, { status: 'reserved', lines });
+    },
+    async attachSession(db, reference, sessionId) {
+        reservations.get(reference).sessionId = sessionId;
+    },
+    async releaseReservation(db, reference) {
+        reservations.get(reference).status = 'released';
+    }
+});
+
+// A rental plan for the blower, and the bookings checkout holds for it
+const RENTAL_PLAN = {
+    id: 1,
+    variant_id: 2,
+    units: 2,
+    daily_rate: '25.00',
+    weekly_rate: null,
+    deposit: '50.00',
+    min_days: 1,
+    max_days: null,
+    lead_days: 2,
+    buffer_days: 1,
+    active: true
+};
+const bookings = new Map();
+stubModule('../models/rentals', {
+    async findRentalPlans(db, variantIds) {
+        return variantIds.includes(RENTAL_PLAN.variant_id) ? [RENTAL_PLAN] : [];
+    },
+    async listActiveBookings() {
+        return [];
+    },
+    async reserveRentalBookings(tx, reference, lines) {
+        bookings.set(reference, lines.filter((line) => line.rental));
+    },
+    async attachRentalSession() {},
+    async releaseRentalBookings(db, reference) {
+        bookings.delete(reference);
+    }
+});
+
+// The promotion behind the code being tried, and the redemptions it reserves
+let promotion = null;
+const redemptions = new Map();
+stubModule('../models/promotions', {
+    async findPromotionByCode() {
+        return promotion;
+    },
+    async reserveRedemption(tx, promotionId, reference, amount) {
+        redemptions.set(reference, amount);
+    },
+    async attachRedemptionSession() {},
+    async releaseRedemption(db, reference) {
+        redemptions.delete(reference);
+    }
+});
+
+const createCheckoutRouter = loadFresh('../routes/checkout');
+
+// Stripe stand-in: records the session parameters, or fails when told to
+const sessions = [];
+let stripeDown = false;
+const stripe = {
+    checkout: {
+        sessions: {
+            async create(params) {
+                if (stripeDown) {
+                    throw new Error('Stripe is unreachable');
+                }
+                sessions.push(params);
+                return { id: `cs_test_${sessions.length}`, url: `https://checkout.stripe.test/${sessions.length}` };
+            }
+        }
+    }
+};
+
+// A flat 8.25% on the discounted merchandise (see lib/tax for the interface)
+const taxCalculator = {
+    async calculate(db, { subtotal }) {
+        const amount = Math.round(subtotal * 0.0825);
+        return { amount, jurisdictions: [{ name: 'Texas', rate: '8.25', amount }] };
+    }
+};
+
+const router = createCheckoutRouter({
+    db: { withTransaction: (fn) => fn({}) },
+    stripe,
+    taxCalculator,
+    metrics: { checkoutSessions: { inc() {} } },
+    frontendUrl: 'https://shop.example.com/'
+});
+
+const GROUND_TO_TEXAS = { rateId: 4, destination: { country: 'US', region: 'TX', postalCode: '78701' } };
+
+function checkout(body) {
+    return request(router, { method: 'POST', path: '/', body: { shipping: GROUND_TO_TEXAS, ...body } });
+}
+
+test.beforeEach(() => {
+    sessions.length = 0;
+    reservations.clear();
+    redemptions.clear();
+    bookings.clear();
+    stripeDown = false;
+    promotion = null;
+});
+
+test('checkout prices the cart from the catalog and returns the Stripe session', async () => {
+    const response = await checkout({
+        items: [{ variantId: 1, quantity: 2, price: 1 }, { variantId: 2, quantity: 1 }],
+        email: 'camp@example.com'
+    });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body, { sessionId: 'cs_test_1', url: 'https://checkout.stripe.test/1' });
+    const [params] = sessions;
+    assert.deepEqual(params.line_items.map((item) => [item.price_data.unit_amount, item.quantity]), [[10000, 2], [4000, 1], [1980, 1]]);
+    assert.equal(params.line_items[2].price_data.product_data.metadata.line_type, 'tax');
+    assert.equal(params.customer_email, 'camp@example.com');
+    assert.equal(params.success_url, 'https://shop.example.com/index.html?checkout=success&session_id={CHECKOUT_SESSION_ID}');
+    assert.equal(params.metadata.items, '1:2,2:1');
+    assert.equal(params.metadata.totals, '24000:0:2500:1980:0');
+    assert.equal(params.shipping_options[0].shipping_rate_data.fixed_amount.amount, 2500);
+    assert.deepEqual(params.shipping_address_collection, { allowed_countries: ['US'] });
+    assert.equal(reservations.get(params.client_reference_id).sessionId, 'cs_test_1');
+});
+
+test('an unavailable product is refused before Stripe is called', async () => {
+    const response = await checkout({ items: [{ variantId: 3, quantity: 1 }] });
+
+    assert.equal(response.status, 400);
+    assert.equal(sessions.length, 0);
+});
+
+test('a shipping option that was not quoted for the destination is refused', async () => {
+    const response = await checkout({
+        items: [{ variantId: 1, quantity: 1 }],
+        shipping: { rateId: 4, destination: { country: 'CA' } }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(sessions.length, 0);
+});
+
+test('a failed Stripe call gives the reserved stock back', async () => {
+    stripeDown = true;
+    const response = await checkout({ items: [{ variantId: 1, quantity: 1 }] });
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(Array.from(reservations.values(), (reservation) => reservation.status), ['released']);
+});
+
+function withPromotion(overrides) {
+    promotion = {
+        id: 7,
+        code: 'SPLASH',
+        active: true,
+        starts_at: null,
+        expires_at: null,
+        usage_limit: null,
+        used: 0,
+        min_order_amount: null,
+        product_ids: [],
+        ...overrides
+    };
+}
+
+// What Stripe will charge for the session, and the breakdown stored with it
+function stripeTotal(params) {
+    const lines = params.line_items.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0);
+    return lines + params.shipping_options[0].shipping_rate_data.fixed_amount.amount;
+}
+
+function storedBreakdown(params) {
+    const [subtotal, discount, shipping, tax, deposit] = params.metadata.totals.split(':').map(Number);
+    return { subtotal, discount, shipping, tax, deposit, total: subtotal - discount + shipping + tax + deposit };
+}
+
+// Units per cart line, however Stripe's lines split them
+function lineQuantities(params) {
+    const quantities = {};
+    params.line_items.filter((item) => item.price_data.product_data.metadata.line !== undefined).forEach((item) => {
+        const { line } = item.price_data.product_data.metadata;
+        quantities[line] = (quantities[line] || 0) + item.quantity;
+    });
+    return quantities;
+}
+
+const DISCOUNT_CART = [{ variantId: 4, quantity: 3 }, { variantId: 1, quantity: 1 }, { variantId: 2, quantity: 2 }];
+
+test('a discount comes off the product lines only, and Stripe charges the stored total', async () => {
+    withPromotion({ kind: 'percentage', value: '15.00' });
+    const response = await checkout({ items: DISCOUNT_CART, discountCode: 'SPLASH' });
+
+    assert.equal(response.status, 201);
+    const [params] = sessions;
+    const breakdown = storedBreakdown(params);
+    assert.equal(breakdown.discount, 4200);
+    assert.equal(redemptions.get(params.client_reference_id), '42.00');
+    assert.equal(params.discounts, undefined);
+    assert.equal(stripeTotal(params), breakdown.total);
+    assert.equal(breakdown.tax, Math.round((breakdown.subtotal - breakdown.discount) * 0.0825));
+    assert.deepEqual(lineQuantities(params), { 0: 3, 1: 1, 2: 2 });
+});
+
+test('a discount restricted to one product leaves the other lines at full price', async () => {
+    withPromotion({ kind: 'fixed', value: '10.01', product_ids: [40] });
+    await checkout({ items: DISCOUNT_CART, discountCode: 'SPLASH' });
+
+    const [params] = sessions;
+    const prices = params.line_items
+        .filter((item) => ['1', '2'].includes(item.price_data.product_data.metadata.line))
+        .map((item) => item.price_data.unit_amount);
+    assert.deepEqual(prices, [10000, 4000]);
+    assert.equal(stripeTotal(params), storedBreakdown(params).total);
+});
+
+test('a rental is charged for its days, with its deposit as a line of its own', async () => {
+    const rental = { startDate: '2030-07-03', endDate: '2030-07-05' };
+    const response = await checkout({ items: [{ variantId: 2, quantity: 1, rental }, { variantId: 1, quantity: 1 }] });
+
+    assert.equal(response.status, 201);
+    const [params] = sessions;
+    const [rentalLine] = params.line_items;
+    assert.equal(rentalLine.price_data.product_data.name, 'Blower rental, 2030-07-03 to 2030-07-05');
+    assert.equal(rentalLine.price_data.unit_amount, 7500);
+    assert.equal(rentalLine.price_data.product_data.metadata.rental_start, '2030-07-03');
+
+    const deposit = params.line_items.find((item) => item.price_data.product_data.metadata.line_type === 'deposit');
+    const breakdown = storedBreakdown(params);
+    assert.equal(deposit.price_data.unit_amount, 5000);
+    assert.equal(breakdown.deposit, 5000);
+    assert.equal(breakdown.subtotal, 17500);
+    assert.equal(stripeTotal(params), breakdown.total);
+    assert.equal(bookings.get(params.client_reference_id).length, 1);
+});
@@ -0,0 +1,56 @@
+const { PGlite } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { migrateUp } = require('../lib/migrations');
+
+// PGlite answers like pg, less rowCount; a query without parameters may hold
+// several statements (migrations do), so it goes through exec.
+function wrap(pglite) {
+    return {
+        async query(text, params) {
+            const results = params && params.length > 0
+                ? [await pglite.query(text, params)]
+                : await pglite.exec(text);
+            const result = results[results.length - 1] || { rows: [] };
+            return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+        }
+    };
+}
+
+// An in-memory Postgres with every migration applied, shaped like db.js:
+// query, withTransaction and a pool whose single client is the database
+// itself. Each call starts empty; node --test runs files in separate
+// processes, so create one per file and reset tables between tests.
+async function createTestDb() {
+    const pglite = new PGlite({ extensions: { pg_trgm } });
+    const client = wrap(pglite);
+
+    const db = {
+        query: client.query,
+        pool: {
+            async connect() {
+                return { query: client.query, release() {} };
+            }
+        },
+        async withTransaction(fn) {
+            await client.query('BEGIN');
+            try {
+                const result = await fn(client);
+                await client.query('COMMIT');
+                return result;
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            }
+        },
+        close() {
+            return pglite.close();
+        }
+    };
+
+    await migrateUp(db);
+    return db;
+}
+
+module.exports = {
+    createTestDb
+};
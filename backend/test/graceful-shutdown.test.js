@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createGracefulShutdown = require('../lib/graceful-shutdown');
+const createLifecycle = require('../lib/lifecycle');
+const { createLogger } = require('../lib/logger');
+
+const logger = createLogger({ level: 'error', stream: { write() {} } });
+
+// http.Server stand-in recording what happens to it. With `hangs` close()
+// never finishes, like a request that does not end.
+function fakeServer({ hangs = false } = {}) {
+    const events = [];
+    return {
+        events,
+        close(callback) {
+            events.push('close');
+            if (!hangs) {
+                setImmediate(callback);
+            }
+        },
+        closeIdleConnections() {},
+        closeAllConnections() {
+            events.push('closeAll');
+        }
+    };
+}
+
+// Signal a shutdown; resolves to { code, lifecycle, closedAfterMs }
+function runShutdown(server, options) {
+    const lifecycle = createLifecycle();
+    const started = Date.now();
+    let closedAfterMs = null;
+    const close = server.close;
+    server.close = (callback) => {
+        closedAfterMs = Date.now() - started;
+        close(callback);
+    };
+    // The shutdown deadline does not hold the process open on its own
+    const keepAlive = setInterval(() => {}, 1000);
+
+    return new Promise((resolve) => {
+        const shutdown = createGracefulShutdown({
+            server,
+            lifecycle,
+            logger,
+            cleanup: async () => server.events.push('cleanup'),
+            exit: (code) => {
+                clearInterval(keepAlive);
+                resolve({ code, lifecycle, closedAfterMs, tookMs: Date.now() - started });
+            },
+            ...options
+        });
+        shutdown('SIGTERM');
+        assert.equal(lifecycle.isDraining(), true);
+        assert.deepEqual(server.events, []);
+    });
+}
+
+test('health checks fail for the drain delay before the server stops accepting connections', async () => {
+    const server = fakeServer();
+    const { code, closedAfterMs } = await runShutdown(server, { timeoutMs: 1000, drainDelayMs: 60 });
+
+    assert.equal(code, 0);
+    assert.ok(closedAfterMs >= 55, `closed after ${closedAfterMs}ms`);
+    assert.deepEqual(server.events, ['close', 'cleanup']);
+});
+
+test('connections left when the timeout runs out are cut, the drain delay counting towards it', async () => {
+    const server = fakeServer({ hangs: true });
+    const { code, tookMs } = await runShutdown(server, { timeoutMs: 150, drainDelayMs: 60 });
+
+    assert.equal(code, 0);
+    assert.deepEqual(server.events, ['close', 'closeAll', 'cleanup']);
+    assert.ok(tookMs >= 145 && tookMs < 400, `took ${tookMs}ms`);
+});
@@ -0,0 +1,51 @@
+const express = require('express');
+const { createLogger } = require('../lib/logger');
+const { apiErrorHandler } = require('../lib/http');
+
+// Replace some exports of a module. Routers destructure what they require, so
+// stub before loading the router under test (see loadFresh). node --test runs
+// every file in its own process, so stubs never leak between files.
+function stubModule(path, overrides) {
+    Object.assign(require(path), overrides);
+}
+
+function loadFresh(path) {
+    delete require.cache[require.resolve(path)];
+    return require(path);
+}
+
+// Send one request to `router` mounted at `/`, as the API would (JSON bodies,
+// a request logger, the API error handler). Resolves to
+// { status, headers, body } with the body parsed as JSON.
+async function request(router, { method = 'GET', path = '/', body, headers = {} } = {}) {
+    const app = express();
+    const log = createLogger({ level: 'error', stream: { write() {} } });
+    app.use((req, res, next) => {
+        req.log = log;
+        next();
+    });
+    app.use(express.json());
+    app.use(router);
+    app.use(apiErrorHandler);
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+module.exports = {
+    stubModule,
+    loadFresh,
+    request
+};
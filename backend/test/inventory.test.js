@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./db');
+const { priceCart } = require('../lib/cart');
+const {
+    reserveInventory,
+    commitReservation,
+    releaseReservation
+} = require('../models/inventory');
+
+let db;
+
+test.before(async () => {
+    db = await createTestDb();
+});
+
+test.after(() => db.close());
+
+// One product with a tracked variant (id 1, 5 in stock) and an untracked one
+// (id 2)
+test.beforeEach(async () => {
+    await db.query('TRUNCATE products, inventory_reservations RESTART IDENTITY CASCADE');
+    await db.query("INSERT INTO products (name, price) VALUES ('Water Blob', 100.00)");
+    await db.query(
+        `INSERT INTO product_variants (product_id, sku, options, inventory) VALUES
+         (1, 'BLOB-S', '{"size": "S"}', 5),
+         (1, 'BLOB-L', '{"size": "L"}', NULL)`
+    );
+});
+
+// What checkout does: price the cart holding the variant rows, then reserve
+async function reserve(items) {
+    const reference = crypto.randomUUID();
+    await db.withTransaction(async (tx) => {
+        const { lines } = await priceCart(tx, items, { forUpdate: true });
+        await reserveInventory(tx, reference, lines, new Date(Date.now() + 30 * 60 * 1000));
+    });
+    return reference;
+}
+
+async function stock(variantId) {
+    const { rows } = await db.query('SELECT inventory FROM product_variants WHERE id = $1', [variantId]);
+    return rows[0].inventory;
+}
+
+async function reservations(reference) {
+    const { rows } = await db.query(
+        'SELECT variant_id, quantity, status FROM inventory_reservations WHERE reference = $1 ORDER BY variant_id',
+        [reference]
+    );
+    return rows;
+}
+
+test('reserving moves stock into a reservation, merging lines for the same variant', async () => {
+    const reference = await reserve([
+        { variantId: 1, quantity: 2 },
+        { variantId: 2, quantity: 4 },
+        { variantId: 1, quantity: 1 }
+    ]);
+
+    assert.equal(await stock(1), 2);
+    assert.equal(await stock(2), null);
+    assert.deepEqual(await reservations(reference), [{ variant_id: 1, quantity: 3, status: 'reserved' }]);
+});
+
+test('a committed reservation keeps its stock, and releasing it afterwards gives nothing back', async () => {
+    const reference = await reserve([{ variantId: 1, quantity: 3 }]);
+
+    assert.deepEqual(await commitReservation(db, reference), []);
+    assert.equal(await stock(1), 2);
+    assert.deepEqual(await reservations(reference), [{ variant_id: 1, quantity: 3, status: 'committed' }]);
+
+    assert.deepEqual(await releaseReservation(db, reference), []);
+    assert.equal(await stock(1), 2);
+});
+
+test('a released reservation returns its stock once', async () => {
+    const reference = await reserve([{ variantId: 1, quantity: 3 }]);
+
+    const released = await releaseReservation(db, reference);
+    assert.deepEqual(released, [{ product_id: 1, variant_id: 1, quantity: 3 }]);
+    assert.equal(await stock(1), 5);
+
+    assert.deepEqual(await releaseReservation(db, reference), []);
+    assert.equal(await stock(1), 5);
+});
+
+test('committing a released reservation takes its stock back and reports what was oversold', async () => {
+    const first = await reserve([{ variantId: 1, quantity: 3 }]);
+    await releaseReservation(db, first);
+    // The stock went to someone else before the late payment arrived
+    await reserve([{ variantId: 1, quantity: 4 }]);
+
+    const shortfall = await commitReservation(db, first);
+
+    assert.deepEqual(shortfall, [{ product_id: 1, variant_id: 1, sku: 'BLOB-S', quantity: 3, inventory: 0 }]);
+    assert.equal(await stock(1), 0);
+    assert.deepEqual(await reservations(first), [{ variant_id: 1, quantity: 3, status: 'committed' }]);
+});
+
+test('more than is in stock is refused without reserving anything', async () => {
+    await assert.rejects(reserve([{ variantId: 1, quantity: 6 }]), (err) => {
+        assert.equal(err.status, 409);
+        assert.equal(err.code, 'insufficient_inventory');
+        assert.deepEqual(err.details, [
+            { variantId: 1, productId: 1, message: 'Only 5 left in stock', available: 5 }
+        ]);
+        return true;
+    });
+
+    assert.equal(await stock(1), 5);
+    const { rows } = await db.query('SELECT count(*)::int AS count FROM inventory_reservations');
+    assert.equal(rows[0].count, 0);
+});
+
+test('stock that ran out after pricing rolls the whole reservation back', async () => {
+    const reference = crypto.randomUUID();
+    const { lines } = await priceCart(db, [{ variantId: 1, quantity: 5 }]);
+    await reserve([{ variantId: 1, quantity: 1 }]);
+
+    await assert.rejects(
+        db.withTransaction((tx) => reserveInventory(tx, reference, lines, new Date())),
+        /Inventory for variant 1 changed while reserving/
+    );
+    assert.equal(await stock(1), 4);
+    assert.deepEqual(await reservations(reference), []);
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./db');
+const {
+    MIGRATIONS_DIR,
+    MigrationError,
+    loadMigrations,
+    migrationStatus,
+    migrateUp,
+    migrateDown
+} = require('../lib/migrations');
+
+// createTestDb has applied every migration in MIGRATIONS_DIR; each test
+// migrates from a copy of that directory it is free to edit.
+let db;
+let dir;
+
+test.before(async () => {
+    db = await createTestDb();
+});
+
+test.after(() => db.close());
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.cpSync(MIGRATIONS_DIR, dir, { recursive: true });
+});
+
+test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const latest = () => fs.readdirSync(dir).sort().pop();
+
+test('a new migration is applied after the ones already run', async () => {
+    fs.writeFileSync(path.join(dir, '900_widgets.sql'),
+        '-- migrate:up\nCREATE TABLE widgets (id SERIAL PRIMARY KEY);\n\n-- migrate:down\nDROP TABLE widgets;\n');
+
+    const migrations = loadMigrations(dir);
+
+    const applied = await migrateUp(db, { migrations });
+
+    assert.deepEqual(applied.map((migration) => migration.file), ['900_widgets.sql']);
+    await db.query('SELECT id FROM widgets');
+
+    const reverted = await migrateDown(db, { migrations });
+    assert.deepEqual(reverted.map((migration) => migration.file), ['900_widgets.sql']);
+});
+
+test('a migration edited after it was applied is reported and refuses to migrate', async () => {
+    const file = latest();
+    const version = file.split('_')[0];
+    fs.appendFileSync(path.join(dir, file), '\n-- tidied up\n');
+    fs.writeFileSync(path.join(dir, '901_gadgets.sql'), '-- migrate:up\nCREATE TABLE gadgets (id SERIAL PRIMARY KEY);\n');
+    const migrations = loadMigrations(dir);
+
+    const status = await migrationStatus(db, migrations);
+    assert.equal(status.find((entry) => entry.version === version).state, 'changed');
+
+    await assert.rejects(migrateUp(db, { migrations }), (err) => {
+        assert.ok(err instanceof MigrationError);
+        assert.equal(err.message, `Refusing to migrate: ${file.replace(/\.sql$/, '')} is changed`);
+        return true;
+    });
+    // The pending migration was not applied either
+    const { rows } = await db.query("SELECT to_regclass('gadgets') AS gadgets");
+    assert.equal(rows[0].gadgets, null);
+});
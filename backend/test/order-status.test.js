@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUSES, TRANSITIONS, isStatus, canTransition } = require('../lib/order-status');
+
+test('every status has its transitions, and they lead to known statuses', () => {
+    assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...STATUSES].sort());
+    Object.values(TRANSITIONS).flat().forEach((status) => assert.ok(isStatus(status), status));
+    assert.equal(isStatus('lost'), false);
+});
+
+test('an order moves forward through fulfillment', () => {
+    assert.ok(canTransition('pending', 'paid'));
+    assert.ok(canTransition('paid', 'packed'));
+    assert.ok(canTransition('packed', 'shipped'));
+    assert.ok(canTransition('shipped', 'delivered'));
+    // Invoiced orders may ship before they are paid
+    assert.ok(canTransition('net_30', 'packed'));
+    assert.ok(canTransition('net_30', 'paid'));
+});
+
+test('an order cannot skip steps or go back', () => {
+    assert.equal(canTransition('pending', 'shipped'), false);
+    assert.equal(canTransition('paid', 'shipped'), false);
+    assert.equal(canTransition('shipped', 'packed'), false);
+    assert.equal(canTransition('delivered', 'paid'), false);
+    assert.equal(canTransition('paid', 'paid'), false);
+});
+
+test('an order can be cancelled until it ships and refunded once it is paid', () => {
+    ['pending', 'net_30', 'paid', 'packed'].forEach((from) => assert.ok(canTransition(from, 'cancelled'), from));
+    ['shipped', 'delivered'].forEach((from) => assert.equal(canTransition(from, 'cancelled'), false, from));
+
+    ['paid', 'packed', 'shipped', 'delivered'].forEach((from) => assert.ok(canTransition(from, 'refunded'), from));
+    ['pending', 'net_30'].forEach((from) => assert.equal(canTransition(from, 'refunded'), false, from));
+});
+
+test('cancelled and refunded are final, and unknown statuses go nowhere', () => {
+    STATUSES.forEach((to) => {
+        assert.equal(canTransition('cancelled', to), false);
+        assert.equal(canTransition('refunded', to), false);
+        assert.equal(canTransition('lost', to), false);
+    });
+    assert.equal(canTransition('paid', 'lost'), false);
+});
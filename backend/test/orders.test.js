@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./db');
+const { transitionOrder } = require('../lib/orders');
+
+let db;
+
+test.before(async () => {
+    db = await createTestDb();
+});
+
+test.after(() => db.close());
+
+// A variant with 10 in stock before any order took some
+test.beforeEach(async () => {
+    await db.query('TRUNCATE products, orders, inventory_reservations, quotes, invoices RESTART IDENTITY CASCADE');
+    await db.query("INSERT INTO products (name, price) VALUES ('Water Blob', 100.00)");
+    await db.query("INSERT INTO product_variants (product_id, sku, inventory) VALUES (1, 'BLOB-S', 10)");
+});
+
+// A checkout order in `status` whose 3 units were committed from stock
+async function placeOrder(status) {
+    const sessionId = `cs_test_${crypto.randomUUID()}`;
+    const { rows } = await db.query(
+        `INSERT INTO orders (stripe_session_id, customer_email, amount, status, tracking_number, items)
+         VALUES ($1, 'buyer@example.com', 300.00, $2, $3, '[]') RETURNING id`,
+        [sessionId, status, ['shipped', 'delivered'].includes(status) ? '1Z999' : null]
+    );
+    await takeStock(crypto.randomUUID(), sessionId);
+    return rows[0].id;
+}
+
+// An order from an accepted quote: no Checkout Session, its stock held under
+// the quote's reference and an open invoice
+async function placeQuoteOrder(status) {
+    const reference = crypto.randomUUID();
+    const { rows } = await db.query(
+        `INSERT INTO orders (customer_email, amount, status, tracking_number, items)
+         VALUES ('buyer@example.com', 300.00, $1, $2, '[]') RETURNING id`,
+        [status, status === 'shipped' ? '1Z999' : null]
+    );
+    const orderId = rows[0].id;
+    const { rows: [quote] } = await db.query(
+        `INSERT INTO quotes (status, reference, organization, contact_name, email, shipping_address,
+                             items, subtotal, total, order_id)
+         VALUES ('accepted', $1, 'Splash Park', 'Pat', 'buyer@example.com', '{}', '[]', 300.00, 300.00, $2)
+         RETURNING id`,
+        [reference, orderId]
+    );
+    await db.query(
+        `INSERT INTO invoices (order_id, quote_id, amount, due_at)
+         VALUES ($1, $2, 300.00, CURRENT_TIMESTAMP + INTERVAL '30 days')`,
+        [orderId, quote.id]
+    );
+    await takeStock(reference, null);
+    return orderId;
+}
+
+async function takeStock(reference, sessionId) {
+    await db.query('UPDATE product_variants SET inventory = inventory - 3 WHERE id = 1');
+    await db.query(
+        `INSERT INTO inventory_reservations (reference, stripe_session_id, product_id, variant_id, quantity, status, expires_at)
+         VALUES ($1, $2, 1, 1, 3, 'committed', CURRENT_TIMESTAMP)`,
+        [reference, sessionId]
+    );
+}
+
+async function stock() {
+    const { rows } = await db.query('SELECT inventory FROM product_variants WHERE id = 1');
+    return rows[0].inventory;
+}
+
+async function invoiceStatus(orderId) {
+    const { rows } = await db.query('SELECT status FROM invoices WHERE order_id = $1', [orderId]);
+    return rows[0].status;
+}
+
+test('an allowed transition changes the status and is recorded in the history', async () => {
+    const id = await placeOrder('paid');
+
+    const { order, changed } = await transitionOrder(db, { id }, 'packed', { actor: 'admin', note: 'Boxed' });
+
+    assert.equal(changed, true);
+    assert.equal(order.status, 'packed');
+    const { rows } = await db.query('SELECT from_status, to_status, actor, note FROM order_status_history WHERE order_id = $1', [id]);
+    assert.deepEqual(rows, [{ from_status: 'paid', to_status: 'packed', actor: 'admin', note: 'Boxed' }]);
+});
+
+test('a forbidden transition is refused for admins and ignored for webhooks', async () => {
+    const id = await placeOrder('delivered');
+
+    await assert.rejects(transitionOrder(db, { id }, 'cancelled', { actor: 'admin', strict: true }), (err) => {
+        assert.equal(err.status, 409);
+        assert.equal(err.code, 'invalid_transition');
+        assert.deepEqual(err.details, [{ field: 'status', message: 'Allowed next statuses: refunded' }]);
+        return true;
+    });
+
+    const { order, changed } = await transitionOrder(db, { id }, 'paid', { actor: 'stripe' });
+    assert.equal(changed, false);
+    assert.equal(order.status, 'delivered');
+
+    await assert.rejects(transitionOrder(db, { id: 999 }, 'paid', { actor: 'admin', strict: true }), { status: 404 });
+    assert.deepEqual(await transitionOrder(db, { id: 999 }, 'paid', { actor: 'stripe' }), { order: null, changed: false });
+});
+
+test('shipping needs a tracking number, and only cancelling or refunding takes restock', async () => {
+    const id = await placeOrder('packed');
+
+    await assert.rejects(transitionOrder(db, { id }, 'shipped', { actor: 'admin' }), { status: 400 });
+    await assert.rejects(transitionOrder(db, { id }, 'shipped', { actor: 'admin', trackingNumber: '1Z1', restock: true }), { status: 400 });
+
+    const { order } = await transitionOrder(db, { id }, 'shipped', { actor: 'admin', trackingNumber: '1Z1', carrier: 'UPS' });
+    assert.equal(order.tracking_number, '1Z1');
+    assert.equal(order.carrier, 'UPS');
+});
+
+test('cancelling or refunding before the order ships puts its stock back', async () => {
+    const cancelled = await placeOrder('paid');
+    const refunded = await placeOrder('packed');
+    assert.equal(await stock(), 4);
+
+    await transitionOrder(db, { id: cancelled }, 'cancelled', { actor: 'admin' });
+    assert.equal(await stock(), 7);
+    await transitionOrder(db, { id: refunded }, 'refunded', { actor: 'admin' });
+    assert.equal(await stock(), 10);
+
+    const { rows } = await db.query("SELECT count(*)::int AS count FROM inventory_reservations WHERE status = 'released'");
+    assert.equal(rows[0].count, 2);
+});
+
+test('refunding a shipped order keeps its stock out unless the goods came back', async () => {
+    const kept = await placeOrder('shipped');
+    const returned = await placeOrder('delivered');
+    assert.equal(await stock(), 4);
+
+    await transitionOrder(db, { id: kept }, 'refunded', { actor: 'admin' });
+    assert.equal(await stock(), 4);
+    await transitionOrder(db, { id: returned }, 'refunded', { actor: 'admin', restock: true });
+    assert.equal(await stock(), 7);
+});
+
+test('restock: false keeps the stock out of an order cancelled before shipping', async () => {
+    const id = await placeOrder('paid');
+
+    await transitionOrder(db, { id }, 'cancelled', { actor: 'admin', restock: false });
+
+    assert.equal(await stock(), 7);
+});
+
+test('cancelling a quote order releases the stock held for the quote and voids its invoice', async () => {
+    const id = await placeQuoteOrder('net_30');
+    assert.equal(await stock(), 7);
+
+    await transitionOrder(db, { id }, 'cancelled', { actor: 'admin' });
+
+    assert.equal(await stock(), 10);
+    assert.equal(await invoiceStatus(id), 'void');
+});
+
+test('refunding a shipped quote order keeps its stock out and leaves the invoice alone', async () => {
+    const id = await placeQuoteOrder('shipped');
+
+    await transitionOrder(db, { id }, 'refunded', { actor: 'admin' });
+
+    assert.equal(await stock(), 7);
+    assert.equal(await invoiceStatus(id), 'open');
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./db');
+const { request } = require('./helpers');
+const { addDays, today } = require('../lib/rentals');
+const { priceCart } = require('../lib/cart');
+const createRentalsRouter = require('../routes/rentals');
+
+// Days from today, as YYYY-MM-DD
+const day = (offset) => addDays(today(), offset);
+
+let db;
+let router;
+
+test.before(async () => {
+    db = await createTestDb();
+    router = createRentalsRouter({ db });
+});
+
+test.after(() => db.close());
+
+// Variant 1 rents 2 units, starting 2 days ahead at the earliest, with a day
+// to clean a unit between rentals. One unit is booked for days 10 to 12, so
+// it is busy until day 13.
+test.beforeEach(async () => {
+    await db.query('TRUNCATE products, rental_bookings RESTART IDENTITY CASCADE');
+    await db.query("INSERT INTO products (name, price) VALUES ('Bounce House', 0)");
+    await db.query("INSERT INTO product_variants (product_id, sku) VALUES (1, 'BOUNCE')");
+    await db.query(
+        `INSERT INTO rental_plans (variant_id, units, daily_rate, weekly_rate, deposit, max_days, lead_days, buffer_days)
+         VALUES (1, 2, 50.00, 250.00, 100.00, 14, 2, 1)`
+    );
+    await book(day(10), day(12), 1, 'committed');
+});
+
+function book(startDate, endDate, quantity, status) {
+    return db.query(
+        `INSERT INTO rental_bookings (product_id, variant_id, start_date, end_date, quantity, amount, status)
+         VALUES (1, 1, $1, $2, $3, 150.00, $4)`,
+        [startDate, endDate, quantity, status]
+    );
+}
+
+const price = (startDate, endDate, quantity = 1) => request(router, {
+    path: `/1/price?start_date=${startDate}&end_date=${endDate}&quantity=${quantity}`
+});
+
+test('a rental is priced by full weeks and leftover days, with its deposit per unit', async () => {
+    const response = await price(day(20), day(28), 2);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.rental.days, 9);
+    assert.equal(response.body.rental.unit_price, '350.00');
+    assert.equal(response.body.rental.amount, '700.00');
+    assert.equal(response.body.rental.deposit, '200.00');
+});
+
+test('a period overlapping a booking gets only the units left', async () => {
+    const both = await price(day(12), day(14), 2);
+    assert.equal(both.status, 409);
+    assert.equal(both.body.error.code, 'rental_unavailable');
+    assert.deepEqual(both.body.error.details, [{
+        variantId: 1,
+        startDate: day(12),
+        endDate: day(14),
+        available: 1,
+        message: `Only 1 left to rent from ${day(12)} to ${day(14)}`
+    }]);
+
+    assert.equal((await price(day(12), day(14), 1)).status, 200);
+});
+
+test('a fully booked period is not available at all', async () => {
+    await book(day(11), day(11), 1, 'reserved');
+
+    const response = await price(day(9), day(11));
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error.details[0].available, 0);
+    assert.equal(response.body.error.details[0].message, `Not available to rent from ${day(9)} to ${day(11)}`);
+});
+
+test('released bookings give their units back', async () => {
+    await book(day(10), day(12), 1, 'released');
+
+    assert.equal((await price(day(10), day(12), 1)).status, 200);
+});
+
+test('the buffer after a booking keeps its unit out, and so does the buffer after the new rental', async () => {
+    // Day 13 is the booked unit's cleaning day
+    assert.equal((await price(day(13), day(15), 2)).status, 409);
+    assert.equal((await price(day(14), day(16), 2)).status, 200);
+    // Returned on day 9, the units would still be cleaned on day 10
+    assert.equal((await price(day(7), day(9), 2)).status, 409);
+    assert.equal((await price(day(6), day(8), 2)).status, 200);
+});
+
+test('rental lines in one cart count against each other', async () => {
+    await assert.rejects(priceCart(db, [
+        { variantId: 1, quantity: 1, rental: { startDate: day(11), endDate: day(12) } },
+        { variantId: 1, quantity: 1, rental: { startDate: day(12), endDate: day(13) } }
+    ]), (err) => {
+        assert.equal(err.status, 409);
+        assert.deepEqual(err.details.map((detail) => detail.startDate), [day(12)]);
+        return true;
+    });
+});
+
+test('a rental cannot start before the lead time', async () => {
+    const response = await price(day(1), day(3));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_rental_dates');
+    assert.deepEqual(response.body.error.details, [{
+        variantId: 1,
+        startDate: day(1),
+        endDate: day(3),
+        message: `The earliest start date is ${day(2)}`
+    }]);
+
+    assert.equal((await price(day(2), day(3))).status, 200);
+});
+
+test('a rental longer than the plan allows is refused', async () => {
+    const response = await price(day(20), day(34));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].message, 'Rentals last at most 14 days');
+});
+
+test('the calendar counts free units per day, buffer included, and marks days too soon to book', async () => {
+    const response = await request(router, { path: `/1/calendar?from=${day(0)}&to=${day(14)}` });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.earliest_start, day(2));
+    assert.deepEqual(response.body.days, Array.from({ length: 15 }, (_, offset) => ({
+        date: day(offset),
+        available: offset >= 10 && offset <= 13 ? 1 : 2,
+        bookable: offset >= 2
+    })));
+});
+
+test('the calendar of a plan that is switched off is not found', async () => {
+    await db.query('UPDATE rental_plans SET active = false');
+
+    const response = await request(router, { path: '/1/calendar' });
+
+    assert.equal(response.status, 404);
+});
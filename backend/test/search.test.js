@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchProducts } = require('../models/search');
+
+const STOP_WORDS = ['the', 'and', 'a'];
+
+// Answers the stop-word lookup like Postgres' english dictionary and records
+// every other query
+function fakeDb() {
+    const queries = [];
+    return {
+        queries,
+        async query(text, params) {
+            if (text.includes('numnode')) {
+                return { rows: params[0].filter((word) => !STOP_WORDS.includes(word)).map((word) => ({ word })) };
+            }
+            queries.push({ text, params: [...params] });
+            return { rows: [{ total: 0 }] };
+        }
+    };
+}
+
+const SEARCH = { sort: 'relevance', limit: 20, offset: 0 };
+
+test('a search made only of stop words finds nothing', async () => {
+    const db = fakeDb();
+
+    assert.deepEqual(await searchProducts(db, { ...SEARCH, q: 'the' }), { rows: [], total: 0 });
+    assert.deepEqual(await searchProducts(db, { ...SEARCH, q: 'The and a' }), { rows: [], total: 0 });
+    assert.equal(db.queries.length, 0);
+});
+
+test('stop words are left out of a search with other words', async () => {
+    const db = fakeDb();
+    await searchProducts(db, { ...SEARCH, q: 'the Blob' });
+
+    const [count] = db.queries;
+    assert.deepEqual(count.params, ['blob:*', 'blob']);
+});
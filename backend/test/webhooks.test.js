@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, loadFresh, request } = require('./helpers');
+
+const upserted = [];
+const emailed = [];
+let lineItems = [];
+
+stubModule('../models/orders', {
+    async upsertCompletedOrder(tx, order) {
+        upserted.push(order);
+        return { id: upserted.length, status: order.status };
+    }
+});
+stubModule('../models/inventory', { commitReservation: async () => [] });
+stubModule('../models/promotions', { commitRedemption: async () => null });
+stubModule('../models/rentals', { commitRentalBookings: async () => [] });
+stubModule('../lib/orders', {
+    async queueStatusEmail(tx, order) {
+        emailed.push(order);
+    }
+});
+
+const createWebhooksRouter = loadFresh('../routes/webhooks');
+
+// Stripe stand-in: the "signature" check just parses the event
+const stripe = {
+    webhooks: {
+        constructEvent: (body) => JSON.parse(body.toString())
+    },
+    checkout: {
+        sessions: {
+            listLineItems: async () => ({ data: lineItems })
+        }
+    }
+};
+
+const router = createWebhooksRouter({
+    db: { withTransaction: (fn) => fn({}) },
+    stripe,
+    webhookSecret: 'whsec_test',
+    metrics: { orderStatusChanges: { inc() {} } }
+});
+
+function completeSession(session) {
+    return request(router, {
+        method: 'POST',
+        path: '/stripe',
+        headers: { 'Content-Type': 'application/octet-stream', 'Stripe-Signature': 't=1,v1=test' },
+        body: {
+            id: 'evt_1',
+            type: 'checkout.session.completed',
+            data: {
+                object: {
+                    id: 'cs_test_1',
+                    client_reference_id: 'reference-1',
+                    customer_details: { email: 'camp@example.com', name: 'Camp' },
+                    metadata: { items: '1:1' },
+                    ...session
+                }
+            }
+        }
+    });
+}
+
+test.beforeEach(() => {
+    upserted.length = 0;
+    emailed.length = 0;
+    lineItems = [];
+});
+
+test('an order discounted to nothing (no_payment_required) is recorded as paid and confirmed', async () => {
+    const response = await completeSession({ amount_total: 0, payment_status: 'no_payment_required' });
+
+    assert.equal(response.status, 200);
+    assert.equal(upserted.length, 1);
+    assert.equal(upserted[0].status, 'paid');
+    assert.equal(upserted[0].amount, '0.00');
+    assert.deepEqual(emailed.map((order) => order.status), ['paid']);
+});
+
+test('a session still waiting for a delayed payment is recorded as pending', async () => {
+    await completeSession({ amount_total: 5000, payment_status: 'unpaid' });
+
+    assert.equal(upserted[0].status, 'pending');
+});
+
+test('a discounted cart line sent to Stripe as two lines becomes one order item', async () => {
+    const product = (metadata) => ({ name: 'Water Blob', metadata });
+    const blob = { line: '0', product_id: '10', variant_id: '1', sku: 'BLOB-S', unit_amount: '3333' };
+    lineItems = [
+        { description: 'Water Blob', quantity: 1, amount_total: 2834, price: { unit_amount: 2834, product: product(blob) } },
+        { description: 'Water Blob', quantity: 2, amount_total: 5666, price: { unit_amount: 2833, product: product(blob) } },
+        { description: 'Sales tax', quantity: 1, amount_total: 680, price: { unit_amount: 680, product: product({ line_type: 'tax' }) } }
+    ];
+
+    // Stripe reports no discount of its own now that it comes off the lines
+    await completeSession({
+        amount_total: 9180,
+        payment_status: 'paid',
+        total_details: { amount_discount: 0, amount_shipping: 0 },
+        metadata: { items: '1:3', totals: '9999:1499:0:680' }
+    });
+
+    assert.deepEqual(upserted[0].items, [{
+        productId: 10,
+        variantId: 1,
+        sku: 'BLOB-S',
+        name: 'Water Blob',
+        quantity: 3,
+        unit_price: '33.33',
+        total: '85.00'
+    }]);
+    assert.equal(upserted[0].discount, '14.99');
+    assert.equal(upserted[0].tax, '6.80');
+});
+
+const quotedShipping = JSON.stringify({
+    rate_id: 4,
+    name: 'Ground',
+    kind: 'parcel',
+    amount: '25.00',
+    country: 'US',
+    region: 'TX',
+    postal_code: '78701'
+});
+
+function shippedTo(address) {
+    return completeSession({
+        amount_total: 12500,
+        payment_status: 'paid',
+        metadata: { items: '1:1', totals: '10000:0:2500:0', shipping: quotedShipping },
+        shipping_details: { name: 'Camp', address: { line1: '1 Lake Rd', city: 'Somewhere', ...address } }
+    });
+}
+
+test('an order shipping to the quoted destination is recorded without a flag', async () => {
+    await shippedTo({ country: 'US', state: 'TX', postal_code: '78701-1234' });
+
+    assert.equal(upserted[0].shippingAddress.destination_mismatch, undefined);
+    assert.equal(upserted[0].note, null);
+});
+
+test('an order shipping somewhere other than the quoted destination is flagged', async () => {
+    await shippedTo({ country: 'US', state: 'CA', postal_code: '90210' });
+
+    assert.equal(upserted[0].status, 'paid');
+    assert.equal(upserted[0].shippingAddress.destination_mismatch, true);
+    assert.equal(upserted[0].shippingAddress.shipping_rate.region, 'TX');
+    assert.match(upserted[0].note, /differs from the destination/);
+});
+
+function pickedUpBy(address) {
+    return completeSession({
+        amount_total: 10825,
+        payment_status: 'paid',
+        customer_details: { email: 'camp@example.com', name: 'Camp', address },
+        metadata: {
+            items: '1:1',
+            totals: '10000:0:0:825',
+            shipping: JSON.stringify({ ...JSON.parse(quotedShipping), kind: 'pickup', amount: '0.00' })
+        }
+    });
+}
+
+test('a pickup order is checked against the billing address its tax was quoted for', async () => {
+    await pickedUpBy({ country: 'US', state: 'TX', postal_code: '78701' });
+    assert.equal(upserted[0].shippingAddress.destination_mismatch, undefined);
+
+    await pickedUpBy({ country: 'US', state: 'OR', postal_code: '97201' });
+    assert.equal(upserted[1].shippingAddress.destination_mismatch, true);
+    assert.match(upserted[1].note, /^Billing address differs/);
+});
+
+test('a rented item keeps its dates and the deposit is recorded outside the items', async () => {
+    const product = (metadata) => ({ name: 'Blower', metadata });
+    lineItems = [
+        {
+            description: 'Blower rental, 2030-07-03 to 2030-07-05',
+            quantity: 1,
+            amount_total: 7500,
+            price: {
+                unit_amount: 7500,
+                product: product({ line: '0', product_id: '20', variant_id: '2', sku: 'PUMP', unit_amount: '7500', rental_start: '2030-07-03', rental_end: '2030-07-05' })
+            }
+        },
+        { description: 'Refundable deposit', quantity: 1, amount_total: 5000, price: { unit_amount: 5000, product: product({ line_type: 'deposit' }) } }
+    ];
+
+    await completeSession({ amount_total: 15000, payment_status: 'paid', metadata: { items: '2:1', totals: '7500:0:2500:0:5000' } });
+
+    assert.equal(upserted[0].items.length, 1);
+    assert.deepEqual(upserted[0].items[0].rental, { start_date: '2030-07-03', end_date: '2030-07-05' });
+    assert.equal(upserted[0].deposit, '50.00');
+});
@@ -0,0 +1,24 @@
+-- Stock held for open or paid checkout sessions.
+
+-- migrate:up
+ALTER TABLE products ADD CONSTRAINT products_inventory_non_negative CHECK (inventory >= 0);
+
+CREATE TABLE inventory_reservations (
+    id SERIAL PRIMARY KEY,
+    reference UUID NOT NULL,
+    stripe_session_id VARCHAR(255),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('reserved', 'committed', 'released')),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (reference, product_id)
+);
+
+CREATE INDEX idx_reservations_product ON inventory_reservations(product_id) WHERE status = 'reserved';
+CREATE INDEX idx_reservations_expires ON inventory_reservations(expires_at) WHERE status = 'reserved';
+
+-- migrate:down
+DROP TABLE inventory_reservations;
+ALTER TABLE products DROP CONSTRAINT products_inventory_non_negative;
@@ -0,0 +1,22 @@
+-- Keep updated_at current on every UPDATE.
+
+-- migrate:up
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_updated_at BEFORE UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER orders_updated_at BEFORE UPDATE ON orders
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER inventory_reservations_updated_at BEFORE UPDATE ON inventory_reservations
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TRIGGER inventory_reservations_updated_at ON inventory_reservations;
+DROP TRIGGER orders_updated_at ON orders;
+DROP TRIGGER products_updated_at ON products;
+DROP FUNCTION set_updated_at();
@@ -0,0 +1,32 @@
+-- Order fulfillment lifecycle (see backend/lib/order-status.js), tracking
+-- numbers and a history row per status transition.
+
+-- migrate:up
+ALTER TABLE orders
+    ADD COLUMN tracking_number VARCHAR(255),
+    ADD COLUMN carrier VARCHAR(100),
+    ADD CONSTRAINT orders_status_valid CHECK (status IN (
+        'pending', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'
+    ));
+
+CREATE TABLE order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    actor VARCHAR(50) NOT NULL,
+    note TEXT,
+    tracking_number VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_orders_status ON orders(status);
+CREATE INDEX idx_order_history_order ON order_status_history(order_id);
+
+-- migrate:down
+DROP TABLE order_status_history;
+DROP INDEX idx_orders_status;
+ALTER TABLE orders
+    DROP CONSTRAINT orders_status_valid,
+    DROP COLUMN carrier,
+    DROP COLUMN tracking_number;
@@ -0,0 +1,54 @@
+-- Discount codes. `value` is a percentage for 'percentage' promotions and a
+-- dollar amount for 'fixed' ones; 'free_shipping' ignores it. Each checkout
+-- that uses a code holds a redemption, following the same reserved /
+-- committed / released lifecycle as inventory_reservations, so usage limits
+-- hold while sessions are still open.
+
+-- migrate:up
+CREATE TABLE promotions (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,
+    description TEXT,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('percentage', 'fixed', 'free_shipping')),
+    value DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    min_order_amount DECIMAL(10, 2) CHECK (min_order_amount >= 0),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT promotions_percentage_range CHECK (kind <> 'percentage' OR (value > 0 AND value <= 100))
+);
+
+CREATE UNIQUE INDEX idx_promotions_code ON promotions (UPPER(code));
+
+-- Restricts a promotion to these products; no rows means every product
+CREATE TABLE promotion_products (
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    PRIMARY KEY (promotion_id, product_id)
+);
+
+CREATE TABLE promotion_redemptions (
+    id SERIAL PRIMARY KEY,
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id),
+    reference UUID UNIQUE NOT NULL,
+    stripe_session_id VARCHAR(255),
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('reserved', 'committed', 'released')),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_redemptions_promotion ON promotion_redemptions(promotion_id) WHERE status <> 'released';
+CREATE INDEX idx_redemptions_session ON promotion_redemptions(stripe_session_id);
+
+CREATE TRIGGER promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TABLE promotion_redemptions;
+DROP TABLE promotion_products;
+DROP TABLE promotions;
@@ -0,0 +1,56 @@
+-- Shipping: product weights and dimensions, destination zones and the rates
+-- offered in each (see backend/lib/shipping.js for how a quote is built).
+
+-- migrate:up
+ALTER TABLE products
+    ADD COLUMN weight_lb DECIMAL(8, 2) CHECK (weight_lb >= 0),
+    ADD COLUMN length_in DECIMAL(8, 2) CHECK (length_in >= 0),
+    ADD COLUMN width_in DECIMAL(8, 2) CHECK (width_in >= 0),
+    ADD COLUMN height_in DECIMAL(8, 2) CHECK (height_in >= 0);
+
+-- A zone matches a destination in one of `countries`, narrowed to `regions`
+-- (state/province codes) and `postal_prefixes` when those are not empty.
+CREATE TABLE shipping_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    countries VARCHAR(2)[] NOT NULL CHECK (cardinality(countries) > 0),
+    regions VARCHAR(3)[] NOT NULL DEFAULT '{}',
+    postal_prefixes VARCHAR(10)[] NOT NULL DEFAULT '{}',
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- amount = base_amount + per_lb_amount * cart weight
+--          + oversize_surcharge * oversized units
+CREATE TABLE shipping_rates (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id),
+    name VARCHAR(255) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('parcel', 'freight', 'pickup')),
+    base_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (base_amount >= 0),
+    per_lb_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (per_lb_amount >= 0),
+    oversize_surcharge DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (oversize_surcharge >= 0),
+    max_weight_lb DECIMAL(8, 2) CHECK (max_weight_lb > 0),
+    min_days INTEGER CHECK (min_days >= 0),
+    max_days INTEGER CHECK (max_days >= min_days),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_shipping_rates_zone ON shipping_rates(zone_id) WHERE active = true;
+
+CREATE TRIGGER shipping_zones_updated_at BEFORE UPDATE ON shipping_zones
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER shipping_rates_updated_at BEFORE UPDATE ON shipping_rates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TABLE shipping_rates;
+DROP TABLE shipping_zones;
+ALTER TABLE products
+    DROP COLUMN height_in,
+    DROP COLUMN width_in,
+    DROP COLUMN length_in,
+    DROP COLUMN weight_lb;
@@ -0,0 +1,62 @@
+-- Sales tax: a rate table by jurisdiction, exemption certificates, and the
+-- breakdown of every order's amount.
+--
+-- Every active rate matching a destination applies, so a state rate and a
+-- local rate (postal prefix) stack. `rate` is a percentage.
+
+-- migrate:up
+CREATE TABLE tax_rates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(3),
+    postal_prefix VARCHAR(10),
+    rate DECIMAL(7, 4) NOT NULL CHECK (rate >= 0 AND rate < 100),
+    applies_to_shipping BOOLEAN NOT NULL DEFAULT false,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_tax_rates_country ON tax_rates(country) WHERE active = true;
+
+-- Certificates on file for tax-exempt customers (camps, schools, ...). An
+-- exemption only applies to checkouts from its email address, and only in
+-- its region when one is set.
+CREATE TABLE tax_exemptions (
+    id SERIAL PRIMARY KEY,
+    certificate_number VARCHAR(100) NOT NULL,
+    organization VARCHAR(255) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    country VARCHAR(2) NOT NULL,
+    region VARCHAR(3),
+    expires_at TIMESTAMP,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_tax_exemptions_certificate ON tax_exemptions (UPPER(certificate_number));
+
+CREATE TRIGGER tax_rates_updated_at BEFORE UPDATE ON tax_rates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER tax_exemptions_updated_at BEFORE UPDATE ON tax_exemptions
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- NULL for orders placed before the breakdown was recorded
+ALTER TABLE orders
+    ADD COLUMN subtotal DECIMAL(10, 2),
+    ADD COLUMN discount DECIMAL(10, 2),
+    ADD COLUMN shipping DECIMAL(10, 2),
+    ADD COLUMN tax DECIMAL(10, 2),
+    ADD COLUMN tax_exemption_certificate VARCHAR(100);
+
+-- migrate:down
+ALTER TABLE orders
+    DROP COLUMN tax_exemption_certificate,
+    DROP COLUMN tax,
+    DROP COLUMN shipping,
+    DROP COLUMN discount,
+    DROP COLUMN subtotal;
+DROP TABLE tax_exemptions;
+DROP TABLE tax_rates;
@@ -0,0 +1,34 @@
+-- Transactional email outbox. A row is queued in the same transaction as the
+-- order change that triggers it and sent afterwards by the email sender job
+-- (backend/jobs/email-sender.js), which retries failures with a backoff.
+--
+-- Messages are rendered when sent, from the order as it is then. One message
+-- per order and kind, so repeated webhooks never send twice.
+
+-- migrate:up
+CREATE TABLE order_emails (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL CHECK (kind IN ('order_confirmation', 'order_shipped', 'order_refunded')),
+    recipient VARCHAR(255) NOT NULL,
+    -- pending until sent; failed once the sender gives up (retry from the admin API)
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    last_attempt_at TIMESTAMP,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    subject VARCHAR(255),
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, kind)
+);
+
+CREATE INDEX idx_order_emails_due ON order_emails(next_attempt_at) WHERE status = 'pending';
+
+CREATE TRIGGER order_emails_updated_at BEFORE UPDATE ON order_emails
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TABLE order_emails;
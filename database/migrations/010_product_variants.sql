@@ -0,0 +1,81 @@
+-- Product variants: the sellable versions of a product (e.g. one Water Blob
+-- in three sizes). Each variant has its own SKU, option values such as
+-- {"size": "Large"}, stock, and optionally its own price and shipping
+-- measurements (NULL means the product's). Carts and stock reservations now
+-- refer to a variant.
+--
+-- Every existing product gets one variant without options holding its
+-- inventory, which moves off the products table.
+
+-- migrate:up
+CREATE TABLE product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(64) UNIQUE NOT NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    price DECIMAL(10, 2) CHECK (price >= 0),
+    -- NULL means stock is not tracked
+    inventory INTEGER CHECK (inventory >= 0),
+    weight_lb DECIMAL(8, 2) CHECK (weight_lb >= 0),
+    length_in DECIMAL(8, 2) CHECK (length_in >= 0),
+    width_in DECIMAL(8, 2) CHECK (width_in >= 0),
+    height_in DECIMAL(8, 2) CHECK (height_in >= 0),
+    position INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, options)
+);
+
+CREATE INDEX idx_product_variants_product ON product_variants(product_id, position);
+
+CREATE TRIGGER product_variants_updated_at BEFORE UPDATE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+INSERT INTO product_variants (product_id, sku, inventory)
+SELECT id, 'BLOB-' || id, inventory FROM products;
+
+ALTER TABLE cart_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id);
+UPDATE cart_items ci SET variant_id = pv.id
+FROM product_variants pv WHERE pv.product_id = ci.product_id;
+ALTER TABLE cart_items ALTER COLUMN variant_id SET NOT NULL;
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_pkey;
+ALTER TABLE cart_items ADD PRIMARY KEY (cart_id, variant_id);
+
+ALTER TABLE inventory_reservations ADD COLUMN variant_id INTEGER REFERENCES product_variants(id);
+UPDATE inventory_reservations r SET variant_id = pv.id
+FROM product_variants pv WHERE pv.product_id = r.product_id;
+ALTER TABLE inventory_reservations ALTER COLUMN variant_id SET NOT NULL;
+ALTER TABLE inventory_reservations DROP CONSTRAINT inventory_reservations_reference_product_id_key;
+ALTER TABLE inventory_reservations ADD UNIQUE (reference, variant_id);
+DROP INDEX idx_reservations_product;
+CREATE INDEX idx_reservations_variant ON inventory_reservations(variant_id) WHERE status = 'reserved';
+
+ALTER TABLE products DROP CONSTRAINT products_inventory_non_negative;
+ALTER TABLE products DROP COLUMN inventory;
+
+-- migrate:down
+-- Lossy for carts and reservations holding several variants of one product:
+-- only the first variant's line is kept. Product stock becomes the sum of its
+-- variants' (NULL if any is untracked).
+ALTER TABLE products ADD COLUMN inventory INTEGER;
+UPDATE products p SET inventory = (
+    SELECT CASE WHEN COUNT(*) = COUNT(pv.inventory) THEN SUM(pv.inventory) END
+    FROM product_variants pv WHERE pv.product_id = p.id
+);
+ALTER TABLE products ADD CONSTRAINT products_inventory_non_negative CHECK (inventory >= 0);
+
+DELETE FROM inventory_reservations a USING inventory_reservations b
+WHERE a.reference = b.reference AND a.product_id = b.product_id AND a.variant_id > b.variant_id;
+DROP INDEX idx_reservations_variant;
+CREATE INDEX idx_reservations_product ON inventory_reservations(product_id) WHERE status = 'reserved';
+ALTER TABLE inventory_reservations DROP COLUMN variant_id;
+ALTER TABLE inventory_reservations ADD UNIQUE (reference, product_id);
+
+DELETE FROM cart_items a USING cart_items b
+WHERE a.cart_id = b.cart_id AND a.product_id = b.product_id AND a.variant_id > b.variant_id;
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_pkey;
+ALTER TABLE cart_items DROP COLUMN variant_id;
+ALTER TABLE cart_items ADD PRIMARY KEY (cart_id, product_id);
+
+DROP TABLE product_variants;
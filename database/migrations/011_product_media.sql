@@ -0,0 +1,32 @@
+-- Product image galleries. Each row is one uploaded image and the sizes
+-- generated from it (see backend/lib/media.js), stored through the media
+-- storage under the keys recorded in `sizes`:
+--
+--   {"original": {"key": "products/1/<uuid>/original.jpg", "width": 2400, "height": 1600},
+--    "medium": {...}, "thumbnail": {...}}
+--
+-- The first image by position is the product's main image; products without
+-- any keep using products.image_url.
+
+-- migrate:up
+CREATE TABLE product_media (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sizes JSONB NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    byte_size INTEGER NOT NULL CHECK (byte_size > 0),
+    original_filename VARCHAR(255),
+    alt_text VARCHAR(500) NOT NULL DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_media_product ON product_media(product_id, position);
+
+CREATE TRIGGER product_media_updated_at BEFORE UPDATE ON product_media
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+-- Stored files are left in place
+DROP TABLE product_media;
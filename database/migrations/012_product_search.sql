@@ -0,0 +1,25 @@
+-- Product search (see backend/models/search.js). search_vector holds the
+-- name (weight A) and description (weight B) as English lexemes for ranked
+-- full-text matching; the trigram index over the same text catches misspelled
+-- words that full-text search misses ("acessories").
+--
+-- pg_trgm ships with Postgres and is a trusted extension, so the database
+-- owner can create it (Render's managed Postgres included). It may predate
+-- this migration or be used elsewhere, so migrating down leaves it installed.
+
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE products ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+) STORED;
+
+CREATE INDEX idx_products_search ON products USING GIN (search_vector);
+CREATE INDEX idx_products_search_trgm ON products
+    USING GIN ((name || ' ' || COALESCE(description, '')) gin_trgm_ops);
+
+-- migrate:down
+DROP INDEX idx_products_search_trgm;
+DROP INDEX idx_products_search;
+ALTER TABLE products DROP COLUMN search_vector;
@@ -0,0 +1,38 @@
+-- Customer reviews of products. Reviews are held for moderation and only
+-- `approved` ones are public. order_id is set when the reviewer proved the
+-- purchase (the order's email and product matched), which shows the review as
+-- a verified purchase.
+--
+--   pending -> approved | rejected | flagged
+--
+-- `flagged` marks a review for a second look: set by an admin, or on
+-- submission when it looks like spam (see backend/routes/reviews.js).
+
+-- migrate:up
+CREATE TABLE product_reviews (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    author_name VARCHAR(100) NOT NULL,
+    author_email VARCHAR(255) NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(150),
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'flagged')),
+    moderation_note TEXT,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One review per customer per product
+CREATE UNIQUE INDEX idx_product_reviews_author ON product_reviews(product_id, LOWER(author_email));
+CREATE INDEX idx_product_reviews_product ON product_reviews(product_id, status, created_at DESC);
+CREATE INDEX idx_product_reviews_status ON product_reviews(status, created_at);
+
+CREATE TRIGGER product_reviews_updated_at BEFORE UPDATE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TABLE product_reviews;
@@ -0,0 +1,84 @@
+-- Customer accounts (see backend/routes/account.js). Passwords are stored as
+-- scrypt hashes; session and one-time tokens only as SHA-256 hashes, so a
+-- database dump cannot be used to sign in.
+--
+-- Orders placed while signed in record customer_id. Guest orders placed with
+-- the same email before signup show up in the account once the email has been
+-- verified (email_verified_at), matched on orders.customer_email. That match
+-- ignores case, like sign-in does, so it gets a LOWER() counterpart of
+-- idx_orders_email.
+
+-- migrate:up
+CREATE TABLE customers (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    password_hash TEXT NOT NULL,
+    email_verified_at TIMESTAMP,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_customers_email ON customers(LOWER(email));
+
+CREATE TABLE customer_sessions (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customer_sessions_customer ON customer_sessions(customer_id);
+
+-- Single-use links sent by email
+CREATE TABLE customer_tokens (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customer_tokens_customer ON customer_tokens(customer_id, purpose);
+
+CREATE TABLE customer_addresses (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    label VARCHAR(100),
+    name VARCHAR(255) NOT NULL,
+    line1 VARCHAR(255) NOT NULL,
+    line2 VARCHAR(255),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(3),
+    postal_code VARCHAR(10),
+    country CHAR(2) NOT NULL,
+    phone VARCHAR(30),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customer_addresses_customer ON customer_addresses(customer_id);
+-- At most one default address per customer
+CREATE UNIQUE INDEX idx_customer_addresses_default ON customer_addresses(customer_id) WHERE is_default;
+
+ALTER TABLE orders ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX idx_orders_customer ON orders(customer_id, created_at DESC);
+CREATE INDEX idx_orders_email_lower ON orders(LOWER(customer_email));
+
+CREATE TRIGGER customers_updated_at BEFORE UPDATE ON customers
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER customer_addresses_updated_at BEFORE UPDATE ON customer_addresses
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP INDEX idx_orders_email_lower;
+ALTER TABLE orders DROP COLUMN customer_id;
+DROP TABLE customer_addresses;
+DROP TABLE customer_tokens;
+DROP TABLE customer_sessions;
+DROP TABLE customers;
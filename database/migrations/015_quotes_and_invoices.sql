@@ -0,0 +1,101 @@
+-- Quote requests and invoiced (net 30) purchasing for camps and organizations
+-- (see backend/routes/quotes.js and routes/admin-quotes.js).
+--
+-- A quote is requested from the cart, priced and sent by an admin, and
+-- accepted or declined by the customer through the private link in the quote
+-- email. Only the link token's SHA-256 hash is stored, and sending the quote
+-- again replaces it. Accepting creates an order without a Stripe session, in
+-- the `net_30` status, and an invoice due 30 days later. The order's stock is
+-- reserved under the quote's `reference`.
+--
+-- Quote and invoice numbers come from sequences, so they are unique and
+-- increasing but may skip a number when an insert is rolled back.
+
+-- migrate:up
+CREATE SEQUENCE quote_number_seq;
+CREATE SEQUENCE invoice_number_seq;
+
+CREATE TABLE quotes (
+    id SERIAL PRIMARY KEY,
+    number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('Q-' || LPAD(nextval('quote_number_seq')::text, 6, '0')),
+    status VARCHAR(20) NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'sent', 'accepted', 'declined', 'cancelled')),
+    access_token_hash CHAR(64) UNIQUE,
+    reference UUID NOT NULL UNIQUE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    organization VARCHAR(255) NOT NULL,
+    contact_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(30),
+    po_number VARCHAR(100),
+    -- { name, line1, line2, city, region, postal_code, country }
+    shipping_address JSONB NOT NULL,
+    -- Same shape; NULL when it is the shipping address
+    billing_address JSONB,
+    notes TEXT,
+    -- The store's note to the customer, printed on the quote
+    message TEXT,
+    -- [{ variantId, productId, sku, name, quantity, list_price, unit_price, total }]
+    items JSONB NOT NULL,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    shipping DECIMAL(10, 2),
+    tax DECIMAL(10, 2),
+    total DECIMAL(10, 2) NOT NULL,
+    expires_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    accepted_at TIMESTAMP,
+    declined_at TIMESTAMP,
+    decline_reason TEXT,
+    order_id INTEGER REFERENCES orders(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_quotes_status ON quotes(status, created_at);
+CREATE INDEX idx_quotes_email ON quotes(LOWER(email));
+
+CREATE TABLE invoices (
+    id SERIAL PRIMARY KEY,
+    number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('INV-' || LPAD(nextval('invoice_number_seq')::text, 6, '0')),
+    order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id),
+    quote_id INTEGER REFERENCES quotes(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'void')),
+    terms VARCHAR(20) NOT NULL DEFAULT 'net_30',
+    amount DECIMAL(10, 2) NOT NULL,
+    issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    due_at TIMESTAMP NOT NULL,
+    paid_at TIMESTAMP,
+    payment_reference VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_invoices_open ON invoices(due_at) WHERE status = 'open';
+
+-- Invoiced orders have no Checkout Session
+ALTER TABLE orders ALTER COLUMN stripe_session_id DROP NOT NULL;
+ALTER TABLE orders
+    DROP CONSTRAINT orders_status_valid,
+    ADD CONSTRAINT orders_status_valid CHECK (status IN (
+        'pending', 'net_30', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'
+    ));
+
+CREATE TRIGGER quotes_updated_at BEFORE UPDATE ON quotes
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER invoices_updated_at BEFORE UPDATE ON invoices
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DROP TABLE invoices;
+DROP TABLE quotes;
+DROP SEQUENCE invoice_number_seq;
+DROP SEQUENCE quote_number_seq;
+-- Orders from quotes cannot exist without this migration
+DELETE FROM orders WHERE stripe_session_id IS NULL;
+ALTER TABLE orders
+    DROP CONSTRAINT orders_status_valid,
+    ADD CONSTRAINT orders_status_valid CHECK (status IN (
+        'pending', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'
+    ));
+ALTER TABLE orders ALTER COLUMN stripe_session_id SET NOT NULL;
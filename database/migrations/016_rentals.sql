@@ -0,0 +1,91 @@
+-- Date-based rentals (see backend/lib/rentals.js).
+--
+-- A rental plan makes a variant rentable: a pool of `units`, a daily rate, an
+-- optional weekly rate and a refundable deposit per unit. Rentals are booked
+-- for whole days, `start_date` to `end_date` inclusive, through the same cart
+-- and checkout as purchases. A unit is out of the pool from the first day of
+-- its booking until `buffer_days` after the last (cleaning, collection).
+--
+-- Bookings follow inventory reservations: checkout inserts them `reserved`
+-- under its reference, a paid session `committed`s them and an expired,
+-- failed or refunded one `released`s them. Bookings entered by an admin have
+-- no reference and start out committed. Overlaps are prevented in the
+-- application, which counts the pool while holding the plan row.
+--
+-- The pool is separate from product_variants.inventory, the stock for sale.
+
+-- migrate:up
+CREATE TABLE rental_plans (
+    id SERIAL PRIMARY KEY,
+    variant_id INTEGER NOT NULL UNIQUE REFERENCES product_variants(id) ON DELETE CASCADE,
+    units INTEGER NOT NULL CHECK (units >= 0),
+    daily_rate DECIMAL(10, 2) NOT NULL CHECK (daily_rate >= 0),
+    -- Charged per full 7 days; NULL rents by the day only
+    weekly_rate DECIMAL(10, 2) CHECK (weekly_rate >= 0),
+    deposit DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (deposit >= 0),
+    min_days INTEGER NOT NULL DEFAULT 1 CHECK (min_days >= 1),
+    max_days INTEGER CHECK (max_days >= min_days),
+    -- How many days ahead a rental must start (delivery)
+    lead_days INTEGER NOT NULL DEFAULT 1 CHECK (lead_days >= 0),
+    buffer_days INTEGER NOT NULL DEFAULT 0 CHECK (buffer_days >= 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE rental_bookings (
+    id SERIAL PRIMARY KEY,
+    reference UUID,
+    stripe_session_id VARCHAR(255),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    variant_id INTEGER NOT NULL REFERENCES product_variants(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    -- Rental charge and deposit for the whole booking
+    amount DECIMAL(10, 2) NOT NULL,
+    deposit DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('reserved', 'committed', 'released')),
+    expires_at TIMESTAMP,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_rental_bookings_active ON rental_bookings(variant_id, start_date, end_date)
+    WHERE status <> 'released';
+CREATE INDEX idx_rental_bookings_reference ON rental_bookings(reference);
+CREATE INDEX idx_rental_bookings_session ON rental_bookings(stripe_session_id);
+CREATE INDEX idx_rental_bookings_expires ON rental_bookings(expires_at) WHERE status = 'reserved';
+
+-- The refundable deposits collected with the order; NULL before rentals
+ALTER TABLE orders ADD COLUMN deposit DECIMAL(10, 2);
+
+-- A server cart line rents its variant for rental_start to rental_end when
+-- they are set. A variant may then have several lines in one cart, one per
+-- period, so the primary key gives way to a unique index on the line.
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_pkey;
+ALTER TABLE cart_items ADD COLUMN rental_start DATE;
+ALTER TABLE cart_items ADD COLUMN rental_end DATE;
+ALTER TABLE cart_items ADD CONSTRAINT cart_items_rental_check
+    CHECK ((rental_start IS NULL) = (rental_end IS NULL) AND rental_end >= rental_start);
+CREATE UNIQUE INDEX cart_items_line ON cart_items (
+    cart_id, variant_id, COALESCE(rental_start, '-infinity'::date), COALESCE(rental_end, '-infinity'::date)
+);
+
+CREATE TRIGGER rental_plans_updated_at BEFORE UPDATE ON rental_plans
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER rental_bookings_updated_at BEFORE UPDATE ON rental_bookings
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- migrate:down
+DELETE FROM cart_items WHERE rental_start IS NOT NULL;
+DROP INDEX cart_items_line;
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_rental_check;
+ALTER TABLE cart_items DROP COLUMN rental_end;
+ALTER TABLE cart_items DROP COLUMN rental_start;
+ALTER TABLE cart_items ADD PRIMARY KEY (cart_id, variant_id);
+ALTER TABLE orders DROP COLUMN deposit;
+DROP TABLE rental_bookings;
+DROP TABLE rental_plans;
@@ -0,0 +1,33 @@
+-- Sample blobs for local development. Safe to run repeatedly: a product is
+-- only inserted when no product with the same name exists, and a variant
+-- only when its SKU (or its product's option values) is not taken yet.
+INSERT INTO products (name, description, price, image_url)
+SELECT seed.name, seed.description, seed.price, seed.image_url
+FROM (VALUES
+    ('Water Blob', 'Our classic water blob. Small for individual use, Medium for families, Large is commercial grade.', 29.99, 'https://via.placeholder.com/400x400'),
+    ('Water Blob Accessories Pack', 'Everything you need to maintain your Water Blob.', 19.99, 'https://via.placeholder.com/400x400')
+) AS seed(name, description, price, image_url)
+WHERE NOT EXISTS (
+    SELECT 1 FROM products WHERE products.name = seed.name
+);
+
+-- A NULL price is the product's price
+INSERT INTO product_variants (product_id, sku, options, price, inventory, position)
+SELECT p.id, seed.sku, seed.options::jsonb, seed.price, seed.inventory, seed.position
+FROM (VALUES
+    ('Water Blob', 'BLOB-S', '{"size": "Small"}', NULL, 50, 1),
+    ('Water Blob', 'BLOB-M', '{"size": "Medium"}', 49.99, 30, 2),
+    ('Water Blob', 'BLOB-L', '{"size": "Large"}', 89.99, 15, 3),
+    ('Water Blob Accessories Pack', 'BLOB-ACC', '{}', NULL, 100, 0)
+) AS seed(product, sku, options, price, inventory, position)
+JOIN products p ON p.name = seed.product
+ORDER BY p.id, seed.position
+ON CONFLICT DO NOTHING;
+
+-- Large blobs can also be rented: a pool of 4, with a day between rentals
+-- for cleaning
+INSERT INTO rental_plans (variant_id, units, daily_rate, weekly_rate, deposit, min_days, lead_days, buffer_days)
+SELECT v.id, 4, 60.00, 300.00, 250.00, 2, 3, 1
+FROM product_variants v
+WHERE v.sku = 'BLOB-L'
+ON CONFLICT (variant_id) DO NOTHING;
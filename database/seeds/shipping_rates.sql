@@ -0,0 +1,32 @@
+-- Sample shipping setup for local development: parcel and freight rates for
+-- the US and Canada, and free pickup around the warehouse. Safe to run
+-- repeatedly: zones are matched by name, rates by zone and name.
+INSERT INTO shipping_zones (name, countries, regions, postal_prefixes)
+SELECT seed.name, seed.countries, seed.regions, seed.postal_prefixes
+FROM (VALUES
+    ('United States', ARRAY['US'], '{}'::varchar[], '{}'::varchar[]),
+    ('Canada', ARRAY['CA'], '{}'::varchar[], '{}'::varchar[]),
+    ('Warehouse area', ARRAY['US'], ARRAY['OR'], ARRAY['972'])
+) AS seed(name, countries, regions, postal_prefixes)
+WHERE NOT EXISTS (
+    SELECT 1 FROM shipping_zones WHERE shipping_zones.name = seed.name
+);
+
+INSERT INTO shipping_rates (
+    zone_id, name, kind, base_amount, per_lb_amount, oversize_surcharge,
+    max_weight_lb, min_days, max_days
+)
+SELECT z.id, seed.name, seed.kind, seed.base_amount, seed.per_lb_amount,
+       seed.oversize_surcharge, seed.max_weight_lb, seed.min_days, seed.max_days
+FROM (VALUES
+    ('United States', 'Ground', 'parcel', 9.99, 0.50, 0, 150, 3, 7),
+    ('United States', 'LTL freight', 'freight', 89.00, 0.35, 45.00, NULL, 5, 10),
+    ('Canada', 'Ground', 'parcel', 19.99, 0.75, 0, 150, 5, 10),
+    ('Canada', 'LTL freight', 'freight', 149.00, 0.50, 60.00, NULL, 7, 14),
+    ('Warehouse area', 'Local pickup', 'pickup', 0, 0, 0, NULL, 0, 1),
+    ('Warehouse area', 'Local delivery', 'freight', 39.00, 0, 15.00, NULL, 1, 3)
+) AS seed(zone, name, kind, base_amount, per_lb_amount, oversize_surcharge, max_weight_lb, min_days, max_days)
+JOIN shipping_zones z ON z.name = seed.zone
+WHERE NOT EXISTS (
+    SELECT 1 FROM shipping_rates r WHERE r.zone_id = z.id AND r.name = seed.name
+);
@@ -0,0 +1,14 @@
+-- Sample sales tax rates for local development (Oregon has no sales tax;
+-- the Washington and California rows show a state rate with a local rate
+-- stacked on a postal prefix). Safe to run repeatedly.
+INSERT INTO tax_rates (name, country, region, postal_prefix, rate, applies_to_shipping)
+SELECT seed.name, seed.country, seed.region, seed.postal_prefix, seed.rate, seed.applies_to_shipping
+FROM (VALUES
+    ('Washington state', 'US', 'WA', NULL, 6.5000, true),
+    ('Seattle', 'US', 'WA', '981', 3.8500, true),
+    ('California state', 'US', 'CA', NULL, 7.2500, false),
+    ('Canada GST', 'CA', NULL, NULL, 5.0000, true)
+) AS seed(name, country, region, postal_prefix, rate, applies_to_shipping)
+WHERE NOT EXISTS (
+    SELECT 1 FROM tax_rates WHERE tax_rates.name = seed.name
+);
@@ -0,0 +1,283 @@
+// Customer account page: sign in or sign up, then order history, saved
+// addresses and account settings. The session lives in an httpOnly cookie set
+// by /api/account, so every request is sent with credentials. Emailed links
+// land here with their token in the fragment (#verify=... or #reset=...).
+const ORDER_PAGE_SIZE = 10;
+
+let accountCustomer = null;
+let orderPage = 1;
+
+function escapeAccountText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Resolves to { ok, status, data }; data is null for empty responses
+async function accountRequest(method, path, body) {
+    const response = await fetch(`${CONFIG.API_URL}/api/account${path}`, {
+        method,
+        credentials: 'include',
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    return { ok: response.ok, status: response.status, data };
+}
+
+// The API's message, plus the field problems of a validation error
+function accountErrorMessage(data) {
+    if (!data || !data.error) {
+        return 'Something went wrong, please try again.';
+    }
+    const details = (data.error.details || []).map(detail => detail.message);
+    return [data.error.message, ...details].join(' · ');
+}
+
+function showAccountNotice(message, kind = 'info') {
+    const notice = document.getElementById('account-notice');
+    notice.textContent = message;
+    notice.className = `account-notice ${kind}`;
+    notice.hidden = false;
+    notice.scrollIntoView({ block: 'nearest' });
+}
+
+function formValues(form) {
+    return Object.fromEntries(new FormData(form).entries());
+}
+
+// Sends the form's values with `request`, disabling the form meanwhile. API
+// errors are shown in the notice; `onSuccess` gets the response data.
+function handleAccountForm(id, request, onSuccess) {
+    const form = document.getElementById(id);
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const result = await request(formValues(form), form);
+            if (result.ok) {
+                await onSuccess(result.data, form);
+            } else {
+                showAccountNotice(accountErrorMessage(result.data), 'error');
+            }
+        } catch (error) {
+            console.error('Account request failed:', error);
+            showAccountNotice('Could not reach the store, please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+function formatOrderDate(value) {
+    return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderOrders(data) {
+    const list = document.getElementById('orders-list');
+    if (data.orders.length === 0) {
+        list.innerHTML = accountCustomer.email_verified
+            ? '<p class="account-empty">No orders yet.</p>'
+            : '<p class="account-empty">No orders yet. Orders you placed as a guest show up here once your email is confirmed.</p>';
+    } else {
+        list.innerHTML = data.orders.map(order => `
+            <article class="account-order">
+                <header>
+                    <strong>Order #${order.id}</strong>
+                    <span>${formatOrderDate(order.created_at)}</span>
+                    <span class="order-status">${escapeAccountText(order.status)}</span>
+                    <strong>$${escapeAccountText(order.amount)}</strong>
+                </header>
+                <ul>
+                    ${(order.items || []).map(item => `
+                        <li>${escapeAccountText(item.quantity)} × ${escapeAccountText(item.name)}</li>
+                    `).join('')}
+                </ul>
+                ${order.tracking_number
+                    ? `<p>Tracking: ${escapeAccountText(order.tracking_number)}${order.carrier ? ` (${escapeAccountText(order.carrier)})` : ''}</p>`
+                    : ''}
+            </article>
+        `).join('');
+    }
+
+    const { page, totalPages } = data.pagination;
+    document.getElementById('orders-prev').hidden = page <= 1;
+    document.getElementById('orders-next').hidden = page >= totalPages;
+}
+
+async function loadOrders(page = orderPage) {
+    const result = await accountRequest('GET', `/orders?page=${page}&limit=${ORDER_PAGE_SIZE}`);
+    if (result.ok) {
+        orderPage = page;
+        renderOrders(result.data);
+    }
+}
+
+function addressLines(address) {
+    return [
+        address.name,
+        address.line1,
+        address.line2,
+        [address.city, address.region, address.postal_code].filter(Boolean).join(', '),
+        address.country,
+        address.phone
+    ].filter(Boolean);
+}
+
+function renderAddresses(addresses) {
+    const list = document.getElementById('addresses-list');
+    if (addresses.length === 0) {
+        list.innerHTML = '<p class="account-empty">No saved addresses.</p>';
+        return;
+    }
+    list.innerHTML = addresses.map(address => `
+        <article class="account-address">
+            <strong>${escapeAccountText(address.label || 'Address')}${address.is_default ? ' <span class="badge">Default</span>' : ''}</strong>
+            <p>${addressLines(address).map(escapeAccountText).join('<br>')}</p>
+            <div class="account-actions">
+                ${address.is_default ? '' : `<button class="link-button" data-default="${address.id}">Make default</button>`}
+                <button class="link-button" data-delete="${address.id}">Remove</button>
+            </div>
+        </article>
+    `).join('');
+}
+
+async function loadAddresses() {
+    const result = await accountRequest('GET', '/addresses');
+    if (result.ok) {
+        renderAddresses(result.data.addresses);
+    }
+}
+
+function showSignedIn(customer) {
+    accountCustomer = customer;
+    document.getElementById('signed-out').hidden = true;
+    document.getElementById('reset-panel').hidden = true;
+    document.getElementById('signed-in').hidden = false;
+    document.getElementById('account-greeting').textContent = customer.name || customer.email;
+    document.getElementById('account-email').textContent = customer.email;
+    document.getElementById('profile-form').elements.name.value = customer.name || '';
+    document.getElementById('verify-banner').hidden = customer.email_verified;
+    loadOrders(1);
+    loadAddresses();
+}
+
+function showSignedOut() {
+    accountCustomer = null;
+    document.getElementById('signed-in').hidden = true;
+    document.getElementById('signed-out').hidden = false;
+}
+
+// Emailed links: verify right away; a reset asks for the new password first.
+// The token is taken out of the address bar so it is not bookmarked or shared.
+async function handleEmailLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+    if (!verifyToken && !resetToken) {
+        return false;
+    }
+    history.replaceState(null, '', window.location.pathname);
+
+    if (resetToken) {
+        document.getElementById('signed-out').hidden = true;
+        document.getElementById('reset-panel').hidden = false;
+        document.getElementById('reset-form').elements.token.value = resetToken;
+        return true;
+    }
+
+    const result = await accountRequest('POST', '/verify-email', { token: verifyToken });
+    if (result.ok) {
+        showAccountNotice('Thanks, your email address is confirmed.', 'success');
+    } else {
+        showAccountNotice(accountErrorMessage(result.data), 'error');
+    }
+    return false;
+}
+
+function setUpAccountForms() {
+    handleAccountForm('login-form', values => accountRequest('POST', '/login', values), (data) => {
+        document.getElementById('account-notice').hidden = true;
+        showSignedIn(data.customer);
+    });
+
+    handleAccountForm('signup-form', values => accountRequest('POST', '/signup', values), (data) => {
+        showAccountNotice(`Welcome! We sent a confirmation link to ${data.customer.email}.`, 'success');
+        showSignedIn(data.customer);
+    });
+
+    handleAccountForm('reset-request-form', values => accountRequest('POST', '/password-reset', values), (data, form) => {
+        form.reset();
+        showAccountNotice(data.message, 'success');
+    });
+
+    handleAccountForm('reset-form', values => accountRequest('POST', '/password-reset/confirm', values), (data) => {
+        showAccountNotice('Your password has been changed.', 'success');
+        showSignedIn(data.customer);
+    });
+
+    handleAccountForm('profile-form', values => accountRequest('PATCH', '', values), (data) => {
+        showAccountNotice('Saved.', 'success');
+        showSignedIn(data.customer);
+    });
+
+    handleAccountForm('password-form', values => accountRequest('POST', '/password', values), (data, form) => {
+        form.reset();
+        showAccountNotice('Your password has been changed. Other devices have been signed out.', 'success');
+    });
+
+    handleAccountForm('address-form', (values) => {
+        values.is_default = values.is_default === 'on';
+        return accountRequest('POST', '/addresses', values);
+    }, (data, form) => {
+        form.reset();
+        form.closest('details').open = false;
+        loadAddresses();
+    });
+
+    document.getElementById('addresses-list').addEventListener('click', async (event) => {
+        const { default: defaultId, delete: deleteId } = event.target.dataset;
+        if (defaultId) {
+            await accountRequest('PATCH', `/addresses/${defaultId}`, { is_default: true });
+        } else if (deleteId && confirm('Remove this address?')) {
+            await accountRequest('DELETE', `/addresses/${deleteId}`);
+        }
+        loadAddresses();
+    });
+
+    document.getElementById('resend-verification').addEventListener('click', async () => {
+        const result = await accountRequest('POST', '/verify-email/resend');
+        showAccountNotice(result.ok ? result.data.message : accountErrorMessage(result.data), result.ok ? 'success' : 'error');
+    });
+
+    document.getElementById('orders-prev').addEventListener('click', () => loadOrders(orderPage - 1));
+    document.getElementById('orders-next').addEventListener('click', () => loadOrders(orderPage + 1));
+
+    document.getElementById('logout-button').addEventListener('click', async () => {
+        await accountRequest('POST', '/logout');
+        showAccountNotice('You have been signed out.', 'info');
+        showSignedOut();
+    });
+}
+
+async function initAccountPage() {
+    setUpAccountForms();
+    try {
+        if (await handleEmailLink()) {
+            return;
+        }
+        const result = await accountRequest('GET', '');
+        if (result.ok) {
+            showSignedIn(result.data.customer);
+        } else {
+            showSignedOut();
+        }
+    } catch (error) {
+        console.error('Could not load account:', error);
+        showAccountNotice('Could not reach the store, please try again later.', 'error');
+        showSignedOut();
+    }
+}
@@ -8,45 +8,146 @@ function saveCart(cart) {
     updateCartCount();
 }
 
-function addToCart(product, quantity = 1) {
+// A cart line as the API expects it. Lines saved before products had variants
+// only know their productId; the server resolves it to the product's variant.
+// Rental lines also send their dates.
+function cartItemRequest(item) {
+    const request = item.variantId
+        ? { variantId: item.variantId, quantity: item.quantity }
+        : { productId: item.productId, quantity: item.quantity };
+    if (item.rental) {
+        request.rental = item.rental;
+    }
+    return request;
+}
+
+// The server keeps a copy of the cart (keyed by a cookie) so it follows the
+// shopper across devices. localStorage stays the working copy: every change
+// is applied locally first and then sent to the server, whose answer replaces
+// the local cart. If the API is unreachable the local cart keeps working,
+// but the server cart wins again at the next sync.
+async function syncCartRequest(method, path, body) {
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/api/cart${path}`, {
+            method,
+            credentials: 'include',
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        saveCart(data.cart.items.map(item => {
+            const line = {
+                variantId: item.variantId,
+                productId: item.productId,
+                sku: item.sku,
+                name: item.name,
+                price: item.price_cents / 100,
+                image_url: item.image_url,
+                quantity: item.quantity
+            };
+            if (item.rental) {
+                line.rental = { startDate: item.rental.startDate, endDate: item.rental.endDate };
+                line.deposit = item.rental.deposit_cents / 100;
+            }
+            return line;
+        }));
+        if (window.location.pathname.includes('cart.html')) {
+            loadCartPage();
+        }
+    } catch (error) {
+        console.warn('Cart sync failed:', error);
+    }
+}
+
+// On page load: the server cart replaces the local one, or the local cart
+// becomes the server cart if this browser has none yet
+function syncCart() {
+    const items = getCart().map(cartItemRequest);
+    return syncCartRequest('POST', '/merge', { items });
+}
+
+// Returns how many units of a variant can still be bought, or null when stock
+// is not tracked or the API cannot be reached (the checkout re-checks anyway).
+async function getAvailability(productId, variantId) {
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/api/products/${productId}/availability`);
+        if (!response.ok) {
+            return null;
+        }
+        const data = await response.json();
+        const variant = data.variants.find(entry => entry.variantId === variantId);
+        return variant && variant.tracked ? variant.available : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// `product` as returned by /api/products, `variant` one of its variants (the
+// size the shopper picked). Products with a single variant need no choice.
+async function addToCart(product, quantity = 1, variant = null) {
+    const chosen = variant || (product.variants.length === 1 ? product.variants[0] : null);
+    if (!chosen) {
+        const option = product.options.length > 0 ? product.options[0].name : 'option';
+        alert(`Please choose a ${option} for ${product.name}.`);
+        return;
+    }
+    const name = chosen.label ? `${product.name} - ${chosen.label}` : product.name;
+
     const cart = getCart();
-    const existingItem = cart.find(item => item.productId === product.id);
+    const existingItem = cart.find(item => item.variantId === chosen.id && !item.rental);
+    const wanted = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    const available = await getAvailability(product.id, chosen.id);
+    if (available !== null && wanted > available) {
+        alert(available > 0
+            ? `Sorry, only ${available} ${name} left in stock.`
+            : `Sorry, ${name} is out of stock.`);
+        return;
+    }
     
     if (existingItem) {
         existingItem.quantity += quantity;
     } else {
         cart.push({
+            variantId: chosen.id,
             productId: product.id,
-            name: product.name,
-            price: product.price,
-            image_url: product.image_url,
+            sku: chosen.sku,
+            name,
+            price: Number(chosen.price),
+            image_url: product.thumbnail_url || product.image_url,
             quantity: quantity
         });
     }
     
     saveCart(cart);
-    alert(`${product.name} added to cart!`);
+    syncCartRequest('POST', '/items', { variantId: chosen.id, quantity });
+    alert(`${name} added to cart!`);
 }
 
-function removeFromCart(productId) {
+function removeFromCart(variantId) {
     let cart = getCart();
-    cart = cart.filter(item => item.productId !== productId);
+    cart = cart.filter(item => item.variantId !== variantId || item.rental);
     saveCart(cart);
+    syncCartRequest('DELETE', `/items/${variantId}`);
     if (window.location.pathname.includes('cart.html')) {
         loadCartPage();
     }
 }
 
-function updateQuantity(productId, quantity) {
+function updateQuantity(variantId, quantity) {
     const cart = getCart();
-    const item = cart.find(item => item.productId === productId);
+    const item = cart.find(item => item.variantId === variantId && !item.rental);
     
     if (item) {
         if (quantity <= 0) {
-            removeFromCart(productId);
+            removeFromCart(variantId);
         } else {
             item.quantity = quantity;
             saveCart(cart);
+            syncCartRequest('PUT', `/items/${variantId}`, { quantity });
             if (window.location.pathname.includes('cart.html')) {
                 loadCartPage();
             }
@@ -54,9 +155,92 @@ function updateQuantity(productId, quantity) {
     }
 }
 
+// Rental lines are told apart by variant and dates
+function rentalKey(item) {
+    return `${item.variantId}:${item.rental.startDate}:${item.rental.endDate}`;
+}
+
+// Rent `variant` of `product` (as in addToCart) from startDate to endDate
+// (YYYY-MM-DD, both days included). The server prices the rental and checks
+// the dates are free; they are only held once checkout starts.
+async function addRentalToCart(product, variant, startDate, endDate, quantity = 1) {
+    const name = variant.label ? `${product.name} - ${variant.label}` : product.name;
+    const rental = { startDate, endDate };
+    const cart = getCart();
+    const existingItem = cart.find(item => item.rental && rentalKey(item) === rentalKey({ variantId: variant.id, rental }));
+    const wanted = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    let data;
+    try {
+        const query = new URLSearchParams({ start_date: startDate, end_date: endDate, quantity: wanted });
+        const response = await fetch(`${CONFIG.API_URL}/api/rentals/${variant.id}/price?${query}`);
+        data = await response.json();
+        if (!response.ok) {
+            alert(apiErrorMessage(data, `Sorry, ${name} cannot be rented for those dates.`));
+            return;
+        }
+    } catch (error) {
+        alert('Could not check the rental dates. Please try again.');
+        return;
+    }
+
+    const line = {
+        variantId: variant.id,
+        productId: product.id,
+        sku: variant.sku,
+        name,
+        price: data.rental.unit_price_cents / 100,
+        deposit: data.rental.deposit_cents / wanted / 100,
+        image_url: product.thumbnail_url || product.image_url,
+        quantity: wanted,
+        rental
+    };
+    if (existingItem) {
+        Object.assign(existingItem, line);
+    } else {
+        cart.push(line);
+    }
+    saveCart(cart);
+    syncCartRequest('POST', '/items', { variantId: variant.id, quantity, rental });
+    alert(`${name} rental added to cart!`);
+}
+
+function removeRental(key) {
+    const cart = getCart();
+    const item = cart.find(item => item.rental && rentalKey(item) === key);
+    if (!item) {
+        return;
+    }
+    saveCart(cart.filter(line => line !== item));
+    syncCartRequest('DELETE', `/items/${item.variantId}?${new URLSearchParams(item.rental)}`);
+    if (window.location.pathname.includes('cart.html')) {
+        loadCartPage();
+    }
+}
+
+// The dates are checked again by the cart summary and at checkout
+function updateRentalQuantity(key, quantity) {
+    const cart = getCart();
+    const item = cart.find(item => item.rental && rentalKey(item) === key);
+    if (!item) {
+        return;
+    }
+    if (quantity <= 0) {
+        removeRental(key);
+        return;
+    }
+    item.quantity = quantity;
+    saveCart(cart);
+    syncCartRequest('PUT', `/items/${item.variantId}`, { quantity, rental: item.rental });
+    if (window.location.pathname.includes('cart.html')) {
+        loadCartPage();
+    }
+}
+
 function clearCart() {
     localStorage.removeItem('cart');
     updateCartCount();
+    syncCartRequest('DELETE', '');
 }
 
 function getCartTotal() {
@@ -64,6 +248,232 @@ function getCartTotal() {
     return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
 }
 
+// Discount code entered on the cart page. Only the code is kept: the amount is
+// always worked out by the server for the current cart.
+function getDiscountCode() {
+    return localStorage.getItem('discountCode');
+}
+
+// API errors look like { error: { code, message, details: [{ field, message }] } };
+// the field messages are more useful to the customer than the summary.
+function apiErrorMessage(data, fallback) {
+    const error = (data && data.error) || {};
+    const details = (error.details || []).map(detail => detail.message).join('\n');
+    return details || error.message || fallback;
+}
+
+async function fetchDiscount(code) {
+    const cart = getCart();
+    const response = await fetch(`${CONFIG.API_URL}/api/cart/discount`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            code,
+            items: cart.map(cartItemRequest)
+        })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(apiErrorMessage(data, 'Invalid discount code'));
+    }
+    return data.discount;
+}
+
+async function applyDiscountCode(code) {
+    code = (code || '').trim();
+    if (!code || getCart().length === 0) {
+        return;
+    }
+    try {
+        await fetchDiscount(code);
+        localStorage.setItem('discountCode', code);
+        updateCartSummary();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function removeDiscountCode() {
+    localStorage.removeItem('discountCode');
+    updateCartSummary();
+}
+
+// Shipping option chosen on the cart page: { rateId, destination }. Its price
+// is quoted again whenever the summary is shown, as it depends on the cart.
+function getShipping() {
+    return JSON.parse(localStorage.getItem('shipping') || 'null');
+}
+
+// destination: { country, region, postalCode }
+async function getShippingQuote(destination) {
+    const cart = getCart();
+    const response = await fetch(`${CONFIG.API_URL}/api/shipping/quote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            items: cart.map(cartItemRequest),
+            destination,
+            discountCode: getDiscountCode() || undefined
+        })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(apiErrorMessage(data, 'Could not quote shipping'));
+    }
+    return data.quote;
+}
+
+function chooseShipping(rateId, destination) {
+    localStorage.setItem('shipping', JSON.stringify({ rateId, destination }));
+    updateCartSummary();
+}
+
+// Tax exemption certificate on file for this customer: { certificate, email }.
+// The server only honours it for checkouts from the same email.
+function getTaxExemption() {
+    return JSON.parse(localStorage.getItem('taxExemption') || 'null');
+}
+
+function setTaxExemption(certificate, email) {
+    if (certificate && email) {
+        localStorage.setItem('taxExemption', JSON.stringify({ certificate, email }));
+    } else {
+        localStorage.removeItem('taxExemption');
+    }
+    updateCartSummary();
+}
+
+// What the cart page sends to /api/cart/summary and /api/checkout
+function getOrderRequest() {
+    const exemption = getTaxExemption();
+    return {
+        items: getCart().map(cartItemRequest),
+        discountCode: getDiscountCode() || undefined,
+        shipping: getShipping() || undefined,
+        email: exemption ? exemption.email : undefined,
+        taxExemptionCertificate: exemption ? exemption.certificate : undefined
+    };
+}
+
+// Stored choices the server rejects are dropped (a code below its minimum, a
+// shipping option that no longer fits the cart) and the summary is retried.
+const SUMMARY_CHOICES = {
+    code: 'discountCode',
+    discountCode: 'discountCode',
+    shipping: 'shipping',
+    email: 'taxExemption',
+    taxExemptionCertificate: 'taxExemption'
+};
+
+// 'shipping.destination.country' -> 'shipping'
+function summaryChoice(field) {
+    return SUMMARY_CHOICES[String(field).split(/[.[]/)[0]];
+}
+
+async function fetchCartSummary(retry = true) {
+    const response = await fetch(`${CONFIG.API_URL}/api/cart/summary`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getOrderRequest())
+    });
+    const data = await response.json();
+    if (response.ok) {
+        return data.summary;
+    }
+
+    const details = (data.error && data.error.details) || [];
+    const rejected = details
+        .map(detail => summaryChoice(detail.field))
+        .filter(Boolean);
+    if (retry && rejected.length > 0) {
+        rejected.forEach(key => localStorage.removeItem(key));
+        return fetchCartSummary(false);
+    }
+    throw new Error(apiErrorMessage(data, 'Could not load the cart summary'));
+}
+
+function setSummaryLine(id, text) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.textContent = text;
+    }
+}
+
+// Subtotal, discount, shipping, tax, deposit and total lines of the cart page,
+// as checkout will charge them. Falls back to the local subtotal if the API is
+// unreachable.
+async function updateCartSummary() {
+    const subtotal = getCartTotal();
+    document.getElementById('subtotal').textContent = `$${subtotal.toFixed(2)}`;
+    document.getElementById('total').textContent = `$${subtotal.toFixed(2)}`;
+    if (getCart().length === 0) {
+        return;
+    }
+
+    let summary;
+    try {
+        summary = await fetchCartSummary();
+    } catch (error) {
+        console.warn('Cart summary failed:', error);
+        return;
+    }
+
+    const discountRow = document.getElementById('discount-row');
+    if (discountRow) {
+        discountRow.style.display = summary.discount_code ? '' : 'none';
+    }
+    if (summary.discount_code) {
+        const freeShipping = summary.shipping_option && summary.shipping_option.free_shipping;
+        setSummaryLine('discount-label', freeShipping ? `${summary.discount_code} (free shipping)` : summary.discount_code);
+        setSummaryLine('discount', `-$${summary.discount}`);
+    }
+
+    setSummaryLine('subtotal', `$${summary.subtotal}`);
+    setSummaryLine('shipping', summary.shipping_option
+        ? `${summary.shipping_option.name}: $${summary.shipping}`
+        : 'Choose a shipping option');
+    setSummaryLine('tax', summary.tax_exempt
+        ? 'Exempt'
+        : (summary.tax === null ? 'Calculated with shipping' : `$${summary.tax}`));
+    const depositRow = document.getElementById('deposit-row');
+    if (depositRow) {
+        depositRow.style.display = summary.deposit_cents > 0 ? '' : 'none';
+    }
+    setSummaryLine('deposit', `$${summary.deposit}`);
+    setSummaryLine('total', `$${summary.total}`);
+}
+
+async function checkout() {
+    const cart = getCart();
+    if (cart.length === 0) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${CONFIG.API_URL}/api/checkout`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(getOrderRequest())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = data.error || {};
+            const details = (error.details || []).map(detail => detail.message).join('\n');
+            alert(`${error.message || 'Checkout failed'}${details ? '\n' + details : ''}`);
+            return;
+        }
+
+        window.location.href = data.url;
+    } catch (error) {
+        console.error('Checkout failed:', error);
+        alert('Could not start checkout. Please try again.');
+    }
+}
+
 function updateCartCount() {
     const cart = getCart();
     const count = cart.reduce((total, item) => total + item.quantity, 0);
@@ -88,33 +498,70 @@ function loadCartPage() {
     cartItemsContainer.style.display = 'block';
     cartSummary.style.display = 'block';
     
-    cartItemsContainer.innerHTML = cart.map(item => `
+    cartItemsContainer.innerHTML = cart.map(item => {
+        // Rental lines are updated by their key, purchases by variant
+        const update = item.rental ? `updateRentalQuantity('${rentalKey(item)}', ` : `updateQuantity(${item.variantId}, `;
+        const remove = item.rental ? `removeRental('${rentalKey(item)}')` : `removeFromCart(${item.variantId})`;
+        return `
         <div class="cart-item">
-            <img src="${item.image_url || 'https://via.placeholder.com/100'}" alt="${item.name}">
+            <img src="${item.image_url || 'https://via.placeholder.com/100'}" alt="${item.name}"
+                 width="100" height="100" loading="lazy" style="object-fit: cover">
             <div class="item-details">
                 <h3>${item.name}</h3>
-                <p class="item-price">$${item.price.toFixed(2)}</p>
+                ${item.rental ? `<p class="item-rental">Rental, ${item.rental.startDate} to ${item.rental.endDate}</p>` : ''}
+                <p class="item-price">$${item.price.toFixed(2)}${item.rental && item.deposit ? ` + $${item.deposit.toFixed(2)} refundable deposit` : ''}</p>
             </div>
             <div class="item-quantity">
-                <button onclick="updateQuantity(${item.productId}, ${item.quantity - 1})">-</button>
+                <button onclick="${update}${item.quantity - 1})">-</button>
                 <input type="number" value="${item.quantity}" min="1" 
-                       onchange="updateQuantity(${item.productId}, parseInt(this.value))">
-                <button onclick="updateQuantity(${item.productId}, ${item.quantity + 1})">+</button>
+                       onchange="${update}parseInt(this.value))">
+                <button onclick="${update}${item.quantity + 1})">+</button>
             </div>
             <div class="item-total">
                 <p>$${(item.price * item.quantity).toFixed(2)}</p>
             </div>
-            <button class="btn-remove" onclick="removeFromCart(${item.productId})">Remove</button>
+            <button class="btn-remove" onclick="${remove}">Remove</button>
         </div>
-    `).join('');
+    `;
+    }).join('');
     
-    const total = getCartTotal();
-    document.getElementById('subtotal').textContent = `$${total.toFixed(2)}`;
-    document.getElementById('total').textContent = `$${total.toFixed(2)}`;
+    updateCartSummary();
+}
+
+// Stripe sends the shopper back with ?checkout=success or ?checkout=cancelled
+// (see routes/checkout.js). A paid cart is emptied here and on the server;
+// a cancelled one is kept for another try. Returns whether the cart was paid.
+function showCheckoutResult() {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get('checkout');
+    if (!result) {
+        return false;
+    }
+    params.delete('checkout');
+    params.delete('session_id');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    if (result === 'success') {
+        clearCart();
+        alert('Thank you! Your order has been placed. A confirmation email is on its way.');
+        return true;
+    }
+    if (result === 'cancelled') {
+        alert('Checkout was cancelled and you have not been charged. Your cart has been kept.');
+    }
+    return false;
+}
+
+function initCart() {
+    updateCartCount();
+    if (!showCheckoutResult()) {
+        syncCart();
+    }
 }
 
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', updateCartCount);
+    document.addEventListener('DOMContentLoaded', initCart);
 } else {
-    updateCartCount();
+    initCart();
 }
@@ -0,0 +1,236 @@
+// Quote page. Without a token it turns the cart into a quote request; the
+// link in a sent quote's email lands here with its token in the fragment
+// (#token=...) to view the quote and accept or decline it.
+let quoteToken = null;
+
+function escapeQuoteText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Resolves to { ok, status, data }
+async function quoteRequest(method, path, body) {
+    const response = await fetch(`${CONFIG.API_URL}/api/quotes${path}`, {
+        method,
+        credentials: 'include',
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => null);
+    return { ok: response.ok, status: response.status, data };
+}
+
+function showQuoteNotice(message, kind = 'info') {
+    const notice = document.getElementById('quote-notice');
+    notice.textContent = message;
+    notice.className = `quote-notice ${kind}`;
+    notice.hidden = false;
+    notice.scrollIntoView({ block: 'nearest' });
+}
+
+function formatQuoteDate(value) {
+    return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Sends the form with `request` (which may resolve to null to do nothing)
+// and shows API errors (see apiErrorMessage in cart.js); `onSuccess` gets
+// the response data
+function handleQuoteForm(id, request, onSuccess) {
+    const form = document.getElementById(id);
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const result = await request(form);
+            if (result && result.ok) {
+                onSuccess(result.data, form);
+            } else if (result) {
+                showQuoteNotice(apiErrorMessage(result.data, 'Something went wrong, please try again.'), 'error');
+            }
+        } catch (error) {
+            console.error('Quote request failed:', error);
+            showQuoteNotice('Could not reach the store, please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+// Rentals are booked for their dates at checkout and cannot be quoted
+function quoteCart() {
+    return getCart().filter(item => !item.rental);
+}
+
+function renderQuoteCart() {
+    const cart = quoteCart();
+    const rentals = getCart().length - cart.length;
+    const container = document.getElementById('quote-cart');
+    const form = document.getElementById('quote-request-form');
+    if (cart.length === 0) {
+        container.innerHTML = rentals > 0
+            ? '<p class="quote-muted">Rentals are booked at checkout and cannot be quoted. <a href="products.html">Add the products you need</a> to request a quote.</p>'
+            : '<p class="quote-muted">Your cart is empty. <a href="products.html">Add the products you need</a>, then come back to request a quote.</p>';
+        form.hidden = true;
+        return;
+    }
+    form.hidden = false;
+    container.innerHTML = `
+        <table class="quote-table">
+            <thead><tr><th>Product</th><th class="amount">Quantity</th><th class="amount">List price</th></tr></thead>
+            <tbody>
+                ${cart.map(item => `
+                    <tr>
+                        <td>${escapeQuoteText(item.name)}</td>
+                        <td class="amount">${escapeQuoteText(item.quantity)}</td>
+                        <td class="amount">$${(item.price * item.quantity).toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${rentals > 0 ? '<p class="quote-muted">Rentals in your cart are booked at checkout and are left out of the quote.</p>' : ''}
+        <p class="quote-muted">Need different quantities? <a href="cart.html">Edit your cart</a>.</p>
+    `;
+}
+
+function addressValues(fieldset) {
+    return Object.fromEntries(Array.from(fieldset.querySelectorAll('input')).map(input => [input.name, input.value]));
+}
+
+function quoteRequestBody(form) {
+    const body = { items: quoteCart().map(cartItemRequest) };
+    ['organization', 'contact_name', 'email', 'phone', 'po_number', 'notes'].forEach((name) => {
+        body[name] = form.elements[name].value;
+    });
+    body.shipping_address = addressValues(document.getElementById('shipping-fields'));
+    if (document.getElementById('separate-billing').checked) {
+        body.billing_address = addressValues(document.getElementById('billing-fields'));
+    }
+    return body;
+}
+
+function quoteSummary(quote, invoice) {
+    switch (quote.status) {
+        case 'requested':
+            return 'We are preparing this quote.';
+        case 'sent':
+            return quote.expired
+                ? `This quote expired on ${formatQuoteDate(quote.expires_at)}. Please contact us for an updated quote.`
+                : `Valid until ${formatQuoteDate(quote.expires_at)}.`;
+        case 'accepted':
+            return invoice
+                ? `Accepted on ${formatQuoteDate(quote.accepted_at)} as order #${invoice.order_id}. Invoice ${invoice.number} for $${invoice.amount} is ${invoice.status === 'paid' ? 'paid — thank you!' : `due by ${formatQuoteDate(invoice.due_at)}`}.`
+                : `Accepted on ${formatQuoteDate(quote.accepted_at)}.`;
+        case 'declined':
+            return 'You declined this quote.';
+        default:
+            return 'This quote has been withdrawn. Please contact us if you still need it.';
+    }
+}
+
+function renderQuote({ quote, invoice }) {
+    const documentUrl = `${CONFIG.API_URL}/api/quotes/${encodeURIComponent(quoteToken)}`;
+    document.getElementById('request-section').hidden = true;
+    document.getElementById('quote-section').hidden = false;
+    document.getElementById('quote-number').textContent = quote.number;
+    document.getElementById('quote-status').textContent = quote.expired ? 'expired' : quote.status;
+    document.getElementById('quote-summary').textContent = quoteSummary(quote, invoice);
+
+    const dollars = amount => (amount === null ? '—' : `$${escapeQuoteText(amount)}`);
+    const totals = [['Subtotal', dollars(quote.subtotal)]];
+    if (quote.discount !== '0.00') {
+        totals.push(['Discount', `-${dollars(quote.discount)}`]);
+    }
+    totals.push(['Shipping', dollars(quote.shipping)], ['Tax', dollars(quote.tax)], ['Total', dollars(quote.total)]);
+
+    document.getElementById('quote-details').innerHTML = `
+        <p><strong>${escapeQuoteText(quote.organization)}</strong> · ${escapeQuoteText(quote.contact_name)}</p>
+        ${quote.message ? `<p class="quote-muted">${escapeQuoteText(quote.message)}</p>` : ''}
+        <table class="quote-table">
+            <thead><tr><th>Product</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Total</th></tr></thead>
+            <tbody>
+                ${quote.items.map(item => `
+                    <tr>
+                        <td>${escapeQuoteText(item.name)}</td>
+                        <td class="amount">${escapeQuoteText(item.quantity)}</td>
+                        <td class="amount">${dollars(item.unit_price)}</td>
+                        <td class="amount">${dollars(item.total)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                ${totals.map(([label, amount]) => `
+                    <tr><td colspan="3" class="amount">${label}</td><td class="amount">${amount}</td></tr>
+                `).join('')}
+            </tfoot>
+        </table>
+    `;
+
+    document.getElementById('quote-document').href = `${documentUrl}/document`;
+    const invoiceLink = document.getElementById('quote-invoice');
+    invoiceLink.hidden = !invoice;
+    invoiceLink.href = `${documentUrl}/invoice`;
+
+    const answer = document.getElementById('quote-answer');
+    answer.hidden = quote.status !== 'sent' || quote.expired;
+    if (!answer.hidden && quote.po_number) {
+        document.getElementById('accept-form').elements.po_number.value = quote.po_number;
+    }
+}
+
+function setUpQuoteForms() {
+    document.getElementById('separate-billing').addEventListener('change', (event) => {
+        const billing = document.getElementById('billing-fields');
+        billing.hidden = !event.target.checked;
+        billing.disabled = !event.target.checked;
+    });
+
+    handleQuoteForm('quote-request-form', form => quoteRequest('POST', '', quoteRequestBody(form)), (data, form) => {
+        form.reset();
+        form.hidden = true;
+        showQuoteNotice(`Thanks! Your request ${data.quote.number} is in. We will email ${data.quote.email} a priced quote, usually within two business days.`, 'success');
+    });
+
+    const tokenPath = () => `/${encodeURIComponent(quoteToken)}`;
+
+    handleQuoteForm('accept-form', form => quoteRequest('POST', `${tokenPath()}/accept`, {
+        po_number: form.elements.po_number.value
+    }), (data) => {
+        renderQuote(data);
+        showQuoteNotice('Thank you! Your order has been placed and the invoice emailed to you.', 'success');
+    });
+
+    handleQuoteForm('decline-form', form => (confirm('Decline this quote?')
+        ? quoteRequest('POST', `${tokenPath()}/decline`, { reason: form.elements.reason.value })
+        : null), (data) => {
+        renderQuote({ quote: data.quote, invoice: null });
+        showQuoteNotice('Thanks for letting us know. The quote has been declined.', 'info');
+    });
+}
+
+async function initQuotePage() {
+    setUpQuoteForms();
+    quoteToken = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    if (!quoteToken) {
+        document.getElementById('request-section').hidden = false;
+        renderQuoteCart();
+        return;
+    }
+
+    try {
+        const result = await quoteRequest('GET', `/${encodeURIComponent(quoteToken)}`);
+        if (result.ok) {
+            renderQuote(result.data);
+        } else {
+            showQuoteNotice(result.status === 404
+                ? 'This quote link is no longer valid. If the quote was sent again, use the link in the newest email.'
+                : apiErrorMessage(result.data, 'Could not load the quote.'), 'error');
+        }
+    } catch (error) {
+        console.error('Could not load quote:', error);
+        showQuoteNotice('Could not reach the store, please try again later.', 'error');
+    }
+}
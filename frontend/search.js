@@ -0,0 +1,126 @@
+// Product search in the nav. Results from /api/products/search drop down
+// under the box as the shopper types; Enter opens the products page with the
+// query instead.
+const SEARCH_DELAY_MS = 250;
+const SEARCH_RESULT_LIMIT = 6;
+
+let searchTimer = null;
+let searchController = null;
+
+function escapeSearchText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "$29.99", or "From $29.99" when the variants are priced differently
+function searchResultPrice(product) {
+    const prices = product.variants.map(variant => variant.price_cents);
+    if (prices.length === 0) {
+        return `$${(product.price_cents / 100).toFixed(2)}`;
+    }
+    const lowest = Math.min(...prices);
+    const from = prices.some(price => price !== lowest) ? 'From ' : '';
+    return `${from}$${(lowest / 100).toFixed(2)}`;
+}
+
+// The highlights are HTML from the API: escaped text with matches in <mark>
+function renderSearchResults(results, query, data) {
+    if (data.products.length === 0) {
+        results.innerHTML = `<p class="search-empty">No products match “${escapeSearchText(query)}”</p>`;
+        return;
+    }
+
+    const items = data.products.map(product => `
+        <li>
+            <a class="search-result" href="products.html?id=${product.id}">
+                <img src="${escapeSearchText(product.thumbnail_url || 'https://via.placeholder.com/48')}" alt=""
+                     width="48" height="48" loading="lazy">
+                <span class="search-result-text">
+                    <span class="search-result-name">${product.highlights.name}</span>
+                    <span class="search-result-snippet">${product.highlights.description || ''}</span>
+                </span>
+                <span class="search-result-price">
+                    ${searchResultPrice(product)}
+                    ${product.in_stock ? '' : '<small>Out of stock</small>'}
+                </span>
+            </a>
+        </li>
+    `).join('');
+    const more = data.pagination.total > data.products.length
+        ? `<a class="search-all" href="products.html?q=${encodeURIComponent(query)}">See all ${data.pagination.total} results</a>`
+        : '';
+    results.innerHTML = `<ul>${items}</ul>${more}`;
+}
+
+// Also drops a search still in flight, so it cannot reopen the results
+function closeSearchResults(results) {
+    if (searchController) {
+        searchController.abort();
+    }
+    results.hidden = true;
+    results.innerHTML = '';
+}
+
+async function runSearch(results, query) {
+    if (searchController) {
+        searchController.abort();
+    }
+    searchController = new AbortController();
+
+    try {
+        const params = new URLSearchParams({ q: query, limit: SEARCH_RESULT_LIMIT });
+        const response = await fetch(`${CONFIG.API_URL}/api/products/search?${params}`, {
+            signal: searchController.signal
+        });
+        if (!response.ok) {
+            closeSearchResults(results);
+            return;
+        }
+        renderSearchResults(results, query, await response.json());
+        results.hidden = false;
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.warn('Search failed:', error);
+            closeSearchResults(results);
+        }
+    }
+}
+
+function initSearch() {
+    const input = document.getElementById('search-input');
+    const results = document.getElementById('search-results');
+    if (!input || !results) {
+        return;
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        const query = input.value.trim();
+        if (query.length < 2) {
+            closeSearchResults(results);
+            return;
+        }
+        searchTimer = setTimeout(() => runSearch(results, query), SEARCH_DELAY_MS);
+    });
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            closeSearchResults(results);
+        }
+    });
+
+    document.addEventListener('click', (event) => {
+        if (!results.contains(event.target) && event.target !== input) {
+            closeSearchResults(results);
+        }
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSearch);
+} else {
+    initSearch();
+}